@@ -6,6 +6,7 @@
 
 const socketIo = require('socket.io');
 const messageModel = require('./models/message');
+const { verifyToken } = require('./middleware/auth');
 
 // Store active user connections
 const activeUsers = new Map();
@@ -23,16 +24,22 @@ function initChat(server) {
     }
   });
   
-  // Middleware to handle authentication (simplified for now)
-  io.use((socket, next) => {
-    const userId = socket.handshake.auth.userId;
-    if (!userId) {
-      return next(new Error("User ID is required"));
+  // Middleware to authenticate the socket with the same JWT used by the REST API
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth.token;
+    if (!token) {
+      return next(new Error("Authentication required"));
     }
     
-    // Attach user ID to socket
-    socket.userId = userId;
-    next();
+    try {
+      const user = await verifyToken(token);
+      
+      // Attach user ID to socket
+      socket.userId = user.id;
+      next();
+    } catch (error) {
+      next(new Error("Invalid token"));
+    }
   });
   
   io.on('connection', (socket) => {
@@ -0,0 +1,145 @@
+/**
+ * Database Migration Runner
+ *
+ * Applies the numbered files in database/migrations in order and records each
+ * one in the schema_migrations table so it only runs once per database.
+ * A migration is either a .sql file executed as-is or a .js module exporting
+ * an async up(db) function. A .js module that rebuilds a table exports
+ * foreignKeys: false so the rebuild doesn't cascade into the tables that
+ * reference it; foreign keys are turned back on once it is done.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Directory containing migration files
+const migrationsDir = path.join(__dirname, 'migrations');
+
+/**
+ * Execute one or more SQL statements
+ *
+ * @param {object} db - SQLite database instance
+ * @param {string} sql - SQL to execute
+ * @returns {Promise<void>}
+ */
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Run a query and return all rows
+ *
+ * @param {object} db - SQLite database instance
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>}
+ */
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Run an insert/update/delete statement
+ *
+ * @param {object} db - SQLite database instance
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<object>} - lastID and changes
+ */
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+/**
+ * Check whether a table has a given column
+ *
+ * @param {object} db - SQLite database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>}
+ */
+async function columnExists(db, table, column) {
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  return columns.some(c => c.name === column);
+}
+
+/**
+ * Apply all pending migrations
+ *
+ * @param {object} db - SQLite database instance
+ * @returns {Promise<Array<string>>} - Names of the migrations that were applied
+ */
+async function runMigrations(db) {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const appliedRows = await all(db, 'SELECT name FROM schema_migrations');
+  const applied = new Set(appliedRows.map(row => row.name));
+
+  const files = fs.existsSync(migrationsDir)
+    ? fs.readdirSync(migrationsDir).filter(f => /\.(sql|js)$/.test(f)).sort()
+    : [];
+
+  const newlyApplied = [];
+
+  for (const file of files) {
+    if (applied.has(file)) {
+      continue;
+    }
+
+    console.log('Applying migration:', file);
+    const filePath = path.join(migrationsDir, file);
+    const migration = file.endsWith('.js') ? require(filePath) : null;
+
+    // Foreign keys can only be switched outside a transaction
+    if (migration && migration.foreignKeys === false) {
+      await exec(db, 'PRAGMA foreign_keys = OFF');
+    }
+
+    await exec(db, 'BEGIN');
+    try {
+      if (migration) {
+        await migration.up(db);
+      } else {
+        await exec(db, fs.readFileSync(filePath, 'utf8'));
+      }
+
+      await run(db, 'INSERT INTO schema_migrations (name) VALUES (?)', [file]);
+      await exec(db, 'COMMIT');
+      newlyApplied.push(file);
+    } catch (err) {
+      console.error(`Migration ${file} failed:`, err.message);
+      await exec(db, 'ROLLBACK');
+      throw err;
+    } finally {
+      if (migration && migration.foreignKeys === false) {
+        await exec(db, 'PRAGMA foreign_keys = ON');
+      }
+    }
+  }
+
+  return newlyApplied;
+}
+
+module.exports = {
+  runMigrations,
+  exec,
+  all,
+  run,
+  columnExists
+};
@@ -0,0 +1,19 @@
+-- TOTP two-factor authentication
+-- two_factor_secret is set during enrollment; two_factor_enabled_at is set once
+-- the user proves their authenticator works. The last accepted time step is
+-- kept so a code can't be replayed.
+ALTER TABLE users ADD COLUMN two_factor_secret TEXT;
+ALTER TABLE users ADD COLUMN two_factor_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN two_factor_last_step INTEGER;
+
+-- Single-use backup codes for when the authenticator is unavailable
+CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user ON two_factor_backup_codes(user_id);
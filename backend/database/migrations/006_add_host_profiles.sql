@@ -0,0 +1,20 @@
+-- Host onboarding: details collected when a guest becomes a host, and the
+-- completion time of each checklist step
+CREATE TABLE IF NOT EXISTS host_profiles (
+  user_id INTEGER PRIMARY KEY,
+  legal_name TEXT,
+  phone TEXT,
+  payout_method TEXT CHECK(payout_method IN ('bank_transfer', 'paypal')),
+  payout_account TEXT,
+  details_completed_at TIMESTAMP,
+  payout_completed_at TIMESTAMP,
+  terms_accepted_at TIMESTAMP,
+  onboarding_completed_at TIMESTAMP,
+  requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Hosts from before onboarding existed keep access to their dashboard
+INSERT OR IGNORE INTO host_profiles (user_id, onboarding_completed_at)
+SELECT id, CURRENT_TIMESTAMP FROM users WHERE role = 'host';
@@ -0,0 +1,53 @@
+/**
+ * Hostel image gallery: thumbnails and ordering for hostel_images, and a copy
+ * of each hostel's existing JSON image list into the table
+ */
+
+const { exec, all, run, columnExists } = require('../migrate');
+
+/**
+ * @param {object} db - SQLite database instance
+ */
+async function up(db) {
+  await exec(db, `
+    ALTER TABLE hostel_images ADD COLUMN thumbnail_url TEXT;
+    ALTER TABLE hostel_images ADD COLUMN sort_order INTEGER NOT NULL DEFAULT 0;
+    CREATE INDEX IF NOT EXISTS idx_hostel_images_order ON hostel_images(hostel_id, sort_order);
+  `);
+
+  // Databases created from schema.sql alone have no images column to copy from
+  if (!(await columnExists(db, 'hostels', 'images'))) {
+    return;
+  }
+
+  const hostels = await all(db, `
+    SELECT id, images FROM hostels
+    WHERE images IS NOT NULL AND images != '[]'
+    AND id NOT IN (SELECT hostel_id FROM hostel_images)
+  `);
+
+  for (const hostel of hostels) {
+    let urls;
+    try {
+      urls = JSON.parse(hostel.images);
+    } catch (e) {
+      continue;
+    }
+
+    if (!Array.isArray(urls)) {
+      continue;
+    }
+
+    const validUrls = urls.filter(url => typeof url === 'string' && url.trim());
+
+    for (const [index, url] of validUrls.entries()) {
+      await run(
+        db,
+        'INSERT INTO hostel_images (hostel_id, image_url, is_primary, sort_order) VALUES (?, ?, ?, ?)',
+        [hostel.id, url.trim(), index === 0 ? 1 : 0, index]
+      );
+    }
+  }
+}
+
+module.exports = { up };
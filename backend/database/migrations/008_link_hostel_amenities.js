@@ -0,0 +1,118 @@
+/**
+ * Hostel amenities: link each hostel's free-text JSON amenities to the
+ * amenities catalog through hostel_amenities, then drop the JSON column
+ */
+
+const { exec, all, run, columnExists } = require('../migrate');
+
+// Common ways hosts wrote catalog amenities, keyed by their normalized form
+const ALIASES = {
+  wifi: 'Free Wi-Fi',
+  freewifi: 'Free Wi-Fi',
+  internet: 'Free Wi-Fi',
+  breakfast: 'Breakfast Included',
+  freebreakfast: 'Breakfast Included',
+  ac: 'Air Conditioning',
+  aircon: 'Air Conditioning',
+  airconditioner: 'Air Conditioning',
+  reception: '24/7 Reception',
+  '24hreception': '24/7 Reception',
+  '24hourreception': '24/7 Reception',
+  locker: 'Lockers',
+  securitylockers: 'Lockers',
+  commonroom: 'Common Area',
+  lounge: 'Common Area',
+  sharedkitchen: 'Kitchen',
+  guestkitchen: 'Kitchen',
+  laundryfacilities: 'Laundry',
+  washingmachine: 'Laundry',
+  showers: 'Hot Showers',
+  hotwater: 'Hot Showers',
+  towel: 'Towels',
+  linen: 'Linens',
+  bedlinen: 'Linens',
+  bedlinens: 'Linens',
+  sheets: 'Linens',
+  bikerental: 'Bicycle Rental',
+  bikes: 'Bicycle Rental',
+  bicycles: 'Bicycle Rental'
+};
+
+/**
+ * Reduce an amenity name to lowercase letters and digits for matching
+ *
+ * @param {string} name - Amenity name
+ * @returns {string}
+ */
+function normalize(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * @param {object} db - SQLite database instance
+ */
+async function up(db) {
+  await exec(db, 'CREATE INDEX IF NOT EXISTS idx_hostel_amenities_amenity ON hostel_amenities(amenity_id)');
+
+  // Databases created from schema.sql alone have no amenities column to copy from
+  if (!(await columnExists(db, 'hostels', 'amenities'))) {
+    return;
+  }
+
+  const catalog = new Map();
+  for (const amenity of await all(db, 'SELECT id, name FROM amenities')) {
+    catalog.set(normalize(amenity.name), amenity.id);
+  }
+
+  /**
+   * Find the catalog entry for a free-text amenity
+   * Values that match nothing are added to the catalog (without an icon) so no listing loses them
+   */
+  const resolveAmenityId = async (value) => {
+    const key = normalize(value);
+    const alias = ALIASES[key];
+    const id = catalog.get(key) || (alias && catalog.get(normalize(alias)));
+
+    if (id) {
+      return id;
+    }
+
+    const { lastID } = await run(db, 'INSERT INTO amenities (name) VALUES (?)', [value]);
+    catalog.set(key, lastID);
+    return lastID;
+  };
+
+  const hostels = await all(db, `
+    SELECT id, amenities FROM hostels
+    WHERE amenities IS NOT NULL AND amenities != '[]'
+  `);
+
+  for (const hostel of hostels) {
+    let values;
+    try {
+      values = JSON.parse(hostel.amenities);
+    } catch (e) {
+      continue;
+    }
+
+    if (!Array.isArray(values)) {
+      continue;
+    }
+
+    for (const value of values) {
+      if (typeof value !== 'string' || !normalize(value)) {
+        continue;
+      }
+
+      await run(
+        db,
+        'INSERT OR IGNORE INTO hostel_amenities (hostel_id, amenity_id) VALUES (?, ?)',
+        [hostel.id, await resolveAmenityId(value.trim())]
+      );
+    }
+  }
+
+  await exec(db, 'ALTER TABLE hostels DROP COLUMN amenities');
+}
+
+module.exports = { up };
@@ -0,0 +1,52 @@
+/**
+ * Room and bed inventory: room types per hostel and bookings that reserve
+ * beds of a room type. Every existing hostel gets one private room type at
+ * its current price, so its existing bookings keep blocking the same dates.
+ */
+
+const { exec, all, run, columnExists } = require('../migrate');
+
+/**
+ * @param {object} db - SQLite database instance
+ */
+async function up(db) {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS room_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hostel_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK(kind IN ('dorm', 'private')),
+      room_count INTEGER NOT NULL DEFAULT 1 CHECK(room_count > 0),
+      beds_per_room INTEGER NOT NULL CHECK(beds_per_room > 0),
+      price REAL NOT NULL CHECK(price > 0),
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (hostel_id) REFERENCES hostels(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_room_types_hostel_id ON room_types(hostel_id);
+
+    ALTER TABLE bookings ADD COLUMN room_type_id INTEGER REFERENCES room_types(id) ON DELETE SET NULL;
+    ALTER TABLE bookings ADD COLUMN beds INTEGER NOT NULL DEFAULT 1;
+
+    CREATE INDEX IF NOT EXISTS idx_bookings_room_type_dates ON bookings(room_type_id, check_in_date, check_out_date);
+  `);
+
+  // Listings created through the API store the nightly price in price, schema.sql calls it price_per_night
+  const priceColumn = (await columnExists(db, 'hostels', 'price')) ? 'price' : 'price_per_night';
+  const hostels = await all(db, `SELECT id, ${priceColumn} AS price FROM hostels`);
+
+  for (const hostel of hostels) {
+    const { lastID } = await run(
+      db,
+      `INSERT INTO room_types (hostel_id, name, kind, room_count, beds_per_room, price)
+       VALUES (?, 'Private room', 'private', 1, 1, ?)`,
+      [hostel.id, hostel.price > 0 ? hostel.price : 1]
+    );
+
+    await run(db, 'UPDATE bookings SET room_type_id = ? WHERE hostel_id = ?', [lastID, hostel.id]);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,39 @@
+/**
+ * Availability calendar: hostel_availability rows can apply to the whole
+ * hostel (room_type_id NULL) or to one room type, and can set a minimum stay
+ * for arrivals on that date. The table is rebuilt because its old
+ * UNIQUE(hostel_id, date) allowed only one row per hostel and date.
+ */
+
+const { exec } = require('../migrate');
+
+/**
+ * @param {object} db - SQLite database instance
+ */
+async function up(db) {
+  await exec(db, `
+    CREATE TABLE hostel_availability_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hostel_id INTEGER NOT NULL,
+      room_type_id INTEGER,
+      date DATE NOT NULL,
+      is_available BOOLEAN DEFAULT 1,
+      price_override REAL CHECK(price_override IS NULL OR price_override > 0),
+      min_stay INTEGER CHECK(min_stay IS NULL OR min_stay > 0),
+      FOREIGN KEY (hostel_id) REFERENCES hostels(id) ON DELETE CASCADE,
+      FOREIGN KEY (room_type_id) REFERENCES room_types(id) ON DELETE CASCADE
+    );
+
+    INSERT INTO hostel_availability_new (id, hostel_id, date, is_available, price_override)
+    SELECT id, hostel_id, date, is_available, price_override FROM hostel_availability;
+
+    DROP TABLE hostel_availability;
+    ALTER TABLE hostel_availability_new RENAME TO hostel_availability;
+
+    CREATE UNIQUE INDEX idx_hostel_availability_scope_date
+      ON hostel_availability(hostel_id, IFNULL(room_type_id, 0), date);
+    CREATE INDEX idx_hostel_availability_room_type_date ON hostel_availability(room_type_id, date);
+  `);
+}
+
+module.exports = { up };
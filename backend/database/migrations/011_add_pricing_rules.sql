@@ -0,0 +1,27 @@
+-- Pricing rules used to quote bookings: weekend rates, cleaning fee and tax per hostel
+ALTER TABLE hostels ADD COLUMN weekend_rate_percent REAL NOT NULL DEFAULT 0;
+ALTER TABLE hostels ADD COLUMN cleaning_fee REAL NOT NULL DEFAULT 0;
+ALTER TABLE hostels ADD COLUMN tax_percent REAL NOT NULL DEFAULT 0;
+
+-- Seasons that raise or lower the nightly rate of every room type
+CREATE TABLE IF NOT EXISTS seasonal_rates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  hostel_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  rate_percent REAL NOT NULL,
+  FOREIGN KEY (hostel_id) REFERENCES hostels(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_seasonal_rates_hostel_id ON seasonal_rates(hostel_id);
+
+-- Discounts for stays of at least a number of nights
+CREATE TABLE IF NOT EXISTS stay_discounts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  hostel_id INTEGER NOT NULL,
+  min_nights INTEGER NOT NULL CHECK(min_nights > 1),
+  discount_percent REAL NOT NULL CHECK(discount_percent > 0 AND discount_percent < 100),
+  UNIQUE(hostel_id, min_nights),
+  FOREIGN KEY (hostel_id) REFERENCES hostels(id) ON DELETE CASCADE
+);
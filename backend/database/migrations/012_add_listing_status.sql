@@ -0,0 +1,26 @@
+-- Listing lifecycle: hostels start as drafts and are only shown publicly once published
+ALTER TABLE hostels ADD COLUMN status TEXT NOT NULL DEFAULT 'draft'
+  CHECK(status IN ('draft', 'pending_review', 'published', 'suspended', 'archived'));
+ALTER TABLE hostels ADD COLUMN status_reason TEXT;
+ALTER TABLE hostels ADD COLUMN status_changed_at TIMESTAMP;
+
+-- Hostels listed before the lifecycle existed were already public
+UPDATE hostels SET status = 'published', status_changed_at = CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_hostels_status ON hostels(status);
+
+-- Every status change, with who made it and why
+CREATE TABLE IF NOT EXISTS hostel_status_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  hostel_id INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  changed_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (hostel_id) REFERENCES hostels(id) ON DELETE CASCADE,
+  FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_hostel_status_changes_hostel_id ON hostel_status_changes(hostel_id);
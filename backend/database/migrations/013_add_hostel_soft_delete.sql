@@ -0,0 +1,5 @@
+-- Deleting a hostel hides it instead of removing it, so its bookings and reviews are kept
+ALTER TABLE hostels ADD COLUMN deleted_at TIMESTAMP;
+ALTER TABLE hostels ADD COLUMN deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_hostels_deleted_at ON hostels(deleted_at);
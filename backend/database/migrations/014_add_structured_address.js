@@ -0,0 +1,62 @@
+/**
+ * Hostel addresses: add structured address fields and coordinates to hostels
+ * and fill them in by parsing each hostel's free-text location.
+ * Coordinates come from the bundled gazetteer, whatever GEOCODER is set to,
+ * so the migration runs the same way everywhere and never needs the network.
+ */
+
+const { exec, all, run, columnExists } = require('../migrate');
+const { parseLocation } = require('../../geocoding/address');
+const { createGazetteerGeocoder } = require('../../geocoding/gazetteerGeocoder');
+
+// New hostel columns and their types
+const COLUMNS = {
+  street: 'TEXT',
+  city: 'TEXT',
+  region: 'TEXT',
+  country: 'TEXT',
+  postal_code: 'TEXT',
+  latitude: 'REAL',
+  longitude: 'REAL'
+};
+
+/**
+ * @param {object} db - SQLite database instance
+ */
+async function up(db) {
+  for (const [column, type] of Object.entries(COLUMNS)) {
+    if (!(await columnExists(db, 'hostels', column))) {
+      await exec(db, `ALTER TABLE hostels ADD COLUMN ${column} ${type}`);
+    }
+  }
+
+  await exec(db, `
+    CREATE INDEX IF NOT EXISTS idx_hostels_country_city ON hostels(country, city);
+    CREATE INDEX IF NOT EXISTS idx_hostels_coordinates ON hostels(latitude, longitude);
+  `);
+
+  const geocoder = createGazetteerGeocoder();
+  const hostels = await all(db, 'SELECT id, location FROM hostels WHERE city IS NULL');
+
+  for (const hostel of hostels) {
+    const address = parseLocation(hostel.location);
+    const match = await geocoder.geocode(address);
+
+    await run(db, `
+      UPDATE hostels
+      SET street = ?, city = ?, region = ?, country = ?, postal_code = ?, latitude = ?, longitude = ?
+      WHERE id = ?
+    `, [
+      address.street,
+      match ? match.city : address.city,
+      address.region || (match && match.region) || null,
+      match ? match.country : address.country,
+      address.postal_code,
+      match ? match.latitude : null,
+      match ? match.longitude : null,
+      hostel.id
+    ]);
+  }
+}
+
+module.exports = { up };
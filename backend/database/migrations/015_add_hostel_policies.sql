@@ -0,0 +1,23 @@
+-- House rules, check-in details and the cancellation policy of each hostel
+-- Hostels without a row use the defaults below
+CREATE TABLE IF NOT EXISTS hostel_policies (
+  hostel_id INTEGER PRIMARY KEY,
+  check_in_from TEXT NOT NULL DEFAULT '14:00',
+  check_in_until TEXT,
+  check_out_until TEXT NOT NULL DEFAULT '11:00',
+  min_age INTEGER CHECK(min_age IS NULL OR min_age BETWEEN 0 AND 99),
+  max_age INTEGER CHECK(max_age IS NULL OR max_age BETWEEN 0 AND 99),
+  quiet_hours_start TEXT,
+  quiet_hours_end TEXT,
+  pets TEXT NOT NULL DEFAULT 'not_allowed' CHECK(pets IN ('not_allowed', 'on_request', 'allowed')),
+  smoking TEXT NOT NULL DEFAULT 'not_allowed' CHECK(smoking IN ('not_allowed', 'outside_only', 'allowed')),
+  id_required TEXT NOT NULL DEFAULT 'photo_id' CHECK(id_required IN ('none', 'photo_id', 'passport')),
+  cancellation_policy TEXT NOT NULL DEFAULT 'flexible'
+    CHECK(cancellation_policy IN ('flexible', 'moderate', 'strict', 'non_refundable')),
+  house_rules TEXT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (hostel_id) REFERENCES hostels(id) ON DELETE CASCADE
+);
+
+-- Bookings keep the cancellation policy they were made under
+ALTER TABLE bookings ADD COLUMN cancellation_policy TEXT;
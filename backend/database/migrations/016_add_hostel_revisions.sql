@@ -0,0 +1,18 @@
+-- Revisions of each listing: what changed, who changed it and the listing as it stood afterwards
+-- changes is a JSON list of { field, from, to }; the first revision of a hostel has none
+CREATE TABLE IF NOT EXISTS hostel_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  hostel_id INTEGER NOT NULL,
+  revision INTEGER NOT NULL,
+  changed_by INTEGER,
+  changes TEXT NOT NULL,
+  snapshot TEXT NOT NULL,
+  reverted_to INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(hostel_id, revision),
+  FOREIGN KEY (hostel_id) REFERENCES hostels(id) ON DELETE CASCADE,
+  FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Bookings remember which revision of the listing the guest saw
+ALTER TABLE bookings ADD COLUMN listing_revision INTEGER;
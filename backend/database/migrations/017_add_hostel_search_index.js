@@ -0,0 +1,78 @@
+/**
+ * Full-text search: an FTS5 index over each hostel's name, description,
+ * location and amenities, kept up to date by triggers on hostels,
+ * hostel_amenities and amenities. hostel_search_terms lists the indexed words
+ * so misspelt search terms can be matched to them.
+ */
+
+const { exec } = require('../migrate');
+
+/**
+ * SQL rebuilding the index entry of the hostels picked by a condition
+ *
+ * @param {string} condition - Condition on h, e.g. "h.id = NEW.id"
+ * @returns {string}
+ */
+function reindex(condition) {
+  return `
+    DELETE FROM hostel_search WHERE rowid IN (SELECT h.id FROM hostels h WHERE ${condition});
+    INSERT INTO hostel_search (rowid, name, description, location, amenities)
+    SELECT
+      h.id,
+      h.name,
+      COALESCE(h.description, ''),
+      TRIM(h.location || ' ' || COALESCE(h.street, '') || ' ' || COALESCE(h.city, '') || ' ' ||
+           COALESCE(h.region, '') || ' ' || COALESCE(h.country, '')),
+      COALESCE((
+        SELECT GROUP_CONCAT(a.name, ' ') FROM hostel_amenities ha
+        JOIN amenities a ON a.id = ha.amenity_id
+        WHERE ha.hostel_id = h.id
+      ), '')
+    FROM hostels h
+    WHERE ${condition};
+  `;
+}
+
+/**
+ * @param {object} db - SQLite database instance
+ */
+async function up(db) {
+  await exec(db, `
+    CREATE VIRTUAL TABLE IF NOT EXISTS hostel_search USING fts5(
+      name, description, location, amenities,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS hostel_search_terms USING fts5vocab(hostel_search, 'row');
+
+    CREATE TRIGGER IF NOT EXISTS hostel_search_insert AFTER INSERT ON hostels BEGIN
+      ${reindex('h.id = NEW.id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS hostel_search_update
+    AFTER UPDATE OF name, description, location, street, city, region, country ON hostels BEGIN
+      ${reindex('h.id = NEW.id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS hostel_search_delete AFTER DELETE ON hostels BEGIN
+      DELETE FROM hostel_search WHERE rowid = OLD.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS hostel_search_amenity_added AFTER INSERT ON hostel_amenities BEGIN
+      ${reindex('h.id = NEW.hostel_id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS hostel_search_amenity_removed AFTER DELETE ON hostel_amenities BEGIN
+      ${reindex('h.id = OLD.hostel_id')}
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS hostel_search_amenity_renamed AFTER UPDATE OF name ON amenities BEGIN
+      ${reindex('h.id IN (SELECT hostel_id FROM hostel_amenities WHERE amenity_id = NEW.id)')}
+    END;
+
+    ${reindex('1 = 1')}
+  `);
+}
+
+module.exports = { up };
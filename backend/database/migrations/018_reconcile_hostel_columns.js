@@ -0,0 +1,52 @@
+/**
+ * Hostel columns: databases created from schema.sql alone name the nightly
+ * price price_per_night, have no images column and require a description,
+ * while listings created through the API store price and images and may be
+ * drafts without a description. Rename and add the columns, and rebuild the
+ * table without the NOT NULL on description, keeping its indexes and triggers.
+ */
+
+const { exec, all, columnExists } = require('../migrate');
+
+/**
+ * @param {object} db - SQLite database instance
+ */
+async function up(db) {
+  if (!(await columnExists(db, 'hostels', 'price'))) {
+    await exec(db, 'ALTER TABLE hostels RENAME COLUMN price_per_night TO price');
+  }
+
+  if (!(await columnExists(db, 'hostels', 'images'))) {
+    await exec(db, 'ALTER TABLE hostels ADD COLUMN images TEXT');
+  }
+
+  const columns = await all(db, 'PRAGMA table_info(hostels)');
+  if (!columns.some(column => column.name === 'description' && column.notnull)) {
+    return;
+  }
+
+  // Rows keep their IDs, so the tables referencing hostels stay valid; dropping the
+  // table also drops its indexes and triggers, so they are created again afterwards.
+  // Triggers on other tables mention hostels, so the rename mustn't check them while it's gone
+  const [table] = await all(db, "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'hostels'");
+  const dependents = await all(db, `
+    SELECT sql FROM sqlite_master
+    WHERE type IN ('index', 'trigger') AND tbl_name = 'hostels' AND sql IS NOT NULL
+  `);
+
+  const createNew = table.sql
+    .replace(/^CREATE TABLE (IF NOT EXISTS )?"?hostels"?/i, 'CREATE TABLE hostels_new')
+    .replace(/\bdescription\s+TEXT\s+NOT\s+NULL/i, 'description TEXT');
+
+  await exec(db, `
+    ${createNew};
+    INSERT INTO hostels_new SELECT * FROM hostels;
+    DROP TABLE hostels;
+    PRAGMA legacy_alter_table = ON;
+    ALTER TABLE hostels_new RENAME TO hostels;
+    PRAGMA legacy_alter_table = OFF;
+    ${dependents.map(dependent => `${dependent.sql};`).join('\n')}
+  `);
+}
+
+module.exports = { up, foreignKeys: false };
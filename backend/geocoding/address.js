@@ -0,0 +1,112 @@
+/**
+ * Address Parsing
+ *
+ * Splits free-text locations such as "Oranienstr. 12, 10999 Berlin, Germany"
+ * into structured address fields. Parsing is best effort: parts are matched
+ * against the gazetteer's cities and countries and whatever is left over
+ * becomes the street.
+ */
+
+const { findCities, findCountry } = require('./gazetteer');
+
+// Address fields stored on a hostel, besides its coordinates
+const ADDRESS_FIELDS = ['street', 'city', 'region', 'country', 'postal_code'];
+
+// Postal code standing on its own or next to a place name: 10999, 75001, 94103-1234
+const postalCodeRegex = /(?:^|\s)(\d{4,5}(?:-\d{4})?)(?=\s|$)/;
+
+/**
+ * Take a postal code out of one part of a location
+ *
+ * @param {string} part - Comma-separated part of a location
+ * @returns {object} - { postal_code, rest } with the code removed from rest, or { rest } if there is none
+ */
+function extractPostalCode(part) {
+  const match = part.match(postalCodeRegex);
+
+  if (!match) {
+    return { rest: part };
+  }
+
+  return { postal_code: match[1], rest: part.replace(match[1], '').replace(/\s+/g, ' ').trim() };
+}
+
+/**
+ * Parse a free-text location into address fields
+ *
+ * @param {string} text - Location as typed by a host
+ * @returns {object} - { street, city, region, country, postal_code }, null where unknown
+ */
+function parseLocation(text) {
+  const address = { street: null, city: null, region: null, country: null, postal_code: null };
+  let parts = String(text || '').split(',').map(part => part.trim()).filter(Boolean);
+
+  if (parts.length === 0) {
+    return address;
+  }
+
+  // The street comes first, so postal codes are only looked for after it
+  parts = parts.map((part, index) => {
+    if (address.postal_code || (index === 0 && parts.length > 1)) {
+      return part;
+    }
+
+    const { postal_code, rest } = extractPostalCode(part);
+    if (postal_code) {
+      address.postal_code = postal_code;
+    }
+    return rest;
+  }).filter(Boolean);
+
+  const country = parts.length > 0 && findCountry(parts[parts.length - 1]);
+  if (country) {
+    address.country = country;
+    parts.pop();
+  }
+
+  // The right-most part that names a known city (in the country, if there is one)
+  const cityIndex = parts.map((part, index) => ({ part, index }))
+    .reverse()
+    .find(({ part }) => findCities(part).some(city => !country || city.country === country));
+
+  if (cityIndex) {
+    address.city = cityIndex.part;
+    address.street = parts.slice(0, cityIndex.index).join(', ') || null;
+    address.region = parts.slice(cityIndex.index + 1).join(', ') || null;
+    return address;
+  }
+
+  if (parts.length === 0) {
+    return address;
+  }
+
+  // Unknown city: it is followed by a region ("Smallville, Kansas"), unless
+  // it stands alone or the only part before it looks like a street
+  if (parts.length === 1) {
+    address.city = parts.pop();
+  } else if (parts.length === 2 && /\d/.test(parts[0])) {
+    address.city = parts.pop();
+  } else {
+    address.region = parts.pop();
+    address.city = parts.pop();
+  }
+
+  address.street = parts.join(', ') || null;
+  return address;
+}
+
+/**
+ * Build the short location shown on listings, such as "Berlin, Germany"
+ *
+ * @param {object} address - Address fields
+ * @returns {string}
+ */
+function formatLocation(address) {
+  return [address.city, address.country || address.region].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  parseLocation,
+  formatLocation
+};
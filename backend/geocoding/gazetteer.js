@@ -0,0 +1,89 @@
+/**
+ * City Gazetteer
+ *
+ * Looks up cities and countries in the bundled list in cities.json, so
+ * locations can be understood and placed on a map without a network service.
+ */
+
+const cities = require('./cities.json');
+
+// Other names people use for countries in the gazetteer, keyed by their normalized form
+const COUNTRY_ALIASES = {
+  usa: 'United States',
+  unitedstatesofamerica: 'United States',
+  america: 'United States',
+  uk: 'United Kingdom',
+  greatbritain: 'United Kingdom',
+  britain: 'United Kingdom',
+  england: 'United Kingdom',
+  scotland: 'United Kingdom',
+  wales: 'United Kingdom',
+  holland: 'Netherlands',
+  thenetherlands: 'Netherlands',
+  czechia: 'Czech Republic',
+  deutschland: 'Germany',
+  espana: 'Spain',
+  italia: 'Italy',
+  turkiye: 'Turkey',
+  korea: 'South Korea',
+  uae: 'United Arab Emirates'
+};
+
+/**
+ * Reduce a place name to lowercase letters and digits for matching, dropping accents
+ *
+ * @param {string} name - Place name
+ * @returns {string}
+ */
+function normalize(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Cities by every normalized name they go by
+const citiesByName = new Map();
+// Countries by normalized name and ISO code
+const countriesByName = new Map();
+
+for (const city of cities) {
+  for (const name of [city.city, ...(city.aliases || [])]) {
+    const key = normalize(name);
+    citiesByName.set(key, [...(citiesByName.get(key) || []), city]);
+  }
+
+  countriesByName.set(normalize(city.country), city.country);
+  countriesByName.set(normalize(city.country_code), city.country);
+}
+
+for (const [alias, country] of Object.entries(COUNTRY_ALIASES)) {
+  countriesByName.set(alias, country);
+}
+
+/**
+ * Find the gazetteer cities with a given name
+ *
+ * @param {string} name - City name or alias
+ * @returns {Array<object>} - Matching cities (city, region, country, country_code, latitude, longitude)
+ */
+function findCities(name) {
+  return name ? citiesByName.get(normalize(name)) || [] : [];
+}
+
+/**
+ * Find the gazetteer spelling of a country
+ *
+ * @param {string} name - Country name, alias or two-letter ISO code
+ * @returns {string|null} - Country name, or null if it isn't known
+ */
+function findCountry(name) {
+  return name ? countriesByName.get(normalize(name)) || null : null;
+}
+
+module.exports = {
+  normalize,
+  findCities,
+  findCountry
+};
@@ -0,0 +1,58 @@
+/**
+ * Gazetteer Geocoder
+ *
+ * Default geocoder that places an address at the centre of its city using the
+ * bundled gazetteer, so the app works offline and without an API key.
+ * Street-level precision needs a geocoder backed by a real service.
+ */
+
+const { normalize, findCities, findCountry } = require('./gazetteer');
+
+/**
+ * Create a gazetteer geocoder
+ *
+ * @returns {object} - Geocoder with a geocode(address) method
+ */
+function createGazetteerGeocoder() {
+  return {
+    name: 'gazetteer',
+
+    /**
+     * Find the coordinates of an address's city
+     * When several cities share the name, the country and then the region pick between them
+     *
+     * @param {object} address - Address with city and optionally region and country
+     * @returns {Promise<object|null>} - { latitude, longitude, city, region, country, precision }, or null if the city is unknown
+     */
+    geocode(address) {
+      let matches = findCities(address.city);
+      const country = findCountry(address.country);
+
+      if (country) {
+        matches = matches.filter(city => city.country === country);
+      }
+
+      if (address.region && matches.length > 1) {
+        const inRegion = matches.filter(city => normalize(city.region) === normalize(address.region));
+        matches = inRegion.length > 0 ? inRegion : matches;
+      }
+
+      if (matches.length === 0) {
+        return Promise.resolve(null);
+      }
+
+      const [match] = matches;
+
+      return Promise.resolve({
+        latitude: match.latitude,
+        longitude: match.longitude,
+        city: match.city,
+        region: match.region,
+        country: match.country,
+        precision: 'city'
+      });
+    }
+  };
+}
+
+module.exports = { createGazetteerGeocoder };
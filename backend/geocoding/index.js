@@ -0,0 +1,151 @@
+/**
+ * Geocoding Module
+ *
+ * Turns addresses into coordinates through a pluggable geocoder. A geocoder is
+ * any object with a geocode(address) method returning a promise of
+ * { latitude, longitude, city, region, country } or null. The geocoder is picked
+ * by the GEOCODER environment variable and defaults to the bundled city gazetteer.
+ */
+
+const { createGazetteerGeocoder } = require('./gazetteerGeocoder');
+const { ADDRESS_FIELDS, parseLocation, formatLocation } = require('./address');
+const { findCountry } = require('./gazetteer');
+
+// Geocoder factories by name
+const geocoderFactories = {
+  gazetteer: createGazetteerGeocoder
+};
+
+// Active geocoder, created lazily
+let geocoder = null;
+
+// Mean radius of the Earth in kilometres
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Register a geocoder factory so it can be selected with GEOCODER
+ *
+ * @param {string} name - Geocoder name
+ * @param {Function} factory - Function returning a geocoder
+ */
+function registerGeocoder(name, factory) {
+  geocoderFactories[name] = factory;
+}
+
+/**
+ * Replace the active geocoder
+ *
+ * @param {object} newGeocoder - Object with a geocode(address) method
+ */
+function setGeocoder(newGeocoder) {
+  if (!newGeocoder || typeof newGeocoder.geocode !== 'function') {
+    throw new Error('Geocoder must implement geocode(address)');
+  }
+  geocoder = newGeocoder;
+}
+
+/**
+ * Get the active geocoder, creating it from GEOCODER on first use
+ *
+ * @returns {object} - Active geocoder
+ */
+function getGeocoder() {
+  if (!geocoder) {
+    const name = process.env.GEOCODER || 'gazetteer';
+    const factory = geocoderFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown geocoder: ${name}`);
+    }
+
+    geocoder = factory();
+  }
+
+  return geocoder;
+}
+
+/**
+ * Geocode an address
+ *
+ * @param {object} address - Address with street, city, region, country and postal_code
+ * @returns {Promise<object|null>} - { latitude, longitude, city, region, country }, or null if it can't be placed
+ */
+function geocode(address) {
+  if (!address || !address.city) {
+    return Promise.resolve(null);
+  }
+
+  return getGeocoder().geocode(address);
+}
+
+/**
+ * Work out the full address of a hostel from what the host gave
+ * Structured fields win over the free-text location, which is only parsed when
+ * no city is given. The geocoder fills in the region and country and the
+ * coordinates, unless the host placed the hostel themselves. A geocoder that
+ * fails leaves the hostel without coordinates rather than failing the save.
+ *
+ * @param {object} input - location and/or street, city, region, country, postal_code, latitude, longitude
+ * @returns {Promise<object>} - location, the address fields, latitude and longitude
+ */
+async function resolveAddress(input) {
+  const source = input.city ? input : parseLocation(input.location);
+  const address = {};
+
+  for (const field of ADDRESS_FIELDS) {
+    address[field] = source[field] || null;
+  }
+
+  let match = null;
+  try {
+    match = await geocode(address);
+  } catch (error) {
+    console.error('Geocoding error:', error.message);
+  }
+
+  if (match) {
+    address.city = match.city || address.city;
+    address.region = address.region || match.region || null;
+    address.country = match.country || address.country;
+  }
+
+  const hasPosition = input.latitude !== undefined && input.latitude !== null && input.latitude !== '';
+
+  return {
+    location: input.location || formatLocation(address),
+    ...address,
+    latitude: hasPosition ? Number(input.latitude) : (match ? match.latitude : null),
+    longitude: hasPosition ? Number(input.longitude) : (match ? match.longitude : null)
+  };
+}
+
+/**
+ * Get the distance between two points along the Earth's surface
+ *
+ * @param {object} from - { latitude, longitude }
+ * @param {object} to - { latitude, longitude }
+ * @returns {number} - Distance in kilometres
+ */
+function distanceKm(from, to) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const dLat = radians(to.latitude - from.latitude);
+  const dLng = radians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  EARTH_RADIUS_KM,
+  registerGeocoder,
+  setGeocoder,
+  getGeocoder,
+  geocode,
+  parseLocation,
+  formatLocation,
+  findCountry,
+  resolveAddress,
+  distanceKm
+};
@@ -11,6 +11,8 @@ const { initDb } = require('./database/init-db');
 const { getDbConnection } = require('./database/connection');
 const { initializeDatabase } = require('./models/db');
 const initChat = require('./chat').initChat;
+const accountModel = require('./models/account');
+const { removeUpload } = require('./middleware/upload');
 require('dotenv').config();
 
 // Initialize Express app
@@ -62,7 +64,9 @@ app.use('/uploads', express.static(path.join(__dirname, process.env.UPLOAD_DIR |
 
 // API Routes
 app.use('/api/users', require('./routes/users'));
+app.use('/api/hosts', require('./routes/hosts'));
 app.use('/api/hostels', require('./routes/hostels'));
+app.use('/api/amenities', require('./routes/amenities'));
 app.use('/api/bookings', require('./routes/bookings'));
 app.use('/api/messages', require('./routes/messages'));
 
@@ -111,6 +115,37 @@ async function initializeAllDatabases() {
   }
 }
 
+// How often accounts past their deletion grace period are anonymized
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Anonymize every account whose deletion grace period has run out
+ * Hosts who listed a hostel during the grace period are skipped until the listing is removed
+ */
+async function purgeDeletedAccounts() {
+  try {
+    const accounts = await accountModel.getAccountsDueForDeletion();
+    let deleted = 0;
+    
+    for (const account of accounts) {
+      if ((await accountModel.countOwnedHostels(account.id)) > 0) {
+        console.log(`Account ${account.id} is due for deletion but still owns hostels; skipping it`);
+        continue;
+      }
+      
+      await accountModel.anonymizeUser(account.id);
+      await removeUpload(account.profile_image);
+      deleted++;
+    }
+    
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} account(s) after their grace period`);
+    }
+  } catch (error) {
+    console.error('Account purge error:', error.message);
+  }
+}
+
 async function startServer() {
   try {
     await initializeAllDatabases();
@@ -120,6 +155,9 @@ async function startServer() {
       console.log(`API available at http://localhost:${PORT}/api`);
       console.log(`WebSocket server available for chat`);
     });
+    
+    purgeDeletedAccounts();
+    setInterval(purgeDeletedAccounts, ACCOUNT_PURGE_INTERVAL_MS).unref();
   } catch (error) {
     console.error('Failed to start server:', error.message);
     process.exit(1);
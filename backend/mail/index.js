@@ -0,0 +1,87 @@
+/**
+ * Mail Module
+ * 
+ * Sends email through a pluggable transport. A transport is any object with a
+ * send(message) method returning a promise. The transport is picked by the
+ * MAIL_TRANSPORT environment variable and defaults to the local outbox.
+ */
+
+const { createOutboxTransport } = require('./outboxTransport');
+
+// Sender address used for all outgoing mail
+const MAIL_FROM = process.env.MAIL_FROM || 'Hostel Marketplace <no-reply@hostelmarketplace.local>';
+
+// Transport factories by name
+const transportFactories = {
+  outbox: createOutboxTransport
+};
+
+// Active transport, created lazily
+let transport = null;
+
+/**
+ * Register a transport factory so it can be selected with MAIL_TRANSPORT
+ * 
+ * @param {string} name - Transport name
+ * @param {Function} factory - Function returning a transport
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+/**
+ * Replace the active transport
+ * 
+ * @param {object} newTransport - Object with a send(message) method
+ */
+function setTransport(newTransport) {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = newTransport;
+}
+
+/**
+ * Get the active transport, creating it from MAIL_TRANSPORT on first use
+ * 
+ * @returns {object} - Active transport
+ */
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'outbox';
+    const factory = transportFactories[name];
+    
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    
+    transport = factory();
+  }
+  
+  return transport;
+}
+
+/**
+ * Send an email
+ * 
+ * @param {object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body (optional)
+ * @returns {Promise<object>} - Result from the transport
+ */
+function sendMail({ to, subject, text, html }) {
+  if (!to || !subject || !text) {
+    return Promise.reject(new Error('Recipient, subject and text are required'));
+  }
+  
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  registerTransport,
+  setTransport,
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,56 @@
+/**
+ * Outbox Mail Transport
+ * 
+ * Default mail transport that writes each message as a JSON file to a local
+ * outbox directory instead of sending it, so the app works without an SMTP server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create an outbox transport
+ * 
+ * @param {object} options - Transport options
+ * @param {string} options.dir - Directory to write messages to (optional)
+ * @returns {object} - Transport with a send(message) method
+ */
+function createOutboxTransport({ dir } = {}) {
+  const outboxDir = dir || path.resolve(__dirname, '..', process.env.MAIL_OUTBOX_DIR || 'outbox');
+  
+  return {
+    name: 'outbox',
+    
+    /**
+     * Write a message to the outbox
+     * 
+     * @param {object} message - Message with from, to, subject, text and html
+     * @returns {Promise<object>} - { id, path } of the written message
+     */
+    send(message) {
+      return new Promise((resolve, reject) => {
+        fs.mkdir(outboxDir, { recursive: true }, (err) => {
+          if (err) {
+            return reject(err);
+          }
+          
+          const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+          const filePath = path.join(outboxDir, `${id}.json`);
+          const contents = JSON.stringify({ id, date: new Date().toISOString(), ...message }, null, 2);
+          
+          fs.writeFile(filePath, contents, (err) => {
+            if (err) {
+              return reject(err);
+            }
+            
+            console.log(`Mail to ${message.to} written to outbox: ${filePath}`);
+            resolve({ id, path: filePath });
+          });
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createOutboxTransport };
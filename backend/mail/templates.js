@@ -0,0 +1,133 @@
+/**
+ * Mail Templates
+ * 
+ * Builds the subject and body of each transactional email
+ */
+
+// Base URL of the frontend, used to build links in emails
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Characters that would otherwise be read as markup in an HTML body
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape a value for use in an HTML body
+ * 
+ * @param {*} value - Value to escape
+ * @returns {string} - Value with markup characters replaced by entities
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Email asking a new user to verify their address
+ * 
+ * @param {object} user - User with username
+ * @param {string} token - Email verification token
+ * @returns {object} - { subject, text, html }
+ */
+function verificationEmail(user, token) {
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+  
+  return {
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${escapeHtml(link)}">Verify my email</a></p><p>The link expires in 24 hours.</p>`
+  };
+}
+
+/**
+ * Email with a link to choose a new password
+ * 
+ * @param {object} user - User with username
+ * @param {string} token - Password reset token
+ * @returns {object} - { subject, text, html }
+ */
+function passwordResetEmail(user, token) {
+  const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+  
+  return {
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>We received a request to reset your password.</p><p><a href="${escapeHtml(link)}">Choose a new password</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  };
+}
+
+/**
+ * Email confirming that an account is scheduled for deletion
+ * 
+ * @param {object} user - User with username
+ * @param {string} scheduledFor - When the account will be deleted
+ * @returns {object} - { subject, text, html }
+ */
+function accountDeletionEmail(user, scheduledFor) {
+  const link = `${FRONTEND_URL}/profile`;
+  
+  return {
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${user.username},\n\nYour account will be deleted on ${scheduledFor} UTC. Until then you can cancel the deletion from your profile:\n${link}\n\nIf you didn't ask for this, sign in and cancel it, then change your password.`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Your account will be deleted on ${escapeHtml(scheduledFor)} UTC. Until then you can cancel the deletion from your profile.</p><p><a href="${escapeHtml(link)}">Go to my profile</a></p><p>If you didn't ask for this, sign in and cancel it, then change your password.</p>`
+  };
+}
+
+// Subject and first line of the email for each moderation decision
+const LISTING_DECISIONS = {
+  approve: { subject: 'Your listing is live', summary: 'has been approved and is now visible to guests' },
+  reject: { subject: 'Your listing needs changes', summary: 'was not approved yet and is back in your drafts' },
+  suspend: { subject: 'Your listing has been suspended', summary: 'has been suspended and is hidden from guests' },
+  reinstate: { subject: 'Your listing is live again', summary: 'has been reinstated and is visible to guests again' }
+};
+
+/**
+ * Email telling a host how the review of their listing went
+ * 
+ * @param {object} user - Host with username
+ * @param {object} hostel - Hostel with name
+ * @param {string} action - approve, reject, suspend or reinstate
+ * @param {string} reason - Reviewer's reason (optional)
+ * @returns {object} - { subject, text, html }
+ */
+function listingStatusEmail(user, hostel, action, reason) {
+  const link = `${FRONTEND_URL}/dashboard/host`;
+  const { subject, summary } = LISTING_DECISIONS[action];
+  const reasonText = reason ? `\n\nReason: ${reason}` : '';
+  const reasonHtml = reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : '';
+  
+  return {
+    subject,
+    text: `Hi ${user.username},\n\nYour listing "${hostel.name}" ${summary}.${reasonText}\n\nManage your listings here:\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.username)},</p><p>Your listing "${escapeHtml(hostel.name)}" ${summary}.</p>${reasonHtml}<p><a href="${escapeHtml(link)}">Manage my listings</a></p>`
+  };
+}
+
+/**
+ * Email telling a guest their booking was cancelled because the hostel was taken off the site
+ * 
+ * @param {object} booking - Booking with user_name, hostel_name, check_in_date and check_out_date
+ * @returns {object} - { subject, text, html }
+ */
+function bookingCancelledEmail(booking) {
+  const link = `${FRONTEND_URL}/search`;
+  const stay = `${booking.check_in_date} to ${booking.check_out_date}`;
+  
+  return {
+    subject: 'Your booking has been cancelled',
+    text: `Hi ${booking.user_name},\n\nYour booking at "${booking.hostel_name}" from ${stay} has been cancelled because the hostel is no longer listed.\n\nFind another place to stay here:\n${link}`,
+    html: `<p>Hi ${escapeHtml(booking.user_name)},</p><p>Your booking at "${escapeHtml(booking.hostel_name)}" from ${escapeHtml(stay)} has been cancelled because the hostel is no longer listed.</p><p><a href="${escapeHtml(link)}">Find another place to stay</a></p>`
+  };
+}
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  accountDeletionEmail,
+  listingStatusEmail,
+  bookingCancelledEmail
+};
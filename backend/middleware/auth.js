@@ -0,0 +1,251 @@
+/**
+ * Authentication Middleware
+ *
+ * Verifies the JWT bearer token on incoming requests and attaches the
+ * authenticated user to the request object
+ */
+
+const jwt = require('jsonwebtoken');
+const userModel = require('../models/user');
+const sessionModel = require('../models/session');
+
+// Get JWT secret from environment or use a default for development
+const JWT_SECRET = process.env.JWT_SECRET || 'your_default_jwt_secret_for_development';
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+/**
+ * Sign a short-lived access token for a user session
+ *
+ * @param {object} user - User object with id, username and role
+ * @param {number} sessionId - ID of the session the token belongs to
+ * @returns {string} - Signed JWT
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Tokens that carry a user between a correct password and a finished login
+const TWO_FACTOR_TOKEN_TTL = '10m';
+
+/**
+ * Sign a token for the two-factor step of a login
+ *
+ * @param {object} user - User object with id
+ * @param {string} purpose - 'login' to enter a code, 'setup' to enroll first
+ * @returns {string} - Signed JWT
+ */
+function signTwoFactorToken(user, purpose) {
+  return jwt.sign({ id: user.id, purpose: `2fa_${purpose}` }, JWT_SECRET, { expiresIn: TWO_FACTOR_TOKEN_TTL });
+}
+
+/**
+ * Verify a two-factor step token
+ *
+ * @param {string} token - Signed JWT from signTwoFactorToken
+ * @param {string} purpose - Expected purpose ('login' or 'setup')
+ * @returns {number} - ID of the user the token was issued for
+ */
+function verifyTwoFactorToken(token, purpose) {
+  const payload = jwt.verify(token, JWT_SECRET);
+
+  if (payload.purpose !== `2fa_${purpose}`) {
+    throw new Error('Invalid two-factor token');
+  }
+
+  return payload.id;
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ *
+ * @param {object} req - Express request object
+ * @returns {string|null} - Token string or null if not present
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token;
+}
+
+/**
+ * Verify a JWT, check its session is still active and load the user it was issued for
+ *
+ * @param {string} token - Signed JWT
+ * @returns {Promise<object>} - User object (without password) with session_id
+ */
+async function verifyToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+
+  // Tokens are tied to a session so logging out revokes them immediately
+  if (!payload.sid || !(await sessionModel.isSessionActive(payload.sid))) {
+    throw new Error('Session is no longer active');
+  }
+
+  const user = await userModel.findUserById(payload.id);
+
+  if (!user) {
+    throw new Error('User no longer exists');
+  }
+
+  return { ...user, session_id: payload.sid };
+}
+
+/**
+ * Build the req.user object for an authenticated user
+ *
+ * @param {object} user - User object from the database
+ * @returns {object}
+ */
+function toRequestUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    email_verified: !!user.email_verified_at,
+    two_factor_enabled: !!user.two_factor_enabled_at,
+    session_id: user.session_id || null
+  };
+}
+
+/**
+ * Require a valid bearer token
+ * Responds with 401 if the token is missing, invalid or expired,
+ * otherwise sets req.user to the authenticated user
+ */
+async function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const user = await verifyToken(token);
+
+    req.user = toRequestUser(user);
+
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired' });
+    }
+
+    console.error('Authentication error:', error.message);
+    res.status(401).json({ error: 'Invalid token' });
+  }
+}
+
+/**
+ * Identify the user if a valid bearer token is sent, without requiring one
+ * Used by public routes that show more to signed-in owners and admins;
+ * a missing or invalid token leaves req.user unset
+ */
+async function optionalAuthenticate(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (token) {
+    try {
+      req.user = toRequestUser(await verifyToken(token));
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+
+  next();
+}
+
+/**
+ * Accept either a normal access token or a two-factor setup token
+ * Used by the enrollment routes so users who must set up 2FA before they
+ * can sign in are able to do so. Sets req.user.two_factor_setup for setup tokens.
+ */
+async function authenticateTwoFactorSetup(req, res, next) {
+  const token = getBearerToken(req);
+  let userId = null;
+
+  try {
+    userId = token ? verifyTwoFactorToken(token, 'setup') : null;
+  } catch (error) {
+    userId = null;
+  }
+
+  if (!userId) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const user = await userModel.findUserById(userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = { ...toRequestUser(user), two_factor_setup: true };
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error.message);
+    res.status(401).json({ error: 'Invalid token' });
+  }
+}
+
+/**
+ * Restrict a route to users with one of the given roles
+ * Must be used after authenticate
+ *
+ * @param {...string} roles - Allowed roles ('guest', 'host', 'admin')
+ * @returns {Function} - Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require the authenticated user to have verified their email address
+ * Must be used after authenticate
+ */
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!req.user.email_verified) {
+    return res.status(403).json({ error: 'Please verify your email address first' });
+  }
+
+  next();
+}
+
+module.exports = {
+  JWT_SECRET,
+  signAccessToken,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  verifyToken,
+  authenticate,
+  optionalAuthenticate,
+  authenticateTwoFactorSetup,
+  requireRole,
+  requireVerifiedEmail
+};
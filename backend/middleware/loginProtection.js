@@ -0,0 +1,186 @@
+/**
+ * Login Protection Middleware
+ *
+ * Slows down and blocks repeated failed logins, both per IP address and per
+ * account. Each failure doubles the wait before the next attempt is accepted,
+ * and an account is locked for a while after too many failures in a row.
+ */
+
+const userModel = require('../models/user');
+const loginAttemptModel = require('../models/loginAttempt');
+
+const { REASONS } = loginAttemptModel;
+
+// Consecutive failures that lock an account, and for how long
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+// Failures from one IP address within the window that block it entirely
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+
+// Failures allowed before delays start; IPs get more since they may be shared
+const ACCOUNT_FREE_FAILURES = 1;
+const IP_FREE_FAILURES = 5;
+
+// Upper bound on the progressive delay
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 30;
+
+/**
+ * Parse a SQLite timestamp (stored in UTC) into milliseconds
+ *
+ * @param {string} value - Timestamp such as '2024-01-01 12:00:00'
+ * @returns {number} - Milliseconds since the epoch
+ */
+function parseTimestamp(value) {
+  return new Date(`${value.replace(' ', 'T')}Z`).getTime();
+}
+
+/**
+ * Seconds to wait after the given number of failures
+ *
+ * @param {number} failures - Failures so far
+ * @param {number} freeFailures - Failures allowed without any delay
+ * @returns {number} - Delay in seconds (0 for none)
+ */
+function failureDelaySeconds(failures, freeFailures) {
+  if (failures <= freeFailures) {
+    return 0;
+  }
+
+  return Math.min(2 ** (failures - freeFailures - 1), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Seconds from now until the given time, never negative
+ *
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number}
+ */
+function secondsUntil(time) {
+  return Math.max(0, Math.ceil((time - Date.now()) / 1000));
+}
+
+/**
+ * Check whether an account may attempt a login right now
+ *
+ * @param {object} user - User with failed_login_count, last_failed_login_at and locked_until
+ * @returns {object|null} - { reason, retryAfter } if the attempt must be refused, otherwise null
+ */
+function checkAccount(user) {
+  if (user.locked_until) {
+    const retryAfter = secondsUntil(parseTimestamp(user.locked_until));
+
+    if (retryAfter > 0) {
+      return { reason: REASONS.ACCOUNT_LOCKED, retryAfter };
+    }
+  }
+
+  const delay = failureDelaySeconds(user.failed_login_count, ACCOUNT_FREE_FAILURES);
+
+  if (delay > 0 && user.last_failed_login_at) {
+    const retryAfter = secondsUntil(parseTimestamp(user.last_failed_login_at) + delay * 1000);
+
+    if (retryAfter > 0) {
+      return { reason: REASONS.THROTTLED, retryAfter };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record a failed password check against an account
+ *
+ * @param {object} user - User whose password was wrong
+ * @returns {Promise<object>} - Updated failure counters
+ */
+function recordAccountFailure(user) {
+  return userModel.recordFailedLogin(user.id, {
+    maxFailures: MAX_FAILURES,
+    lockoutMinutes: LOCKOUT_MINUTES
+  });
+}
+
+/**
+ * Describe a wait in seconds or minutes
+ *
+ * @param {number} seconds - Wait in seconds
+ * @returns {string} - e.g. '30 seconds' or '15 minutes'
+ */
+function describeWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Send the response for a refused login attempt
+ *
+ * @param {object} res - Express response object
+ * @param {object} refusal - { reason, retryAfter } from checkAccount or the IP check
+ */
+function sendRefusal(res, { reason, retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+
+  if (reason === REASONS.ACCOUNT_LOCKED) {
+    return res.status(423).json({
+      error: `Account temporarily locked after too many failed login attempts. Try again in ${describeWait(retryAfter)}.`,
+      retry_after: retryAfter
+    });
+  }
+
+  res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${describeWait(retryAfter)}.`,
+    retry_after: retryAfter
+  });
+}
+
+/**
+ * Refuse login attempts from IP addresses with too many recent failures
+ * Must be used before the login handler
+ */
+async function throttleLoginByIp(req, res, next) {
+  try {
+    const { count, last_failed_at } = await loginAttemptModel.getRecentFailuresByIp(req.ip, IP_WINDOW_MINUTES);
+
+    let refusal = null;
+
+    if (count >= IP_MAX_FAILURES) {
+      refusal = { reason: REASONS.IP_BLOCKED, retryAfter: IP_WINDOW_MINUTES * 60 };
+    } else {
+      const delay = failureDelaySeconds(count, IP_FREE_FAILURES);
+      const retryAfter = delay > 0 ? secondsUntil(parseTimestamp(last_failed_at) + delay * 1000) : 0;
+
+      if (retryAfter > 0) {
+        refusal = { reason: REASONS.THROTTLED, retryAfter };
+      }
+    }
+
+    if (!refusal) {
+      return next();
+    }
+
+    await loginAttemptModel.recordAttempt({
+      identifier: req.body.email || req.body.username || '',
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      reason: refusal.reason
+    });
+
+    sendRefusal(res, refusal);
+  } catch (error) {
+    console.error('Login throttle error:', error.message);
+    res.status(500).json({ error: 'Login failed' });
+  }
+}
+
+module.exports = {
+  checkAccount,
+  recordAccountFailure,
+  sendRefusal,
+  throttleLoginByIp
+};
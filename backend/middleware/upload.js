@@ -0,0 +1,137 @@
+/**
+ * Upload Middleware
+ *
+ * Builds multer instances that store images under the uploads directory
+ * (served at /uploads) and turns multer errors into 400 responses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+// Root directory for uploaded files, matching the static route in index.js
+const UPLOAD_ROOT = path.join(__dirname, '..', process.env.UPLOAD_DIR || 'uploads');
+
+// Largest accepted file in bytes
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+// Accepted image types and the extension they are saved with
+const IMAGE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif'
+};
+
+/**
+ * Create a multer instance that accepts images into a subdirectory of the uploads directory
+ *
+ * @param {string} subdir - Subdirectory such as 'avatars'
+ * @param {object} options - Upload options
+ * @param {number} options.maxFileSize - Largest accepted file in bytes (optional)
+ * @param {number} options.maxFiles - Most files per request (optional)
+ * @returns {object} - Multer instance
+ */
+function createImageUpload(subdir, { maxFileSize = MAX_FILE_SIZE, maxFiles = 1 } = {}) {
+  const destination = path.join(UPLOAD_ROOT, subdir);
+
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(destination, { recursive: true }, (err) => cb(err, destination));
+    },
+    filename: (req, file, cb) => {
+      // Random names so uploads can't overwrite each other or be guessed
+      cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${IMAGE_TYPES[file.mimetype]}`);
+    }
+  });
+
+  return multer({
+    storage,
+    limits: { fileSize: maxFileSize, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_TYPES[file.mimetype]) {
+        const error = new Error('Only JPEG, PNG, WebP and GIF images are allowed');
+        error.code = 'INVALID_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  });
+}
+
+/**
+ * Wrap a multer middleware so upload errors become 400 responses
+ *
+ * @param {Function} uploadMiddleware - e.g. upload.single('avatar')
+ * @returns {Function} - Express middleware
+ */
+function handleUpload(uploadMiddleware) {
+  return (req, res, next) => {
+    uploadMiddleware(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+
+      if (err.code === 'INVALID_FILE_TYPE') {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `File is too large. The maximum size is ${Math.round(MAX_FILE_SIZE / 1024 / 1024)}MB`,
+          LIMIT_FILE_COUNT: 'Too many files',
+          LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+        };
+
+        return res.status(400).json({ error: messages[err.code] || err.message });
+      }
+
+      next(err);
+    });
+  };
+}
+
+/**
+ * Public URL path for an uploaded file
+ *
+ * @param {string} subdir - Subdirectory the file was saved in
+ * @param {string} filename - Stored file name
+ * @returns {string} - Path such as '/uploads/avatars/123.jpg'
+ */
+function uploadUrl(subdir, filename) {
+  return `/uploads/${subdir}/${filename}`;
+}
+
+/**
+ * Delete a previously uploaded file given its public URL path
+ * Ignores URLs outside the uploads directory (e.g. external images)
+ *
+ * @param {string} url - Path returned by uploadUrl
+ * @returns {Promise<void>}
+ */
+function removeUpload(url) {
+  if (!url || !url.startsWith('/uploads/')) {
+    return Promise.resolve();
+  }
+
+  const filePath = path.resolve(UPLOAD_ROOT, url.slice('/uploads/'.length));
+
+  if (!filePath.startsWith(UPLOAD_ROOT + path.sep)) {
+    return Promise.resolve();
+  }
+
+  return fs.promises.unlink(filePath).catch((err) => {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to delete upload:', err.message);
+    }
+  });
+}
+
+module.exports = {
+  UPLOAD_ROOT,
+  createImageUpload,
+  handleUpload,
+  uploadUrl,
+  removeUpload
+};
@@ -0,0 +1,247 @@
+/**
+ * Account Model
+ *
+ * Handles personal data export and self-service account deletion. Deleted
+ * accounts are anonymized rather than removed, so bookings, messages and
+ * reviews other people rely on are kept but no longer identify the user.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { getDatabase, runTransaction } = require('./db');
+
+// Tables whose rows belong to the user alone and are deleted with the account
+const OWNED_TABLES = [
+  'user_sessions',
+  'user_tokens',
+  'two_factor_backup_codes',
+  'login_attempts',
+  'favorites',
+  'notifications',
+  'host_profiles'
+];
+
+/**
+ * Run a query and resolve with all rows
+ *
+ * @param {string} query - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>}
+ */
+function all(query, params) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Run a statement and resolve with the number of changed rows
+ *
+ * @param {string} query - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<number>}
+ */
+function run(query, params = []) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(this.changes);
+    });
+  });
+}
+
+/**
+ * Collect everything stored about a user, apart from their profile
+ *
+ * @param {number} user_id - User ID
+ * @returns {Promise<object>} - { host_profile, bookings, messages, reviews, favorites, notifications, hostels, sessions, login_attempts }
+ */
+async function getPersonalData(user_id) {
+  const [hostProfiles, bookings, messages, reviews, favorites, notifications, hostels, sessions, loginAttempts] = await Promise.all([
+    all('SELECT * FROM host_profiles WHERE user_id = ?', [user_id]),
+    all(`
+      SELECT b.*, h.name as hostel_name
+      FROM bookings b
+      LEFT JOIN hostels h ON b.hostel_id = h.id
+      WHERE b.user_id = ?
+      ORDER BY b.check_in_date DESC
+    `, [user_id]),
+    all(`
+      SELECT m.*, s.username as sender_name, r.username as receiver_name
+      FROM messages m
+      LEFT JOIN users s ON m.sender_id = s.id
+      LEFT JOIN users r ON m.receiver_id = r.id
+      WHERE m.sender_id = ? OR m.receiver_id = ?
+      ORDER BY m.id ASC
+    `, [user_id, user_id]),
+    all(`
+      SELECT r.*, h.name as hostel_name
+      FROM reviews r
+      LEFT JOIN hostels h ON r.hostel_id = h.id
+      WHERE r.user_id = ?
+      ORDER BY r.created_at DESC
+    `, [user_id]),
+    all(`
+      SELECT f.hostel_id, f.created_at, h.name as hostel_name
+      FROM favorites f
+      LEFT JOIN hostels h ON f.hostel_id = h.id
+      WHERE f.user_id = ?
+    `, [user_id]),
+    all('SELECT * FROM notifications WHERE user_id = ? ORDER BY created_at DESC', [user_id]),
+    all('SELECT * FROM hostels WHERE host_id = ? ORDER BY id ASC', [user_id]),
+    all(`
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+      FROM user_sessions
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `, [user_id]),
+    all(`
+      SELECT identifier, ip_address, user_agent, success, reason, created_at
+      FROM login_attempts
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `, [user_id])
+  ]);
+
+  return {
+    host_profile: hostProfiles[0] || null,
+    bookings,
+    messages,
+    reviews,
+    favorites,
+    notifications,
+    hostels,
+    sessions,
+    login_attempts: loginAttempts
+  };
+}
+
+/**
+ * Count the hostels a user still owns
+ * Hosts must remove their listings before their account can be deleted
+ *
+ * @param {number} user_id - User ID
+ * @returns {Promise<number>}
+ */
+async function countOwnedHostels(user_id) {
+  const rows = await all('SELECT COUNT(*) as count FROM hostels WHERE host_id = ? AND deleted_at IS NULL', [user_id]);
+  return rows[0].count;
+}
+
+/**
+ * Schedule a user's account for deletion after a grace period
+ *
+ * @param {number} user_id - User ID
+ * @param {number} graceDays - Days before the account is anonymized
+ * @returns {Promise<object|null>} - { deletion_requested_at, deletion_scheduled_for } or null if the user doesn't exist
+ */
+async function scheduleDeletion(user_id, graceDays) {
+  const changes = await run(`
+    UPDATE users
+    SET deletion_requested_at = CURRENT_TIMESTAMP,
+        deletion_scheduled_for = datetime('now', ?)
+    WHERE id = ? AND deleted_at IS NULL
+  `, [`+${graceDays} days`, user_id]);
+
+  if (changes === 0) {
+    return null;
+  }
+
+  const rows = await all('SELECT deletion_requested_at, deletion_scheduled_for FROM users WHERE id = ?', [user_id]);
+  return rows[0];
+}
+
+/**
+ * Cancel a pending account deletion
+ *
+ * @param {number} user_id - User ID
+ * @returns {Promise<boolean>} - True if a deletion was pending and has been cancelled
+ */
+async function cancelDeletion(user_id) {
+  const changes = await run(`
+    UPDATE users
+    SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+    WHERE id = ? AND deletion_scheduled_for IS NOT NULL AND deleted_at IS NULL
+  `, [user_id]);
+
+  return changes > 0;
+}
+
+/**
+ * Get accounts whose grace period has run out
+ *
+ * @returns {Promise<Array>} - Array of { id, profile_image }
+ */
+function getAccountsDueForDeletion() {
+  return all(`
+    SELECT id, profile_image
+    FROM users
+    WHERE deletion_scheduled_for IS NOT NULL
+    AND deletion_scheduled_for <= datetime('now')
+    AND deleted_at IS NULL
+  `, []);
+}
+
+/**
+ * Anonymize a user's account
+ *
+ * Personal details and credentials are wiped and the user can no longer sign in.
+ * Their bookings, messages and reviews stay in place, now attributed to
+ * "deleted-user-<id>". Upcoming bookings are cancelled.
+ *
+ * @param {number} user_id - User ID
+ * @returns {Promise<void>}
+ */
+async function anonymizeUser(user_id) {
+  const id = Number(user_id);
+
+  if (!Number.isInteger(id)) {
+    throw new Error('Invalid user ID');
+  }
+
+  // Nobody knows this password, so the account can never be signed in to again
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  await runTransaction([
+    [`
+      UPDATE users
+      SET username = ?, email = ?, password = ?,
+          first_name = NULL, last_name = NULL, phone = NULL, bio = NULL, profile_image = NULL,
+          email_verified_at = NULL,
+          two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL,
+          failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL,
+          deletion_scheduled_for = NULL,
+          deleted_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [`deleted-user-${id}`, `deleted-user-${id}@deleted.invalid`, unusablePassword, id]],
+    [`
+      UPDATE bookings
+      SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND status IN ('pending', 'confirmed') AND check_in_date >= date('now')
+    `, [id]],
+    ...OWNED_TABLES.map(table => [`DELETE FROM ${table} WHERE user_id = ?`, [id]])
+  ]);
+}
+
+module.exports = {
+  getPersonalData,
+  countOwnedHostels,
+  scheduleDeletion,
+  cancelDeletion,
+  getAccountsDueForDeletion,
+  anonymizeUser
+};
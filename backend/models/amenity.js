@@ -0,0 +1,115 @@
+/**
+ * Amenity Model
+ *
+ * Handles the amenity catalog and the amenities linked to each hostel
+ * through the hostel_amenities table
+ */
+
+const { getDatabase, runTransaction } = require('./db');
+
+/**
+ * Get the amenity catalog
+ *
+ * @returns {Promise<Array>} - Array of amenity objects (id, name, icon) sorted by name
+ */
+function getAmenities() {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all('SELECT id, name, icon FROM amenities ORDER BY name ASC', [], (err, amenities) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(amenities);
+    });
+  });
+}
+
+/**
+ * Get the amenities of several hostels at once
+ *
+ * @param {Array<number>} hostelIds - Hostel IDs
+ * @returns {Promise<object>} - Arrays of amenity objects keyed by hostel ID
+ */
+function getAmenitiesByHostelIds(hostelIds) {
+  const db = getDatabase();
+
+  if (hostelIds.length === 0) {
+    return Promise.resolve({});
+  }
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT ha.hostel_id, a.id, a.name, a.icon
+      FROM hostel_amenities ha
+      JOIN amenities a ON a.id = ha.amenity_id
+      WHERE ha.hostel_id IN (${hostelIds.map(() => '?').join(', ')})
+      ORDER BY a.name ASC
+    `;
+
+    db.all(query, hostelIds, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+
+      const byHostel = {};
+      for (const { hostel_id, ...amenity } of rows) {
+        (byHostel[hostel_id] = byHostel[hostel_id] || []).push(amenity);
+      }
+
+      resolve(byHostel);
+    });
+  });
+}
+
+/**
+ * Find the IDs in a list that aren't in the catalog
+ *
+ * @param {Array<number>} amenityIds - Amenity IDs to check
+ * @returns {Promise<Array<number>>} - IDs with no matching amenity
+ */
+async function findUnknownAmenityIds(amenityIds) {
+  const known = new Set((await getAmenities()).map(amenity => amenity.id));
+  return amenityIds.filter(id => !known.has(id));
+}
+
+/**
+ * Build the statements that replace the amenities linked to a hostel
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {Array<number>} amenityIds - Catalog IDs of the hostel's amenities
+ * @returns {Array<Array>} - [query, params] pairs for runTransaction
+ */
+function hostelAmenityStatements(hostel_id, amenityIds) {
+  const ids = [...new Set(amenityIds)];
+  const statements = [['DELETE FROM hostel_amenities WHERE hostel_id = ?', [hostel_id]]];
+
+  if (ids.length > 0) {
+    statements.push([
+      `INSERT INTO hostel_amenities (hostel_id, amenity_id) VALUES ${ids.map(() => '(?, ?)').join(', ')}`,
+      ids.flatMap(id => [hostel_id, id])
+    ]);
+  }
+
+  return statements;
+}
+
+/**
+ * Replace the amenities linked to a hostel
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {Array<number>} amenityIds - Catalog IDs of the hostel's amenities
+ * @returns {Promise<void>}
+ */
+function setHostelAmenities(hostel_id, amenityIds) {
+  return runTransaction(hostelAmenityStatements(hostel_id, amenityIds));
+}
+
+module.exports = {
+  getAmenities,
+  getAmenitiesByHostelIds,
+  findUnknownAmenityIds,
+  hostelAmenityStatements,
+  setHostelAmenities
+};
@@ -0,0 +1,184 @@
+/**
+ * Availability Model
+ *
+ * Handles the nightly calendar of a hostel: dates the host has closed, price
+ * overrides and minimum stays. A hostel_availability row applies to the whole
+ * hostel when room_type_id is NULL and to a single room type otherwise. A night
+ * is open only if neither row closes it, and its minimum stay is the larger of
+ * the two. Price overrides are set per room type only, since one price can't fit
+ * dorm beds and private rooms alike; any left on hostel rows are ignored.
+ */
+
+const { getDatabase } = require('./db');
+
+// Columns a host can set on a calendar row
+const RULE_FIELDS = ['is_available', 'price_override', 'min_stay'];
+
+// Every date from one day to another (both included)
+const DATES_CTE = `
+  WITH RECURSIVE dates(date) AS (
+    SELECT date(?)
+    UNION ALL
+    SELECT date(date, '+1 day') FROM dates WHERE date(date, '+1 day') <= date(?)
+  )
+`;
+
+/**
+ * Get the nightly calendar of a hostel
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Last night (YYYY-MM-DD)
+ * @returns {Promise<Array>} - One entry per night with the state of each room type:
+ *   { date, is_available, min_price, room_types: [{ room_type_id, is_open, available_beds, is_available, price, price_override, min_stay }] }
+ *   price is the room type's price unless the night has an override; weekend and seasonal rates are not applied
+ */
+function getCalendar(hostel_id, from, to) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      ${DATES_CTE}
+      SELECT dates.date, rt.id AS room_type_id, rt.price, rt.room_count * rt.beds_per_room AS total_beds,
+             ha.is_available AS hostel_open, ha.min_stay AS hostel_min_stay,
+             ra.is_available AS room_open, ra.price_override AS room_price, ra.min_stay AS room_min_stay,
+             (
+               SELECT COALESCE(SUM(b.beds), 0) FROM bookings b
+               WHERE b.room_type_id = rt.id
+               AND b.status != 'cancelled'
+               AND b.check_in_date <= dates.date
+               AND b.check_out_date > dates.date
+             ) AS booked_beds
+      FROM dates
+      CROSS JOIN room_types rt
+      LEFT JOIN hostel_availability ha
+        ON ha.hostel_id = rt.hostel_id AND ha.room_type_id IS NULL AND ha.date = dates.date
+      LEFT JOIN hostel_availability ra
+        ON ra.room_type_id = rt.id AND ra.date = dates.date
+      WHERE rt.hostel_id = ?
+      ORDER BY dates.date ASC, rt.price ASC, rt.id ASC
+    `;
+
+    db.all(query, [from, to, hostel_id], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+
+      const nights = [];
+      for (const row of rows) {
+        if (nights.length === 0 || nights[nights.length - 1].date !== row.date) {
+          nights.push({ date: row.date, room_types: [] });
+        }
+
+        const is_open = row.hostel_open !== 0 && row.room_open !== 0;
+        const available_beds = Math.max(row.total_beds - row.booked_beds, 0);
+
+        nights[nights.length - 1].room_types.push({
+          room_type_id: row.room_type_id,
+          is_open,
+          available_beds,
+          is_available: is_open && available_beds > 0,
+          price: row.room_price || row.price,
+          price_override: row.room_price || null,
+          min_stay: Math.max(row.hostel_min_stay || 1, row.room_min_stay || 1)
+        });
+      }
+
+      resolve(nights.map(night => {
+        const bookable = night.room_types.filter(roomType => roomType.is_available);
+
+        return {
+          ...night,
+          is_available: bookable.length > 0,
+          min_price: bookable.length > 0 ? Math.min(...bookable.map(roomType => roomType.price)) : null
+        };
+      }));
+    });
+  });
+}
+
+/**
+ * Set calendar rules for a range of dates
+ * Only the given fields change; dates without a row get one
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number|null} room_type_id - Room type the rules apply to, or null for the whole hostel
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {object} rules - is_available, price_override (room types only) and/or min_stay (null clears a value)
+ * @returns {Promise<void>}
+ */
+async function setRules(hostel_id, room_type_id, from, to, rules) {
+  const db = getDatabase();
+  const fields = Object.keys(rules).filter(field => RULE_FIELDS.includes(field));
+
+  if (fields.length === 0) {
+    throw new Error('No valid calendar rules provided');
+  }
+
+  if (room_type_id === null && rules.price_override !== undefined && rules.price_override !== null) {
+    throw new Error('Price overrides can only be set for a room type');
+  }
+
+  await new Promise((resolve, reject) => {
+    const query = `
+      ${DATES_CTE}
+      INSERT INTO hostel_availability (hostel_id, room_type_id, date)
+      SELECT ?, ?, dates.date FROM dates
+      WHERE NOT EXISTS (
+        SELECT 1 FROM hostel_availability
+        WHERE hostel_id = ? AND room_type_id IS ? AND date = dates.date
+      )
+    `;
+
+    db.run(query, [from, to, hostel_id, room_type_id, hostel_id, room_type_id], (err) => (err ? reject(err) : resolve()));
+  });
+
+  await new Promise((resolve, reject) => {
+    const query = `
+      UPDATE hostel_availability
+      SET ${fields.map(field => `${field} = ?`).join(', ')}
+      WHERE hostel_id = ? AND room_type_id IS ? AND date BETWEEN ? AND ?
+    `;
+
+    db.run(
+      query,
+      [...fields.map(field => rules[field]), hostel_id, room_type_id, from, to],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+/**
+ * Remove the calendar rules of a range of dates, so they fall back to the defaults
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number|null} room_type_id - Room type to clear, or null for the hostel-wide rules
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Promise<number>} - Number of dates cleared
+ */
+function clearRules(hostel_id, room_type_id, from, to) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      DELETE FROM hostel_availability
+      WHERE hostel_id = ? AND room_type_id IS ? AND date BETWEEN ? AND ?
+    `;
+
+    db.run(query, [hostel_id, room_type_id, from, to], function(err) {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(this.changes);
+    });
+  });
+}
+
+module.exports = {
+  getCalendar,
+  setRules,
+  clearRules
+};
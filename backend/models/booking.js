@@ -6,8 +6,22 @@
 
 const { getDatabase } = require('./db');
 
+// Statuses a booking can be moved to and the statuses it can come from
+const STATUS_TRANSITIONS = {
+  pending: ['cancelled'],
+  confirmed: ['pending'],
+  completed: ['confirmed'],
+  cancelled: ['pending', 'confirmed']
+};
+
+// Statuses in which a booking holds its beds
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
 /**
  * Create a new booking
+ * The booking is only stored if the room type still has enough free beds on
+ * every night of the stay; the check and the insert run as one statement so
+ * two guests can't take the last bed at the same time
  * 
  * @param {number} user_id - ID of the user making the booking
  * @param {number} hostel_id - ID of the hostel being booked
@@ -15,14 +29,18 @@ const { getDatabase } = require('./db');
  * @param {string} check_out_date - Check-out date (YYYY-MM-DD format)
  * @param {number} total_price - Total price for the booking
  * @param {string} status - Booking status (pending, confirmed, cancelled, completed)
+ * @param {number} room_type_id - ID of the room type being booked
+ * @param {number} beds - Number of beds the booking takes
+ * @param {string} cancellation_policy - Hostel's cancellation policy when the booking is made
+ * @param {number} listing_revision - Revision of the listing when the booking is made
  * @returns {Promise<object>} - Created booking object
  */
-function createBooking(user_id, hostel_id, check_in_date, check_out_date, total_price, status = 'pending') {
+function createBooking(user_id, hostel_id, check_in_date, check_out_date, total_price, status = 'pending', room_type_id, beds = 1, cancellation_policy = null, listing_revision = null) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
     // Validate required fields
-    if (!user_id || !hostel_id || !check_in_date || !check_out_date || total_price === undefined) {
+    if (!user_id || !hostel_id || !room_type_id || !check_in_date || !check_out_date || total_price === undefined) {
       return reject(new Error('Missing required fields'));
     }
     
@@ -44,52 +62,50 @@ function createBooking(user_id, hostel_id, check_in_date, check_out_date, total_
       return reject(new Error('Invalid booking status'));
     }
     
-    // Check for overlapping bookings
-    const checkOverlapQuery = `
-      SELECT COUNT(*) as count
-      FROM bookings
-      WHERE hostel_id = ?
-      AND status != 'cancelled'
-      AND (
-        (check_in_date <= ? AND check_out_date > ?) OR
-        (check_in_date < ? AND check_out_date >= ?) OR
-        (check_in_date >= ? AND check_out_date <= ?)
+    // Insert only if the busiest night of the stay leaves enough beds
+    const query = `
+      WITH RECURSIVE nights(night) AS (
+        SELECT date(?)
+        UNION ALL
+        SELECT date(night, '+1 day') FROM nights WHERE date(night, '+1 day') < date(?)
+      )
+      INSERT INTO bookings (
+        user_id, hostel_id, room_type_id, beds, check_in_date, check_out_date,
+        total_price, status, cancellation_policy, listing_revision
       )
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      WHERE (
+        SELECT room_count * beds_per_room FROM room_types WHERE id = ? AND hostel_id = ?
+      ) - (
+        SELECT COALESCE(MAX((
+          SELECT COALESCE(SUM(b.beds), 0) FROM bookings b
+          WHERE b.room_type_id = ?
+          AND b.status != 'cancelled'
+          AND b.check_in_date <= nights.night
+          AND b.check_out_date > nights.night
+        )), 0)
+        FROM nights
+      ) >= ?
     `;
     
-    db.get(checkOverlapQuery, [
-      hostel_id,
-      check_out_date, check_in_date,
-      check_out_date, check_in_date,
-      check_in_date, check_out_date
-    ], (err, result) => {
+    db.run(query, [
+      check_in_date, check_out_date,
+      user_id, hostel_id, room_type_id, beds, check_in_date, check_out_date,
+      total_price, status, cancellation_policy, listing_revision,
+      room_type_id, hostel_id,
+      room_type_id,
+      beds
+    ], function(err) {
       if (err) {
         return reject(err);
       }
       
-      if (result.count > 0) {
-        return reject(new Error('Dates overlap with existing booking'));
+      if (this.changes === 0) {
+        return reject(new Error('Not enough beds available for these dates'));
       }
       
-      // Create the booking
-      const query = `
-        INSERT INTO bookings (
-          user_id, hostel_id, check_in_date, check_out_date,
-          total_price, status
-        ) VALUES (?, ?, ?, ?, ?, ?)
-      `;
-      
-      db.run(query, [
-        user_id, hostel_id, check_in_date, check_out_date,
-        total_price, status
-      ], function(err) {
-        if (err) {
-          return reject(err);
-        }
-        
-        // Get the newly created booking with related data
-        getBookingById(this.lastID).then(resolve).catch(reject);
-      });
+      // Get the newly created booking with related data
+      getBookingById(this.lastID).then(resolve).catch(reject);
     });
   });
 }
@@ -108,10 +124,14 @@ function getBookingById(id) {
       SELECT b.*, 
              u.username as user_name,
              h.name as hostel_name,
-             h.location as hostel_location
+             h.location as hostel_location,
+             h.host_id as host_id,
+             rt.name as room_type_name,
+             rt.kind as room_type_kind
       FROM bookings b
       JOIN users u ON b.user_id = u.id
       JOIN hostels h ON b.hostel_id = h.id
+      LEFT JOIN room_types rt ON b.room_type_id = rt.id
       WHERE b.id = ?
     `;
     
@@ -140,10 +160,12 @@ function getBookingsByUser(user_id, status = null) {
       SELECT b.*, 
              u.username as user_name,
              h.name as hostel_name,
-             h.location as hostel_location
+             h.location as hostel_location,
+             rt.name as room_type_name
       FROM bookings b
       JOIN users u ON b.user_id = u.id
       JOIN hostels h ON b.hostel_id = h.id
+      LEFT JOIN room_types rt ON b.room_type_id = rt.id
       WHERE b.user_id = ?
     `;
     
@@ -181,10 +203,12 @@ function getBookingsByHostel(hostel_id, status = null) {
       SELECT b.*, 
              u.username as user_name,
              h.name as hostel_name,
-             h.location as hostel_location
+             h.location as hostel_location,
+             rt.name as room_type_name
       FROM bookings b
       JOIN users u ON b.user_id = u.id
       JOIN hostels h ON b.hostel_id = h.id
+      LEFT JOIN room_types rt ON b.room_type_id = rt.id
       WHERE b.hostel_id = ?
     `;
     
@@ -208,7 +232,11 @@ function getBookingsByHostel(hostel_id, status = null) {
 }
 
 /**
- * Update booking status
+ * Update a booking's status
+ * Only the moves in STATUS_TRANSITIONS are allowed. A cancelled booking that is
+ * reopened takes its beds back, so like createBooking the move only happens if
+ * the room type still has them free on every night; the check and the update
+ * run as one statement
  * 
  * @param {number} id - Booking ID
  * @param {string} status - New status (pending, confirmed, cancelled, completed)
@@ -219,28 +247,58 @@ function updateBookingStatus(id, status) {
   
   return new Promise((resolve, reject) => {
     // Validate status
-    const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
-    if (!validStatuses.includes(status)) {
+    const from = STATUS_TRANSITIONS[status];
+    if (!from) {
       return reject(new Error('Invalid booking status'));
     }
     
+    const reopens = ACTIVE_STATUSES.includes(status) && from.some(previous => !ACTIVE_STATUSES.includes(previous));
     const query = `
+      WITH RECURSIVE nights(night) AS (
+        SELECT date(check_in_date) FROM bookings WHERE id = ?
+        UNION ALL
+        SELECT date(night, '+1 day') FROM nights
+        WHERE date(night, '+1 day') < (SELECT date(check_out_date) FROM bookings WHERE id = ?)
+      )
       UPDATE bookings
       SET status = ?
       WHERE id = ?
+      AND status IN (${from.map(() => '?').join(', ')})
+      ${reopens ? `AND (
+        SELECT room_count * beds_per_room FROM room_types WHERE id = bookings.room_type_id
+      ) - (
+        SELECT COALESCE(MAX((
+          SELECT COALESCE(SUM(b.beds), 0) FROM bookings b
+          WHERE b.room_type_id = bookings.room_type_id
+          AND b.id != bookings.id
+          AND b.status != 'cancelled'
+          AND b.check_in_date <= nights.night
+          AND b.check_out_date > nights.night
+        )), 0)
+        FROM nights
+      ) >= bookings.beds` : ''}
     `;
     
-    db.run(query, [status, id], function(err) {
+    db.run(query, [id, id, status, id, ...from], function(err) {
       if (err) {
         return reject(err);
       }
       
-      if (this.changes === 0) {
-        return reject(new Error('Booking not found'));
+      if (this.changes > 0) {
+        // Return the updated booking
+        return getBookingById(id).then(resolve).catch(reject);
       }
       
-      // Return the updated booking
-      getBookingById(id).then(resolve).catch(reject);
+      // Work out why nothing changed
+      getBookingById(id).then((booking) => {
+        if (!booking) {
+          return reject(new Error('Booking not found'));
+        }
+        if (!from.includes(booking.status)) {
+          return reject(new Error(`A ${booking.status} booking can't be marked as ${status}`));
+        }
+        reject(new Error('Not enough beds available for these dates'));
+      }).catch(reject);
     });
   });
 }
@@ -259,10 +317,12 @@ function getUpcomingBookings(user_id) {
       SELECT b.*, 
              u.username as user_name,
              h.name as hostel_name,
-             h.location as hostel_location
+             h.location as hostel_location,
+             rt.name as room_type_name
       FROM bookings b
       JOIN users u ON b.user_id = u.id
       JOIN hostels h ON b.hostel_id = h.id
+      LEFT JOIN room_types rt ON b.room_type_id = rt.id
       WHERE b.user_id = ?
       AND b.check_in_date >= date('now')
       AND b.status = 'confirmed'
@@ -293,10 +353,12 @@ function getPastBookings(user_id) {
       SELECT b.*, 
              u.username as user_name,
              h.name as hostel_name,
-             h.location as hostel_location
+             h.location as hostel_location,
+             rt.name as room_type_name
       FROM bookings b
       JOIN users u ON b.user_id = u.id
       JOIN hostels h ON b.hostel_id = h.id
+      LEFT JOIN room_types rt ON b.room_type_id = rt.id
       WHERE b.user_id = ?
       AND b.check_out_date < date('now')
       ORDER BY b.check_out_date DESC
@@ -312,12 +374,83 @@ function getPastBookings(user_id) {
   });
 }
 
+/**
+ * Get a hostel's pending and confirmed bookings that haven't checked out yet
+ * 
+ * @param {number} hostel_id - Hostel ID
+ * @returns {Promise<Array>} - Array of booking objects with the guest's name and email
+ */
+function getOpenHostelBookings(hostel_id) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT b.*, 
+             u.username as user_name,
+             u.email as user_email,
+             h.name as hostel_name,
+             rt.name as room_type_name
+      FROM bookings b
+      JOIN users u ON b.user_id = u.id
+      JOIN hostels h ON b.hostel_id = h.id
+      LEFT JOIN room_types rt ON b.room_type_id = rt.id
+      WHERE b.hostel_id = ?
+      AND b.check_out_date > date('now')
+      AND b.status IN ('pending', 'confirmed')
+      ORDER BY b.check_in_date ASC
+    `;
+    
+    db.all(query, [hostel_id], (err, bookings) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(bookings);
+    });
+  });
+}
+
+/**
+ * Cancel bookings by ID, leaving any whose status has since moved on alone
+ * 
+ * @param {Array<number>} ids - Booking IDs
+ * @param {Array<string>} statuses - Statuses a booking may still be in to be cancelled (default: pending and confirmed)
+ * @returns {Promise<number>} - Number of bookings cancelled
+ */
+function cancelBookings(ids, statuses = ACTIVE_STATUSES) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    if (ids.length === 0) {
+      return resolve(0);
+    }
+    
+    const query = `
+      UPDATE bookings
+      SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (${ids.map(() => '?').join(', ')})
+      AND status IN (${statuses.map(() => '?').join(', ')})
+    `;
+    
+    db.run(query, [...ids, ...statuses], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(this.changes);
+    });
+  });
+}
+
 module.exports = {
+  STATUS_TRANSITIONS,
   createBooking,
   getBookingById,
   getBookingsByUser,
   getBookingsByHostel,
   updateBookingStatus,
   getUpcomingBookings,
-  getPastBookings
+  getPastBookings,
+  getOpenHostelBookings,
+  cancelBookings
 }; 
\ No newline at end of file
@@ -8,6 +8,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('../database/migrate');
 require('dotenv').config();
 
 // Database file path from .env or default path
@@ -44,6 +45,25 @@ if (!fs.existsSync(dbDir)) {
 // Initialize database connection
 let db = null;
 
+/**
+ * Apply pending migrations once the base schema is in place
+ * @param {Function} resolve - Resolves the initialization promise
+ * @param {Function} reject - Rejects the initialization promise
+ */
+function migrateAndResolve(resolve, reject) {
+  runMigrations(db)
+    .then((applied) => {
+      if (applied.length > 0) {
+        console.log(`Applied ${applied.length} database migration(s)`);
+      }
+      resolve(db);
+    })
+    .catch((err) => {
+      console.error('Error running migrations:', err.message);
+      reject(err);
+    });
+}
+
 /**
  * Initialize the database connection
  * @returns {Promise} Resolves when database is ready
@@ -97,11 +117,11 @@ function initializeDatabase() {
                 return;
               }
               console.log('Database schema initialized successfully');
-              resolve(db);
+              migrateAndResolve(resolve, reject);
             });
           } else {
             console.log('Database schema already exists');
-            resolve(db);
+            migrateAndResolve(resolve, reject);
           }
         });
       });
@@ -142,9 +162,76 @@ function closeDatabase() {
   });
 }
 
+/**
+ * Run statements as one transaction on the shared connection
+ * Everything is queued inside db.serialize, so no other query lands between BEGIN
+ * and the last statement. COMMIT and ROLLBACK are prepared up front: a prepared
+ * statement runs as soon as it is called, so the last statement's callback can end
+ * the transaction before anything else queued on the connection gets a turn.
+ * @param {Array<Array>} statements - [query, params] pairs, without BEGIN and COMMIT
+ * @returns {Promise} Resolves when the transaction is committed, rejects after rolling it back
+ */
+function runTransaction(statements) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    if (statements.length === 0) {
+      return resolve();
+    }
+    
+    db.serialize(() => {
+      const commit = db.prepare('COMMIT');
+      const rollback = db.prepare('ROLLBACK');
+      let failure = null;
+      
+      const finish = () => {
+        commit.finalize();
+        rollback.finalize();
+        
+        if (failure) {
+          return reject(failure);
+        }
+        
+        resolve();
+      };
+      
+      const end = () => {
+        if (failure) {
+          return rollback.run(finish);
+        }
+        
+        commit.run((err) => {
+          if (err) {
+            // A failed COMMIT leaves the transaction open
+            failure = err;
+            return rollback.run(finish);
+          }
+          
+          finish();
+        });
+      };
+      
+      db.run('BEGIN', (err) => {
+        failure = failure || err;
+      });
+      
+      statements.forEach(([query, params = []], index) => {
+        db.run(query, params, (err) => {
+          failure = failure || err;
+          
+          if (index === statements.length - 1) {
+            end();
+          }
+        });
+      });
+    });
+  });
+}
+
 // Export functions and initialized database promise
 module.exports = {
   initializeDatabase,
   getDatabase,
-  closeDatabase
+  closeDatabase,
+  runTransaction
 }; 
\ No newline at end of file
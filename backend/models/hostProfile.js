@@ -0,0 +1,134 @@
+/**
+ * Host Profile Model
+ *
+ * Handles the details hosts provide during onboarding and tracks which
+ * onboarding steps each host has completed
+ */
+
+const { getDatabase } = require('./db');
+
+/**
+ * Get a user's host profile
+ *
+ * @param {number} user_id - User ID
+ * @returns {Promise<object|null>} - Host profile or null if the user never asked to host
+ */
+function getHostProfile(user_id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM host_profiles WHERE user_id = ?', [user_id], (err, profile) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(profile || null);
+    });
+  });
+}
+
+/**
+ * Start host onboarding for a user
+ * Does nothing if the user already has a host profile
+ *
+ * @param {number} user_id - User ID
+ * @returns {Promise<object>} - Host profile
+ */
+function createHostProfile(user_id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run('INSERT OR IGNORE INTO host_profiles (user_id) VALUES (?)', [user_id], (err) => {
+      if (err) {
+        return reject(err);
+      }
+
+      getHostProfile(user_id).then(resolve).catch(reject);
+    });
+  });
+}
+
+/**
+ * Update columns of a host profile, creating it if needed
+ *
+ * @param {number} user_id - User ID
+ * @param {object} fields - Column values to set
+ * @param {string} completedColumn - Step timestamp to set to now (optional)
+ * @returns {Promise<object>} - Updated host profile
+ */
+async function updateHostProfile(user_id, fields, completedColumn = null) {
+  const db = getDatabase();
+
+  await createHostProfile(user_id);
+
+  return new Promise((resolve, reject) => {
+    const assignments = Object.keys(fields).map(field => `${field} = ?`);
+
+    if (completedColumn) {
+      assignments.push(`${completedColumn} = CURRENT_TIMESTAMP`);
+    }
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+    const query = `UPDATE host_profiles SET ${assignments.join(', ')} WHERE user_id = ?`;
+
+    db.run(query, [...Object.values(fields), user_id], (err) => {
+      if (err) {
+        return reject(err);
+      }
+
+      getHostProfile(user_id).then(resolve).catch(reject);
+    });
+  });
+}
+
+/**
+ * Save the host's legal name and contact phone
+ *
+ * @param {number} user_id - User ID
+ * @param {object} details - { legal_name, phone }
+ * @returns {Promise<object>} - Updated host profile
+ */
+function updateHostDetails(user_id, { legal_name, phone }) {
+  return updateHostProfile(user_id, { legal_name, phone }, 'details_completed_at');
+}
+
+/**
+ * Save where the host wants to be paid
+ * No payouts are made yet; this only records the host's choice
+ *
+ * @param {number} user_id - User ID
+ * @param {object} payout - { payout_method, payout_account }
+ * @returns {Promise<object>} - Updated host profile
+ */
+function updatePayoutDetails(user_id, { payout_method, payout_account }) {
+  return updateHostProfile(user_id, { payout_method, payout_account }, 'payout_completed_at');
+}
+
+/**
+ * Record that the host accepted the hosting terms
+ *
+ * @param {number} user_id - User ID
+ * @returns {Promise<object>} - Updated host profile
+ */
+function acceptTerms(user_id) {
+  return updateHostProfile(user_id, {}, 'terms_accepted_at');
+}
+
+/**
+ * Mark onboarding as finished
+ *
+ * @param {number} user_id - User ID
+ * @returns {Promise<object>} - Updated host profile
+ */
+function completeOnboarding(user_id) {
+  return updateHostProfile(user_id, {}, 'onboarding_completed_at');
+}
+
+module.exports = {
+  getHostProfile,
+  createHostProfile,
+  updateHostDetails,
+  updatePayoutDetails,
+  acceptTerms,
+  completeOnboarding
+};
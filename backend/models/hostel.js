@@ -4,21 +4,56 @@
  * Handles all database operations related to hostels
  */
 
-const { getDatabase } = require('./db');
+const { getDatabase, runTransaction } = require('./db');
+const amenityModel = require('./amenity');
+const hostelSearchModel = require('./hostelSearch');
+const { EARTH_RADIUS_KM, distanceKm } = require('../geocoding');
+
+// Lifecycle of a listing; only published hostels are shown to the public
+const HOSTEL_STATUSES = ['draft', 'pending_review', 'published', 'suspended', 'archived'];
+
+// Status changes hosts and admins can make, the statuses they start from and where they lead
+// moderation actions are for admins only; reasons are shown to the host
+const STATUS_TRANSITIONS = {
+  submit: { from: ['draft'], to: 'pending_review' },
+  withdraw: { from: ['pending_review'], to: 'draft' },
+  approve: { from: ['pending_review'], to: 'published', moderation: true },
+  reject: { from: ['pending_review'], to: 'draft', moderation: true, reasonRequired: true },
+  suspend: { from: ['published'], to: 'suspended', moderation: true, reasonRequired: true },
+  reinstate: { from: ['suspended'], to: 'published', moderation: true },
+  archive: { from: ['draft', 'pending_review', 'published'], to: 'archived' },
+  unarchive: { from: ['archived'], to: 'draft' }
+};
+
+// Where a hostel is: structured address fields and map coordinates
+const ADDRESS_COLUMNS = ['street', 'city', 'region', 'country', 'postal_code', 'latitude', 'longitude'];
+
+// Orders search results can be sorted in; relevance needs a full-text query and distance a point to measure from
+const SEARCH_SORTS = ['relevance', 'newest', 'price_asc', 'price_desc', 'rating', 'distance'];
+
+// Edges of the nightly price ranges counted for the search sidebar; the last range is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 75, 100, 150, 200];
+
+// Lowest ratings counted for the search sidebar ("4.5 and up", ...)
+const RATING_BANDS = [4.5, 4, 3.5, 3];
+
+// Most cities counted for the search sidebar
+const MAX_CITY_FACETS = 20;
 
 /**
  * Add a new hostel to the database
  * 
  * @param {string} name - Hostel name
- * @param {string} location - Hostel location
+ * @param {string} location - Hostel location as shown on listings
  * @param {number} price - Price per night
  * @param {number} host_id - ID of the host user
  * @param {string} images - JSON string of image URLs
  * @param {string} description - Hostel description (optional)
- * @param {string} amenities - JSON string of amenities (optional)
+ * @param {Array<number>} amenityIds - Catalog IDs of the hostel's amenities (optional)
+ * @param {object} address - street, city, region, country, postal_code, latitude and longitude (optional)
  * @returns {Promise<object>} - Created hostel object
  */
-function addHostel(name, location, price, host_id, images, description = null, amenities = null) {
+function addHostel(name, location, price, host_id, images, description = null, amenityIds = [], address = {}) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
@@ -33,33 +68,38 @@ function addHostel(name, location, price, host_id, images, description = null, a
     }
     
     const query = `
-      INSERT INTO hostels (name, location, price, host_id, images, description, amenities)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO hostels (
+        name, location, price, host_id, images, description,
+        street, city, region, country, postal_code, latitude, longitude
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
+    const addressValues = ADDRESS_COLUMNS.map(column => (address[column] === undefined ? null : address[column]));
     
     // Convert image array to JSON string if it's not already a string
     const imagesValue = typeof images === 'string' ? images : JSON.stringify(images || []);
     
-    // Convert amenities array to JSON string if it's not already a string
-    const amenitiesValue = typeof amenities === 'string' ? amenities : JSON.stringify(amenities || []);
-    
     db.run(
       query, 
-      [name, location, price, host_id, imagesValue, description, amenitiesValue], 
+      [name, location, price, host_id, imagesValue, description, ...addressValues], 
       function(err) {
         if (err) {
           return reject(err);
         }
         
-        // Get the newly created hostel
-        getHostelById(this.lastID).then(resolve).catch(reject);
+        // Link the amenities, then get the newly created hostel
+        const id = this.lastID;
+        amenityModel.setHostelAmenities(id, amenityIds || [])
+          .then(() => getHostelById(id))
+          .then(resolve)
+          .catch(reject);
       }
     );
   });
 }
 
 /**
- * Get all hostels with optional pagination
+ * Get all published hostels with optional pagination
  * 
  * @param {number} limit - Maximum number of hostels to return (default: 50)
  * @param {number} offset - Number of hostels to skip (default: 0)
@@ -73,6 +113,7 @@ function getHostels(limit = 50, offset = 0) {
       SELECT h.*, u.username as host_name
       FROM hostels h
       JOIN users u ON h.host_id = u.id
+      WHERE h.status = 'published'
       ORDER BY h.id DESC
       LIMIT ? OFFSET ?
     `;
@@ -85,11 +126,10 @@ function getHostels(limit = 50, offset = 0) {
       // Parse JSON strings to objects
       const hostels = rows.map(hostel => ({
         ...hostel,
-        images: parseJsonField(hostel.images),
-        amenities: parseJsonField(hostel.amenities)
+        images: parseJsonField(hostel.images)
       }));
       
-      resolve(hostels);
+      attachAmenities(hostels).then(resolve).catch(reject);
     });
   });
 }
@@ -98,9 +138,10 @@ function getHostels(limit = 50, offset = 0) {
  * Get a hostel by ID
  * 
  * @param {number} id - Hostel ID
+ * @param {boolean} includeDeleted - Also return the hostel if it has been deleted (default: false)
  * @returns {Promise<object|null>} - Hostel object or null if not found
  */
-function getHostelById(id) {
+function getHostelById(id, includeDeleted = false) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
@@ -108,7 +149,7 @@ function getHostelById(id) {
       SELECT h.*, u.username as host_name
       FROM hostels h
       JOIN users u ON h.host_id = u.id
-      WHERE h.id = ?
+      WHERE h.id = ? ${includeDeleted ? '' : 'AND h.deleted_at IS NULL'}
     `;
     
     db.get(query, [id], (err, hostel) => {
@@ -122,9 +163,8 @@ function getHostelById(id) {
       
       // Parse JSON strings to objects
       hostel.images = parseJsonField(hostel.images);
-      hostel.amenities = parseJsonField(hostel.amenities);
       
-      resolve(hostel);
+      attachAmenities([hostel]).then(() => resolve(hostel)).catch(reject);
     });
   });
 }
@@ -133,9 +173,10 @@ function getHostelById(id) {
  * Get hostels by host ID
  * 
  * @param {number} hostId - Host user ID
+ * @param {boolean} publishedOnly - Leave out drafts and other unpublished listings (default: true)
  * @returns {Promise<Array>} - Array of hostel objects
  */
-function getHostelsByHostId(hostId) {
+function getHostelsByHostId(hostId, publishedOnly = true) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
@@ -143,7 +184,7 @@ function getHostelsByHostId(hostId) {
       SELECT h.*, u.username as host_name
       FROM hostels h
       JOIN users u ON h.host_id = u.id
-      WHERE h.host_id = ?
+      WHERE h.host_id = ? AND h.deleted_at IS NULL ${publishedOnly ? "AND h.status = 'published'" : ''}
       ORDER BY h.id DESC
     `;
     
@@ -155,37 +196,88 @@ function getHostelsByHostId(hostId) {
       // Parse JSON strings to objects
       const hostels = rows.map(hostel => ({
         ...hostel,
-        images: parseJsonField(hostel.images),
-        amenities: parseJsonField(hostel.amenities)
+        images: parseJsonField(hostel.images)
       }));
       
-      resolve(hostels);
+      attachAmenities(hostels).then(resolve).catch(reject);
     });
   });
 }
 
 /**
- * Search hostels with filters
+ * SQL for the squared distance of a hostel from a point, in degrees of latitude
+ * The Earth is treated as flat around the point, which is close enough to order
+ * hostels by distance. The longitude difference is taken the short way round,
+ * so points either side of the antimeridian are close
+ *
+ * @param {object} point - { latitude, longitude }
+ * @returns {object} - { sql, params }
+ */
+function flatDistanceSql(point) {
+  const scale = Math.cos(point.latitude * Math.PI / 180);
+  const dLng = '(mod(h.longitude - ? + 540, 360) - 180)';
+
+  return {
+    sql: `((h.latitude - ?) * (h.latitude - ?) + ${dLng} * ${dLng} * ?)`,
+    params: [point.latitude, point.latitude, point.longitude, point.longitude, scale * scale]
+  };
+}
+
+/**
+ * SQL for the great-circle distance of a hostel from a point, in kilometres
+ * Uses the haversine formula, as distanceKm does for the distance_km reported with each result
+ *
+ * @param {object} point - { latitude, longitude }
+ * @returns {object} - { sql, params }
+ */
+function distanceKmSql(point) {
+  return {
+    sql: `(2 * ${EARTH_RADIUS_KM} * asin(min(1, sqrt(
+      power(sin(radians(h.latitude - ?) / 2), 2) +
+      cos(radians(?)) * cos(radians(h.latitude)) * power(sin(radians(h.longitude - ?) / 2), 2)
+    ))))`,
+    params: [point.latitude, point.latitude, point.longitude]
+  };
+}
+
+/**
+ * Build the FROM and WHERE clauses picking the published hostels that match search filters
  * 
- * @param {object} filters - Filter criteria
- * @param {string} filters.location - Location filter (optional)
- * @param {number} filters.maxPrice - Maximum price filter (optional)
- * @param {string} filters.amenities - Comma-separated list of required amenities (optional)
- * @param {number} limit - Maximum number of hostels to return (default: 50)
- * @param {number} offset - Number of hostels to skip (default: 0)
- * @returns {Promise<Array>} - Array of filtered hostel objects
+ * @param {object} filters - Filters as taken by searchHostels
+ * @param {string|null} match - FTS5 MATCH expression built from filters.q
+ * @returns {object} - { from, params }
  */
-function searchHostels(filters = {}, limit = 50, offset = 0) {
-  const db = getDatabase();
-  const { location, maxPrice, amenities } = filters;
+function buildSearchScope(filters, match) {
+  const {
+    location, city, country, minPrice, maxPrice, minRating, room_kind, amenities, stay, near, radius_km, bbox
+  } = filters;
   
-  // Build query conditions
-  const conditions = [];
+  const conditions = ["h.status = 'published'"];
   const params = [];
   
+  if (match) {
+    conditions.push("hostel_search MATCH ?");
+    params.push(match);
+  }
+  
   if (location) {
-    conditions.push("h.location LIKE ?");
-    params.push(`%${location}%`);
+    conditions.push("(h.location LIKE ? OR h.city LIKE ? OR h.region LIKE ? OR h.country LIKE ?)");
+    params.push(...Array(4).fill(`%${location}%`));
+  }
+  
+  if (city) {
+    conditions.push("h.city = ? COLLATE NOCASE");
+    params.push(city);
+  }
+  
+  if (country) {
+    conditions.push("h.country = ? COLLATE NOCASE");
+    params.push(country);
+  }
+  
+  if (minPrice !== undefined && !isNaN(parseFloat(minPrice))) {
+    conditions.push("h.price >= ?");
+    params.push(parseFloat(minPrice));
   }
   
   if (maxPrice !== undefined && !isNaN(parseFloat(maxPrice))) {
@@ -193,80 +285,292 @@ function searchHostels(filters = {}, limit = 50, offset = 0) {
     params.push(parseFloat(maxPrice));
   }
   
-  // Base query
-  let query = `
-    SELECT h.*, u.username as host_name
+  if (minRating !== undefined) {
+    conditions.push("h.rating >= ?");
+    params.push(minRating);
+  }
+  
+  if (room_kind) {
+    conditions.push("h.id IN (SELECT hostel_id FROM room_types WHERE kind = ?)");
+    params.push(room_kind);
+  }
+  
+  if (amenities && amenities.length > 0) {
+    conditions.push(`h.id IN (
+      SELECT hostel_id FROM hostel_amenities
+      WHERE amenity_id IN (${amenities.map(() => '?').join(', ')})
+      GROUP BY hostel_id
+      HAVING COUNT(*) = ?
+    )`);
+    params.push(...amenities, amenities.length);
+  }
+  
+  if (stay) {
+    // A room type must have the beds free on every night, be open on all of them and
+    // accept a stay this long arriving on the check-in date (private rooms are taken whole)
+    conditions.push(`h.id IN (
+      WITH RECURSIVE nights(night) AS (
+        SELECT date(?)
+        UNION ALL
+        SELECT date(night, '+1 day') FROM nights WHERE date(night, '+1 day') < date(?)
+      )
+      SELECT rt.hostel_id FROM room_types rt
+      WHERE rt.room_count * rt.beds_per_room - (
+        SELECT COALESCE(MAX((
+          SELECT COALESCE(SUM(b.beds), 0) FROM bookings b
+          WHERE b.room_type_id = rt.id
+          AND b.status != 'cancelled'
+          AND b.check_in_date <= nights.night
+          AND b.check_out_date > nights.night
+        )), 0)
+        FROM nights
+      ) >= CASE WHEN rt.kind = 'private'
+        THEN ((? + rt.beds_per_room - 1) / rt.beds_per_room) * rt.beds_per_room
+        ELSE ? END
+      AND NOT EXISTS (
+        SELECT 1 FROM hostel_availability a
+        JOIN nights ON a.date = nights.night
+        WHERE (a.room_type_id = rt.id OR (a.hostel_id = rt.hostel_id AND a.room_type_id IS NULL))
+        AND (a.is_available = 0 OR (a.date = date(?) AND a.min_stay > ?))
+      )
+    )`);
+    params.push(stay.check_in_date, stay.check_out_date, stay.guests, stay.guests, stay.check_in_date, stay.nights);
+  }
+  
+  if (near && radius_km) {
+    const distance = distanceKmSql(near);
+    conditions.push(`h.latitude IS NOT NULL AND ${distance.sql} <= ?`);
+    params.push(...distance.params, radius_km);
+  }
+  
+  if (bbox) {
+    conditions.push("h.latitude BETWEEN ? AND ?");
+    params.push(bbox.min_latitude, bbox.max_latitude);
+    
+    if (bbox.min_longitude <= bbox.max_longitude) {
+      conditions.push("h.longitude BETWEEN ? AND ?");
+    } else {
+      conditions.push("(h.longitude >= ? OR h.longitude <= ?)");
+    }
+    params.push(bbox.min_longitude, bbox.max_longitude);
+  }
+  
+  // Tables the hostels are picked from, shared by the page, the count and the facets
+  const from = `
     FROM hostels h
     JOIN users u ON h.host_id = u.id
+    ${match ? 'JOIN hostel_search ON hostel_search.rowid = h.id' : ''}
+    WHERE ${conditions.join(" AND ")}
   `;
   
-  // Add WHERE clause if there are conditions
-  if (conditions.length > 0) {
-    query += ` WHERE ${conditions.join(" AND ")}`;
+  return { from, params };
+}
+
+/**
+ * Get the FTS5 MATCH expression for a search's text
+ * 
+ * @param {object} filters - Filters as taken by searchHostels
+ * @returns {Promise<string|null>} - filters.match if given, else one built from filters.q (null without words)
+ */
+async function getSearchMatch(filters) {
+  if (filters.match !== undefined) {
+    return filters.match;
   }
   
-  // Add ORDER and LIMIT
-  query += `
-    ORDER BY h.id DESC
+  return filters.q ? hostelSearchModel.buildMatchQuery(filters.q) : null;
+}
+
+/**
+ * Search published hostels with filters
+ * 
+ * @param {object} filters - Filter criteria
+ * @param {string} filters.q - Full-text query over the name, description, location and amenities; results are
+ *   ranked by relevance and carry highlights of the matches (optional)
+ * @param {string|null} filters.match - MATCH expression already built from q with hostelSearch.buildMatchQuery,
+ *   so a search and its facets only build it once (optional)
+ * @param {string} filters.location - Text matched against the location, city, region and country (optional)
+ * @param {string} filters.city - City, matched exactly but ignoring case (optional)
+ * @param {string} filters.country - Country, matched exactly but ignoring case (optional)
+ * @param {number} filters.minPrice - Minimum price filter (optional)
+ * @param {number} filters.maxPrice - Maximum price filter (optional)
+ * @param {Array<number>} filters.amenities - Catalog IDs of amenities a hostel must all have (optional)
+ * @param {number} filters.minRating - Lowest average rating (optional)
+ * @param {string} filters.room_kind - Only hostels with a room type of this kind (optional)
+ * @param {object} filters.stay - { check_in_date, check_out_date, guests, nights }: only hostels with a room
+ *   type that can take the guests for the whole stay (optional)
+ * @param {object} filters.near - { latitude, longitude }: point each result's distance_km is measured from (optional)
+ * @param {number} filters.radius_km - Only hostels within this many kilometres of near (optional)
+ * @param {object} filters.bbox - { min_latitude, min_longitude, max_latitude, max_longitude }: only hostels
+ *   inside this box; it crosses the antimeridian when min_longitude is above max_longitude (optional)
+ * @param {string} filters.sort - One of SEARCH_SORTS (default: relevance for full-text searches, newest otherwise)
+ * @param {number} limit - Maximum number of hostels to return (default: 50)
+ * @param {number} offset - Number of hostels to skip (default: 0)
+ * @returns {Promise<object>} - { hostels, total } with the page of hostels and the number matching the filters
+ */
+async function searchHostels(filters = {}, limit = 50, offset = 0) {
+  const db = getDatabase();
+  const { near } = filters;
+  
+  // Text without any words to search for is ignored
+  const match = await getSearchMatch(filters);
+  const sort = filters.sort && (filters.sort !== 'relevance' || match) ? filters.sort : (match ? 'relevance' : 'newest');
+  const { from, params } = buildSearchScope(filters, match);
+  
+  // Ties are broken by newest first
+  const orderParams = [];
+  let order;
+  switch (sort) {
+    case 'relevance':
+      order = 'search_rank ASC';
+      break;
+    case 'price_asc':
+      order = 'h.price ASC';
+      break;
+    case 'price_desc':
+      order = 'h.price DESC';
+      break;
+    case 'rating':
+      order = 'h.rating DESC, h.review_count DESC';
+      break;
+    case 'distance': {
+      // Hostels that aren't on the map come last
+      const distance = flatDistanceSql(near);
+      order = `h.latitude IS NULL ASC, ${distance.sql} ASC`;
+      orderParams.push(...distance.params);
+      break;
+    }
+    default:
+      order = 'h.created_at DESC';
+  }
+  
+  // Full-text searches also rank the hostels and highlight the matches
+  const { MATCH_START, MATCH_END, COLUMN_WEIGHTS } = hostelSearchModel;
+  const query = `
+    SELECT h.*, u.username as host_name
+    ${match ? `,
+      bm25(hostel_search, ${COLUMN_WEIGHTS.join(', ')}) as search_rank,
+      highlight(hostel_search, 0, '${MATCH_START}', '${MATCH_END}') as name_highlight,
+      snippet(hostel_search, -1, '${MATCH_START}', '${MATCH_END}', '...', 16) as search_snippet` : ''}
+    ${from}
+    ORDER BY ${order}, h.id DESC
     LIMIT ? OFFSET ?
   `;
   
-  // Add limit and offset to params
-  params.push(limit, offset);
+  const total = await new Promise((resolve, reject) => {
+    db.get(`SELECT COUNT(*) as total ${from}`, params, (err, row) => (err ? reject(err) : resolve(row.total)));
+  });
   
-  return new Promise((resolve, reject) => {
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        return reject(err);
-      }
-      
-      // Parse JSON strings to objects and filter by amenities if needed
-      let hostels = rows.map(hostel => ({
-        ...hostel,
-        images: parseJsonField(hostel.images),
-        amenities: parseJsonField(hostel.amenities)
-      }));
-      
-      // Filter by amenities if specified
-      if (amenities) {
-        const requiredAmenities = amenities.split(',').map(a => a.trim());
-        
-        hostels = hostels.filter(hostel => {
-          // If hostel has no amenities, it doesn't match
-          if (!hostel.amenities || !Array.isArray(hostel.amenities)) {
-            return false;
-          }
-          
-          // Check if hostel has all required amenities
-          return requiredAmenities.every(required => 
-            hostel.amenities.some(a => a.toLowerCase() === required.toLowerCase())
-          );
-        });
+  const rows = await new Promise((resolve, reject) => {
+    db.all(query, [...params, ...orderParams, limit, offset], (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  
+  // Parse JSON strings to objects
+  const hostels = rows.map(({ search_rank, name_highlight, search_snippet, ...hostel }) => ({
+    ...hostel,
+    images: parseJsonField(hostel.images),
+    ...(near && {
+      distance_km: hostel.latitude === null ? null : Math.round(distanceKm(near, hostel) * 10) / 10
+    }),
+    ...(match && {
+      search: {
+        rank: search_rank,
+        name: hostelSearchModel.parseHighlight(name_highlight),
+        snippet: hostelSearchModel.parseHighlight(search_snippet)
       }
-      
-      resolve(hostels);
-    });
+    })
+  }));
+  
+  return { hostels: await attachAmenities(hostels), total };
+}
+
+/**
+ * Count the hostels matching a search by amenity, price range, rating, city and kind of room
+ * Each count leaves out the search's own filter on the same thing (other than amenities, which
+ * must all be present), so it tells how many hostels picking that option would find
+ * 
+ * @param {object} filters - Filters as taken by searchHostels (sort and paging are ignored)
+ * @returns {Promise<object>} - { amenities: [{ id, name, count }], price: [{ min, max, count }] (max is null
+ *   for the open-ended range, min included and max not), rating: [{ min, count }], cities: [{ city, country,
+ *   count }] (the most common first), room_kinds: [{ kind, count }] }
+ */
+async function getSearchFacets(filters = {}) {
+  const db = getDatabase();
+  const match = await getSearchMatch(filters);
+  
+  const all = (query, params) => new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => (err ? reject(err) : resolve(rows)));
   });
+  
+  const amenityScope = buildSearchScope(filters, match);
+  const amenities = await all(`
+    SELECT a.id, a.name, COUNT(*) as count
+    FROM hostel_amenities ha
+    JOIN amenities a ON ha.amenity_id = a.id
+    WHERE ha.hostel_id IN (SELECT h.id ${amenityScope.from})
+    GROUP BY a.id
+    ORDER BY count DESC, a.name ASC
+  `, amenityScope.params);
+  
+  const priceScope = buildSearchScope({ ...filters, minPrice: undefined, maxPrice: undefined }, match);
+  const priceRows = await all(`
+    SELECT CASE ${PRICE_BUCKETS.slice(1).map((edge, index) => `WHEN h.price < ${edge} THEN ${index}`).join(' ')}
+      ELSE ${PRICE_BUCKETS.length - 1} END as bucket, COUNT(*) as count
+    ${priceScope.from}
+    GROUP BY bucket
+  `, priceScope.params);
+  const price = PRICE_BUCKETS.map((min, index) => ({
+    min,
+    max: index + 1 < PRICE_BUCKETS.length ? PRICE_BUCKETS[index + 1] : null,
+    count: (priceRows.find(row => row.bucket === index) || { count: 0 }).count
+  }));
+  
+  const ratingScope = buildSearchScope({ ...filters, minRating: undefined }, match);
+  const [ratingRow] = await all(`
+    SELECT ${RATING_BANDS.map((min, index) => `COALESCE(SUM(h.rating >= ${min}), 0) as band_${index}`).join(', ')}
+    ${ratingScope.from}
+  `, ratingScope.params);
+  const rating = RATING_BANDS.map((min, index) => ({ min, count: ratingRow[`band_${index}`] }));
+  
+  const cityScope = buildSearchScope({ ...filters, city: undefined }, match);
+  const cities = await all(`
+    SELECT MIN(h.city) as city, MIN(h.country) as country, COUNT(*) as count
+    ${cityScope.from}
+    AND h.city IS NOT NULL AND h.city != ''
+    GROUP BY h.city COLLATE NOCASE, h.country COLLATE NOCASE
+    ORDER BY count DESC, city ASC
+    LIMIT ?
+  `, [...cityScope.params, MAX_CITY_FACETS]);
+  
+  const kindScope = buildSearchScope({ ...filters, room_kind: undefined }, match);
+  const room_kinds = await all(`
+    SELECT rt.kind, COUNT(DISTINCT rt.hostel_id) as count
+    FROM room_types rt
+    WHERE rt.hostel_id IN (SELECT h.id ${kindScope.from})
+    GROUP BY rt.kind
+    ORDER BY rt.kind ASC
+  `, kindScope.params);
+  
+  return { amenities, price, rating, cities, room_kinds };
 }
 
 /**
- * Update a hostel's details
+ * Build the statements that update a hostel's details
  * 
  * @param {number} id - Hostel ID to update
- * @param {object} updates - Object containing fields to update
- * @returns {Promise<object>} - Updated hostel object
+ * @param {object} updates - Object containing fields to update (amenities as an array of catalog IDs)
+ * @returns {Array<Array>} - [query, params] pairs for runTransaction, empty if no field can be updated
  */
-function updateHostel(id, updates) {
-  const db = getDatabase();
-  const allowedUpdates = ['name', 'location', 'price', 'images', 'description', 'amenities'];
+function hostelUpdateStatements(id, updates) {
+  const allowedUpdates = ['name', 'location', 'images', 'description', ...ADDRESS_COLUMNS];
   const updateFields = [];
   const updateValues = [];
+  const statements = [];
   
   // Process updates
   for (const [key, value] of Object.entries(updates)) {
     if (allowedUpdates.includes(key) && value !== undefined) {
-      // Handle JSON fields (images and amenities)
-      if ((key === 'images' || key === 'amenities') && typeof value !== 'string') {
+      // Handle JSON fields
+      if (key === 'images' && typeof value !== 'string') {
         updateFields.push(`${key} = ?`);
         updateValues.push(JSON.stringify(value));
       } else {
@@ -276,47 +580,206 @@ function updateHostel(id, updates) {
     }
   }
   
-  if (updateFields.length === 0) {
-    return Promise.reject(new Error('No valid update fields provided'));
+  if (updateFields.length > 0) {
+    statements.push([`UPDATE hostels SET ${updateFields.join(', ')} WHERE id = ?`, [...updateValues, id]]);
   }
   
-  return new Promise((resolve, reject) => {
+  if (Array.isArray(updates.amenities)) {
+    statements.push(...amenityModel.hostelAmenityStatements(id, updates.amenities));
+  }
+  
+  return statements;
+}
+
+/**
+ * Update a hostel's details
+ * 
+ * @param {number} id - Hostel ID to update
+ * @param {object} updates - Object containing fields to update (amenities as an array of catalog IDs)
+ * @returns {Promise<object>} - Updated hostel object
+ */
+async function updateHostel(id, updates) {
+  const statements = hostelUpdateStatements(id, updates);
+  
+  if (statements.length === 0) {
+    throw new Error('No valid update fields provided');
+  }
+  
+  if (!(await getHostelById(id))) {
+    throw new Error('Hostel not found');
+  }
+  
+  await runTransaction(statements);
+  return getHostelById(id);
+}
+
+/**
+ * Delete a hostel
+ * The row is kept, archived and hidden, so past bookings and reviews still point at it
+ * and it can be restored later
+ * 
+ * @param {number} id - Hostel ID to delete
+ * @param {number} deleted_by - ID of the user deleting it
+ * @param {boolean} keepIfConfirmed - Leave the hostel alone if guests hold upcoming confirmed bookings (default: false)
+ * @returns {Promise<boolean>} - True if deleted, false if not found, already deleted or kept for its bookings
+ */
+async function deleteHostel(id, deleted_by, keepIfConfirmed = false) {
+  const db = getDatabase();
+  const hostel = await getHostelById(id);
+  
+  if (!hostel) {
+    return false;
+  }
+  
+  const deleted = await new Promise((resolve, reject) => {
     const query = `
       UPDATE hostels
-      SET ${updateFields.join(', ')}
-      WHERE id = ?
+      SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, status = 'archived',
+          status_reason = NULL, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deleted_at IS NULL
+      ${keepIfConfirmed ? `AND NOT EXISTS (
+        SELECT 1 FROM bookings
+        WHERE hostel_id = hostels.id AND status = 'confirmed' AND check_out_date > date('now')
+      )` : ''}
     `;
     
-    updateValues.push(id);
+    db.run(query, [deleted_by, id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(this.changes > 0);
+    });
+  });
+  
+  if (deleted) {
+    await recordStatusChange(id, 'delete', hostel.status, 'archived', null, deleted_by);
+  }
+  
+  return deleted;
+}
+
+/**
+ * Restore a deleted hostel as a draft, so it is reviewed again before going back online
+ * 
+ * @param {number} id - Hostel ID
+ * @param {number} restored_by - ID of the user restoring it
+ * @returns {Promise<object|null>} - Restored hostel, or null if it isn't deleted
+ */
+async function restoreHostel(id, restored_by) {
+  const db = getDatabase();
+  
+  const restored = await new Promise((resolve, reject) => {
+    const query = `
+      UPDATE hostels
+      SET deleted_at = NULL, deleted_by = NULL, status = 'draft',
+          status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deleted_at IS NOT NULL
+    `;
     
-    db.run(query, updateValues, function(err) {
+    db.run(query, [id], function(err) {
       if (err) {
         return reject(err);
       }
       
-      if (this.changes === 0) {
-        return reject(new Error('Hostel not found'));
+      resolve(this.changes > 0);
+    });
+  });
+  
+  if (!restored) {
+    return null;
+  }
+  
+  await recordStatusChange(id, 'restore', 'archived', 'draft', null, restored_by);
+  return getHostelById(id);
+}
+
+/**
+ * Get a host's deleted hostels, most recently deleted first
+ * 
+ * @param {number} hostId - Host user ID
+ * @returns {Promise<Array>} - Array of hostel objects with deleted_at
+ */
+function getDeletedHostelsByHostId(hostId) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT h.*, u.username as host_name
+      FROM hostels h
+      JOIN users u ON h.host_id = u.id
+      WHERE h.host_id = ? AND h.deleted_at IS NOT NULL
+      ORDER BY h.deleted_at DESC, h.id DESC
+    `;
+    
+    db.all(query, [hostId], (err, rows) => {
+      if (err) {
+        return reject(err);
       }
       
-      // Return the updated hostel
-      getHostelById(id).then(resolve).catch(reject);
+      // Parse JSON strings to objects
+      const hostels = rows.map(hostel => ({
+        ...hostel,
+        images: parseJsonField(hostel.images)
+      }));
+      
+      attachAmenities(hostels).then(resolve).catch(reject);
     });
   });
 }
 
 /**
- * Delete a hostel by ID
+ * Record a status change in the hostel's history
  * 
- * @param {number} id - Hostel ID to delete
- * @returns {Promise<boolean>} - True if deleted, false if not found
+ * @param {number} hostel_id - Hostel ID
+ * @param {string} action - What was done (a STATUS_TRANSITIONS key, delete or restore)
+ * @param {string} from_status - Status before the change
+ * @param {string} to_status - Status after the change
+ * @param {string|null} reason - Reason shown to the host
+ * @param {number} changed_by - ID of the user making the change
+ * @returns {Promise<void>}
  */
-function deleteHostel(id) {
+function recordStatusChange(hostel_id, action, from_status, to_status, reason, changed_by) {
   const db = getDatabase();
   
   return new Promise((resolve, reject) => {
-    const query = 'DELETE FROM hostels WHERE id = ?';
+    const query = `
+      INSERT INTO hostel_status_changes (hostel_id, action, from_status, to_status, reason, changed_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
     
-    db.run(query, [id], function(err) {
+    db.run(query, [hostel_id, action, from_status, to_status, reason, changed_by], (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Move a hostel to a new status
+ * The change only happens if the hostel is still in one of the statuses the action starts from,
+ * so two admins reviewing the same listing can't both act on it
+ * 
+ * @param {number} id - Hostel ID
+ * @param {string} action - Key of STATUS_TRANSITIONS
+ * @param {number} changed_by - ID of the user making the change
+ * @param {string} reason - Reason shown to the host (optional)
+ * @returns {Promise<object|null>} - Updated hostel, or null if it wasn't in a status the action applies to
+ */
+async function changeHostelStatus(id, action, changed_by, reason = null) {
+  const db = getDatabase();
+  const transition = STATUS_TRANSITIONS[action];
+  const hostel = await getHostelById(id);
+  
+  if (!hostel) {
+    throw new Error('Hostel not found');
+  }
+  
+  const changed = await new Promise((resolve, reject) => {
+    const query = `
+      UPDATE hostels
+      SET status = ?, status_reason = ?, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN (${transition.from.map(() => '?').join(', ')})
+    `;
+    
+    db.run(query, [transition.to, reason, id, ...transition.from], function(err) {
       if (err) {
         return reject(err);
       }
@@ -324,6 +787,88 @@ function deleteHostel(id) {
       resolve(this.changes > 0);
     });
   });
+  
+  if (!changed) {
+    return null;
+  }
+  
+  await recordStatusChange(id, action, hostel.status, transition.to, reason, changed_by);
+  return getHostelById(id);
+}
+
+/**
+ * Get the status changes of a hostel, newest first
+ * 
+ * @param {number} id - Hostel ID
+ * @returns {Promise<Array>} - Array of { action, from_status, to_status, reason, changed_by, changed_by_name, created_at }
+ */
+function getStatusHistory(id) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT c.id, c.action, c.from_status, c.to_status, c.reason, c.changed_by, u.username as changed_by_name, c.created_at
+      FROM hostel_status_changes c
+      LEFT JOIN users u ON c.changed_by = u.id
+      WHERE c.hostel_id = ?
+      ORDER BY c.id DESC
+    `;
+    
+    db.all(query, [id], (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+/**
+ * Get hostels in a status, oldest change first (the moderation queue)
+ * 
+ * @param {string} status - One of HOSTEL_STATUSES
+ * @param {number} limit - Maximum number of hostels to return (default: 50)
+ * @param {number} offset - Number of hostels to skip (default: 0)
+ * @returns {Promise<Array>} - Array of hostel objects
+ */
+function getHostelsByStatus(status, limit = 50, offset = 0) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT h.*, u.username as host_name
+      FROM hostels h
+      JOIN users u ON h.host_id = u.id
+      WHERE h.status = ? AND h.deleted_at IS NULL
+      ORDER BY h.status_changed_at ASC, h.id ASC
+      LIMIT ? OFFSET ?
+    `;
+    
+    db.all(query, [status, limit, offset], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      // Parse JSON strings to objects
+      const hostels = rows.map(hostel => ({
+        ...hostel,
+        images: parseJsonField(hostel.images)
+      }));
+      
+      attachAmenities(hostels).then(resolve).catch(reject);
+    });
+  });
+}
+
+/**
+ * Helper function to add each hostel's amenities (id, name, icon) to it
+ * 
+ * @param {Array<object>} hostels - Hostel objects
+ * @returns {Promise<Array<object>>} - The same hostels with an amenities array
+ */
+async function attachAmenities(hostels) {
+  const byHostel = await amenityModel.getAmenitiesByHostelIds(hostels.map(hostel => hostel.id));
+  
+  for (const hostel of hostels) {
+    hostel.amenities = byHostel[hostel.id] || [];
+  }
+  
+  return hostels;
 }
 
 /**
@@ -343,11 +888,22 @@ function parseJsonField(jsonString) {
 }
 
 module.exports = {
+  ADDRESS_COLUMNS,
+  SEARCH_SORTS,
+  HOSTEL_STATUSES,
+  STATUS_TRANSITIONS,
   addHostel,
   getHostels,
   getHostelById,
   getHostelsByHostId,
   searchHostels,
+  getSearchFacets,
+  hostelUpdateStatements,
   updateHostel,
-  deleteHostel
+  deleteHostel,
+  restoreHostel,
+  getDeletedHostelsByHostId,
+  changeHostelStatus,
+  getStatusHistory,
+  getHostelsByStatus
 }; 
\ No newline at end of file
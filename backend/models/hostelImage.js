@@ -0,0 +1,203 @@
+/**
+ * Hostel Image Model
+ *
+ * Handles all database operations related to hostel photo galleries. The
+ * hostels.images column is kept as a cached list of image URLs (primary
+ * image first) so listings can show photos without joining this table.
+ */
+
+const { getDatabase } = require('./db');
+
+// Most images a single hostel can have
+const MAX_IMAGES_PER_HOSTEL = 20;
+
+/**
+ * Get a hostel's images in gallery order
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @returns {Promise<Array>} - Array of image objects
+ */
+function getImagesByHostel(hostel_id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT id, hostel_id, image_url, thumbnail_url, is_primary, sort_order, created_at
+      FROM hostel_images
+      WHERE hostel_id = ?
+      ORDER BY sort_order ASC, id ASC
+    `;
+
+    db.all(query, [hostel_id], (err, images) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(images.map(image => ({ ...image, is_primary: !!image.is_primary })));
+    });
+  });
+}
+
+/**
+ * Get one image of a hostel
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number} image_id - Image ID
+ * @returns {Promise<object|null>} - Image object or null if not found
+ */
+async function getImage(hostel_id, image_id) {
+  const images = await getImagesByHostel(hostel_id);
+  return images.find(image => image.id === Number(image_id)) || null;
+}
+
+/**
+ * Rewrite the cached image list on the hostel row
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @returns {Promise<Array>} - The hostel's images in gallery order
+ */
+async function syncHostelImages(hostel_id) {
+  const db = getDatabase();
+  const images = await getImagesByHostel(hostel_id);
+  const urls = [...images.filter(image => image.is_primary), ...images.filter(image => !image.is_primary)]
+    .map(image => image.image_url);
+
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE hostels SET images = ? WHERE id = ?', [JSON.stringify(urls), hostel_id], (err) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(images);
+    });
+  });
+}
+
+/**
+ * Append images to the end of a hostel's gallery
+ * The first image becomes the primary one if the hostel has none yet
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {Array<object>} images - Objects with image_url and thumbnail_url (optional)
+ * @returns {Promise<Array>} - The hostel's images in gallery order
+ */
+async function addImages(hostel_id, images) {
+  const db = getDatabase();
+  const existing = await getImagesByHostel(hostel_id);
+  const hasPrimary = existing.some(image => image.is_primary);
+  const nextOrder = existing.length > 0 ? Math.max(...existing.map(image => image.sort_order)) + 1 : 0;
+
+  await new Promise((resolve, reject) => {
+    const placeholders = images.map(() => '(?, ?, ?, ?, ?)').join(', ');
+    const params = images.flatMap((image, index) => [
+      hostel_id,
+      image.image_url,
+      image.thumbnail_url || null,
+      !hasPrimary && index === 0 ? 1 : 0,
+      nextOrder + index
+    ]);
+
+    const query = `
+      INSERT INTO hostel_images (hostel_id, image_url, thumbnail_url, is_primary, sort_order)
+      VALUES ${placeholders}
+    `;
+
+    db.run(query, params, (err) => (err ? reject(err) : resolve()));
+  });
+
+  return syncHostelImages(hostel_id);
+}
+
+/**
+ * Put a hostel's images in a new order
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {Array<number>} imageIds - Every image ID of the hostel, in the new order
+ * @returns {Promise<Array>} - The hostel's images in gallery order
+ */
+async function reorderImages(hostel_id, imageIds) {
+  const db = getDatabase();
+  const existing = await getImagesByHostel(hostel_id);
+  const ids = imageIds.map(Number);
+
+  if (ids.length !== existing.length || new Set(ids).size !== ids.length ||
+      !existing.every(image => ids.includes(image.id))) {
+    throw new Error('Image order must list every image of the hostel exactly once');
+  }
+
+  await new Promise((resolve, reject) => {
+    const cases = ids.map(() => 'WHEN ? THEN ?').join(' ');
+    const params = ids.flatMap((id, index) => [id, index]);
+
+    db.run(
+      `UPDATE hostel_images SET sort_order = CASE id ${cases} END WHERE hostel_id = ?`,
+      [...params, hostel_id],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+
+  return syncHostelImages(hostel_id);
+}
+
+/**
+ * Make one image the hostel's primary image
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number} image_id - Image ID
+ * @returns {Promise<Array|null>} - The hostel's images, or null if the image doesn't belong to the hostel
+ */
+async function setPrimaryImage(hostel_id, image_id) {
+  const db = getDatabase();
+
+  if (!(await getImage(hostel_id, image_id))) {
+    return null;
+  }
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE hostel_images SET is_primary = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE hostel_id = ?',
+      [image_id, hostel_id],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+
+  return syncHostelImages(hostel_id);
+}
+
+/**
+ * Remove an image from a hostel's gallery
+ * If it was the primary image, the first remaining image takes its place
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number} image_id - Image ID
+ * @returns {Promise<object|null>} - { removed, images } or null if the image doesn't belong to the hostel
+ */
+async function deleteImage(hostel_id, image_id) {
+  const db = getDatabase();
+  const removed = await getImage(hostel_id, image_id);
+
+  if (!removed) {
+    return null;
+  }
+
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM hostel_images WHERE id = ?', [removed.id], (err) => (err ? reject(err) : resolve()));
+  });
+
+  const remaining = await getImagesByHostel(hostel_id);
+
+  if (removed.is_primary && remaining.length > 0) {
+    return { removed, images: await setPrimaryImage(hostel_id, remaining[0].id) };
+  }
+
+  return { removed, images: await syncHostelImages(hostel_id) };
+}
+
+module.exports = {
+  MAX_IMAGES_PER_HOSTEL,
+  getImagesByHostel,
+  addImages,
+  reorderImages,
+  setPrimaryImage,
+  deleteImage
+};
@@ -0,0 +1,340 @@
+/**
+ * Hostel Revision Model
+ *
+ * Keeps the history of a listing: its details, address, amenities,
+ * policies, room types, pricing rules and photos. Every edit adds a revision with the fields that changed and a
+ * snapshot of the listing afterwards, so any earlier version can be looked
+ * up or restored. Hostels get a first revision, without changes, the first
+ * time they are created or edited.
+ */
+
+const { getDatabase, runTransaction } = require('./db');
+const hostelModel = require('./hostel');
+const amenityModel = require('./amenity');
+const policyModel = require('./policy');
+const roomTypeModel = require('./roomType');
+const pricingModel = require('./pricing');
+const hostelImageModel = require('./hostelImage');
+
+// Hostel columns kept in each snapshot
+const LISTING_FIELDS = ['name', 'description', 'location', ...hostelModel.ADDRESS_COLUMNS];
+
+// Policy fields kept in each snapshot
+const POLICY_FIELDS = Object.keys(policyModel.DEFAULT_POLICIES);
+
+// Room type fields kept in each snapshot
+const ROOM_TYPE_FIELDS = ['name', 'kind', 'room_count', 'beds_per_room', 'price', 'description'];
+
+// Snapshot fields listing the rooms, pricing and photos
+const INVENTORY_FIELDS = ['room_types', 'pricing', 'images'];
+
+/**
+ * Parse the JSON columns of a revision row
+ *
+ * @param {object} row - Row from hostel_revisions
+ * @returns {object} - Revision with changes and snapshot as objects
+ */
+function parseRevision(row) {
+  return {
+    ...row,
+    changes: JSON.parse(row.changes),
+    snapshot: row.snapshot === undefined ? undefined : JSON.parse(row.snapshot)
+  };
+}
+
+/**
+ * Take a snapshot of a listing as it is now
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @returns {Promise<object|null>} - Listing fields, amenities ([{ id, name }]), policy fields, room_types,
+ *   pricing and images, or null if the hostel doesn't exist
+ */
+async function getSnapshot(hostel_id) {
+  const hostel = await hostelModel.getHostelById(hostel_id, true);
+
+  if (!hostel) {
+    return null;
+  }
+
+  const [policies, roomTypes, pricing, images] = await Promise.all([
+    policyModel.getPolicies(hostel_id),
+    roomTypeModel.getRoomTypesByHostel(hostel_id),
+    pricingModel.getPricingRules(hostel_id),
+    hostelImageModel.getImagesByHostel(hostel_id)
+  ]);
+  const snapshot = {};
+
+  for (const field of LISTING_FIELDS) {
+    snapshot[field] = hostel[field] === undefined ? null : hostel[field];
+  }
+
+  snapshot.amenities = hostel.amenities.map(({ id, name }) => ({ id, name }));
+
+  for (const field of POLICY_FIELDS) {
+    snapshot[field] = policies[field];
+  }
+
+  snapshot.room_types = roomTypes
+    .map(roomType => {
+      const kept = { id: roomType.id };
+      for (const field of ROOM_TYPE_FIELDS) {
+        kept[field] = roomType[field] === undefined ? null : roomType[field];
+      }
+      return kept;
+    })
+    .sort((a, b) => a.id - b.id);
+
+  // Seasons and discounts are stored again on every save, so their row IDs are left out
+  snapshot.pricing = {
+    weekend_rate_percent: pricing.weekend_rate_percent,
+    cleaning_fee: pricing.cleaning_fee,
+    tax_percent: pricing.tax_percent,
+    seasonal_rates: pricing.seasonal_rates.map(({ name, start_date, end_date, rate_percent }) => ({ name, start_date, end_date, rate_percent })),
+    stay_discounts: pricing.stay_discounts.map(({ min_nights, discount_percent }) => ({ min_nights, discount_percent }))
+  };
+
+  snapshot.images = images.map(({ id, image_url, is_primary }) => ({ id, image_url, is_primary }));
+
+  return snapshot;
+}
+
+/**
+ * List the fields that differ between two snapshots
+ * Amenities are compared by ID
+ *
+ * @param {object} before - Snapshot before the change
+ * @param {object} after - Snapshot after the change
+ * @returns {Array<object>} - [{ field, from, to }]
+ */
+function diffSnapshots(before, after) {
+  const changes = [];
+
+  for (const field of [...LISTING_FIELDS, 'amenities', ...POLICY_FIELDS, ...INVENTORY_FIELDS]) {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    const key = value => JSON.stringify(field === 'amenities' ? (value || []).map(amenity => amenity.id).sort() : value);
+
+    if (key(from) !== key(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Store a new revision, numbered after the hostel's latest one
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number|null} changed_by - ID of the user who made the change
+ * @param {Array<object>} changes - Changed fields
+ * @param {object} snapshot - Listing after the change
+ * @param {number|null} reverted_to - Revision the change restored, if it was a revert
+ * @returns {Promise<number>} - Revision number
+ */
+function insertRevision(hostel_id, changed_by, changes, snapshot, reverted_to = null) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO hostel_revisions (hostel_id, revision, changed_by, changes, snapshot, reverted_to)
+      SELECT ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?
+      FROM hostel_revisions WHERE hostel_id = ?
+    `;
+
+    db.run(query, [hostel_id, changed_by, JSON.stringify(changes), JSON.stringify(snapshot), reverted_to, hostel_id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+
+      db.get('SELECT revision FROM hostel_revisions WHERE id = ?', [this.lastID], (err, row) => (err ? reject(err) : resolve(row.revision)));
+    });
+  });
+}
+
+/**
+ * Get the number of a hostel's latest revision
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @returns {Promise<number|null>} - Revision number, or null if none was recorded yet
+ */
+function getLatestRevisionNumber(hostel_id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT MAX(revision) as revision FROM hostel_revisions WHERE hostel_id = ?',
+      [hostel_id],
+      (err, row) => (err ? reject(err) : resolve(row.revision))
+    );
+  });
+}
+
+/**
+ * Get the current revision of a listing, recording the listing as it is now
+ * as its first revision if it has none yet
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number|null} changed_by - User to credit the first revision to (null for listings that predate revisions)
+ * @returns {Promise<number|null>} - Revision number, or null if the hostel doesn't exist
+ */
+async function getCurrentRevision(hostel_id, changed_by = null) {
+  const latest = await getLatestRevisionNumber(hostel_id);
+
+  if (latest) {
+    return latest;
+  }
+
+  const snapshot = await getSnapshot(hostel_id);
+  return snapshot ? insertRevision(hostel_id, changed_by, [], snapshot) : null;
+}
+
+/**
+ * Make a change to a listing and record it as a revision
+ * Nothing is recorded if the change leaves the listing as it was
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number} changed_by - ID of the user making the change
+ * @param {Function} change - Async function making the change
+ * @param {number|null} reverted_to - Revision being restored, if this is a revert
+ * @returns {Promise<object>} - { result, revision } with what change returned and the new revision number (null if nothing changed)
+ */
+async function recordChange(hostel_id, changed_by, change, reverted_to = null) {
+  await getCurrentRevision(hostel_id);
+  const before = await getSnapshot(hostel_id);
+
+  const result = await change();
+
+  const after = await getSnapshot(hostel_id);
+  const changes = diffSnapshots(before, after);
+
+  if (changes.length === 0) {
+    return { result, revision: null };
+  }
+
+  const revision = await insertRevision(hostel_id, changed_by, changes, after, reverted_to);
+  return { result, revision };
+}
+
+/**
+ * Get a listing's revisions, newest first, without their snapshots
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number} limit - Maximum number of revisions to return (default: 20)
+ * @param {number} offset - Number of revisions to skip (default: 0)
+ * @returns {Promise<Array>} - Revisions with revision, changes, changed_by, changed_by_name, reverted_to and created_at
+ */
+function getRevisions(hostel_id, limit = 20, offset = 0) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT r.revision, r.changes, r.changed_by, u.username as changed_by_name, r.reverted_to, r.created_at
+      FROM hostel_revisions r
+      LEFT JOIN users u ON r.changed_by = u.id
+      WHERE r.hostel_id = ?
+      ORDER BY r.revision DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    db.all(query, [hostel_id, limit, offset], (err, rows) => (err ? reject(err) : resolve(rows.map(parseRevision))));
+  });
+}
+
+/**
+ * Get one revision of a listing with its snapshot
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<object|null>} - Revision, or null if it doesn't exist
+ */
+function getRevision(hostel_id, revision) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT r.revision, r.changes, r.snapshot, r.changed_by, u.username as changed_by_name, r.reverted_to, r.created_at
+      FROM hostel_revisions r
+      LEFT JOIN users u ON r.changed_by = u.id
+      WHERE r.hostel_id = ? AND r.revision = ?
+    `;
+
+    db.get(query, [hostel_id, revision], (err, row) => (err ? reject(err) : resolve(row ? parseRevision(row) : null)));
+  });
+}
+
+/**
+ * Restore a listing to how it was at an earlier revision
+ * The restore is itself recorded as a new revision; amenities that have since
+ * left the catalog are dropped. Pricing rules and the details of room types
+ * that still exist are restored, but room types added or removed since, and
+ * photos, are left as they are: deleted photos' files are gone. Everything is
+ * written in one transaction, and nothing is written if a restored room type
+ * would no longer fit its upcoming bookings.
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {number} revision - Revision to restore
+ * @param {number} changed_by - ID of the user restoring it
+ * @returns {Promise<object|null>} - { revision } with the new revision number (null if the listing already matched), or null if the revision doesn't exist
+ */
+async function revertToRevision(hostel_id, revision, changed_by) {
+  const target = await getRevision(hostel_id, revision);
+
+  if (!target) {
+    return null;
+  }
+
+  const { snapshot } = target;
+  const amenityIds = snapshot.amenities.map(amenity => amenity.id);
+  const unknown = await amenityModel.findUnknownAmenityIds(amenityIds);
+
+  const listing = { amenities: amenityIds.filter(id => !unknown.includes(id)) };
+  for (const field of LISTING_FIELDS) {
+    listing[field] = snapshot[field];
+  }
+
+  const policies = {};
+  for (const field of POLICY_FIELDS) {
+    policies[field] = snapshot[field];
+  }
+
+  const statements = [
+    ...hostelModel.hostelUpdateStatements(hostel_id, listing),
+    ...policyModel.policyStatements(hostel_id, policies)
+  ];
+
+  // Revisions from before rooms and pricing were recorded have neither
+  const existing = await roomTypeModel.getRoomTypesByHostel(hostel_id);
+
+  for (const roomType of snapshot.room_types || []) {
+    const current = existing.find(type => type.id === roomType.id);
+    if (!current) {
+      continue;
+    }
+
+    const fields = {};
+    for (const field of ROOM_TYPE_FIELDS) {
+      fields[field] = roomType[field];
+    }
+
+    await roomTypeModel.checkBookedCapacity(current, fields);
+    statements.push(...roomTypeModel.roomTypeUpdateStatements(current, fields));
+  }
+
+  if (snapshot.pricing) {
+    statements.push(...pricingModel.pricingRuleStatements(hostel_id, snapshot.pricing));
+  }
+
+  const { revision: newRevision } = await recordChange(hostel_id, changed_by, () => runTransaction(statements), revision);
+
+  return { revision: newRevision };
+}
+
+module.exports = {
+  getSnapshot,
+  getCurrentRevision,
+  recordChange,
+  getRevisions,
+  getRevision,
+  revertToRevision
+};
@@ -0,0 +1,198 @@
+/**
+ * Hostel Search Model
+ *
+ * Turns what a guest types into a query on the hostel_search full-text index.
+ * Each word matches as a prefix ("roof" finds "rooftop"); a word that no
+ * indexed word starts with is also matched against indexed words a typo or
+ * two away ("hostle" finds "hostel"). All words must match.
+ *
+ * Misspelling candidates are only looked up for words that need them, and only
+ * among indexed words of a close length starting with the word's first or
+ * second letter, so a typo in the first letter is only caught when it swaps
+ * the first two letters.
+ */
+
+const { getDatabase } = require('./db');
+
+// Most words of a query that are searched for
+const MAX_QUERY_WORDS = 8;
+
+// Most misspelling candidates tried per word
+const MAX_CORRECTIONS = 5;
+
+// Characters marking matches in snippets, which parseHighlight splits on
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Column weights for BM25 ranking: name, description, location, amenities
+const COLUMN_WEIGHTS = [10, 2, 5, 3];
+
+/**
+ * Split text into words the way the index does (lowercase, accents removed)
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Number of typos allowed in a word of a given length
+ *
+ * @param {number} length
+ * @returns {number}
+ */
+function allowedTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * Count the edits turning one word into another, where an edit adds, removes
+ * or replaces a character or swaps two neighbouring ones
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Get the indexed words that could be a word with a few typos: those starting
+ * with its first or second letter whose length is within the typos of its own
+ *
+ * @param {string} word
+ * @param {number} typos - Number of typos allowed
+ * @returns {Promise<Array<string>>}
+ */
+function getCandidateTerms(word, typos) {
+  const db = getDatabase();
+  const letters = [...new Set(word.slice(0, 2))];
+
+  // One range scan per letter: ORing the ranges makes SQLite drop rows of the vocabulary table
+  const query = letters
+    .map(() => 'SELECT term FROM hostel_search_terms WHERE term >= ? AND term < ? AND length(term) BETWEEN ? AND ?')
+    .join(' UNION ALL ');
+  const params = letters.flatMap(letter => [letter, `${letter}\uffff`, word.length - typos, word.length + typos]);
+
+  return new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => (err ? reject(err) : resolve(rows.map(row => row.term))));
+  });
+}
+
+/**
+ * Check whether any indexed word starts with a prefix
+ *
+ * @param {string} prefix
+ * @returns {Promise<boolean>}
+ */
+function hasTermWithPrefix(prefix) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT 1 AS found FROM hostel_search_terms WHERE term >= ? AND term < ? LIMIT 1',
+      [prefix, `${prefix}\uffff`],
+      (err, row) => (err ? reject(err) : resolve(Boolean(row)))
+    );
+  });
+}
+
+/**
+ * Build the FTS5 MATCH expression for a search
+ *
+ * @param {string} q - Search text
+ * @returns {Promise<string|null>} - MATCH expression, or null if the text has no words
+ */
+async function buildMatchQuery(q) {
+  const words = [...new Set(tokenize(q))].slice(0, MAX_QUERY_WORDS);
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  const quote = term => `"${term.replace(/"/g, '""')}"`;
+  const clauses = [];
+
+  for (const word of words) {
+    const typos = allowedTypos(word.length);
+
+    if (typos === 0 || await hasTermWithPrefix(word)) {
+      clauses.push(`${quote(word)}*`);
+      continue;
+    }
+
+    const corrections = (await getCandidateTerms(word, typos))
+      .map(term => ({ term, distance: editDistance(word, term) }))
+      .filter(({ distance }) => distance <= typos)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_CORRECTIONS)
+      .map(({ term }) => quote(term));
+
+    clauses.push(`(${[`${quote(word)}*`, ...corrections].join(' OR ')})`);
+  }
+
+  return clauses.join(' AND ');
+}
+
+/**
+ * Split highlighted text into plain and matching parts
+ *
+ * @param {string} text - Text with matches between MATCH_START and MATCH_END
+ * @returns {Array<object>} - [{ text, match }]
+ */
+function parseHighlight(text) {
+  const parts = [];
+  const pattern = new RegExp(`${MATCH_START}([^${MATCH_END}]*)${MATCH_END}`, 'g');
+  let last = 0;
+  let found;
+
+  while ((found = pattern.exec(text)) !== null) {
+    if (found.index > last) {
+      parts.push({ text: text.slice(last, found.index), match: false });
+    }
+    parts.push({ text: found[1], match: true });
+    last = pattern.lastIndex;
+  }
+
+  if (last < text.length) {
+    parts.push({ text: text.slice(last), match: false });
+  }
+
+  return parts;
+}
+
+module.exports = {
+  MATCH_START,
+  MATCH_END,
+  COLUMN_WEIGHTS,
+  tokenize,
+  editDistance,
+  buildMatchQuery,
+  parseHighlight
+};
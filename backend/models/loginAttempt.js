@@ -0,0 +1,122 @@
+/**
+ * Login Attempt Model
+ * 
+ * Handles the audit log of login attempts, which is also used to
+ * throttle repeated failures from the same IP address
+ */
+
+const { getDatabase } = require('./db');
+
+// Outcomes recorded for each attempt
+const REASONS = {
+  SUCCESS: 'success',
+  INVALID_PASSWORD: 'invalid_password',
+  UNKNOWN_USER: 'unknown_user',
+  TWO_FACTOR_REQUIRED: 'two_factor_required',
+  INVALID_TWO_FACTOR: 'invalid_two_factor',
+  ACCOUNT_LOCKED: 'account_locked',
+  THROTTLED: 'throttled',
+  IP_BLOCKED: 'ip_blocked'
+};
+
+// Outcomes where credentials were actually checked and rejected
+const FAILURE_REASONS = [REASONS.INVALID_PASSWORD, REASONS.UNKNOWN_USER, REASONS.INVALID_TWO_FACTOR];
+
+/**
+ * Record a login attempt
+ * 
+ * @param {object} attempt - Attempt details
+ * @param {number} attempt.user_id - Matched user (optional)
+ * @param {string} attempt.identifier - Username or email that was submitted
+ * @param {string} attempt.ip_address - Client IP address (optional)
+ * @param {string} attempt.user_agent - Client User-Agent (optional)
+ * @param {string} attempt.reason - One of REASONS
+ * @returns {Promise<number>} - ID of the audit record
+ */
+function recordAttempt({ user_id = null, identifier, ip_address = null, user_agent = null, reason }) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO login_attempts (user_id, identifier, ip_address, user_agent, success, reason)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    
+    db.run(
+      query,
+      [user_id, identifier, ip_address, user_agent, reason === REASONS.SUCCESS ? 1 : 0, reason],
+      function(err) {
+        if (err) {
+          return reject(err);
+        }
+        
+        resolve(this.lastID);
+      }
+    );
+  });
+}
+
+/**
+ * Count recent failed logins from an IP address
+ * 
+ * @param {string} ip_address - Client IP address
+ * @param {number} windowMinutes - How far back to look
+ * @returns {Promise<object>} - { count, last_failed_at }
+ */
+function getRecentFailuresByIp(ip_address, windowMinutes) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT COUNT(*) as count, MAX(created_at) as last_failed_at
+      FROM login_attempts
+      WHERE ip_address = ?
+      AND reason IN (${FAILURE_REASONS.map(() => '?').join(', ')})
+      AND created_at > datetime('now', ?)
+    `;
+    
+    db.get(query, [ip_address, ...FAILURE_REASONS, `-${windowMinutes} minutes`], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(row);
+    });
+  });
+}
+
+/**
+ * Get the most recent login attempts for a user
+ * 
+ * @param {number} user_id - User ID
+ * @param {number} limit - Maximum number of records
+ * @returns {Promise<Array>} - Attempts, newest first
+ */
+function getAttemptsByUser(user_id, limit = 50) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT id, identifier, ip_address, user_agent, success, reason, created_at
+      FROM login_attempts
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `;
+    
+    db.all(query, [user_id, limit], (err, attempts) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(attempts);
+    });
+  });
+}
+
+module.exports = {
+  REASONS,
+  recordAttempt,
+  getRecentFailuresByIp,
+  getAttemptsByUser
+};
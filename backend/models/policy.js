@@ -0,0 +1,127 @@
+/**
+ * Policy Model
+ *
+ * Handles a hostel's house rules, check-in details and cancellation policy.
+ * Hostels that never set them get the defaults.
+ */
+
+const { getDatabase, runTransaction } = require('./db');
+
+// Cancellation policies a host can pick from; free_cancellation_days is how long
+// before check-in a guest can still cancel for a full refund
+const CANCELLATION_POLICIES = {
+  flexible: {
+    label: 'Flexible',
+    free_cancellation_days: 1,
+    description: 'Free cancellation until 24 hours before check-in.'
+  },
+  moderate: {
+    label: 'Moderate',
+    free_cancellation_days: 5,
+    description: 'Free cancellation until 5 days before check-in.'
+  },
+  strict: {
+    label: 'Strict',
+    free_cancellation_days: 14,
+    description: 'Free cancellation until 14 days before check-in; 50% refund until 7 days before.'
+  },
+  non_refundable: {
+    label: 'Non-refundable',
+    free_cancellation_days: null,
+    description: 'Bookings cannot be refunded once made.'
+  }
+};
+
+// Values allowed for the policies with a fixed set of choices
+const POLICY_OPTIONS = {
+  pets: ['not_allowed', 'on_request', 'allowed'],
+  smoking: ['not_allowed', 'outside_only', 'allowed'],
+  id_required: ['none', 'photo_id', 'passport'],
+  cancellation_policy: Object.keys(CANCELLATION_POLICIES)
+};
+
+// Policies of a hostel that hasn't set any
+const DEFAULT_POLICIES = {
+  check_in_from: '14:00',
+  check_in_until: null,
+  check_out_until: '11:00',
+  min_age: null,
+  max_age: null,
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  pets: 'not_allowed',
+  smoking: 'not_allowed',
+  id_required: 'photo_id',
+  cancellation_policy: 'flexible',
+  house_rules: null
+};
+
+/**
+ * Get the policies of a hostel, with the details of its cancellation policy
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @returns {Promise<object>} - Policy fields and cancellation ({ label, free_cancellation_days, description })
+ */
+function getPolicies(hostel_id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT ${Object.keys(DEFAULT_POLICIES).join(', ')}
+      FROM hostel_policies
+      WHERE hostel_id = ?
+    `;
+
+    db.get(query, [hostel_id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+
+      const policies = { ...DEFAULT_POLICIES, ...row };
+      resolve({ ...policies, cancellation: CANCELLATION_POLICIES[policies.cancellation_policy] });
+    });
+  });
+}
+
+/**
+ * Build the statements that update the policies of a hostel
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {object} fields - Any of the fields in DEFAULT_POLICIES
+ * @returns {Array<Array>} - [query, params] pairs for runTransaction
+ */
+function policyStatements(hostel_id, fields) {
+  const columns = Object.keys(DEFAULT_POLICIES).filter(field => fields[field] !== undefined);
+  const statements = [['INSERT OR IGNORE INTO hostel_policies (hostel_id) VALUES (?)', [hostel_id]]];
+
+  if (columns.length > 0) {
+    statements.push([
+      `UPDATE hostel_policies SET ${columns.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE hostel_id = ?`,
+      [...columns.map(field => fields[field]), hostel_id]
+    ]);
+  }
+
+  return statements;
+}
+
+/**
+ * Update the policies of a hostel; fields that aren't given keep their value
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {object} fields - Any of the fields in DEFAULT_POLICIES
+ * @returns {Promise<object>} - Updated policies
+ */
+async function setPolicies(hostel_id, fields) {
+  await runTransaction(policyStatements(hostel_id, fields));
+
+  return getPolicies(hostel_id);
+}
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  POLICY_OPTIONS,
+  DEFAULT_POLICIES,
+  getPolicies,
+  policyStatements,
+  setPolicies
+};
@@ -0,0 +1,315 @@
+/**
+ * Pricing Model
+ *
+ * Handles a hostel's pricing rules and turns them into quotes. A night costs
+ * its calendar price override if it has one; otherwise the room type's price
+ * is adjusted by the season covering the night and, on Friday and Saturday
+ * nights, by the weekend rate. Length-of-stay discounts, the cleaning fee and
+ * taxes then apply to the whole stay.
+ */
+
+const { getDatabase, runTransaction } = require('./db');
+const availabilityModel = require('./availability');
+const roomTypeModel = require('./roomType');
+const { addDays, isWeekendNight } = require('../utils/dates');
+
+// Pricing rules stored on the hostel itself
+const HOSTEL_FIELDS = ['weekend_rate_percent', 'cleaning_fee', 'tax_percent'];
+
+/**
+ * Round an amount to cents
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundPrice(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Get the pricing rules of a hostel
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @returns {Promise<object>} - weekend_rate_percent, cleaning_fee, tax_percent,
+ *   seasonal_rates (by start date) and stay_discounts (by minimum nights)
+ */
+async function getPricingRules(hostel_id) {
+  const db = getDatabase();
+
+  const fees = await new Promise((resolve, reject) => {
+    db.get(
+      `SELECT ${HOSTEL_FIELDS.join(', ')} FROM hostels WHERE id = ?`,
+      [hostel_id],
+      (err, row) => (err ? reject(err) : resolve(row))
+    );
+  });
+
+  const seasonal_rates = await new Promise((resolve, reject) => {
+    const query = `
+      SELECT id, name, start_date, end_date, rate_percent FROM seasonal_rates
+      WHERE hostel_id = ?
+      ORDER BY start_date ASC, id ASC
+    `;
+
+    db.all(query, [hostel_id], (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  const stay_discounts = await new Promise((resolve, reject) => {
+    const query = `
+      SELECT id, min_nights, discount_percent FROM stay_discounts
+      WHERE hostel_id = ?
+      ORDER BY min_nights ASC
+    `;
+
+    db.all(query, [hostel_id], (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  return {
+    weekend_rate_percent: 0,
+    cleaning_fee: 0,
+    tax_percent: 0,
+    ...fees,
+    seasonal_rates,
+    stay_discounts
+  };
+}
+
+/**
+ * Build the statements that save a hostel's pricing rules
+ * Seasonal rates and stay discounts are replaced as a whole when given
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {object} rules - Pricing rules, as taken by setPricingRules
+ * @returns {Array<Array>} - [query, params] pairs for runTransaction
+ */
+function pricingRuleStatements(hostel_id, rules) {
+  const statements = [];
+
+  const fields = HOSTEL_FIELDS.filter(field => rules[field] !== undefined);
+  if (fields.length > 0) {
+    statements.push([
+      `UPDATE hostels SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(field => rules[field]), hostel_id]
+    ]);
+  }
+
+  if (rules.seasonal_rates) {
+    statements.push(['DELETE FROM seasonal_rates WHERE hostel_id = ?', [hostel_id]]);
+
+    for (const season of rules.seasonal_rates) {
+      statements.push([
+        'INSERT INTO seasonal_rates (hostel_id, name, start_date, end_date, rate_percent) VALUES (?, ?, ?, ?, ?)',
+        [hostel_id, season.name, season.start_date, season.end_date, season.rate_percent]
+      ]);
+    }
+  }
+
+  if (rules.stay_discounts) {
+    statements.push(['DELETE FROM stay_discounts WHERE hostel_id = ?', [hostel_id]]);
+
+    for (const discount of rules.stay_discounts) {
+      statements.push([
+        'INSERT INTO stay_discounts (hostel_id, min_nights, discount_percent) VALUES (?, ?, ?)',
+        [hostel_id, discount.min_nights, discount.discount_percent]
+      ]);
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Update the pricing rules of a hostel
+ * Seasonal rates and stay discounts are replaced as a whole when given
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {object} rules - Any of weekend_rate_percent, cleaning_fee, tax_percent,
+ *   seasonal_rates [{ name, start_date, end_date, rate_percent }] and stay_discounts [{ min_nights, discount_percent }]
+ * @returns {Promise<object>} - Updated pricing rules
+ */
+async function setPricingRules(hostel_id, rules) {
+  // All or nothing, so a failure can't leave a hostel with its old seasons deleted and no new ones
+  await runTransaction(pricingRuleStatements(hostel_id, rules));
+
+  return getPricingRules(hostel_id);
+}
+
+/**
+ * Work out the price of one night of a room type
+ * Seasons saved now can't overlap; where older ones do, the one that starts last applies
+ *
+ * @param {string} date - Night (YYYY-MM-DD)
+ * @param {object} night - The room type's calendar entry for the night (price, price_override)
+ * @param {object} rules - Pricing rules of the hostel
+ * @returns {object} - { price, adjustments: [{ label, rate_percent }] }
+ */
+function nightlyRate(date, night, rules) {
+  if (night.price_override) {
+    return { price: night.price_override, adjustments: [] };
+  }
+
+  const adjustments = [];
+  const season = rules.seasonal_rates
+    .filter(rate => rate.start_date <= date && rate.end_date >= date)
+    .pop();
+
+  if (season && season.rate_percent !== 0) {
+    adjustments.push({ label: season.name, rate_percent: season.rate_percent });
+  }
+
+  if (rules.weekend_rate_percent !== 0 && isWeekendNight(date)) {
+    adjustments.push({ label: 'Weekend', rate_percent: rules.weekend_rate_percent });
+  }
+
+  const price = adjustments.reduce((amount, adjustment) => amount * (1 + adjustment.rate_percent / 100), night.price);
+
+  return { price: roundPrice(price), adjustments };
+}
+
+/**
+ * Get the nightly calendar of a hostel with weekend and seasonal rates applied
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Last night (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Same shape as availabilityModel.getCalendar
+ */
+async function getPricedCalendar(hostel_id, from, to) {
+  const [nights, rules] = await Promise.all([
+    availabilityModel.getCalendar(hostel_id, from, to),
+    getPricingRules(hostel_id)
+  ]);
+
+  return nights.map(night => {
+    const room_types = night.room_types.map(roomType => ({
+      ...roomType,
+      price: nightlyRate(night.date, roomType, rules).price
+    }));
+    const bookable = room_types.filter(roomType => roomType.is_available);
+
+    return {
+      ...night,
+      room_types,
+      min_price: bookable.length > 0 ? Math.min(...bookable.map(roomType => roomType.price)) : null
+    };
+  });
+}
+
+/**
+ * Price a stay in a room type
+ *
+ * @param {object} roomType - Room type being booked
+ * @param {string} check_in_date - Check-in date (YYYY-MM-DD)
+ * @param {string} check_out_date - Check-out date (YYYY-MM-DD)
+ * @param {number} guests - Number of guests
+ * @returns {Promise<object>} - Quote with each night (price, adjustments, is_open, available_beds),
+ *   line_items [{ type, label, amount }], total, units, beds, min_stay and is_available
+ */
+async function getQuote(roomType, check_in_date, check_out_date, guests) {
+  const [calendar, rules] = await Promise.all([
+    availabilityModel.getCalendar(roomType.hostel_id, check_in_date, addDays(check_out_date, -1)),
+    getPricingRules(roomType.hostel_id)
+  ]);
+  const { units, beds } = roomTypeModel.reservationFor(roomType, guests);
+
+  const nights = calendar.map(night => {
+    const entry = night.room_types.find(type => type.room_type_id === roomType.id);
+    const rate = nightlyRate(night.date, entry, rules);
+
+    return {
+      date: night.date,
+      price: rate.price,
+      adjustments: rate.adjustments,
+      is_open: entry.is_open,
+      available_beds: entry.available_beds,
+      min_stay: entry.min_stay
+    };
+  });
+
+  // Private rooms are charged per room, dorms per bed
+  const unit = roomType.kind === 'private' ? 'room' : 'bed';
+  const accommodation = roundPrice(nights.reduce((sum, night) => sum + night.price, 0) * units);
+  const line_items = [{
+    type: 'accommodation',
+    label: `${nights.length} ${nights.length === 1 ? 'night' : 'nights'} x ${units} ${units === 1 ? unit : `${unit}s`}`,
+    amount: accommodation
+  }];
+
+  // The discount for the longest qualifying stay applies
+  const discount = rules.stay_discounts.filter(rate => rate.min_nights <= nights.length).pop();
+  if (discount) {
+    line_items.push({
+      type: 'discount',
+      label: `${discount.min_nights}+ night discount (${discount.discount_percent}%)`,
+      amount: -roundPrice(accommodation * discount.discount_percent / 100)
+    });
+  }
+
+  if (rules.cleaning_fee > 0) {
+    line_items.push({ type: 'cleaning_fee', label: 'Cleaning fee', amount: rules.cleaning_fee });
+  }
+
+  const subtotal = roundPrice(line_items.reduce((sum, item) => sum + item.amount, 0));
+
+  if (rules.tax_percent > 0) {
+    line_items.push({
+      type: 'tax',
+      label: `Taxes (${rules.tax_percent}%)`,
+      amount: roundPrice(subtotal * rules.tax_percent / 100)
+    });
+  }
+
+  return {
+    hostel_id: roomType.hostel_id,
+    room_type_id: roomType.id,
+    check_in_date,
+    check_out_date,
+    guests,
+    units,
+    beds,
+    nights,
+    line_items,
+    subtotal,
+    total: roundPrice(line_items.reduce((sum, item) => sum + item.amount, 0)),
+    min_stay: nights[0].min_stay,
+    is_available: nights.every(night => night.is_open && night.available_beds >= beds)
+  };
+}
+
+/**
+ * Price a stay in the cheapest room type of a hostel that can take it
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {string} check_in_date - Check-in date (YYYY-MM-DD)
+ * @param {string} check_out_date - Check-out date (YYYY-MM-DD)
+ * @param {number} guests - Number of guests
+ * @returns {Promise<object|null>} - Quote of the cheapest bookable room type (with room_type_name), or null if none is
+ */
+async function getCheapestQuote(hostel_id, check_in_date, check_out_date, guests) {
+  const roomTypes = await roomTypeModel.getRoomTypesByHostel(hostel_id);
+  let cheapest = null;
+
+  for (const roomType of roomTypes) {
+    if (roomTypeModel.reservationFor(roomType, guests).beds > roomType.total_beds) {
+      continue;
+    }
+
+    const quote = await getQuote(roomType, check_in_date, check_out_date, guests);
+
+    if (quote.is_available && quote.nights.length >= quote.min_stay && (!cheapest || quote.total < cheapest.total)) {
+      cheapest = { ...quote, room_type_name: roomType.name };
+    }
+  }
+
+  return cheapest;
+}
+
+module.exports = {
+  getPricingRules,
+  pricingRuleStatements,
+  setPricingRules,
+  nightlyRate,
+  getPricedCalendar,
+  getQuote,
+  getCheapestQuote
+};
@@ -0,0 +1,353 @@
+/**
+ * Room Type Model
+ *
+ * Handles the rooms a hostel sells. Dorm beds are sold one at a time, private
+ * rooms are sold whole. Inventory is counted in beds so both kinds share the
+ * same availability check. The hostels.price column is kept as the lowest
+ * room type price so listings can show a "from" price without a join.
+ */
+
+const { getDatabase } = require('./db');
+
+// Kinds of room a hostel can sell
+const ROOM_KINDS = ['dorm', 'private'];
+
+// Columns hosts may set on a room type
+const EDITABLE_FIELDS = ['name', 'kind', 'room_count', 'beds_per_room', 'price', 'description'];
+
+// Sets hostels.price to the cheapest room type (hostel ID three times)
+const SYNC_HOSTEL_PRICE = `
+  UPDATE hostels
+  SET price = (SELECT MIN(price) FROM room_types WHERE hostel_id = ?)
+  WHERE id = ? AND EXISTS (SELECT 1 FROM room_types WHERE hostel_id = ?)
+`;
+
+// Nights from today until the last upcoming booking of a room type ends
+const UPCOMING_NIGHTS = `
+  WITH RECURSIVE nights(night) AS (
+    SELECT date('now')
+    UNION ALL
+    SELECT date(night, '+1 day') FROM nights
+    WHERE date(night, '+1 day') < (
+      SELECT MAX(check_out_date) FROM bookings
+      WHERE room_type_id = ? AND status IN ('pending', 'confirmed')
+    )
+  )
+`;
+
+// Beds the upcoming bookings of a room type take on their busiest night, over UPCOMING_NIGHTS
+const PEAK_BOOKED_BEDS = `(
+  SELECT COALESCE(MAX((
+    SELECT COALESCE(SUM(b.beds), 0) FROM bookings b
+    WHERE b.room_type_id = ?
+    AND b.status IN ('pending', 'confirmed')
+    AND b.check_in_date <= nights.night
+    AND b.check_out_date > nights.night
+  )), 0)
+  FROM nights
+)`;
+
+/**
+ * Add the total number of beds to a room type row
+ *
+ * @param {object} roomType - Room type row
+ * @returns {object}
+ */
+function withTotals(roomType) {
+  return { ...roomType, total_beds: roomType.room_count * roomType.beds_per_room };
+}
+
+/**
+ * Get the room types of a hostel
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @returns {Promise<Array>} - Array of room type objects, cheapest first
+ */
+function getRoomTypesByHostel(hostel_id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM room_types
+      WHERE hostel_id = ?
+      ORDER BY price ASC, id ASC
+    `;
+
+    db.all(query, [hostel_id], (err, roomTypes) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(roomTypes.map(withTotals));
+    });
+  });
+}
+
+/**
+ * Get a room type by ID
+ *
+ * @param {number} id - Room type ID
+ * @returns {Promise<object|null>} - Room type object or null if not found
+ */
+function getRoomTypeById(id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM room_types WHERE id = ?', [id], (err, roomType) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(roomType ? withTotals(roomType) : null);
+    });
+  });
+}
+
+/**
+ * Set the hostel's listed price to its cheapest room type
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @returns {Promise<void>}
+ */
+function syncHostelPrice(hostel_id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run(SYNC_HOSTEL_PRICE, [hostel_id, hostel_id, hostel_id], (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Add a room type to a hostel
+ *
+ * @param {number} hostel_id - Hostel ID
+ * @param {object} fields - name, kind, room_count, beds_per_room, price and description (optional)
+ * @returns {Promise<object>} - Created room type object
+ */
+async function createRoomType(hostel_id, fields) {
+  const db = getDatabase();
+
+  const id = await new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO room_types (hostel_id, name, kind, room_count, beds_per_room, price, description)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    db.run(
+      query,
+      [hostel_id, fields.name, fields.kind, fields.room_count, fields.beds_per_room, fields.price, fields.description || null],
+      function(err) {
+        if (err) {
+          return reject(err);
+        }
+
+        resolve(this.lastID);
+      }
+    );
+  });
+
+  await syncHostelPrice(hostel_id);
+  return getRoomTypeById(id);
+}
+
+/**
+ * Get the most beds the upcoming bookings of a room type take on any one night
+ *
+ * @param {number} id - Room type ID
+ * @returns {Promise<number>}
+ */
+function getPeakBookedBeds(id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(`${UPCOMING_NIGHTS} SELECT ${PEAK_BOOKED_BEDS} as peak`, [id, id], (err, row) => (err ? reject(err) : resolve(row.peak)));
+  });
+}
+
+/**
+ * Check that upcoming bookings still fit a room type after an update
+ * Its beds can't drop below the busiest booked night, and its kind can't
+ * change while anyone is booked into it
+ *
+ * @param {object} roomType - Room type as it is now
+ * @param {object} updates - Fields being changed
+ * @returns {Promise<void>} - Rejects if the bookings wouldn't fit
+ */
+async function checkBookedCapacity(roomType, updates) {
+  const next = { ...roomType, ...updates };
+
+  if (next.kind !== roomType.kind && await countUpcomingBookings(roomType.id) > 0) {
+    throw new Error(`${roomType.name} has upcoming bookings, so its kind cannot be changed`);
+  }
+
+  const peak = await getPeakBookedBeds(roomType.id);
+  if (next.room_count * next.beds_per_room < peak) {
+    throw new Error(`Upcoming bookings need ${peak} beds of ${roomType.name} on their busiest night`);
+  }
+}
+
+/**
+ * Pick the fields of an update that hosts may set
+ *
+ * @param {object} updates - Fields to update
+ * @returns {Array<string>}
+ */
+function editableFields(updates) {
+  return Object.keys(updates).filter(key => EDITABLE_FIELDS.includes(key) && updates[key] !== undefined);
+}
+
+/**
+ * Build the statements that update a room type and the hostel's listed price
+ * Unlike updateRoomType they don't check upcoming bookings; run checkBookedCapacity first
+ *
+ * @param {object} roomType - Room type to update
+ * @param {object} updates - Fields to update
+ * @returns {Array<Array>} - [query, params] pairs for runTransaction, empty if no field can be updated
+ */
+function roomTypeUpdateStatements(roomType, updates) {
+  const fields = editableFields(updates);
+
+  if (fields.length === 0) {
+    return [];
+  }
+
+  return [
+    [
+      `UPDATE room_types SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map(field => updates[field]), roomType.id]
+    ],
+    [SYNC_HOSTEL_PRICE, [roomType.hostel_id, roomType.hostel_id, roomType.hostel_id]]
+  ];
+}
+
+/**
+ * Update a room type
+ * The update is refused if upcoming bookings would no longer fit (see checkBookedCapacity)
+ *
+ * @param {number} id - Room type ID
+ * @param {object} updates - Fields to update
+ * @returns {Promise<object>} - Updated room type object
+ */
+async function updateRoomType(id, updates) {
+  const db = getDatabase();
+  const fields = editableFields(updates);
+
+  if (fields.length === 0) {
+    throw new Error('No valid update fields provided');
+  }
+
+  const roomType = await getRoomTypeById(id);
+  if (!roomType) {
+    throw new Error('Room type not found');
+  }
+
+  const next = { ...roomType };
+  for (const field of fields) {
+    next[field] = updates[field];
+  }
+
+  // Update only if the bookings still fit, so a booking made meanwhile can't be squeezed out
+  const changes = await new Promise((resolve, reject) => {
+    const query = `
+      ${UPCOMING_NIGHTS}
+      UPDATE room_types
+      SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+      AND ? >= ${PEAK_BOOKED_BEDS}
+      AND (? = kind OR NOT EXISTS (
+        SELECT 1 FROM bookings
+        WHERE room_type_id = room_types.id
+        AND status IN ('pending', 'confirmed')
+        AND check_out_date > date('now')
+      ))
+    `;
+
+    db.run(
+      query,
+      [id, ...fields.map(field => updates[field]), id, next.room_count * next.beds_per_room, id, next.kind],
+      function(err) {
+        if (err) {
+          return reject(err);
+        }
+
+        resolve(this.changes);
+      }
+    );
+  });
+
+  if (changes === 0) {
+    await checkBookedCapacity(roomType, next);
+    throw new Error('Room type not found');
+  }
+
+  await syncHostelPrice(roomType.hostel_id);
+  return getRoomTypeById(id);
+}
+
+/**
+ * Delete a room type
+ *
+ * @param {object} roomType - Room type to delete
+ * @returns {Promise<void>}
+ */
+async function deleteRoomType(roomType) {
+  const db = getDatabase();
+
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM room_types WHERE id = ?', [roomType.id], (err) => (err ? reject(err) : resolve()));
+  });
+
+  await syncHostelPrice(roomType.hostel_id);
+}
+
+/**
+ * Count the bookings of a room type that haven't ended and aren't cancelled
+ *
+ * @param {number} id - Room type ID
+ * @returns {Promise<number>}
+ */
+function countUpcomingBookings(id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT COUNT(*) as count FROM bookings
+      WHERE room_type_id = ?
+      AND status IN ('pending', 'confirmed')
+      AND check_out_date > date('now')
+    `;
+
+    db.get(query, [id], (err, row) => (err ? reject(err) : resolve(row.count)));
+  });
+}
+
+/**
+ * Work out what a booking for a number of guests reserves
+ * Dorm guests each take a bed; private rooms are reserved whole
+ *
+ * @param {object} roomType - Room type being booked
+ * @param {number} guests - Number of guests
+ * @returns {object} - { units, beds }: rooms or beds to charge for, and beds taken from the inventory
+ */
+function reservationFor(roomType, guests) {
+  if (roomType.kind === 'private') {
+    const rooms = Math.ceil(guests / roomType.beds_per_room);
+    return { units: rooms, beds: rooms * roomType.beds_per_room };
+  }
+
+  return { units: guests, beds: guests };
+}
+
+module.exports = {
+  ROOM_KINDS,
+  getRoomTypesByHostel,
+  getRoomTypeById,
+  createRoomType,
+  roomTypeUpdateStatements,
+  updateRoomType,
+  deleteRoomType,
+  countUpcomingBookings,
+  getPeakBookedBeds,
+  checkBookedCapacity,
+  reservationFor
+};
@@ -0,0 +1,328 @@
+/**
+ * Session Model
+ *
+ * Handles all database operations related to refresh-token sessions.
+ * Only a SHA-256 hash of each refresh token is stored; the raw token is
+ * returned to the client once and never persisted.
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('./db');
+
+// Refresh tokens stay valid for this many days unless rotated or revoked
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Columns that are safe to return to the client
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at';
+
+/**
+ * Generate a new random refresh token
+ *
+ * @returns {string} - Hex encoded token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ *
+ * @param {string} token - Raw refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a new session for a user
+ *
+ * @param {number} user_id - ID of the user signing in
+ * @param {object} device - Device information
+ * @param {string} device.userAgent - User-Agent header of the client (optional)
+ * @param {string} device.ipAddress - IP address of the client (optional)
+ * @returns {Promise<object>} - { session, refreshToken }
+ */
+function createSession(user_id, { userAgent = null, ipAddress = null } = {}) {
+  const db = getDatabase();
+  const refreshToken = generateRefreshToken();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+      VALUES (?, ?, ?, ?, datetime('now', ?))
+    `;
+
+    db.run(
+      query,
+      [user_id, hashToken(refreshToken), userAgent, ipAddress, `+${REFRESH_TOKEN_TTL_DAYS} days`],
+      function(err) {
+        if (err) {
+          return reject(err);
+        }
+
+        getSessionById(this.lastID)
+          .then(session => resolve({ session, refreshToken }))
+          .catch(reject);
+      }
+    );
+  });
+}
+
+/**
+ * Get a session by ID
+ *
+ * @param {number} id - Session ID
+ * @returns {Promise<object|null>} - Session object or null if not found
+ */
+function getSessionById(id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `SELECT ${SESSION_COLUMNS} FROM user_sessions WHERE id = ?`;
+
+    db.get(query, [id], (err, session) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(session || null);
+    });
+  });
+}
+
+/**
+ * Check whether a session exists, is not revoked and has not expired
+ *
+ * @param {number} id - Session ID
+ * @returns {Promise<boolean>}
+ */
+function isSessionActive(id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT id FROM user_sessions
+      WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    `;
+
+    db.get(query, [id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(!!row);
+    });
+  });
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ *
+ * The presented token is replaced on the same session row, so each device
+ * keeps a single session. Presenting a token that has already been rotated
+ * away is treated as theft and revokes the whole session.
+ *
+ * @param {string} refreshToken - Raw refresh token presented by the client
+ * @returns {Promise<object>} - { session, refreshToken }
+ */
+function rotateSession(refreshToken) {
+  const db = getDatabase();
+  const presentedHash = hashToken(refreshToken);
+
+  return new Promise((resolve, reject) => {
+    const findQuery = `
+      SELECT id, user_id, revoked_at, expires_at > datetime('now') as is_current
+      FROM user_sessions
+      WHERE refresh_token_hash = ?
+    `;
+
+    db.get(findQuery, [presentedHash], (err, session) => {
+      if (err) {
+        return reject(err);
+      }
+
+      if (!session) {
+        // A previously rotated token being replayed means it was copied
+        db.run(
+          `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+           WHERE previous_token_hash = ? AND revoked_at IS NULL`,
+          [presentedHash],
+          function(err) {
+            if (err) {
+              return reject(err);
+            }
+
+            if (this.changes > 0) {
+              return reject(new Error('Refresh token reuse detected, session revoked'));
+            }
+
+            reject(new Error('Invalid refresh token'));
+          }
+        );
+        return;
+      }
+
+      if (session.revoked_at) {
+        return reject(new Error('Session has been revoked'));
+      }
+
+      if (!session.is_current) {
+        return reject(new Error('Refresh token expired'));
+      }
+
+      const newToken = generateRefreshToken();
+      const updateQuery = `
+        UPDATE user_sessions
+        SET refresh_token_hash = ?,
+            previous_token_hash = ?,
+            last_used_at = CURRENT_TIMESTAMP,
+            expires_at = datetime('now', ?)
+        WHERE id = ? AND refresh_token_hash = ?
+      `;
+
+      db.run(
+        updateQuery,
+        [hashToken(newToken), presentedHash, `+${REFRESH_TOKEN_TTL_DAYS} days`, session.id, presentedHash],
+        function(err) {
+          if (err) {
+            return reject(err);
+          }
+
+          // Another request rotated the token first
+          if (this.changes === 0) {
+            return reject(new Error('Invalid refresh token'));
+          }
+
+          getSessionById(session.id)
+            .then(updated => resolve({ session: updated, refreshToken: newToken }))
+            .catch(reject);
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Get all active sessions for a user
+ *
+ * @param {number} user_id - User ID
+ * @returns {Promise<Array>} - Array of session objects, most recently used first
+ */
+function getActiveSessionsByUser(user_id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT ${SESSION_COLUMNS}
+      FROM user_sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+      ORDER BY last_used_at DESC
+    `;
+
+    db.all(query, [user_id], (err, sessions) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(sessions);
+    });
+  });
+}
+
+/**
+ * Revoke a single session belonging to a user
+ *
+ * @param {number} id - Session ID
+ * @param {number} user_id - Owner of the session
+ * @returns {Promise<boolean>} - True if revoked, false if not found or already revoked
+ */
+function revokeSession(id, user_id) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `;
+
+    db.run(query, [id, user_id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ *
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} - True if a session was revoked
+ */
+function revokeSessionByToken(refreshToken) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE refresh_token_hash = ? AND revoked_at IS NULL
+    `;
+
+    db.run(query, [hashToken(refreshToken)], function(err) {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Revoke every session for a user, optionally keeping one
+ *
+ * @param {number} user_id - User ID
+ * @param {number} exceptSessionId - Session to keep active (optional)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+function revokeAllSessions(user_id, exceptSessionId = null) {
+  const db = getDatabase();
+
+  return new Promise((resolve, reject) => {
+    let query = `
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND revoked_at IS NULL
+    `;
+    const params = [user_id];
+
+    if (exceptSessionId) {
+      query += ' AND id != ?';
+      params.push(exceptSessionId);
+    }
+
+    db.run(query, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve(this.changes);
+    });
+  });
+}
+
+module.exports = {
+  createSession,
+  getSessionById,
+  isSessionActive,
+  rotateSession,
+  getActiveSessionsByUser,
+  revokeSession,
+  revokeSessionByToken,
+  revokeAllSessions
+};
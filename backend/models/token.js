@@ -0,0 +1,126 @@
+/**
+ * Token Model
+ * 
+ * Handles single-use, expiring tokens sent to users by email
+ * (email verification and password reset). Only a SHA-256 hash of
+ * each token is stored.
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('./db');
+
+// Supported token types and how long each stays valid (in minutes)
+const TOKEN_TTL_MINUTES = {
+  email_verification: 60 * 24,
+  password_reset: 60
+};
+
+/**
+ * Hash a token for storage and lookup
+ * 
+ * @param {string} token - Raw token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a new token for a user, invalidating any unused token of the same type
+ * 
+ * @param {number} user_id - User the token is issued for
+ * @param {string} type - Token type ('email_verification' or 'password_reset')
+ * @returns {Promise<string>} - Raw token to send to the user
+ */
+function createToken(user_id, type) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    if (!TOKEN_TTL_MINUTES[type]) {
+      return reject(new Error('Invalid token type'));
+    }
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    
+    const invalidateQuery = `
+      UPDATE user_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND type = ? AND used_at IS NULL
+    `;
+    
+    db.run(invalidateQuery, [user_id, type], (err) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      const insertQuery = `
+        INSERT INTO user_tokens (user_id, type, token_hash, expires_at)
+        VALUES (?, ?, ?, datetime('now', ?))
+      `;
+      
+      db.run(
+        insertQuery,
+        [user_id, type, hashToken(token), `+${TOKEN_TTL_MINUTES[type]} minutes`],
+        (err) => {
+          if (err) {
+            return reject(err);
+          }
+          
+          resolve(token);
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Consume a token, marking it used so it cannot be presented again
+ * 
+ * @param {string} token - Raw token presented by the user
+ * @param {string} type - Expected token type
+ * @returns {Promise<number>} - ID of the user the token was issued for
+ */
+function consumeToken(token, type) {
+  const db = getDatabase();
+  const tokenHash = hashToken(token);
+  
+  return new Promise((resolve, reject) => {
+    const findQuery = `
+      SELECT id, user_id
+      FROM user_tokens
+      WHERE token_hash = ? AND type = ?
+      AND used_at IS NULL AND expires_at > datetime('now')
+    `;
+    
+    db.get(findQuery, [tokenHash, type], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      if (!row) {
+        return reject(new Error('Invalid or expired token'));
+      }
+      
+      // Guard against two requests consuming the same token
+      const useQuery = 'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL';
+      
+      db.run(useQuery, [row.id], function(err) {
+        if (err) {
+          return reject(err);
+        }
+        
+        if (this.changes === 0) {
+          return reject(new Error('Invalid or expired token'));
+        }
+        
+        resolve(row.user_id);
+      });
+    });
+  });
+}
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  createToken,
+  consumeToken
+};
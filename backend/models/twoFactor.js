@@ -0,0 +1,309 @@
+/**
+ * Two-Factor Model
+ * 
+ * Handles TOTP enrollment, verification and backup codes. Backup codes are
+ * stored as SHA-256 hashes and can each be used once.
+ */
+
+const crypto = require('crypto');
+const { getDatabase } = require('./db');
+const totp = require('../utils/totp');
+
+// Name shown for this service in authenticator apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Hostel Marketplace';
+
+// Number of backup codes issued at a time
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Normalize and hash a backup code
+ * 
+ * @param {string} code - Backup code as entered (case and dashes ignored)
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashBackupCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a readable backup code such as 'a1b2-c3d4'
+ * 
+ * @returns {string}
+ */
+function generateBackupCode() {
+  const hex = crypto.randomBytes(4).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+}
+
+/**
+ * Get a user's two-factor state, including the secret
+ * 
+ * @param {number} user_id - User ID
+ * @returns {Promise<object|null>} - { secret, enabled_at, last_step } or null if the user doesn't exist
+ */
+function getState(user_id) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT two_factor_secret as secret, two_factor_enabled_at as enabled_at, two_factor_last_step as last_step
+      FROM users
+      WHERE id = ?
+    `;
+    
+    db.get(query, [user_id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(row || null);
+    });
+  });
+}
+
+/**
+ * Start enrollment by generating a new secret
+ * Replaces any secret from an unfinished enrollment
+ * 
+ * @param {object} user - User with id and email
+ * @returns {Promise<object>} - { secret, otpauth_uri }
+ */
+function startEnrollment(user) {
+  const db = getDatabase();
+  const secret = totp.generateSecret();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE users
+      SET two_factor_secret = ?, two_factor_last_step = NULL
+      WHERE id = ? AND two_factor_enabled_at IS NULL
+    `;
+    
+    db.run(query, [secret, user.id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      if (this.changes === 0) {
+        return reject(new Error('Two-factor authentication is already enabled'));
+      }
+      
+      resolve({
+        secret,
+        otpauth_uri: totp.buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+      });
+    });
+  });
+}
+
+/**
+ * Accept a TOTP code, refusing codes from a time step that was already used
+ * 
+ * @param {number} user_id - User ID
+ * @param {string} secret - User's secret
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>} - True if the code was accepted
+ */
+function acceptTotp(user_id, secret, code) {
+  const db = getDatabase();
+  const step = totp.verifyCode(secret, code);
+  
+  if (step === null) {
+    return Promise.resolve(false);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE users
+      SET two_factor_last_step = ?
+      WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)
+    `;
+    
+    db.run(query, [step, user_id, step], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Replace a user's backup codes with a fresh set
+ * 
+ * @param {number} user_id - User ID
+ * @returns {Promise<Array<string>>} - New backup codes, shown to the user once
+ */
+function replaceBackupCodes(user_id) {
+  const db = getDatabase();
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+  
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('DELETE FROM two_factor_backup_codes WHERE user_id = ?', [user_id], (err) => {
+        if (err) {
+          return reject(err);
+        }
+      });
+      
+      const placeholders = codes.map(() => '(?, ?)').join(', ');
+      const params = codes.flatMap(code => [user_id, hashBackupCode(code)]);
+      
+      db.run(`INSERT INTO two_factor_backup_codes (user_id, code_hash) VALUES ${placeholders}`, params, (err) => {
+        if (err) {
+          return reject(err);
+        }
+        
+        resolve(codes);
+      });
+    });
+  });
+}
+
+/**
+ * Use up a backup code
+ * 
+ * @param {number} user_id - User ID
+ * @param {string} code - Backup code entered by the user
+ * @returns {Promise<boolean>} - True if the code was valid and unused
+ */
+function consumeBackupCode(user_id, code) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE two_factor_backup_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `;
+    
+    db.run(query, [user_id, hashBackupCode(code)], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Count a user's unused backup codes
+ * 
+ * @param {number} user_id - User ID
+ * @returns {Promise<number>}
+ */
+function countRemainingBackupCodes(user_id) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = 'SELECT COUNT(*) as count FROM two_factor_backup_codes WHERE user_id = ? AND used_at IS NULL';
+    
+    db.get(query, [user_id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(row.count);
+    });
+  });
+}
+
+/**
+ * Finish enrollment once the user proves their authenticator produces valid codes
+ * 
+ * @param {number} user_id - User ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Array<string>>} - Backup codes, shown to the user once
+ */
+async function confirmEnrollment(user_id, code) {
+  const db = getDatabase();
+  const state = await getState(user_id);
+  
+  if (!state || !state.secret) {
+    throw new Error('Two-factor setup has not been started');
+  }
+  
+  if (state.enabled_at) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+  
+  if (!(await acceptTotp(user_id, state.secret, code))) {
+    throw new Error('Invalid verification code');
+  }
+  
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [user_id],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+  
+  return replaceBackupCodes(user_id);
+}
+
+/**
+ * Check a second-factor code for a user with 2FA enabled
+ * Six-digit codes are checked as TOTP, anything else as a backup code
+ * 
+ * @param {number} user_id - User ID
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<string|null>} - 'totp' or 'backup_code' if accepted, otherwise null
+ */
+async function verifyCode(user_id, code) {
+  const state = await getState(user_id);
+  
+  if (!state || !state.enabled_at || !code) {
+    return null;
+  }
+  
+  if (/^\d{6}$/.test(String(code).replace(/\s/g, ''))) {
+    return (await acceptTotp(user_id, state.secret, code)) ? 'totp' : null;
+  }
+  
+  return (await consumeBackupCode(user_id, code)) ? 'backup_code' : null;
+}
+
+/**
+ * Turn off two-factor authentication and delete the backup codes
+ * 
+ * @param {number} user_id - User ID
+ * @returns {Promise<void>}
+ */
+function disable(user_id) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        'UPDATE users SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL WHERE id = ?',
+        [user_id],
+        (err) => {
+          if (err) {
+            return reject(err);
+          }
+        }
+      );
+      
+      db.run('DELETE FROM two_factor_backup_codes WHERE user_id = ?', [user_id], (err) => {
+        if (err) {
+          return reject(err);
+        }
+        
+        resolve();
+      });
+    });
+  });
+}
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifyCode,
+  replaceBackupCodes,
+  countRemainingBackupCodes,
+  disable
+};
@@ -7,6 +7,18 @@
 const bcrypt = require('bcryptjs');
 const { getDatabase } = require('./db');
 
+/**
+ * Strip credentials from a user row
+ * Never expose the password hash or the two-factor secret
+ * 
+ * @param {object} row - Row from the users table
+ * @returns {object} - User object without secrets
+ */
+function withoutSecrets(row) {
+  const { password, two_factor_secret, ...user } = row;
+  return user;
+}
+
 /**
  * Create a new user in the database
  * 
@@ -80,9 +92,7 @@ function findUserByUsername(username) {
         return resolve(null);
       }
       
-      // Never expose password hash
-      const { password, ...userWithoutPassword } = row;
-      resolve(userWithoutPassword);
+      resolve(withoutSecrets(row));
     });
   });
 }
@@ -108,9 +118,176 @@ function findUserById(id) {
         return resolve(null);
       }
       
-      // Never expose password hash
-      const { password, ...userWithoutPassword } = row;
-      resolve(userWithoutPassword);
+      resolve(withoutSecrets(row));
+    });
+  });
+}
+
+/**
+ * Find a user by their email address
+ * 
+ * @param {string} email - Email to search for
+ * @returns {Promise<object|null>} - User object or null if not found
+ */
+function findUserByEmail(email) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = 'SELECT * FROM users WHERE email = ?';
+    
+    db.get(query, [email], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      if (!row) {
+        return resolve(null);
+      }
+      
+      resolve(withoutSecrets(row));
+    });
+  });
+}
+
+/**
+ * Find a user by the identifier they log in with
+ * 
+ * @param {string} loginIdentifier - Username or email
+ * @returns {Promise<object|null>} - User object or null if not found
+ */
+function findUserByLoginIdentifier(loginIdentifier) {
+  return loginIdentifier.includes('@')
+    ? findUserByEmail(loginIdentifier)
+    : findUserByUsername(loginIdentifier);
+}
+
+/**
+ * Mark a user's email address as verified
+ * 
+ * @param {number} id - User ID
+ * @returns {Promise<boolean>} - True if the user was updated
+ */
+function markEmailVerified(id) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE users
+      SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+      WHERE id = ?
+    `;
+    
+    db.run(query, [id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Replace a user's password
+ * 
+ * @param {number} id - User ID
+ * @param {string} password - New password (will be hashed)
+ * @returns {Promise<boolean>} - True if the user was updated
+ */
+async function setPassword(id, password) {
+  const db = getDatabase();
+  
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
+  
+  return new Promise((resolve, reject) => {
+    const query = 'UPDATE users SET password = ? WHERE id = ?';
+    
+    db.run(query, [hashedPassword, id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+// Columns returned by the admin user directory; never includes credentials
+const DIRECTORY_COLUMNS = `
+  id, username, email, role, first_name, last_name, profile_image,
+  email_verified_at, two_factor_enabled_at IS NOT NULL as two_factor_enabled,
+  locked_until, created_at, updated_at
+`;
+
+/**
+ * Search users for the admin directory
+ * 
+ * @param {object} filters - Filter criteria
+ * @param {string} filters.search - Matches part of the username or email (optional)
+ * @param {string} filters.role - Exact role (optional)
+ * @param {string} filters.createdFrom - Earliest signup date, YYYY-MM-DD (optional)
+ * @param {string} filters.createdTo - Latest signup date, YYYY-MM-DD, inclusive (optional)
+ * @param {number} limit - Maximum number of users to return (default: 20)
+ * @param {number} offset - Number of users to skip (default: 0)
+ * @returns {Promise<object>} - { users, total } where total ignores limit and offset
+ */
+function searchUsers(filters = {}, limit = 20, offset = 0) {
+  const db = getDatabase();
+  const { search, role, createdFrom, createdTo } = filters;
+  
+  // Build query conditions
+  const conditions = [];
+  const params = [];
+  
+  if (search) {
+    // Escape LIKE wildcards so they match literally
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    conditions.push("(username LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\')");
+    params.push(pattern, pattern);
+  }
+  
+  if (role) {
+    conditions.push('role = ?');
+    params.push(role);
+  }
+  
+  if (createdFrom) {
+    conditions.push('date(created_at) >= date(?)');
+    params.push(createdFrom);
+  }
+  
+  if (createdTo) {
+    conditions.push('date(created_at) <= date(?)');
+    params.push(createdTo);
+  }
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT COUNT(*) as total FROM users ${where}`, params, (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      const query = `
+        SELECT ${DIRECTORY_COLUMNS}
+        FROM users
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `;
+      
+      db.all(query, [...params, limit, offset], (err, users) => {
+        if (err) {
+          return reject(err);
+        }
+        
+        resolve({
+          users: users.map(user => ({ ...user, two_factor_enabled: !!user.two_factor_enabled })),
+          total: row.total
+        });
+      });
     });
   });
 }
@@ -124,7 +301,7 @@ function findUserById(id) {
  */
 function updateUser(id, updates) {
   const db = getDatabase();
-  const allowedUpdates = ['username', 'email', 'role'];
+  const allowedUpdates = ['username', 'email', 'role', 'first_name', 'last_name', 'profile_image', 'phone', 'bio'];
   const updateFields = [];
   const updateValues = [];
   
@@ -140,6 +317,14 @@ function updateUser(id, updates) {
     return Promise.reject(new Error('No valid update fields provided'));
   }
   
+  // A new email address has to be verified again
+  if (updates.email !== undefined) {
+    updateFields.push('email_verified_at = CASE WHEN email = ? THEN email_verified_at ELSE NULL END');
+    updateValues.push(updates.email);
+  }
+  
+  updateFields.push('updated_at = CURRENT_TIMESTAMP');
+  
   return new Promise((resolve, reject) => {
     const query = `
       UPDATE users
@@ -218,10 +403,8 @@ async function verifyCredentials(loginIdentifier, password) {
           return resolve(null);
         }
         
-        // Never expose password hash
-        const { password: passwordHash, ...userWithoutPassword } = user;
         console.log('Successful login, returning user data');
-        resolve(userWithoutPassword);
+        resolve(withoutSecrets(user));
       } catch (error) {
         console.error('Error during password verification:', error.message);
         reject(error);
@@ -230,6 +413,80 @@ async function verifyCredentials(loginIdentifier, password) {
   });
 }
 
+/**
+ * Record a failed login for a user, locking the account once too many have failed
+ * 
+ * The failure counter restarts after each lockout, so every lockout
+ * gives the user a fresh set of attempts.
+ * 
+ * @param {number} id - User ID
+ * @param {object} options - Lockout settings
+ * @param {number} options.maxFailures - Failures that trigger a lockout
+ * @param {number} options.lockoutMinutes - How long the lockout lasts
+ * @returns {Promise<object>} - { failed_login_count, last_failed_login_at, locked_until }
+ */
+function recordFailedLogin(id, { maxFailures, lockoutMinutes }) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE users
+      SET failed_login_count = CASE WHEN failed_login_count + 1 >= ? THEN 0 ELSE failed_login_count + 1 END,
+          locked_until = CASE WHEN failed_login_count + 1 >= ? THEN datetime('now', ?) ELSE locked_until END,
+          last_failed_login_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    
+    db.run(query, [maxFailures, maxFailures, `+${lockoutMinutes} minutes`, id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      if (this.changes === 0) {
+        return reject(new Error('User not found'));
+      }
+      
+      db.get(
+        'SELECT failed_login_count, last_failed_login_at, locked_until FROM users WHERE id = ?',
+        [id],
+        (err, row) => {
+          if (err) {
+            return reject(err);
+          }
+          
+          resolve(row);
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Clear a user's failed login counter and any lockout
+ * 
+ * @param {number} id - User ID
+ * @returns {Promise<boolean>} - True if the user exists
+ */
+function clearFailedLogins(id) {
+  const db = getDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const query = `
+      UPDATE users
+      SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+      WHERE id = ?
+    `;
+    
+    db.run(query, [id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      
+      resolve(this.changes > 0);
+    });
+  });
+}
+
 /**
  * Delete a user by ID
  * 
@@ -256,7 +513,14 @@ module.exports = {
   createUser,
   findUserByUsername,
   findUserById,
+  findUserByEmail,
+  findUserByLoginIdentifier,
+  searchUsers,
+  markEmailVerified,
+  setPassword,
   updateUser,
   verifyCredentials,
+  recordFailedLogin,
+  clearFailedLogins,
   deleteUser
 }; 
\ No newline at end of file
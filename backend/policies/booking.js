@@ -0,0 +1,92 @@
+/**
+ * Booking Policy
+ * 
+ * Decides which users may create, view, confirm and cancel bookings.
+ * Booking objects are expected to carry the hostel's host_id
+ * (as returned by bookingModel.getBookingById).
+ */
+
+const { isAdmin, isOwner } = require('./hostel');
+
+/**
+ * Check whether a user is the guest who made a booking
+ * 
+ * @param {object} user - Authenticated user (req.user)
+ * @param {object} booking - Booking object with user_id
+ * @returns {boolean}
+ */
+function isGuest(user, booking) {
+  return !!user && !!booking && Number(booking.user_id) === Number(user.id);
+}
+
+/**
+ * Check whether a user hosts the hostel a booking belongs to
+ * 
+ * @param {object} user - Authenticated user
+ * @param {object} booking - Booking object with host_id
+ * @returns {boolean}
+ */
+function isHost(user, booking) {
+  return isOwner(user, booking);
+}
+
+/**
+ * Any authenticated user may book, except a host booking their own hostel
+ * 
+ * @param {object} user - Authenticated user
+ * @param {object} hostel - Hostel being booked
+ * @returns {boolean}
+ */
+function canCreate(user, hostel) {
+  return !!user && !isOwner(user, hostel);
+}
+
+/**
+ * The guest, the hostel's host and admins may view a booking
+ * 
+ * @param {object} user - Authenticated user
+ * @param {object} booking - Booking being viewed
+ * @returns {boolean}
+ */
+function canView(user, booking) {
+  return isAdmin(user) || isGuest(user, booking) || isHost(user, booking);
+}
+
+/**
+ * Decide whether a user may move a booking to the given status
+ * 
+ * - confirmed / completed: the hostel's host or an admin
+ * - cancelled: the guest, the hostel's host or an admin, while still active
+ * - pending: admins only, to reopen a cancelled booking
+ * 
+ * Which statuses a booking can move between is checked by bookingModel.updateBookingStatus
+ * 
+ * @param {object} user - Authenticated user
+ * @param {object} booking - Booking being updated
+ * @param {string} status - Requested status
+ * @returns {boolean}
+ */
+function canUpdateStatus(user, booking, status) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  
+  switch (status) {
+    case 'confirmed':
+    case 'completed':
+      return isHost(user, booking);
+    case 'cancelled':
+      return (isGuest(user, booking) || isHost(user, booking)) &&
+        (booking.status === 'pending' || booking.status === 'confirmed');
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  isGuest,
+  isHost,
+  canCreate,
+  canView,
+  canUpdateStatus
+};
@@ -0,0 +1,45 @@
+/**
+ * Host Onboarding Policy
+ *
+ * Decides which steps a new host must complete before listing hostels
+ */
+
+const twoFactorPolicy = require('./twoFactor');
+
+/**
+ * Build the onboarding checklist for a host
+ *
+ * @param {object} user - Authenticated user (req.user)
+ * @param {object|null} profile - Host profile from the model
+ * @returns {Array<object>} - Steps as { key, label, completed }
+ */
+function getChecklist(user, profile) {
+  const steps = [
+    { key: 'verify_email', label: 'Verify your email address', completed: !!user.email_verified },
+    { key: 'host_details', label: 'Add your legal name and phone number', completed: !!(profile && profile.details_completed_at) },
+    { key: 'payout_details', label: 'Tell us how you want to be paid', completed: !!(profile && profile.payout_completed_at) },
+    { key: 'accept_terms', label: 'Accept the hosting terms', completed: !!(profile && profile.terms_accepted_at) }
+  ];
+
+  if (twoFactorPolicy.isRequired({ role: 'host' })) {
+    steps.push({ key: 'two_factor', label: 'Turn on two-factor authentication', completed: !!user.two_factor_enabled });
+  }
+
+  return steps;
+}
+
+/**
+ * Check whether every onboarding step is done
+ *
+ * @param {object} user - Authenticated user (req.user)
+ * @param {object|null} profile - Host profile from the model
+ * @returns {boolean}
+ */
+function isComplete(user, profile) {
+  return getChecklist(user, profile).every(step => step.completed);
+}
+
+module.exports = {
+  getChecklist,
+  isComplete
+};
@@ -0,0 +1,114 @@
+/**
+ * Hostel Policy
+ * 
+ * Decides which users may create, edit, delete and manage hostels
+ */
+
+/**
+ * Check whether a user is an admin
+ * 
+ * @param {object} user - Authenticated user (req.user)
+ * @returns {boolean}
+ */
+function isAdmin(user) {
+  return !!user && user.role === 'admin';
+}
+
+/**
+ * Check whether a user is the host of a hostel
+ * 
+ * @param {object} user - Authenticated user (req.user)
+ * @param {object} hostel - Hostel object with host_id
+ * @returns {boolean}
+ */
+function isOwner(user, hostel) {
+  return !!user && !!hostel && Number(hostel.host_id) === Number(user.id);
+}
+
+/**
+ * Hosts and admins may create listings
+ * 
+ * @param {object} user - Authenticated user
+ * @returns {boolean}
+ */
+function canCreate(user) {
+  return !!user && (user.role === 'host' || isAdmin(user));
+}
+
+/**
+ * Only the hostel's host or an admin may edit it
+ * 
+ * @param {object} user - Authenticated user
+ * @param {object} hostel - Hostel being edited
+ * @returns {boolean}
+ */
+function canUpdate(user, hostel) {
+  return isAdmin(user) || isOwner(user, hostel);
+}
+
+/**
+ * Only the hostel's host or an admin may delete it
+ * 
+ * @param {object} user - Authenticated user
+ * @param {object} hostel - Hostel being deleted
+ * @returns {boolean}
+ */
+function canDelete(user, hostel) {
+  return isAdmin(user) || isOwner(user, hostel);
+}
+
+/**
+ * Only the hostel's host or an admin may restore it after it was deleted
+ * 
+ * @param {object} user - Authenticated user
+ * @param {object} hostel - Deleted hostel
+ * @returns {boolean}
+ */
+function canRestore(user, hostel) {
+  return isAdmin(user) || isOwner(user, hostel);
+}
+
+/**
+ * Published hostels are public; drafts and other unpublished listings are
+ * only visible to their host and to admins
+ * 
+ * @param {object} user - Authenticated user, or undefined for anonymous visitors
+ * @param {object} hostel - Hostel being viewed
+ * @returns {boolean}
+ */
+function canView(user, hostel) {
+  return hostel.status === 'published' || isAdmin(user) || isOwner(user, hostel);
+}
+
+/**
+ * Only admins may approve, reject, suspend and reinstate listings
+ * 
+ * @param {object} user - Authenticated user
+ * @returns {boolean}
+ */
+function canModerate(user) {
+  return isAdmin(user);
+}
+
+/**
+ * Only the hostel's host or an admin may see all bookings for it
+ * 
+ * @param {object} user - Authenticated user
+ * @param {object} hostel - Hostel whose bookings are requested
+ * @returns {boolean}
+ */
+function canViewBookings(user, hostel) {
+  return isAdmin(user) || isOwner(user, hostel);
+}
+
+module.exports = {
+  isAdmin,
+  isOwner,
+  canCreate,
+  canUpdate,
+  canDelete,
+  canRestore,
+  canView,
+  canModerate,
+  canViewBookings
+};
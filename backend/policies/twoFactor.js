@@ -0,0 +1,47 @@
+/**
+ * Two-Factor Policy
+ * 
+ * Decides which users must use two-factor authentication
+ */
+
+// Roles that must enable 2FA, e.g. TWO_FACTOR_REQUIRED_ROLES=host,admin
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+/**
+ * Check whether a user's role requires two-factor authentication
+ * 
+ * @param {object} user - User with role
+ * @returns {boolean}
+ */
+function isRequired(user) {
+  return !!user && REQUIRED_ROLES.includes(user.role);
+}
+
+/**
+ * Check whether a user still has to enroll before they can sign in
+ * 
+ * @param {object} user - User with role and two_factor_enabled_at
+ * @returns {boolean}
+ */
+function needsEnrollment(user) {
+  return isRequired(user) && !user.two_factor_enabled_at;
+}
+
+/**
+ * Users may turn 2FA off only when their role doesn't require it
+ * 
+ * @param {object} user - User with role
+ * @returns {boolean}
+ */
+function canDisable(user) {
+  return !isRequired(user);
+}
+
+module.exports = {
+  isRequired,
+  needsEnrollment,
+  canDisable
+};
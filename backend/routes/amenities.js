@@ -0,0 +1,27 @@
+/**
+ * Amenity Routes
+ *
+ * Express routes for the amenity catalog hostels pick their amenities from
+ */
+
+const express = require('express');
+const router = express.Router();
+const amenityModel = require('../models/amenity');
+
+/**
+ * @route   GET /api/amenities
+ * @desc    Get the amenity catalog
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const amenities = await amenityModel.getAmenities();
+
+    res.status(200).json({ amenities });
+  } catch (error) {
+    console.error('Get amenities error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve amenities' });
+  }
+});
+
+module.exports = router;
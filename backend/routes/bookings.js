@@ -8,34 +8,109 @@
 const express = require('express');
 const router = express.Router();
 const bookingModel = require('../models/booking');
+const hostelModel = require('../models/hostel');
+const roomTypeModel = require('../models/roomType');
+const pricingModel = require('../models/pricing');
+const policyModel = require('../models/policy');
+const hostelRevisionModel = require('../models/hostelRevision');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
+const bookingPolicy = require('../policies/booking');
+const hostelPolicy = require('../policies/hostel');
+const { validateStay } = require('../utils/validation');
 
 // Do not import './routes/messages' here - this causes MODULE_NOT_FOUND errors
 
 /**
- * @route   POST /api/bookings/add
- * @desc    Create a new booking
- * @access  Private (should have auth middleware)
+ * Look up the hostel and room type of a stay and price it
+ * Shared by quotes and new bookings so both see the same rules and the same price
+ * 
+ * @param {object} body - hostel_id, room_type_id (optional for single-room hostels), check_in_date, check_out_date, guests
+ * @returns {Promise<object>} - { hostel, roomType, quote }, or { status, error } if the stay can't be booked
  */
-router.post('/add', async (req, res) => {
+async function quoteStay(body) {
+  const { hostel_id, room_type_id, check_in_date, check_out_date } = body;
+  const guests = body.guests === undefined ? 1 : Number(body.guests);
+  
+  // Validate required fields
+  if (!hostel_id || !check_in_date || !check_out_date) {
+    return { status: 400, error: 'Hostel ID, check-in date and check-out date are required' };
+  }
+  
+  // Validate dates
+  const stay = validateStay(check_in_date, check_out_date);
+  if (stay.error) {
+    return { status: 400, error: stay.error };
+  }
+  
+  if (!Number.isInteger(guests) || guests < 1) {
+    return { status: 400, error: 'Guests must be a positive whole number' };
+  }
+  
+  const hostel = await hostelModel.getHostelById(hostel_id);
+  
+  // Only published listings take bookings
+  if (!hostel || hostel.status !== 'published') {
+    return { status: 404, error: 'Hostel not found' };
+  }
+  
+  // Hostels with a single room type can be booked without naming it
+  const roomTypes = await roomTypeModel.getRoomTypesByHostel(hostel.id);
+  const roomType = room_type_id
+    ? roomTypes.find(type => type.id === Number(room_type_id))
+    : (roomTypes.length === 1 ? roomTypes[0] : null);
+  
+  if (!roomType) {
+    return { status: 400, error: room_type_id ? 'Room type not found for this hostel' : 'Please choose a room type' };
+  }
+  
+  if (guests > roomType.total_beds) {
+    return { status: 400, error: `${roomType.name} sleeps at most ${roomType.total_beds} guests` };
+  }
+  
+  const quote = await pricingModel.getQuote(roomType, check_in_date, check_out_date, guests);
+  
+  // The host's calendar must be open for every night of the stay
+  if (quote.nights.some(night => !night.is_open)) {
+    return { status: 409, error: 'Some nights of this stay are not available' };
+  }
+  
+  // Minimum stays are set by arrival date
+  if (stay.nights < quote.min_stay) {
+    return { status: 400, error: `Stays arriving on ${check_in_date} must be at least ${quote.min_stay} nights` };
+  }
+  
+  return { hostel, roomType, quote };
+}
+
+/**
+ * @route   POST /api/bookings/quote
+ * @desc    Price a stay with a line-item breakdown, without booking it
+ * @access  Public
+ */
+router.post('/quote', async (req, res) => {
   try {
-    const { user_id, hostel_id, check_in_date, check_out_date, total_price, status } = req.body;
-    
-    // Validate required fields
-    if (!user_id || !hostel_id || !check_in_date || !check_out_date || total_price === undefined) {
-      return res.status(400).json({ error: 'User ID, hostel ID, check-in date, check-out date, and total price are required' });
-    }
+    const { quote, status, error } = await quoteStay(req.body);
     
-    // Validate dates
-    const checkIn = new Date(check_in_date);
-    const checkOut = new Date(check_out_date);
-    
-    if (isNaN(checkIn.getTime()) || isNaN(checkOut.getTime())) {
-      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD format' });
+    if (error) {
+      return res.status(status).json({ error });
     }
     
-    if (checkIn >= checkOut) {
-      return res.status(400).json({ error: 'Check-in date must be before check-out date' });
-    }
+    res.status(200).json({ quote });
+  } catch (error) {
+    console.error('Quote booking error:', error.message);
+    res.status(500).json({ error: 'Failed to price this stay' });
+  }
+});
+
+/**
+ * @route   POST /api/bookings/add
+ * @desc    Create a booking for a number of guests in one room type of a hostel, at the quoted price
+ *          and under the hostel's current cancellation policy
+ * @access  Private (verified email required)
+ */
+router.post('/add', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { status } = req.body;
     
     // Validate status if provided
     const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
@@ -43,25 +118,54 @@ router.post('/add', async (req, res) => {
       return res.status(400).json({ error: 'Invalid status. Must be pending, confirmed, cancelled, or completed' });
     }
     
-    // Create booking
+    // Only admins may create a booking in any state other than pending
+    if (status && status !== 'pending' && !hostelPolicy.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'New bookings must be pending until the host confirms them' });
+    }
+    
+    const stay = await quoteStay(req.body);
+    
+    if (stay.error) {
+      return res.status(stay.status).json({ error: stay.error });
+    }
+    
+    const { hostel, roomType, quote } = stay;
+    
+    if (!bookingPolicy.canCreate(req.user, hostel)) {
+      return res.status(403).json({ error: 'You cannot book your own hostel' });
+    }
+    
+    const policies = await policyModel.getPolicies(hostel.id);
+    
+    // Remember which version of the listing the guest booked, in case of disputes
+    const listingRevision = await hostelRevisionModel.getCurrentRevision(hostel.id);
+    
+    // The price always comes from the quote; any total_price in the request is ignored
     const booking = await bookingModel.createBooking(
-      user_id,
-      hostel_id,
-      check_in_date,
-      check_out_date,
-      total_price,
-      status || 'pending'
+      req.user.id,
+      hostel.id,
+      quote.check_in_date,
+      quote.check_out_date,
+      quote.total,
+      status || 'pending',
+      roomType.id,
+      quote.beds,
+      policies.cancellation_policy,
+      listingRevision
     );
     
+    // The confirmation repeats the house rules and check-in details the guest agreed to
     res.status(201).json({
       message: 'Booking created successfully',
-      booking
+      booking,
+      quote,
+      policies
     });
   } catch (error) {
     console.error('Create booking error:', error.message);
     
     // Handle specific errors
-    if (error.message.includes('overlap')) {
+    if (error.message.includes('available')) {
       return res.status(409).json({ error: error.message });
     }
     
@@ -71,16 +175,13 @@ router.post('/add', async (req, res) => {
 
 /**
  * @route   GET /api/bookings/user
- * @desc    Get bookings by user ID
- * @access  Private (should have auth middleware)
+ * @desc    Get bookings for the current user
+ * @access  Private
  */
-router.get('/user', async (req, res) => {
+router.get('/user', authenticate, async (req, res) => {
   try {
-    const { user_id, status } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const { status } = req.query;
+    const user_id = req.user.id;
     
     // Validate status if provided
     const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
@@ -104,9 +205,9 @@ router.get('/user', async (req, res) => {
 /**
  * @route   GET /api/bookings/hostel
  * @desc    Get bookings by hostel ID
- * @access  Private (should have auth middleware, hostel owner only)
+ * @access  Private (hostel owner or admin)
  */
-router.get('/hostel', async (req, res) => {
+router.get('/hostel', authenticate, async (req, res) => {
   try {
     const { hostel_id, status } = req.query;
     
@@ -114,6 +215,17 @@ router.get('/hostel', async (req, res) => {
       return res.status(400).json({ error: 'Hostel ID is required' });
     }
     
+    // Bookings of deleted hostels stay visible to their host
+    const hostel = await hostelModel.getHostelById(hostel_id, true);
+    
+    if (!hostel) {
+      return res.status(404).json({ error: 'Hostel not found' });
+    }
+    
+    if (!hostelPolicy.canViewBookings(req.user, hostel)) {
+      return res.status(403).json({ error: 'You can only view bookings for your own hostels' });
+    }
+    
     // Validate status if provided
     const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
     if (status && !validStatuses.includes(status)) {
@@ -135,16 +247,12 @@ router.get('/hostel', async (req, res) => {
 
 /**
  * @route   GET /api/bookings/upcoming
- * @desc    Get upcoming bookings for a user
- * @access  Private (should have auth middleware)
+ * @desc    Get upcoming bookings for the current user
+ * @access  Private
  */
-router.get('/upcoming', async (req, res) => {
+router.get('/upcoming', authenticate, async (req, res) => {
   try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const user_id = req.user.id;
     
     // Get upcoming bookings
     const bookings = await bookingModel.getUpcomingBookings(user_id);
@@ -161,16 +269,12 @@ router.get('/upcoming', async (req, res) => {
 
 /**
  * @route   GET /api/bookings/past
- * @desc    Get past bookings for a user
- * @access  Private (should have auth middleware)
+ * @desc    Get past bookings for the current user
+ * @access  Private
  */
-router.get('/past', async (req, res) => {
+router.get('/past', authenticate, async (req, res) => {
   try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const user_id = req.user.id;
     
     // Get past bookings
     const bookings = await bookingModel.getPastBookings(user_id);
@@ -188,9 +292,9 @@ router.get('/past', async (req, res) => {
 /**
  * @route   PUT /api/bookings/:id/status
  * @desc    Update a booking's status
- * @access  Private (should have auth middleware)
+ * @access  Private (host confirms/completes, guest or host cancels)
  */
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', authenticate, async (req, res) => {
   try {
     const bookingId = req.params.id;
     const { status } = req.body;
@@ -201,6 +305,16 @@ router.put('/:id/status', async (req, res) => {
       return res.status(400).json({ error: 'Valid status is required' });
     }
     
+    const booking = await bookingModel.getBookingById(bookingId);
+    
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    if (!bookingPolicy.canUpdateStatus(req.user, booking, status)) {
+      return res.status(403).json({ error: `You are not allowed to mark this booking as ${status}` });
+    }
+    
     // Update booking status
     const updatedBooking = await bookingModel.updateBookingStatus(bookingId, status);
     
@@ -215,6 +329,11 @@ router.put('/:id/status', async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
     
+    // Moves that aren't allowed from the current status, or a reopened booking whose beds were taken
+    if (error.message.includes("can't be marked") || error.message.includes('available')) {
+      return res.status(409).json({ error: error.message });
+    }
+    
     res.status(500).json({ error: 'Failed to update booking status' });
   }
 });
@@ -222,9 +341,9 @@ router.put('/:id/status', async (req, res) => {
 /**
  * @route   GET /api/bookings/:id
  * @desc    Get a booking by ID
- * @access  Private (should have auth middleware)
+ * @access  Private (guest, hostel owner or admin)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticate, async (req, res) => {
   try {
     const bookingId = req.params.id;
     
@@ -234,6 +353,10 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
     
+    if (!bookingPolicy.canView(req.user, booking)) {
+      return res.status(403).json({ error: 'You can only view your own bookings' });
+    }
+    
     res.status(200).json({ booking });
   } catch (error) {
     console.error('Get booking error:', error.message);
@@ -5,43 +5,592 @@
  */
 
 const express = require('express');
+const path = require('path');
 const router = express.Router();
 const hostelModel = require('../models/hostel');
+const hostelImageModel = require('../models/hostelImage');
+const amenityModel = require('../models/amenity');
+const roomTypeModel = require('../models/roomType');
+const bookingModel = require('../models/booking');
+const availabilityModel = require('../models/availability');
+const pricingModel = require('../models/pricing');
+const policyModel = require('../models/policy');
+const hostelRevisionModel = require('../models/hostelRevision');
+const hostelSearchModel = require('../models/hostelSearch');
+const hostProfileModel = require('../models/hostProfile');
+const userModel = require('../models/user');
+const { authenticate, optionalAuthenticate, requireVerifiedEmail } = require('../middleware/auth');
+const { UPLOAD_ROOT, createImageUpload, handleUpload, uploadUrl, removeUpload } = require('../middleware/upload');
+const { createThumbnail } = require('../utils/images');
+const hostelPolicy = require('../policies/hostel');
+const hostOnboardingPolicy = require('../policies/hostOnboarding');
+const { validateDateRange, validateStay, validatePricingRules, parseBoundingBox, timeRegex } = require('../utils/validation');
+const mail = require('../mail');
+const geocoding = require('../geocoding');
+const mailTemplates = require('../mail/templates');
+
+// Confirmation returned by each listing status change
+const STATUS_MESSAGES = {
+  submit: 'Listing submitted for review',
+  withdraw: 'Listing withdrawn from review',
+  approve: 'Listing approved and published',
+  reject: 'Listing sent back to the host',
+  suspend: 'Listing suspended',
+  reinstate: 'Listing reinstated',
+  archive: 'Listing archived',
+  unarchive: 'Listing moved back to drafts'
+};
+
+// Longest text accepted for the location and each address field
+const ADDRESS_LIMITS = {
+  location: 200,
+  street: 200,
+  city: 100,
+  region: 100,
+  country: 100,
+  postal_code: 20
+};
+
+// Largest search radius in km
+const MAX_SEARCH_RADIUS_KM = 500;
+
+// Hostel photos are stored in uploads/hostels, thumbnails in uploads/hostels/thumbs
+const hostelImageUpload = createImageUpload('hostels', { maxFiles: 10 });
+const THUMBNAIL_DIR = path.join(UPLOAD_ROOT, 'hostels', 'thumbs');
 
 /**
- * @route   POST /api/hostels/add
- * @desc    Create a new hostel
- * @access  Private (should have auth middleware, host only)
+ * Load the hostel in req.params.id into req.hostel, allowing only users who may edit it
+ * Runs before any upload so files from other users are never stored
  */
-router.post('/add', async (req, res) => {
+async function loadEditableHostel(req, res, next) {
   try {
-    const { name, location, price, host_id, images, description, amenities } = req.body;
+    const hostel = await hostelModel.getHostelById(req.params.id);
     
-    // Validate required fields
-    if (!name || !location || !price || !host_id) {
-      return res.status(400).json({ error: 'Name, location, price, and host_id are required' });
+    if (!hostel) {
+      return res.status(404).json({ error: 'Hostel not found' });
+    }
+    
+    if (!hostelPolicy.canUpdate(req.user, hostel)) {
+      return res.status(403).json({ error: 'You can only edit your own hostels' });
+    }
+    
+    req.hostel = hostel;
+    next();
+  } catch (error) {
+    console.error('Load hostel error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve hostel' });
+  }
+}
+
+/**
+ * Load the hostel in req.params.id into req.hostel if the user may see it
+ * Unpublished listings look like missing ones to everyone but their host and admins
+ */
+async function loadVisibleHostel(req, res, next) {
+  try {
+    const hostel = await hostelModel.getHostelById(req.params.id);
+    
+    if (!hostel || !hostelPolicy.canView(req.user, hostel)) {
+      return res.status(404).json({ error: 'Hostel not found' });
     }
     
-    // Validate price is a number and positive
+    req.hostel = hostel;
+    next();
+  } catch (error) {
+    console.error('Load hostel error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve hostel' });
+  }
+}
+
+/**
+ * Delete the files of a hostel image
+ * 
+ * @param {object} image - Image with image_url and thumbnail_url
+ * @returns {Promise<void>}
+ */
+async function removeImageFiles(image) {
+  await removeUpload(image.image_url);
+  await removeUpload(image.thumbnail_url);
+}
+
+/**
+ * Parse a list of amenity IDs given as an array or a comma-separated string
+ * 
+ * @param {Array|string} value - Amenity IDs
+ * @returns {Array<number>|null} - Unique IDs, or null if any entry isn't a positive integer
+ */
+function parseAmenityIds(value) {
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  const ids = entries.map(entry => Number(String(entry).trim()));
+  
+  if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    return null;
+  }
+  
+  return [...new Set(ids)];
+}
+
+/**
+ * Check the amenities given when creating or updating a hostel
+ * 
+ * @param {*} amenities - Value from the request body
+ * @returns {Promise<object>} - { amenityIds } or { error } if the list is invalid
+ */
+async function validateAmenities(amenities) {
+  const amenityIds = Array.isArray(amenities) ? parseAmenityIds(amenities) : null;
+  
+  if (!amenityIds) {
+    return { error: 'Amenities must be a list of amenity IDs from /api/amenities' };
+  }
+  
+  const unknown = await amenityModel.findUnknownAmenityIds(amenityIds);
+  if (unknown.length > 0) {
+    return { error: `Unknown amenity IDs: ${unknown.join(', ')}` };
+  }
+  
+  return { amenityIds };
+}
+
+/**
+ * Check the fields of a room type
+ * 
+ * @param {object} input - Request body
+ * @param {boolean} partial - Whether missing fields are allowed (updates)
+ * @returns {object} - { fields } with the cleaned values, or { errors } keyed by field
+ */
+function validateRoomType(input, partial = false) {
+  const { name, kind, room_count, beds_per_room, price, description } = input || {};
+  const errors = {};
+  const fields = {};
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+  
+  if (isSet(name) || !partial) {
+    if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 100) {
+      errors.name = 'Name must be between 2 and 100 characters';
+    } else {
+      fields.name = name.trim();
+    }
+  }
+  
+  if (isSet(kind) || !partial) {
+    if (!roomTypeModel.ROOM_KINDS.includes(kind)) {
+      errors.kind = `Kind must be one of: ${roomTypeModel.ROOM_KINDS.join(', ')}`;
+    } else {
+      fields.kind = kind;
+    }
+  }
+  
+  // Private rooms default to a single room
+  const countValue = isSet(room_count) ? room_count : (partial ? undefined : 1);
+  if (countValue !== undefined) {
+    const count = Number(countValue);
+    if (!Number.isInteger(count) || count < 1 || count > 500) {
+      errors.room_count = 'Number of rooms must be a whole number between 1 and 500';
+    } else {
+      fields.room_count = count;
+    }
+  }
+  
+  if (isSet(beds_per_room) || !partial) {
+    const beds = Number(beds_per_room);
+    if (!Number.isInteger(beds) || beds < 1 || beds > 50) {
+      errors.beds_per_room = 'Beds per room must be a whole number between 1 and 50';
+    } else {
+      fields.beds_per_room = beds;
+    }
+  }
+  
+  if (isSet(price) || !partial) {
     const numPrice = parseFloat(price);
     if (isNaN(numPrice) || numPrice <= 0) {
-      return res.status(400).json({ error: 'Price must be a positive number' });
+      errors.price = 'Price must be a positive number';
+    } else {
+      fields.price = numPrice;
+    }
+  }
+  
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > 1000)) {
+      errors.description = 'Description must be at most 1000 characters';
+    } else {
+      fields.description = description ? description.trim() : null;
+    }
+  }
+  
+  return Object.keys(errors).length > 0 ? { errors } : { fields };
+}
+
+/**
+ * Check a hostel's location, address fields and coordinates
+ * Only fields present in the input are returned; coordinates must be given together
+ * 
+ * @param {object} input - Request body
+ * @returns {object} - { fields } with the trimmed values, or { errors } keyed by field
+ */
+function validateAddress(input) {
+  const errors = {};
+  const fields = {};
+  
+  for (const [field, maxLength] of Object.entries(ADDRESS_LIMITS)) {
+    const value = input[field];
+    
+    if (value === undefined || value === null) {
+      continue;
+    }
+    
+    if (typeof value !== 'string' || value.trim().length > maxLength) {
+      const label = field[0].toUpperCase() + field.slice(1).replace('_', ' ');
+      errors[field] = `${label} must be text of at most ${maxLength} characters`;
+    } else if (value.trim()) {
+      fields[field] = value.trim();
+    }
+  }
+  
+  const { latitude, longitude } = input;
+  const hasLatitude = latitude !== undefined && latitude !== null && latitude !== '';
+  const hasLongitude = longitude !== undefined && longitude !== null && longitude !== '';
+  
+  if (hasLatitude !== hasLongitude) {
+    errors[hasLatitude ? 'longitude' : 'latitude'] = 'Latitude and longitude must be given together';
+  } else if (hasLatitude) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+      errors.latitude = 'Latitude must be a number between -90 and 90';
+    }
+    if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+      errors.longitude = 'Longitude must be a number between -180 and 180';
+    }
+    
+    fields.latitude = lat;
+    fields.longitude = lng;
+  }
+  
+  return Object.keys(errors).length > 0 ? { errors } : { fields };
+}
+
+/**
+ * Check a hostel's house rules and policies
+ * Optional policies are cleared with null; quiet hours are set as a pair
+ * 
+ * @param {object} input - Request body
+ * @returns {object} - { fields } with the cleaned values, or { errors } keyed by field
+ */
+function validatePolicies(input) {
+  const errors = {};
+  const fields = {};
+  const isEmpty = value => value === null || value === '';
+  
+  for (const field of ['check_in_from', 'check_out_until', 'check_in_until', 'quiet_hours_start', 'quiet_hours_end']) {
+    const value = input[field];
+    const optional = !['check_in_from', 'check_out_until'].includes(field);
+    
+    if (value === undefined) {
+      continue;
+    }
+    
+    if (optional && isEmpty(value)) {
+      fields[field] = null;
+    } else if (typeof value !== 'string' || !timeRegex.test(value)) {
+      errors[field] = 'Please enter a time as HH:MM';
+    } else {
+      fields[field] = value;
+    }
+  }
+  
+  const quietHoursChecked = !errors.quiet_hours_start && !errors.quiet_hours_end;
+  if (quietHoursChecked && (('quiet_hours_start' in fields) !== ('quiet_hours_end' in fields) ||
+      (fields.quiet_hours_start === null) !== (fields.quiet_hours_end === null))) {
+    errors.quiet_hours_end = 'Quiet hours need both a start and an end';
+  }
+  
+  for (const field of ['min_age', 'max_age']) {
+    const value = input[field];
+    
+    if (value === undefined) {
+      continue;
+    }
+    
+    if (isEmpty(value)) {
+      fields[field] = null;
+    } else if (!Number.isInteger(Number(value)) || Number(value) < 0 || Number(value) > 99) {
+      errors[field] = 'Age must be a whole number between 0 and 99';
+    } else {
+      fields[field] = Number(value);
+    }
+  }
+  
+  if (typeof fields.min_age === 'number' && typeof fields.max_age === 'number' && fields.min_age > fields.max_age) {
+    errors.max_age = 'Maximum age must not be below the minimum age';
+  }
+  
+  for (const [field, options] of Object.entries(policyModel.POLICY_OPTIONS)) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    
+    if (!options.includes(input[field])) {
+      errors[field] = `Must be one of: ${options.join(', ')}`;
+    } else {
+      fields[field] = input[field];
+    }
+  }
+  
+  if (input.house_rules !== undefined) {
+    if (isEmpty(input.house_rules)) {
+      fields.house_rules = null;
+    } else if (typeof input.house_rules !== 'string' || input.house_rules.trim().length > 2000) {
+      errors.house_rules = 'House rules must be text of at most 2000 characters';
+    } else {
+      fields.house_rules = input.house_rules.trim();
+    }
+  }
+  
+  return Object.keys(errors).length > 0 ? { errors } : { fields };
+}
+
+/**
+ * List what a hostel still needs before it can be submitted for review
+ * 
+ * @param {object} hostel - Hostel object
+ * @returns {Promise<Array<string>>} - Descriptions of the missing parts, empty if none
+ */
+async function findMissingForReview(hostel) {
+  const missing = [];
+  
+  if (!hostel.description || !hostel.description.trim()) {
+    missing.push('Add a description');
+  }
+  
+  if ((await hostelImageModel.getImagesByHostel(hostel.id)).length === 0) {
+    missing.push('Upload at least one photo');
+  }
+  
+  if ((await roomTypeModel.getRoomTypesByHostel(hostel.id)).length === 0) {
+    missing.push('Add at least one room');
+  }
+  
+  return missing;
+}
+
+/**
+ * Build the handler of a listing status change route (runs after loadEditableHostel)
+ * Moderation actions are for admins, and the host is emailed about them
+ * 
+ * @param {string} action - Key of hostelModel.STATUS_TRANSITIONS
+ * @returns {Function} - Express route handler
+ */
+function changeStatus(action) {
+  const transition = hostelModel.STATUS_TRANSITIONS[action];
+  
+  return async (req, res) => {
+    try {
+      if (transition.moderation && !hostelPolicy.canModerate(req.user)) {
+        return res.status(403).json({ error: 'Only admins can review listings' });
+      }
+      
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+      
+      if (transition.reasonRequired && reason.length < 5) {
+        return res.status(400).json({ error: 'Please give the host a reason (at least 5 characters)' });
+      }
+      
+      if (reason.length > 1000) {
+        return res.status(400).json({ error: 'Reason must be at most 1000 characters' });
+      }
+      
+      if (!transition.from.includes(req.hostel.status)) {
+        return res.status(409).json({
+          error: `Listings that are ${req.hostel.status.replace('_', ' ')} can't be changed this way`,
+          status: req.hostel.status
+        });
+      }
+      
+      if (action === 'submit') {
+        const missing = await findMissingForReview(req.hostel);
+        if (missing.length > 0) {
+          return res.status(400).json({ error: 'Please finish your listing before submitting it for review', missing });
+        }
+      }
+      
+      const hostel = await hostelModel.changeHostelStatus(req.hostel.id, action, req.user.id, reason || null);
+      
+      if (!hostel) {
+        return res.status(409).json({ error: 'This listing was changed in the meantime. Please reload it and try again' });
+      }
+      
+      // Let the host know how the review went; the change stands even if the email fails
+      if (transition.moderation) {
+        try {
+          const host = await userModel.findUserById(hostel.host_id);
+          if (host && host.email) {
+            await mail.sendMail({ to: host.email, ...mailTemplates.listingStatusEmail(host, hostel, action, reason) });
+          }
+        } catch (error) {
+          console.error('Listing status email error:', error.message);
+        }
+      }
+      
+      res.status(200).json({ message: STATUS_MESSAGES[action], hostel });
+    } catch (error) {
+      console.error('Change hostel status error:', error.message);
+      res.status(500).json({ error: 'Failed to update listing status' });
+    }
+  };
+}
+
+/**
+ * Work out which room type calendar rules apply to
+ * 
+ * @param {number} hostel_id - Hostel ID
+ * @param {*} room_type_id - Room type ID from the request, if any
+ * @returns {Promise<number|null|undefined>} - Room type ID, null for the whole hostel, undefined if it isn't the hostel's
+ */
+async function findRoomTypeScope(hostel_id, room_type_id) {
+  if (room_type_id === undefined || room_type_id === null || room_type_id === '') {
+    return null;
+  }
+  
+  const roomType = await roomTypeModel.getRoomTypeById(room_type_id);
+  return roomType && roomType.hostel_id === hostel_id ? roomType.id : undefined;
+}
+
+/**
+ * Refuse to delete a hostel whose guests hold confirmed bookings, listing them
+ * 
+ * @param {object} res - Express response
+ * @param {Array<object>} bookings - Open bookings of the hostel
+ * @returns {object} - The 409 response
+ */
+function confirmedBookingsConflict(res, bookings) {
+  return res.status(409).json({
+    error: 'This hostel has upcoming confirmed bookings. Cancel them to delete it',
+    bookings: bookings
+      .filter(booking => booking.status === 'confirmed')
+      .map(booking => ({
+        id: booking.id,
+        user_name: booking.user_name,
+        room_type_name: booking.room_type_name,
+        beds: booking.beds,
+        check_in_date: booking.check_in_date,
+        check_out_date: booking.check_out_date
+      }))
+  });
+}
+
+/**
+ * @route   POST /api/hostels/add
+ * @desc    Create a new hostel with its room types (a single private room at the given price if none are given),
+ *          located by a free-text location or by street, city, region, country and postal_code
+ * @access  Private (onboarded host or admin with a verified email)
+ */
+router.post('/add', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    if (!hostelPolicy.canCreate(req.user)) {
+      return res.status(403).json({ error: 'Only hosts can create hostels' });
+    }
+    
+    // Onboarding not recorded as finished is checked against the steps themselves, since the
+    // last one done (verifying the email or turning on two-factor) may have happened outside it
+    if (req.user.role === 'host') {
+      const profile = await hostProfileModel.getHostProfile(req.user.id);
+      
+      if (!(profile && profile.onboarding_completed_at)) {
+        if (!hostOnboardingPolicy.isComplete(req.user, profile)) {
+          return res.status(403).json({ error: 'Please finish host onboarding before listing a hostel' });
+        }
+        
+        await hostProfileModel.completeOnboarding(req.user.id);
+      }
+    }
+    
+    const { name, location, city, price, images, description, amenities, room_types } = req.body;
+    const host_id = req.user.id;
+    
+    // Validate required fields
+    if (!name || (!location && !city) || (!price && room_types === undefined)) {
+      return res.status(400).json({ error: 'Name, location or city, and price or room types are required' });
+    }
+    
+    const addressResult = validateAddress(req.body);
+    if (addressResult.errors) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors: addressResult.errors });
+    }
+    
+    let roomTypes;
+    if (room_types !== undefined) {
+      if (!Array.isArray(room_types) || room_types.length === 0) {
+        return res.status(400).json({ error: 'Room types must be a non-empty list' });
+      }
+      
+      roomTypes = [];
+      for (const [index, input] of room_types.entries()) {
+        const result = validateRoomType(input);
+        if (result.errors) {
+          return res.status(400).json({
+            error: `Room type ${index + 1}: ${Object.values(result.errors)[0]}`,
+            errors: result.errors
+          });
+        }
+        roomTypes.push(result.fields);
+      }
+    } else {
+      // Validate price is a number and positive
+      const numPrice = parseFloat(price);
+      if (isNaN(numPrice) || numPrice <= 0) {
+        return res.status(400).json({ error: 'Price must be a positive number' });
+      }
+      
+      roomTypes = [{ name: 'Private room', kind: 'private', room_count: 1, beds_per_room: 1, price: numPrice }];
+    }
+    
+    let amenityIds = [];
+    if (amenities !== undefined) {
+      const result = await validateAmenities(amenities);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      amenityIds = result.amenityIds;
     }
     
+    // Fill in the address from the location (or the other way round) and place the hostel on the map
+    const address = await geocoding.resolveAddress(addressResult.fields);
+    
     // Create hostel
     const hostel = await hostelModel.addHostel(
       name, 
-      location, 
-      numPrice, 
+      address.location, 
+      Math.min(...roomTypes.map(roomType => roomType.price)), 
       host_id, 
       images || [], 
       description, 
-      amenities
+      amenityIds,
+      address
     );
     
+    for (const roomType of roomTypes) {
+      await roomTypeModel.createRoomType(hostel.id, roomType);
+    }
+    
+    // Image URLs given up front become the start of the gallery
+    const imageUrls = Array.isArray(images) ? images.filter(url => typeof url === 'string' && url.trim()) : [];
+    if (imageUrls.length > 0) {
+      await hostelImageModel.addImages(
+        hostel.id,
+        imageUrls.slice(0, hostelImageModel.MAX_IMAGES_PER_HOSTEL).map(url => ({ image_url: url.trim() }))
+      );
+    }
+    
+    // The listing as created is its first revision
+    await hostelRevisionModel.getCurrentRevision(hostel.id, req.user.id);
+    
+    const created = await hostelModel.getHostelById(hostel.id);
+    created.room_types = await roomTypeModel.getRoomTypesByHostel(hostel.id);
+    
     res.status(201).json({
       message: 'Hostel created successfully',
-      hostel
+      hostel: created
     });
   } catch (error) {
     console.error('Create hostel error:', error.message);
@@ -73,31 +622,155 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/hostels/search
- * @desc    Search hostels with filters
+ * @desc    Search hostels with filters (q, location text, city, country, minPrice, maxPrice, minRating,
+ *          room_kind, amenities, radius in km around lat and lng, bbox as min_lng,min_lat,max_lng,max_lat),
+ *          sorted by sort (relevance, newest,
+ *          price_asc, price_desc, rating or distance from lat and lng), with the total number of matches and
+ *          page metadata in pagination. With lat and lng each result has distance_km. q is a full-text
+ *          search over names, descriptions, locations and amenities, ranked by relevance, with each result's
+ *          matches highlighted in search.name and search.snippet ([{ text, match }]). With check_in and
+ *          check_out (and optionally guests, default 1) only hostels that can take the stay are returned,
+ *          each with the price of the stay in its cheapest suitable room type. With facets=true the
+ *          response also counts the matches by amenity, price range, rating, city and kind of room in facets
  * @access  Public
  */
 router.get('/search', async (req, res) => {
   try {
     // Extract search parameters
-    const { location, maxPrice, amenities } = req.query;
+    const {
+      q, location, city, country, minPrice, maxPrice, minRating, room_kind, amenities,
+      check_in, check_out, sort, lat, lng, radius, bbox, facets
+    } = req.query;
     
     // Pagination parameters
-    const limit = parseInt(req.query.limit) || 10;
-    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
     const offset = (page - 1) * limit;
     
+    if (sort !== undefined && !hostelModel.SEARCH_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Sort must be one of: ${hostelModel.SEARCH_SORTS.join(', ')}` });
+    }
+    
+    const prices = [minPrice, maxPrice].filter(value => value !== undefined && value !== '').map(Number);
+    if (prices.some(value => isNaN(value) || value < 0)) {
+      return res.status(400).json({ error: 'Prices must be numbers of 0 or more' });
+    }
+    if (minPrice && maxPrice && Number(minPrice) > Number(maxPrice)) {
+      return res.status(400).json({ error: 'Minimum price must not be above maximum price' });
+    }
+    
+    if (minRating !== undefined && (minRating === '' || isNaN(Number(minRating)) || minRating < 0 || minRating > 5)) {
+      return res.status(400).json({ error: 'Minimum rating must be a number from 0 to 5' });
+    }
+    
+    if (room_kind !== undefined && !roomTypeModel.ROOM_KINDS.includes(room_kind)) {
+      return res.status(400).json({ error: `Room kind must be one of: ${roomTypeModel.ROOM_KINDS.join(', ')}` });
+    }
+    
     // Build filters object
     const filters = {};
+    if (q && q.trim()) filters.q = q.trim();
     if (location) filters.location = location;
+    if (city) filters.city = city;
+    // Countries can be searched by any name or code the gazetteer knows ("UK", "DE")
+    if (country) filters.country = geocoding.findCountry(country) || country;
+    if (minPrice) filters.minPrice = parseFloat(minPrice);
     if (maxPrice) filters.maxPrice = parseFloat(maxPrice);
-    if (amenities) filters.amenities = amenities;
+    if (minRating !== undefined) filters.minRating = Number(minRating);
+    if (room_kind) filters.room_kind = room_kind;
+    if (sort) filters.sort = sort;
+    if (amenities) {
+      filters.amenities = parseAmenityIds(amenities);
+      if (!filters.amenities) {
+        return res.status(400).json({ error: 'Amenities must be a comma-separated list of amenity IDs' });
+      }
+    }
+    
+    // Distances are measured from lat and lng
+    if (lat !== undefined || lng !== undefined) {
+      const latitude = Number(lat);
+      const longitude = Number(lng);
+      
+      if (lat === '' || lng === '' || isNaN(latitude) || isNaN(longitude) ||
+          Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return res.status(400).json({ error: 'lat and lng must be a latitude and longitude' });
+      }
+      
+      filters.near = { latitude, longitude };
+    } else if (sort === 'distance' || radius !== undefined) {
+      return res.status(400).json({ error: 'Sorting or searching by distance needs lat and lng' });
+    }
+    
+    if (radius !== undefined) {
+      const radius_km = Number(radius);
+      
+      if (radius === '' || isNaN(radius_km) || radius_km <= 0 || radius_km > MAX_SEARCH_RADIUS_KM) {
+        return res.status(400).json({ error: `Radius must be a distance in km up to ${MAX_SEARCH_RADIUS_KM}` });
+      }
+      
+      filters.radius_km = radius_km;
+    }
+    
+    if (bbox !== undefined) {
+      filters.bbox = parseBoundingBox(bbox);
+      if (!filters.bbox) {
+        return res.status(400).json({ error: 'bbox must be min_lng,min_lat,max_lng,max_lat' });
+      }
+    }
+    
+    if (check_in || check_out || req.query.guests !== undefined) {
+      if (!check_in || !check_out) {
+        return res.status(400).json({ error: 'Check-in and check-out dates are required to search by dates' });
+      }
+      
+      const stay = validateStay(check_in, check_out);
+      if (stay.error) {
+        return res.status(400).json({ error: stay.error });
+      }
+      
+      const guests = req.query.guests === undefined ? 1 : Number(req.query.guests);
+      if (!Number.isInteger(guests) || guests < 1) {
+        return res.status(400).json({ error: 'Guests must be a positive whole number' });
+      }
+      
+      filters.stay = { check_in_date: check_in, check_out_date: check_out, guests, nights: stay.nights };
+    }
+    
+    // Built once here, as the results and the facets both need it
+    if (filters.q) {
+      filters.match = await hostelSearchModel.buildMatchQuery(filters.q);
+    }
     
     // Search hostels
-    const hostels = await hostelModel.searchHostels(filters, limit, offset);
+    const { hostels, total } = await hostelModel.searchHostels(filters, limit, offset);
+    
+    // Price the stay at each hostel found
+    if (filters.stay) {
+      for (const hostel of hostels) {
+        const quote = await pricingModel.getCheapestQuote(hostel.id, check_in, check_out, filters.stay.guests);
+        
+        hostel.stay = quote && {
+          check_in_date: quote.check_in_date,
+          check_out_date: quote.check_out_date,
+          guests: quote.guests,
+          nights: quote.nights.length,
+          room_type_id: quote.room_type_id,
+          room_type_name: quote.room_type_name,
+          total: quote.total
+        };
+      }
+    }
     
     res.status(200).json({ 
-      count: hostels.length,
-      hostels 
+      count: total,
+      hostels,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      },
+      ...((facets === 'true' || facets === '1') && { facets: await hostelModel.getSearchFacets(filters) })
     });
   } catch (error) {
     console.error('Search hostels error:', error.message);
@@ -107,14 +780,15 @@ router.get('/search', async (req, res) => {
 
 /**
  * @route   GET /api/hostels/host/:hostId
- * @desc    Get all hostels by a specific host
+ * @desc    Get all hostels by a specific host (the host and admins also see unpublished ones)
  * @access  Public
  */
-router.get('/host/:hostId', async (req, res) => {
+router.get('/host/:hostId', optionalAuthenticate, async (req, res) => {
   try {
     const hostId = req.params.hostId;
+    const seesAll = hostelPolicy.isAdmin(req.user) || hostelPolicy.isOwner(req.user, { host_id: hostId });
     
-    const hostels = await hostelModel.getHostelsByHostId(hostId);
+    const hostels = await hostelModel.getHostelsByHostId(hostId, !seesAll);
     
     res.status(200).json({ 
       count: hostels.length,
@@ -127,20 +801,73 @@ router.get('/host/:hostId', async (req, res) => {
 });
 
 /**
- * @route   GET /api/hostels/:id
- * @desc    Get a hostel by ID
- * @access  Public
+ * @route   GET /api/hostels/host/:hostId/deleted
+ * @desc    Get a host's deleted hostels, which can still be restored
+ * @access  Private (the host or admin)
  */
-router.get('/:id', async (req, res) => {
+router.get('/host/:hostId/deleted', authenticate, async (req, res) => {
   try {
-    const hostelId = req.params.id;
+    const hostId = req.params.hostId;
     
-    const hostel = await hostelModel.getHostelById(hostelId);
+    if (!hostelPolicy.isAdmin(req.user) && !hostelPolicy.isOwner(req.user, { host_id: hostId })) {
+      return res.status(403).json({ error: 'You can only view your own deleted hostels' });
+    }
     
-    if (!hostel) {
-      return res.status(404).json({ error: 'Hostel not found' });
+    const hostels = await hostelModel.getDeletedHostelsByHostId(hostId);
+    
+    res.status(200).json({ 
+      count: hostels.length,
+      hostels 
+    });
+  } catch (error) {
+    console.error('Get deleted hostels error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve deleted hostels' });
+  }
+});
+
+/**
+ * @route   GET /api/hostels/moderation
+ * @desc    Get the listings in a status for review, oldest first (default: pending_review)
+ * @access  Private (admin)
+ */
+router.get('/moderation', authenticate, async (req, res) => {
+  try {
+    if (!hostelPolicy.canModerate(req.user)) {
+      return res.status(403).json({ error: 'Only admins can review listings' });
+    }
+    
+    const status = req.query.status || 'pending_review';
+    if (!hostelModel.HOSTEL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${hostelModel.HOSTEL_STATUSES.join(', ')}` });
     }
     
+    // Pagination parameters
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+    const offset = (page - 1) * limit;
+    
+    const hostels = await hostelModel.getHostelsByStatus(status, limit, offset);
+    
+    res.status(200).json({ count: hostels.length, hostels });
+  } catch (error) {
+    console.error('Get moderation queue error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve listings for review' });
+  }
+});
+
+/**
+ * @route   GET /api/hostels/:id
+ * @desc    Get a hostel by ID (unpublished listings only for their host and admins)
+ * @access  Public
+ */
+router.get('/:id', optionalAuthenticate, loadVisibleHostel, async (req, res) => {
+  try {
+    const { hostel } = req;
+    
+    hostel.gallery = await hostelImageModel.getImagesByHostel(hostel.id);
+    hostel.room_types = await roomTypeModel.getRoomTypesByHostel(hostel.id);
+    hostel.policies = await policyModel.getPolicies(hostel.id);
+    
     res.status(200).json({ hostel });
   } catch (error) {
     console.error('Get hostel error:', error.message);
@@ -150,10 +877,11 @@ router.get('/:id', async (req, res) => {
 
 /**
  * @route   PUT /api/hostels/:id
- * @desc    Update a hostel
- * @access  Private (should have auth middleware, host only)
+ * @desc    Update a hostel, including its location or address (photos and room prices are managed
+ *          with the /:id/images and /:id/rooms routes)
+ * @access  Private (hostel owner or admin)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticate, async (req, res) => {
   try {
     const hostelId = req.params.id;
     
@@ -164,33 +892,64 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Hostel not found' });
     }
     
-    // In a real app with auth, verify the current user is the hostel's host
-    // For now, we're skipping this check for simplicity
+    if (!hostelPolicy.canUpdate(req.user, existingHostel)) {
+      return res.status(403).json({ error: 'You can only edit your own hostels' });
+    }
+    
+    // Photos and prices have their own routes; saying so beats silently ignoring them
+    if (req.body.price !== undefined) {
+      return res.status(400).json({ error: 'Prices are set per room type. Use /api/hostels/:id/rooms instead' });
+    }
+    
+    if (req.body.images !== undefined) {
+      return res.status(400).json({ error: 'Photos are managed separately. Use /api/hostels/:id/images instead' });
+    }
     
     // Extract fields to update
-    const { name, location, price, images, description, amenities } = req.body;
+    const { name, description, amenities } = req.body;
+    
+    const addressResult = validateAddress(req.body);
+    if (addressResult.errors) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors: addressResult.errors });
+    }
     
     // Build updates object
     const updates = {};
     if (name) updates.name = name;
-    if (location) updates.location = location;
-    if (price !== undefined) {
-      const numPrice = parseFloat(price);
-      if (isNaN(numPrice) || numPrice <= 0) {
-        return res.status(400).json({ error: 'Price must be a positive number' });
+    if (description !== undefined) updates.description = description;
+    
+    // A new location or address replaces the old one as a whole and is geocoded again;
+    // coordinates given on their own just move the pin
+    const { latitude, longitude, ...place } = addressResult.fields;
+    if (Object.keys(place).length > 0) {
+      Object.assign(updates, await geocoding.resolveAddress(addressResult.fields));
+    } else if (latitude !== undefined) {
+      updates.latitude = latitude;
+      updates.longitude = longitude;
+    }
+    if (amenities !== undefined) {
+      const result = await validateAmenities(amenities);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
       }
-      updates.price = numPrice;
+      updates.amenities = result.amenityIds;
+    }
+    
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid update fields provided' });
     }
-    if (images) updates.images = images;
-    if (description !== undefined) updates.description = description;
-    if (amenities) updates.amenities = amenities;
     
-    // Update the hostel
-    const updatedHostel = await hostelModel.updateHostel(hostelId, updates);
+    // Update the hostel, keeping the edit in the listing's history
+    const { result: updatedHostel, revision } = await hostelRevisionModel.recordChange(
+      hostelId,
+      req.user.id,
+      () => hostelModel.updateHostel(hostelId, updates)
+    );
     
     res.status(200).json({
       message: 'Hostel updated successfully',
-      hostel: updatedHostel
+      hostel: updatedHostel,
+      revision
     });
   } catch (error) {
     console.error('Update hostel error:', error.message);
@@ -199,33 +958,217 @@ router.put('/:id', async (req, res) => {
 });
 
 /**
- * @route   DELETE /api/hostels/:id
- * @desc    Delete a hostel
- * @access  Private (should have auth middleware, host only)
+ * @route   GET /api/hostels/:id/status-history
+ * @desc    Get the status changes of a listing, with reviewers' reasons
+ * @access  Private (hostel owner or admin)
  */
-router.delete('/:id', async (req, res) => {
+router.get('/:id/status-history', authenticate, loadEditableHostel, async (req, res) => {
   try {
-    const hostelId = req.params.id;
-    
-    // Get the hostel first to verify it exists
-    const existingHostel = await hostelModel.getHostelById(hostelId);
-    
-    if (!existingHostel) {
-      return res.status(404).json({ error: 'Hostel not found' });
-    }
+    const history = await hostelModel.getStatusHistory(req.hostel.id);
     
-    // In a real app with auth, verify the current user is the hostel's host
-    // For now, we're skipping this check for simplicity
+    res.status(200).json({ status: req.hostel.status, history });
+  } catch (error) {
+    console.error('Get status history error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve status history' });
+  }
+});
+
+/**
+ * @route   GET /api/hostels/:id/history
+ * @desc    Get the revisions of a listing, newest first, with who made each edit and the fields it changed
+ * @access  Private (hostel owner or admin)
+ */
+router.get('/:id/history', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
     
-    // Delete the hostel
-    const deleted = await hostelModel.deleteHostel(hostelId);
+    const current = await hostelRevisionModel.getCurrentRevision(req.hostel.id);
+    const revisions = await hostelRevisionModel.getRevisions(req.hostel.id, limit, (page - 1) * limit);
+    
+    res.status(200).json({ current_revision: current, page, limit, revisions });
+  } catch (error) {
+    console.error('Get listing history error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve listing history' });
+  }
+});
+
+/**
+ * @route   GET /api/hostels/:id/history/:revision
+ * @desc    Get one revision of a listing with the listing as it stood at that point
+ * @access  Private (hostel owner or admin)
+ */
+router.get('/:id/history/:revision', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const revision = await hostelRevisionModel.getRevision(req.hostel.id, parseInt(req.params.revision, 10));
+    
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.status(200).json({ revision });
+  } catch (error) {
+    console.error('Get listing revision error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve revision' });
+  }
+});
+
+/**
+ * @route   POST /api/hostels/:id/history/:revision/revert
+ * @desc    Restore a listing's details, address, amenities, policies, pricing rules and room types
+ *          to an earlier revision (recorded as a new revision). Room types added or removed since, and
+ *          photos, are left as they are
+ * @access  Private (hostel owner or admin)
+ */
+router.post('/:id/history/:revision/revert', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const reverted = await hostelRevisionModel.revertToRevision(
+      req.hostel.id,
+      parseInt(req.params.revision, 10),
+      req.user.id
+    );
+    
+    if (!reverted) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    const hostel = await hostelModel.getHostelById(req.hostel.id, true);
+    hostel.policies = await policyModel.getPolicies(req.hostel.id);
+    
+    res.status(200).json({
+      message: reverted.revision
+        ? `Listing restored to revision ${req.params.revision}`
+        : `Listing already matches revision ${req.params.revision}`,
+      revision: reverted.revision,
+      hostel
+    });
+  } catch (error) {
+    console.error('Revert listing error:', error.message);
+    
+    // A restored room type would no longer fit its upcoming bookings
+    if (error.message.includes('upcoming bookings') || error.message.includes('Upcoming bookings')) {
+      return res.status(409).json({ error: error.message });
+    }
+    
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
+
+/**
+ * @route   POST /api/hostels/:id/submit
+ * @desc    Submit a draft for review (needs a description, a photo and a room)
+ * @access  Private (hostel owner or admin)
+ */
+router.post('/:id/submit', authenticate, loadEditableHostel, changeStatus('submit'));
+
+/**
+ * @route   POST /api/hostels/:id/withdraw
+ * @desc    Take a listing out of review and back to drafts
+ * @access  Private (hostel owner or admin)
+ */
+router.post('/:id/withdraw', authenticate, loadEditableHostel, changeStatus('withdraw'));
+
+/**
+ * @route   POST /api/hostels/:id/archive
+ * @desc    Archive a listing, hiding it from guests
+ * @access  Private (hostel owner or admin)
+ */
+router.post('/:id/archive', authenticate, loadEditableHostel, changeStatus('archive'));
+
+/**
+ * @route   POST /api/hostels/:id/unarchive
+ * @desc    Move an archived listing back to drafts
+ * @access  Private (hostel owner or admin)
+ */
+router.post('/:id/unarchive', authenticate, loadEditableHostel, changeStatus('unarchive'));
+
+/**
+ * @route   POST /api/hostels/:id/approve
+ * @desc    Approve a listing in review and publish it
+ * @access  Private (admin)
+ */
+router.post('/:id/approve', authenticate, loadEditableHostel, changeStatus('approve'));
+
+/**
+ * @route   POST /api/hostels/:id/reject
+ * @desc    Send a listing in review back to the host as a draft, with a reason
+ * @access  Private (admin)
+ */
+router.post('/:id/reject', authenticate, loadEditableHostel, changeStatus('reject'));
+
+/**
+ * @route   POST /api/hostels/:id/suspend
+ * @desc    Take a published listing down, with a reason
+ * @access  Private (admin)
+ */
+router.post('/:id/suspend', authenticate, loadEditableHostel, changeStatus('suspend'));
+
+/**
+ * @route   POST /api/hostels/:id/reinstate
+ * @desc    Publish a suspended listing again
+ * @access  Private (admin)
+ */
+router.post('/:id/reinstate', authenticate, loadEditableHostel, changeStatus('reinstate'));
+
+/**
+ * @route   DELETE /api/hostels/:id
+ * @desc    Delete a hostel; it is hidden but kept with its bookings and reviews, and can be restored.
+ *          Pending requests are cancelled. Refused while guests hold confirmed bookings unless
+ *          ?cancel_bookings=true, which cancels those too. Guests are emailed about each cancellation
+ * @access  Private (hostel owner or admin)
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const hostelId = req.params.id;
+    
+    // Get the hostel first to verify it exists
+    const existingHostel = await hostelModel.getHostelById(hostelId);
+    
+    if (!existingHostel) {
+      return res.status(404).json({ error: 'Hostel not found' });
+    }
+    
+    if (!hostelPolicy.canDelete(req.user, existingHostel)) {
+      return res.status(403).json({ error: 'You can only delete your own hostels' });
+    }
+    
+    const cancelConfirmed = req.query.cancel_bookings === 'true';
+    const openBookings = await bookingModel.getOpenHostelBookings(existingHostel.id);
+    
+    if (!cancelConfirmed && openBookings.some(booking => booking.status === 'confirmed')) {
+      return confirmedBookingsConflict(res, openBookings);
+    }
+    
+    // Without the opt-in, the archive itself is refused if a booking was confirmed in the meantime
+    const deleted = await hostelModel.deleteHostel(existingHostel.id, req.user.id, !cancelConfirmed);
     
     if (!deleted) {
-      return res.status(500).json({ error: 'Failed to delete hostel' });
+      if (await hostelModel.getHostelById(existingHostel.id)) {
+        return confirmedBookingsConflict(res, await bookingModel.getOpenHostelBookings(existingHostel.id));
+      }
+      
+      return res.status(404).json({ error: 'Hostel not found' });
+    }
+    
+    // Look again now that the hostel no longer takes bookings, so none made in between are missed.
+    // Confirmed bookings are only cancelled when the caller asked for it
+    const statuses = cancelConfirmed ? ['pending', 'confirmed'] : ['pending'];
+    const bookings = (await bookingModel.getOpenHostelBookings(existingHostel.id))
+      .filter(booking => statuses.includes(booking.status));
+    const cancelled = await bookingModel.cancelBookings(bookings.map(booking => booking.id), statuses);
+    
+    // The deletion stands even if an email fails
+    for (const booking of bookings) {
+      try {
+        await mail.sendMail({ to: booking.user_email, ...mailTemplates.bookingCancelledEmail(booking) });
+      } catch (error) {
+        console.error('Booking cancelled email error:', error.message);
+      }
     }
     
     res.status(200).json({
-      message: 'Hostel deleted successfully'
+      message: 'Hostel deleted successfully',
+      cancelled_bookings: cancelled
     });
   } catch (error) {
     console.error('Delete hostel error:', error.message);
@@ -233,4 +1176,538 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/hostels/:id/restore
+ * @desc    Restore a deleted hostel as a draft, to be submitted for review again
+ * @access  Private (hostel owner or admin)
+ */
+router.post('/:id/restore', authenticate, async (req, res) => {
+  try {
+    const existingHostel = await hostelModel.getHostelById(req.params.id, true);
+    
+    if (!existingHostel) {
+      return res.status(404).json({ error: 'Hostel not found' });
+    }
+    
+    if (!hostelPolicy.canRestore(req.user, existingHostel)) {
+      return res.status(403).json({ error: 'You can only restore your own hostels' });
+    }
+    
+    const hostel = await hostelModel.restoreHostel(existingHostel.id, req.user.id);
+    
+    if (!hostel) {
+      return res.status(409).json({ error: 'This hostel has not been deleted' });
+    }
+    
+    res.status(200).json({
+      message: 'Hostel restored as a draft',
+      hostel
+    });
+  } catch (error) {
+    console.error('Restore hostel error:', error.message);
+    res.status(500).json({ error: 'Failed to restore hostel' });
+  }
+});
+
+/**
+ * @route   GET /api/hostels/:id/images
+ * @desc    Get a hostel's photos in gallery order
+ * @access  Public
+ */
+router.get('/:id/images', optionalAuthenticate, loadVisibleHostel, async (req, res) => {
+  try {
+    const { hostel } = req;
+    
+    res.status(200).json({ images: await hostelImageModel.getImagesByHostel(hostel.id) });
+  } catch (error) {
+    console.error('Get hostel images error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve hostel images' });
+  }
+});
+
+/**
+ * @route   POST /api/hostels/:id/images
+ * @desc    Upload photos (multipart field "images", up to 10 per request); thumbnails are generated
+ * @access  Private (hostel owner or admin)
+ */
+router.post('/:id/images', authenticate, loadEditableHostel, handleUpload(hostelImageUpload.array('images')), async (req, res) => {
+  const files = req.files || [];
+  const uploaded = files.map(file => ({ image_url: uploadUrl('hostels', file.filename), thumbnail_url: null }));
+  
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'At least one image file is required' });
+    }
+    
+    const existing = await hostelImageModel.getImagesByHostel(req.hostel.id);
+    if (existing.length + files.length > hostelImageModel.MAX_IMAGES_PER_HOSTEL) {
+      await Promise.all(uploaded.map(removeImageFiles));
+      return res.status(400).json({
+        error: `A hostel can have at most ${hostelImageModel.MAX_IMAGES_PER_HOSTEL} images`
+      });
+    }
+    
+    for (const [index, file] of files.entries()) {
+      try {
+        uploaded[index].thumbnail_url = uploadUrl('hostels/thumbs', await createThumbnail(file.path, THUMBNAIL_DIR));
+      } catch (error) {
+        // The file claimed to be an image but couldn't be decoded
+        await Promise.all(uploaded.map(removeImageFiles));
+        return res.status(400).json({ error: `${file.originalname} is not a valid image` });
+      }
+    }
+    
+    const { result: images, revision } = await hostelRevisionModel.recordChange(
+      req.hostel.id,
+      req.user.id,
+      () => hostelImageModel.addImages(req.hostel.id, uploaded)
+    );
+    
+    res.status(201).json({
+      message: `${files.length} image${files.length === 1 ? '' : 's'} uploaded`,
+      images,
+      revision
+    });
+  } catch (error) {
+    console.error('Upload hostel images error:', error.message);
+    await Promise.all(uploaded.map(removeImageFiles));
+    res.status(500).json({ error: 'Failed to upload images' });
+  }
+});
+
+/**
+ * @route   PUT /api/hostels/:id/images/order
+ * @desc    Reorder a hostel's photos (body: { image_ids: [...] } listing every image)
+ * @access  Private (hostel owner or admin)
+ */
+router.put('/:id/images/order', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const { image_ids } = req.body;
+    
+    if (!Array.isArray(image_ids)) {
+      return res.status(400).json({ error: 'image_ids must be an array' });
+    }
+    
+    const { result: images, revision } = await hostelRevisionModel.recordChange(
+      req.hostel.id,
+      req.user.id,
+      () => hostelImageModel.reorderImages(req.hostel.id, image_ids)
+    );
+    
+    res.status(200).json({ message: 'Image order saved', images, revision });
+  } catch (error) {
+    if (error.message.includes('Image order')) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    console.error('Reorder hostel images error:', error.message);
+    res.status(500).json({ error: 'Failed to reorder images' });
+  }
+});
+
+/**
+ * @route   PUT /api/hostels/:id/images/:imageId/primary
+ * @desc    Make a photo the hostel's primary image
+ * @access  Private (hostel owner or admin)
+ */
+router.put('/:id/images/:imageId/primary', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const { result: images, revision } = await hostelRevisionModel.recordChange(
+      req.hostel.id,
+      req.user.id,
+      () => hostelImageModel.setPrimaryImage(req.hostel.id, req.params.imageId)
+    );
+    
+    if (!images) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    res.status(200).json({ message: 'Primary image updated', images, revision });
+  } catch (error) {
+    console.error('Set primary image error:', error.message);
+    res.status(500).json({ error: 'Failed to update primary image' });
+  }
+});
+
+/**
+ * @route   DELETE /api/hostels/:id/images/:imageId
+ * @desc    Remove a photo from a hostel
+ * @access  Private (hostel owner or admin)
+ */
+router.delete('/:id/images/:imageId', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const { result, revision } = await hostelRevisionModel.recordChange(
+      req.hostel.id,
+      req.user.id,
+      () => hostelImageModel.deleteImage(req.hostel.id, req.params.imageId)
+    );
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    await removeImageFiles(result.removed);
+    
+    res.status(200).json({ message: 'Image removed', images: result.images, revision });
+  } catch (error) {
+    console.error('Delete hostel image error:', error.message);
+    res.status(500).json({ error: 'Failed to remove image' });
+  }
+});
+
+
+/**
+ * @route   GET /api/hostels/:id/rooms
+ * @desc    Get a hostel's room types
+ * @access  Public
+ */
+router.get('/:id/rooms', optionalAuthenticate, loadVisibleHostel, async (req, res) => {
+  try {
+    const { hostel } = req;
+    
+    const room_types = await roomTypeModel.getRoomTypesByHostel(hostel.id);
+    
+    res.status(200).json({ room_types });
+  } catch (error) {
+    console.error('Get room types error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve room types' });
+  }
+});
+
+/**
+ * @route   GET /api/hostels/:id/availability
+ * @desc    Get the nightly calendar of a hostel: open nights, free beds, prices and minimum stays per room type
+ * @access  Public
+ */
+router.get('/:id/availability', optionalAuthenticate, loadVisibleHostel, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    
+    if (!from || !to) {
+      return res.status(400).json({ error: 'From and to dates are required' });
+    }
+    
+    const range = validateDateRange(from, to);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    const nights = await pricingModel.getPricedCalendar(req.hostel.id, from, to);
+    
+    res.status(200).json({ from, to, nights });
+  } catch (error) {
+    console.error('Get availability error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve availability' });
+  }
+});
+
+/**
+ * @route   PUT /api/hostels/:id/availability
+ * @desc    Close or reopen dates and set minimum stays, for the whole hostel or one room type, and set
+ *          price overrides for one room type (null clears them, hostel-wide too)
+ * @access  Private (hostel owner or admin)
+ */
+router.put('/:id/availability', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const { from, to, room_type_id, is_available, price_override, min_stay } = req.body;
+    
+    if (!from || !to) {
+      return res.status(400).json({ error: 'From and to dates are required' });
+    }
+    
+    const range = validateDateRange(from, to);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    const roomTypeId = await findRoomTypeScope(req.hostel.id, room_type_id);
+    if (roomTypeId === undefined) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+    
+    const errors = {};
+    const rules = {};
+    
+    if (is_available !== undefined) {
+      if (typeof is_available !== 'boolean') {
+        errors.is_available = 'Available must be true or false';
+      } else {
+        rules.is_available = is_available ? 1 : 0;
+      }
+    }
+    
+    // null removes an override or minimum stay
+    if (price_override !== undefined) {
+      const price = price_override === null ? null : parseFloat(price_override);
+      if (price !== null && (isNaN(price) || price <= 0)) {
+        errors.price_override = 'Price override must be a positive number';
+      } else if (price !== null && roomTypeId === null) {
+        errors.price_override = 'Price overrides are set per room type. Choose a room_type_id';
+      } else {
+        rules.price_override = price;
+      }
+    }
+    
+    if (min_stay !== undefined) {
+      const nights = min_stay === null ? null : Number(min_stay);
+      if (nights !== null && (!Number.isInteger(nights) || nights < 1 || nights > 30)) {
+        errors.min_stay = 'Minimum stay must be a whole number of nights between 1 and 30';
+      } else {
+        rules.min_stay = nights;
+      }
+    }
+    
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors });
+    }
+    
+    if (Object.keys(rules).length === 0) {
+      return res.status(400).json({ error: 'Set is_available, price_override or min_stay' });
+    }
+    
+    await availabilityModel.setRules(req.hostel.id, roomTypeId, from, to, rules);
+    
+    res.status(200).json({
+      message: 'Calendar updated',
+      nights: await pricingModel.getPricedCalendar(req.hostel.id, from, to)
+    });
+  } catch (error) {
+    console.error('Update availability error:', error.message);
+    res.status(500).json({ error: 'Failed to update calendar' });
+  }
+});
+
+/**
+ * @route   DELETE /api/hostels/:id/availability
+ * @desc    Remove the calendar rules of a date range, for the whole hostel or one room type
+ * @access  Private (hostel owner or admin)
+ */
+router.delete('/:id/availability', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const { from, to, room_type_id } = req.query;
+    
+    if (!from || !to) {
+      return res.status(400).json({ error: 'From and to dates are required' });
+    }
+    
+    const range = validateDateRange(from, to);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    
+    const roomTypeId = await findRoomTypeScope(req.hostel.id, room_type_id);
+    if (roomTypeId === undefined) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+    
+    await availabilityModel.clearRules(req.hostel.id, roomTypeId, from, to);
+    
+    res.status(200).json({
+      message: 'Calendar rules removed',
+      nights: await pricingModel.getPricedCalendar(req.hostel.id, from, to)
+    });
+  } catch (error) {
+    console.error('Clear availability error:', error.message);
+    res.status(500).json({ error: 'Failed to update calendar' });
+  }
+});
+
+/**
+ * @route   GET /api/hostels/:id/pricing
+ * @desc    Get a hostel's pricing rules: weekend rate, seasonal rates, stay discounts, cleaning fee and tax
+ * @access  Public
+ */
+router.get('/:id/pricing', optionalAuthenticate, loadVisibleHostel, async (req, res) => {
+  try {
+    const { hostel } = req;
+    
+    const pricing = await pricingModel.getPricingRules(hostel.id);
+    
+    res.status(200).json({ pricing });
+  } catch (error) {
+    console.error('Get pricing error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve pricing' });
+  }
+});
+
+/**
+ * @route   PUT /api/hostels/:id/pricing
+ * @desc    Update a hostel's pricing rules; seasonal_rates and stay_discounts replace the current lists
+ * @access  Private (hostel owner or admin)
+ */
+router.put('/:id/pricing', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const { rules, errors } = validatePricingRules(req.body);
+    
+    if (errors) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors });
+    }
+    
+    if (Object.keys(rules).length === 0) {
+      return res.status(400).json({ error: 'No pricing rules provided' });
+    }
+    
+    const { result: pricing, revision } = await hostelRevisionModel.recordChange(
+      req.hostel.id,
+      req.user.id,
+      () => pricingModel.setPricingRules(req.hostel.id, rules)
+    );
+    
+    res.status(200).json({ message: 'Pricing updated', pricing, revision });
+  } catch (error) {
+    console.error('Update pricing error:', error.message);
+    res.status(500).json({ error: 'Failed to update pricing' });
+  }
+});
+
+/**
+ * @route   GET /api/hostels/:id/policies
+ * @desc    Get a hostel's house rules, check-in details and cancellation policy
+ * @access  Public
+ */
+router.get('/:id/policies', optionalAuthenticate, loadVisibleHostel, async (req, res) => {
+  try {
+    const policies = await policyModel.getPolicies(req.hostel.id);
+    
+    res.status(200).json({ policies });
+  } catch (error) {
+    console.error('Get policies error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve policies' });
+  }
+});
+
+/**
+ * @route   PUT /api/hostels/:id/policies
+ * @desc    Update a hostel's house rules, check-in details and cancellation policy
+ *          (new cancellation policies only apply to new bookings)
+ * @access  Private (hostel owner or admin)
+ */
+router.put('/:id/policies', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const { fields, errors } = validatePolicies(req.body);
+    
+    if (errors) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors });
+    }
+    
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No policies provided' });
+    }
+    
+    const { result: policies, revision } = await hostelRevisionModel.recordChange(
+      req.hostel.id,
+      req.user.id,
+      () => policyModel.setPolicies(req.hostel.id, fields)
+    );
+    
+    res.status(200).json({ message: 'Policies updated', policies, revision });
+  } catch (error) {
+    console.error('Update policies error:', error.message);
+    res.status(500).json({ error: 'Failed to update policies' });
+  }
+});
+
+/**
+ * @route   POST /api/hostels/:id/rooms
+ * @desc    Add a room type to a hostel
+ * @access  Private (hostel owner or admin)
+ */
+router.post('/:id/rooms', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const { fields, errors } = validateRoomType(req.body);
+    
+    if (errors) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors });
+    }
+    
+    const { result: room_type, revision } = await hostelRevisionModel.recordChange(
+      req.hostel.id,
+      req.user.id,
+      () => roomTypeModel.createRoomType(req.hostel.id, fields)
+    );
+    
+    res.status(201).json({ message: 'Room type added', room_type, revision });
+  } catch (error) {
+    console.error('Create room type error:', error.message);
+    res.status(500).json({ error: 'Failed to add room type' });
+  }
+});
+
+/**
+ * @route   PUT /api/hostels/:id/rooms/:roomTypeId
+ * @desc    Update a room type
+ * @access  Private (hostel owner or admin)
+ */
+router.put('/:id/rooms/:roomTypeId', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const roomType = await roomTypeModel.getRoomTypeById(req.params.roomTypeId);
+    
+    if (!roomType || roomType.hostel_id !== req.hostel.id) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+    
+    const { fields, errors } = validateRoomType(req.body, true);
+    
+    if (errors) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors });
+    }
+    
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+    
+    const { result: room_type, revision } = await hostelRevisionModel.recordChange(
+      req.hostel.id,
+      req.user.id,
+      () => roomTypeModel.updateRoomType(roomType.id, fields)
+    );
+    
+    res.status(200).json({ message: 'Room type updated', room_type, revision });
+  } catch (error) {
+    console.error('Update room type error:', error.message);
+    
+    // Fewer beds than upcoming bookings need, or a kind change under existing bookings
+    if (error.message.includes('upcoming bookings') || error.message.includes('Upcoming bookings')) {
+      return res.status(409).json({ error: error.message });
+    }
+    
+    res.status(500).json({ error: 'Failed to update room type' });
+  }
+});
+
+/**
+ * @route   DELETE /api/hostels/:id/rooms/:roomTypeId
+ * @desc    Remove a room type that has no upcoming bookings
+ * @access  Private (hostel owner or admin)
+ */
+router.delete('/:id/rooms/:roomTypeId', authenticate, loadEditableHostel, async (req, res) => {
+  try {
+    const roomTypes = await roomTypeModel.getRoomTypesByHostel(req.hostel.id);
+    const roomType = roomTypes.find(type => type.id === Number(req.params.roomTypeId));
+    
+    if (!roomType) {
+      return res.status(404).json({ error: 'Room type not found' });
+    }
+    
+    if (roomTypes.length === 1) {
+      return res.status(400).json({ error: 'A hostel needs at least one room type' });
+    }
+    
+    if (await roomTypeModel.countUpcomingBookings(roomType.id) > 0) {
+      return res.status(409).json({ error: 'This room type has upcoming bookings and cannot be removed' });
+    }
+    
+    const { revision } = await hostelRevisionModel.recordChange(
+      req.hostel.id,
+      req.user.id,
+      () => roomTypeModel.deleteRoomType(roomType)
+    );
+    
+    res.status(200).json({ message: 'Room type removed', revision });
+  } catch (error) {
+    console.error('Delete room type error:', error.message);
+    res.status(500).json({ error: 'Failed to remove room type' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
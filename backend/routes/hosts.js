@@ -0,0 +1,192 @@
+/**
+ * Host Routes
+ *
+ * Express routes for becoming a host and completing host onboarding
+ */
+
+const express = require('express');
+const router = express.Router();
+const userModel = require('../models/user');
+const hostProfileModel = require('../models/hostProfile');
+const hostOnboardingPolicy = require('../policies/hostOnboarding');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { phoneRegex } = require('../utils/validation');
+
+// Ways a host can choose to be paid
+const PAYOUT_METHODS = ['bank_transfer', 'paypal'];
+
+/**
+ * Hide all but the last four characters of a payout account
+ *
+ * @param {string|null} account - Account number or address as entered
+ * @returns {string|null}
+ */
+function maskPayoutAccount(account) {
+  if (!account) {
+    return null;
+  }
+
+  return `•••• ${account.slice(-4)}`;
+}
+
+/**
+ * Load a host's profile, mark onboarding finished once every step is done,
+ * and build the response body
+ *
+ * @param {object} user - Authenticated user (req.user)
+ * @returns {Promise<object>} - { host_profile, checklist, completed }
+ */
+async function onboardingState(user) {
+  let profile = await hostProfileModel.getHostProfile(user.id);
+
+  if (profile && !profile.onboarding_completed_at && hostOnboardingPolicy.isComplete(user, profile)) {
+    profile = await hostProfileModel.completeOnboarding(user.id);
+  }
+
+  return {
+    host_profile: profile && {
+      legal_name: profile.legal_name,
+      phone: profile.phone,
+      payout_method: profile.payout_method,
+      payout_account: maskPayoutAccount(profile.payout_account),
+      requested_at: profile.requested_at,
+      onboarding_completed_at: profile.onboarding_completed_at
+    },
+    checklist: hostOnboardingPolicy.getChecklist(user, profile),
+    completed: !!(profile && profile.onboarding_completed_at)
+  };
+}
+
+/**
+ * @route   POST /api/hosts/request
+ * @desc    Become a host; the account switches to the host role and onboarding starts
+ * @access  Private (guests only)
+ */
+router.post('/request', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'guest') {
+      return res.status(400).json({ error: 'Only guest accounts can apply to become a host' });
+    }
+
+    await hostProfileModel.createHostProfile(req.user.id);
+    const user = await userModel.updateUser(req.user.id, { role: 'host' });
+
+    res.status(200).json({
+      message: 'Welcome! Finish the onboarding steps to start listing hostels.',
+      user: { id: user.id, username: user.username, role: user.role, is_host: true },
+      ...(await onboardingState({ ...req.user, role: 'host' }))
+    });
+  } catch (error) {
+    console.error('Host request error:', error.message);
+    res.status(500).json({ error: 'Failed to start host onboarding' });
+  }
+});
+
+/**
+ * @route   GET /api/hosts/onboarding
+ * @desc    Get the current host's onboarding checklist and details
+ * @access  Private (hosts only)
+ */
+router.get('/onboarding', authenticate, requireRole('host'), async (req, res) => {
+  try {
+    res.status(200).json(await onboardingState(req.user));
+  } catch (error) {
+    console.error('Get host onboarding error:', error.message);
+    res.status(500).json({ error: 'Failed to get onboarding status' });
+  }
+});
+
+/**
+ * @route   PUT /api/hosts/onboarding/details
+ * @desc    Save the host's legal name and contact phone
+ * @access  Private (hosts only)
+ */
+router.put('/onboarding/details', authenticate, requireRole('host'), async (req, res) => {
+  try {
+    const legalName = String(req.body.legal_name || '').trim();
+    const phone = String(req.body.phone || '').trim();
+    const errors = {};
+
+    if (legalName.length < 2 || legalName.length > 100) {
+      errors.legal_name = 'Legal name must be between 2 and 100 characters';
+    }
+
+    if (!phoneRegex.test(phone)) {
+      errors.phone = 'Invalid phone number';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors });
+    }
+
+    await hostProfileModel.updateHostDetails(req.user.id, { legal_name: legalName, phone });
+
+    res.status(200).json({
+      message: 'Host details saved',
+      ...(await onboardingState(req.user))
+    });
+  } catch (error) {
+    console.error('Update host details error:', error.message);
+    res.status(500).json({ error: 'Failed to save host details' });
+  }
+});
+
+/**
+ * @route   PUT /api/hosts/onboarding/payout
+ * @desc    Save how the host wants to be paid (payout_method, payout_account)
+ * @access  Private (hosts only)
+ */
+router.put('/onboarding/payout', authenticate, requireRole('host'), async (req, res) => {
+  try {
+    const { payout_method } = req.body;
+    const payoutAccount = String(req.body.payout_account || '').trim();
+    const errors = {};
+
+    if (!PAYOUT_METHODS.includes(payout_method)) {
+      errors.payout_method = `Payout method must be one of: ${PAYOUT_METHODS.join(', ')}`;
+    }
+
+    if (payoutAccount.length < 4 || payoutAccount.length > 64) {
+      errors.payout_account = 'Payout account must be between 4 and 64 characters';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors });
+    }
+
+    await hostProfileModel.updatePayoutDetails(req.user.id, { payout_method, payout_account: payoutAccount });
+
+    res.status(200).json({
+      message: 'Payout details saved',
+      ...(await onboardingState(req.user))
+    });
+  } catch (error) {
+    console.error('Update payout details error:', error.message);
+    res.status(500).json({ error: 'Failed to save payout details' });
+  }
+});
+
+/**
+ * @route   POST /api/hosts/onboarding/terms
+ * @desc    Accept the hosting terms (requires { accept: true })
+ * @access  Private (hosts only)
+ */
+router.post('/onboarding/terms', authenticate, requireRole('host'), async (req, res) => {
+  try {
+    if (req.body.accept !== true) {
+      return res.status(400).json({ error: 'You must accept the hosting terms' });
+    }
+
+    await hostProfileModel.acceptTerms(req.user.id);
+
+    res.status(200).json({
+      message: 'Hosting terms accepted',
+      ...(await onboardingState(req.user))
+    });
+  } catch (error) {
+    console.error('Accept host terms error:', error.message);
+    res.status(500).json({ error: 'Failed to accept hosting terms' });
+  }
+});
+
+module.exports = router;
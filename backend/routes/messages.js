@@ -7,19 +7,21 @@
 const express = require('express');
 const router = express.Router();
 const messageModel = require('../models/message');
+const { authenticate } = require('../middleware/auth');
 
 /**
  * @route   POST /api/messages/send
- * @desc    Send a message from one user to another
- * @access  Private (should have auth middleware)
+ * @desc    Send a message from the current user to another user
+ * @access  Private
  */
-router.post('/send', async (req, res) => {
+router.post('/send', authenticate, async (req, res) => {
   try {
-    const { sender_id, receiver_id, content } = req.body;
+    const { receiver_id, content } = req.body;
+    const sender_id = req.user.id;
     
     // Validate required fields
-    if (!sender_id || !receiver_id || !content) {
-      return res.status(400).json({ error: 'Sender ID, receiver ID, and content are required' });
+    if (!receiver_id || !content) {
+      return res.status(400).json({ error: 'Receiver ID and content are required' });
     }
     
     // Validate content is not empty
@@ -42,16 +44,17 @@ router.post('/send', async (req, res) => {
 
 /**
  * @route   GET /api/messages
- * @desc    Get message history between two users
- * @access  Private (should have auth middleware)
+ * @desc    Get message history between the current user and another user
+ * @access  Private
  */
-router.get('/', async (req, res) => {
+router.get('/', authenticate, async (req, res) => {
   try {
-    const { sender_id, receiver_id } = req.query;
+    const { receiver_id } = req.query;
+    const sender_id = req.user.id;
     
     // Validate required query params
-    if (!sender_id || !receiver_id) {
-      return res.status(400).json({ error: 'Sender ID and receiver ID are required' });
+    if (!receiver_id) {
+      return res.status(400).json({ error: 'Receiver ID is required' });
     }
     
     // Parse pagination params
@@ -61,9 +64,7 @@ router.get('/', async (req, res) => {
     // Get message history
     const messages = await messageModel.getMessages(sender_id, receiver_id, limit, offset);
     
-    // Mark messages as read if current user is the receiver
-    // In a real app with auth, you would use the authenticated user's ID
-    // For now, we assume sender_id is the current user
+    // Mark messages sent to the current user as read
     await messageModel.markMessagesAsRead(sender_id, receiver_id);
     
     res.status(200).json({
@@ -78,16 +79,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/messages/unread
- * @desc    Get unread message count for a user
- * @access  Private (should have auth middleware)
+ * @desc    Get unread message count for the current user
+ * @access  Private
  */
-router.get('/unread', async (req, res) => {
+router.get('/unread', authenticate, async (req, res) => {
   try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const user_id = req.user.id;
     
     // Get unread message count
     const unreadCounts = await messageModel.getUnreadMessageCount(user_id);
@@ -101,16 +98,12 @@ router.get('/unread', async (req, res) => {
 
 /**
  * @route   GET /api/messages/conversations
- * @desc    Get all conversations for a user
- * @access  Private (should have auth middleware)
+ * @desc    Get all conversations for the current user
+ * @access  Private
  */
-router.get('/conversations', async (req, res) => {
+router.get('/conversations', authenticate, async (req, res) => {
   try {
-    const { user_id } = req.query;
-    
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+    const user_id = req.user.id;
     
     // Get conversations
     const conversations = await messageModel.getUserConversations(user_id);
@@ -127,19 +120,19 @@ router.get('/conversations', async (req, res) => {
 
 /**
  * @route   DELETE /api/messages/conversation
- * @desc    Delete conversation between two users
- * @access  Private (should have auth middleware)
+ * @desc    Delete conversation between the current user and another user
+ * @access  Private
  */
-router.delete('/conversation', async (req, res) => {
+router.delete('/conversation', authenticate, async (req, res) => {
   try {
-    const { user1_id, user2_id } = req.query;
+    const { other_user_id } = req.query;
     
-    if (!user1_id || !user2_id) {
-      return res.status(400).json({ error: 'Both user IDs are required' });
+    if (!other_user_id) {
+      return res.status(400).json({ error: 'Other user ID is required' });
     }
     
     // Delete conversation
-    const deletedCount = await messageModel.deleteConversation(user1_id, user2_id);
+    const deletedCount = await messageModel.deleteConversation(req.user.id, other_user_id);
     
     res.status(200).json({
       message: `Deleted ${deletedCount} messages`,
@@ -153,15 +146,16 @@ router.delete('/conversation', async (req, res) => {
 
 /**
  * @route   PUT /api/messages/read
- * @desc    Mark messages as read
- * @access  Private (should have auth middleware)
+ * @desc    Mark messages sent to the current user as read
+ * @access  Private
  */
-router.put('/read', async (req, res) => {
+router.put('/read', authenticate, async (req, res) => {
   try {
-    const { receiver_id, sender_id } = req.body;
+    const { sender_id } = req.body;
+    const receiver_id = req.user.id;
     
-    if (!receiver_id || !sender_id) {
-      return res.status(400).json({ error: 'Receiver ID and sender ID are required' });
+    if (!sender_id) {
+      return res.status(400).json({ error: 'Sender ID is required' });
     }
     
     // Mark messages as read
@@ -7,17 +7,160 @@
 const express = require('express');
 const router = express.Router();
 const userModel = require('../models/user');
+const sessionModel = require('../models/session');
+const tokenModel = require('../models/token');
+const loginAttemptModel = require('../models/loginAttempt');
+const twoFactorModel = require('../models/twoFactor');
+const accountModel = require('../models/account');
+const twoFactorPolicy = require('../policies/twoFactor');
+const mail = require('../mail');
+const mailTemplates = require('../mail/templates');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const AdmZip = require('adm-zip');
 // messageModel import removed - was causing errors and not used in main route functionality
-const { query } = require('../database/connection');
+const {
+  signAccessToken,
+  signTwoFactorToken,
+  verifyTwoFactorToken,
+  authenticate,
+  authenticateTwoFactorSetup,
+  requireRole
+} = require('../middleware/auth');
+const { createImageUpload, handleUpload, uploadUrl, removeUpload } = require('../middleware/upload');
+const { checkAccount, recordAccountFailure, sendRefusal, throttleLoginByIp } = require('../middleware/loginProtection');
+const { emailRegex, phoneRegex } = require('../utils/validation');
+const { verifyImage } = require('../utils/images');
 
-// Get JWT secret from environment or use a default for development
-const JWT_SECRET = process.env.JWT_SECRET || 'your_default_jwt_secret_for_development';
+// Profile images are stored in uploads/avatars
+const avatarUpload = createImageUpload('avatars');
+
+// Roles anyone can sign up with; admins are created with scripts/create-admin.js
+const SIGNUP_ROLES = ['guest', 'host'];
+
+// Days between a deletion request and the account being anonymized
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+/**
+ * Issue a new email verification token and mail the link to the user
+ * 
+ * @param {object} user - User with id, username and email
+ * @returns {Promise<object>} - Result from the mail transport
+ */
+async function sendVerificationEmail(user) {
+  const token = await tokenModel.createToken(user.id, 'email_verification');
+  return mail.sendMail({ to: user.email, ...mailTemplates.verificationEmail(user, token) });
+}
+
+/**
+ * Fields the user sees on their own profile
+ * 
+ * @param {object} user - User object from the model
+ * @returns {object}
+ */
+function privateProfile(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    profile_image: user.profile_image,
+    phone: user.phone,
+    bio: user.bio,
+    email_verified: !!user.email_verified_at,
+    two_factor_enabled: !!user.two_factor_enabled_at,
+    is_host: user.role === 'host',
+    deletion_scheduled_for: user.deletion_scheduled_for || null,
+    created_at: user.created_at,
+    updated_at: user.updated_at
+  };
+}
+
+/**
+ * Fields anyone may see on a user's public profile (no contact details)
+ * 
+ * @param {object} user - User object from the model
+ * @returns {object}
+ */
+function publicProfile(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    profile_image: user.profile_image,
+    bio: user.bio,
+    created_at: user.created_at
+  };
+}
+
+// Optional profile text fields and their maximum lengths
+const PROFILE_TEXT_LIMITS = {
+  first_name: 50,
+  last_name: 50,
+  bio: 500
+};
+
+/**
+ * Validate a profile update and build the updates object
+ * Optional fields sent as empty strings are cleared
+ * 
+ * @param {object} body - Request body
+ * @returns {object} - { updates, errors } where errors maps field names to messages
+ */
+function validateProfileUpdate(body) {
+  const updates = {};
+  const errors = {};
+  
+  if (body.username !== undefined) {
+    const username = String(body.username).trim();
+    if (username.length < 3 || username.length > 30) {
+      errors.username = 'Username must be between 3 and 30 characters';
+    } else {
+      updates.username = username;
+    }
+  }
+  
+  if (body.email !== undefined) {
+    const email = String(body.email).trim();
+    if (!emailRegex.test(email)) {
+      errors.email = 'Invalid email format';
+    } else {
+      updates.email = email;
+    }
+  }
+  
+  for (const [field, maxLength] of Object.entries(PROFILE_TEXT_LIMITS)) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    
+    const value = body[field] === null ? '' : String(body[field]).trim();
+    if (value.length > maxLength) {
+      errors[field] = `Must be at most ${maxLength} characters`;
+    } else {
+      updates[field] = value || null;
+    }
+  }
+  
+  if (body.phone !== undefined) {
+    const phone = body.phone === null ? '' : String(body.phone).trim();
+    if (phone && !phoneRegex.test(phone)) {
+      errors.phone = 'Invalid phone number';
+    } else {
+      updates.phone = phone || null;
+    }
+  }
+  
+  return { updates, errors };
+}
 
 /**
  * @route   POST /api/users/register
- * @desc    Register a new user
+ * @desc    Register a new guest or host
  * @access  Public
  */
 router.post('/register', async (req, res) => {
@@ -30,12 +173,11 @@ router.post('/register', async (req, res) => {
     }
     
     // Validate role
-    if (role !== 'guest' && role !== 'host' && role !== 'admin') {
-      return res.status(400).json({ error: 'Role must be "guest", "host", or "admin"' });
+    if (!SIGNUP_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Role must be "guest" or "host"' });
     }
     
     // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email)) {
       return res.status(400).json({ error: 'Invalid email format' });
     }
@@ -48,13 +190,21 @@ router.post('/register', async (req, res) => {
     // Create user
     const user = await userModel.createUser(username, password, role, email);
     
+    // A failed email shouldn't fail the registration; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError.message);
+    }
+    
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your account.',
       user: {
         id: user.id,
         username: user.username,
         role: user.role,
-        email: user.email
+        email: user.email,
+        email_verified: false
       }
     });
   } catch (error) {
@@ -69,80 +219,619 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * Finish a successful login: reset the failure counter, audit the attempt,
+ * start a session for this device and send the tokens
+ * 
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} user - Authenticated user
+ * @param {object} attempt - Audit details (identifier, ip_address, user_agent)
+ * @param {object} extra - Additional fields for the response body (optional)
+ */
+async function completeLogin(req, res, user, attempt, extra = {}) {
+  await userModel.clearFailedLogins(user.id);
+  await loginAttemptModel.recordAttempt({ ...attempt, user_id: user.id, reason: loginAttemptModel.REASONS.SUCCESS });
+  
+  console.log('Login successful for user:', user.username);
+  
+  // Start a session for this device and issue a short-lived access token
+  const { session, refreshToken } = await sessionModel.createSession(user.id, {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
+  const token = signAccessToken(user, session.id);
+  
+  // Set CORS headers
+  res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.header('Access-Control-Allow-Credentials', 'true');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  
+  // Login successful
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token: token,
+    refresh_token: refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      email: user.email,
+      email_verified: !!user.email_verified_at,
+      two_factor_enabled: !!user.two_factor_enabled_at,
+      is_host: user.role === 'host' // Add is_host flag for frontend compatibility
+    },
+    ...extra
+  });
+}
+
 /**
  * @route   POST /api/users/login
  * @desc    Authenticate a user and return user info
  * @access  Public
  */
-router.post('/login', async (req, res) => {
+router.post('/login', throttleLoginByIp, async (req, res) => {
   try {
-    console.log('Login request received:', JSON.stringify(req.body));
-    
     // Accept either username or email as login credential
     const { username, email, password } = req.body;
     const loginIdentifier = email || username;
     
-    console.log('Login identifier:', loginIdentifier);
-    
     // Validate input
     if (!loginIdentifier || !password) {
-      console.log('Missing credentials:', { loginIdentifier: !!loginIdentifier, password: !!password });
       return res.status(400).json({ error: 'Email and password are required' });
     }
     
+    // Audit details shared by every outcome of this attempt
+    const attempt = {
+      identifier: loginIdentifier,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    };
+    
+    // Refuse locked or throttled accounts before checking the password
+    const account = await userModel.findUserByLoginIdentifier(loginIdentifier);
+    const refusal = account && checkAccount(account);
+    
+    if (refusal) {
+      await loginAttemptModel.recordAttempt({ ...attempt, user_id: account.id, reason: refusal.reason });
+      return sendRefusal(res, refusal);
+    }
+    
     // Authenticate user
-    console.log('Authenticating user with identifier:', loginIdentifier);
     const user = await userModel.verifyCredentials(loginIdentifier, password);
     
     if (!user) {
-      console.log('Authentication failed: Invalid credentials');
+      if (account) {
+        await recordAccountFailure(account);
+      }
+      
+      await loginAttemptModel.recordAttempt({
+        ...attempt,
+        user_id: account ? account.id : null,
+        reason: account ? loginAttemptModel.REASONS.INVALID_PASSWORD : loginAttemptModel.REASONS.UNKNOWN_USER
+      });
+      
       return res.status(401).json({ error: 'Invalid email or password' });
     }
     
-    console.log('Login successful for user:', user.username);
+    // Accounts with 2FA need a code before a session is started
+    if (user.two_factor_enabled_at) {
+      await loginAttemptModel.recordAttempt({ ...attempt, user_id: user.id, reason: loginAttemptModel.REASONS.TWO_FACTOR_REQUIRED });
+      
+      return res.status(200).json({
+        two_factor_required: true,
+        two_factor_token: signTwoFactorToken(user, 'login'),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
     
-    // Generate a JWT token
-    const token = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '7d' } // Token expires in 7 days
-    );
+    // Roles that require 2FA must enroll before they can sign in
+    if (twoFactorPolicy.needsEnrollment(user)) {
+      await loginAttemptModel.recordAttempt({ ...attempt, user_id: user.id, reason: loginAttemptModel.REASONS.TWO_FACTOR_REQUIRED });
+      
+      return res.status(200).json({
+        two_factor_setup_required: true,
+        two_factor_token: signTwoFactorToken(user, 'setup'),
+        message: 'Your account requires two-factor authentication. Set it up to continue.'
+      });
+    }
     
-    // Set CORS headers
-    res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
-    res.header('Access-Control-Allow-Credentials', 'true');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    await completeLogin(req, res, user, attempt);
+  } catch (error) {
+    console.error('Login error:', error.message);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ error: 'Login failed', details: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/users/login/2fa
+ * @desc    Second login step: check the authenticator or backup code and start a session
+ * @access  Public (requires the two_factor_token from /login)
+ */
+router.post('/login/2fa', throttleLoginByIp, async (req, res) => {
+  try {
+    const { two_factor_token, code } = req.body;
+    
+    if (!two_factor_token || !code) {
+      return res.status(400).json({ error: 'Two-factor token and code are required' });
+    }
+    
+    let userId;
+    try {
+      userId = verifyTwoFactorToken(two_factor_token, 'login');
+    } catch (error) {
+      return res.status(401).json({ error: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+    
+    const user = await userModel.findUserById(userId);
+    
+    if (!user) {
+      return res.status(401).json({ error: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+    
+    const attempt = {
+      identifier: user.email,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent')
+    };
+    
+    // Wrong codes count towards the same lockout as wrong passwords
+    const refusal = checkAccount(user);
+    
+    if (refusal) {
+      await loginAttemptModel.recordAttempt({ ...attempt, user_id: user.id, reason: refusal.reason });
+      return sendRefusal(res, refusal);
+    }
+    
+    const method = await twoFactorModel.verifyCode(user.id, code);
+    
+    if (!method) {
+      await recordAccountFailure(user);
+      await loginAttemptModel.recordAttempt({ ...attempt, user_id: user.id, reason: loginAttemptModel.REASONS.INVALID_TWO_FACTOR });
+      
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    
+    const extra = {};
+    if (method === 'backup_code') {
+      extra.backup_codes_remaining = await twoFactorModel.countRemainingBackupCodes(user.id);
+    }
+    
+    await completeLogin(req, res, user, attempt, extra);
+  } catch (error) {
+    console.error('Two-factor login error:', error.message);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * @route   POST /api/users/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+    
+    // Rotate the refresh token; the old one stops working immediately
+    const { session, refreshToken } = await sessionModel.rotateSession(refresh_token);
+    
+    const user = await userModel.findUserById(session.user_id);
+    
+    if (!user) {
+      await sessionModel.revokeSession(session.id, session.user_id);
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+    
+    // Sessions started before 2FA became mandatory for this role end here
+    if (twoFactorPolicy.needsEnrollment(user)) {
+      await sessionModel.revokeSession(session.id, session.user_id);
+      return res.status(401).json({ error: 'Two-factor authentication must be set up. Please log in again.' });
+    }
     
-    // Login successful
     res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token: token,
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        email: user.email,
-        is_host: user.role === 'host' // Add is_host flag for frontend compatibility
+      token: signAccessToken(user, session.id),
+      refresh_token: refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error.message);
+    
+    if (/refresh token|revoked/i.test(error.message)) {
+      return res.status(401).json({ error: error.message });
+    }
+    
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+/**
+ * @route   POST /api/users/logout
+ * @desc    Log out by revoking the session the refresh token belongs to
+ * @access  Public (requires the refresh token being revoked)
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+    
+    await sessionModel.revokeSessionByToken(refresh_token);
+    
+    // Always succeed so clients can't probe which tokens are valid
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+/**
+ * @route   POST /api/users/verify-email
+ * @desc    Confirm a user's email address with the token from the verification email
+ * @access  Public (requires a verification token)
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+    
+    const userId = await tokenModel.consumeToken(token, 'email_verification');
+    await userModel.markEmailVerified(userId);
+    
+    res.status(200).json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error.message);
+    
+    if (error.message.includes('Invalid or expired token')) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+    
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+/**
+ * @route   POST /api/users/resend-verification
+ * @desc    Send a new verification email
+ * @access  Public
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email || !emailRegex.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    
+    const user = await userModel.findUserByEmail(email);
+    
+    // A mail failure is only logged, so the response doesn't reveal that the account exists
+    if (user && !user.email_verified_at) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError.message);
       }
+    }
+    
+    // Same response whether or not the account exists, so emails can't be enumerated
+    res.status(200).json({ message: 'If the account needs verification, a new link has been sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error.message);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+/**
+ * @route   POST /api/users/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email || !emailRegex.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    
+    const user = await userModel.findUserByEmail(email);
+    
+    // A mail failure is only logged, so the response doesn't reveal that the account exists
+    if (user) {
+      try {
+        const token = await tokenModel.createToken(user.id, 'password_reset');
+        await mail.sendMail({ to: user.email, ...mailTemplates.passwordResetEmail(user, token) });
+      } catch (mailError) {
+        console.error('Failed to send password reset email:', mailError.message);
+      }
+    }
+    
+    // Same response whether or not the account exists, so emails can't be enumerated
+    res.status(200).json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error.message);
+    res.status(500).json({ error: 'Failed to send password reset email' });
+  }
+});
+
+/**
+ * @route   POST /api/users/reset-password
+ * @desc    Set a new password using the token from the reset email
+ * @access  Public (requires a password reset token)
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+    
+    // Validate password strength (at least 6 characters)
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+    
+    const userId = await tokenModel.consumeToken(token, 'password_reset');
+    await userModel.setPassword(userId, password);
+    
+    // Sign out everywhere in case the old password was compromised
+    await sessionModel.revokeAllSessions(userId);
+    
+    // Receiving the reset link proves the user owns the address
+    await userModel.markEmailVerified(userId);
+    
+    res.status(200).json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error.message);
+    
+    if (error.message.includes('Invalid or expired token')) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+    
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * @route   GET /api/users/2fa
+ * @desc    Get the current user's two-factor status
+ * @access  Private
+ */
+router.get('/2fa', authenticate, async (req, res) => {
+  try {
+    const enabled = req.user.two_factor_enabled;
+    
+    res.status(200).json({
+      enabled,
+      required: twoFactorPolicy.isRequired(req.user),
+      backup_codes_remaining: enabled ? await twoFactorModel.countRemainingBackupCodes(req.user.id) : 0
     });
   } catch (error) {
-    console.error('Login error:', error.message);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ error: 'Login failed', details: error.message });
+    console.error('Get two-factor status error:', error.message);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+/**
+ * @route   POST /api/users/2fa/setup
+ * @desc    Start two-factor enrollment; returns the secret, provisioning URI and QR code
+ * @access  Private (or a two-factor setup token from /login)
+ */
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const { secret, otpauth_uri } = await twoFactorModel.startEnrollment(req.user);
+    const qr_code = await QRCode.toDataURL(otpauth_uri);
+    
+    res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauth_uri,
+      qr_code
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error.message);
+    
+    if (error.message.includes('already enabled')) {
+      return res.status(409).json({ error: error.message });
+    }
+    
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+/**
+ * @route   POST /api/users/2fa/enable
+ * @desc    Confirm enrollment with a code from the authenticator app; returns backup codes.
+ *          With a setup token this also completes the login.
+ * @access  Private (or a two-factor setup token from /login)
+ */
+router.post('/2fa/enable', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+    
+    const backupCodes = await twoFactorModel.confirmEnrollment(req.user.id, code);
+    
+    if (req.user.two_factor_setup) {
+      const user = await userModel.findUserById(req.user.id);
+      const attempt = {
+        identifier: user.email,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      };
+      
+      return completeLogin(req, res, user, attempt, { backup_codes: backupCodes });
+    }
+    
+    res.status(200).json({
+      message: 'Two-factor authentication enabled',
+      backup_codes: backupCodes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error.message);
+    
+    if (error.message.includes('already enabled')) {
+      return res.status(409).json({ error: error.message });
+    }
+    
+    if (error.message.includes('Invalid verification code') || error.message.includes('not been started')) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * @route   POST /api/users/2fa/backup-codes
+ * @desc    Replace the current user's backup codes (requires a current code)
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', authenticate, async (req, res) => {
+  try {
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!(await twoFactorModel.verifyCode(req.user.id, req.body.code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    const backupCodes = await twoFactorModel.replaceBackupCodes(req.user.id);
+    
+    res.status(200).json({
+      message: 'New backup codes generated. Your old codes no longer work.',
+      backup_codes: backupCodes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error.message);
+    res.status(500).json({ error: 'Failed to generate backup codes' });
+  }
+});
+
+/**
+ * @route   POST /api/users/2fa/disable
+ * @desc    Turn off two-factor authentication (requires password and a current code)
+ * @access  Private (not allowed for roles that require 2FA)
+ */
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    if (!twoFactorPolicy.canDisable(req.user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your account' });
+    }
+    
+    if (!req.user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and authentication code are required' });
+    }
+    
+    if (!(await userModel.verifyCredentials(req.user.email, password))) {
+      return res.status(400).json({ error: 'Incorrect password' });
+    }
+    
+    if (!(await twoFactorModel.verifyCode(req.user.id, code))) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    await twoFactorModel.disable(req.user.id);
+    
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error.message);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+/**
+ * @route   GET /api/users/sessions
+ * @desc    List the current user's active sessions (one per device)
+ * @access  Private
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionModel.getActiveSessionsByUser(req.user.id);
+    
+    res.status(200).json({
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.session_id
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error.message);
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/sessions
+ * @desc    Revoke all of the current user's sessions except the current one
+ * @access  Private
+ */
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const count = await sessionModel.revokeAllSessions(req.user.id, req.user.session_id);
+    
+    res.status(200).json({
+      message: `Revoked ${count} other sessions`,
+      count
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const revoked = await sessionModel.revokeSession(req.params.id, req.user.id);
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.status(200).json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error.message);
+    res.status(500).json({ error: 'Failed to revoke session' });
   }
 });
 
 /**
  * @route   GET /api/users/profile
  * @desc    Get current user's profile
- * @access  Private (should have auth middleware, simplified for now)
+ * @access  Private
  */
-router.get('/profile', async (req, res) => {
+router.get('/profile', authenticate, async (req, res) => {
   try {
-    // In a real app, you would get the userId from the authenticated session
-    // For simplicity, we're using a query parameter or default to 1
-    const userId = req.query.userId || 1;
+    const userId = req.user.id;
     
     const user = await userModel.findUserById(userId);
     
@@ -150,7 +839,7 @@ router.get('/profile', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    res.status(200).json({ user });
+    res.status(200).json({ user: privateProfile(user) });
   } catch (error) {
     console.error('Get profile error:', error.message);
     res.status(500).json({ error: 'Failed to get profile' });
@@ -159,30 +848,38 @@ router.get('/profile', async (req, res) => {
 
 /**
  * @route   PUT /api/users/profile
- * @desc    Update current user's profile
- * @access  Private (should have auth middleware, simplified for now)
+ * @desc    Update current user's profile (username, email, first_name, last_name, phone, bio)
+ * @access  Private
  */
-router.put('/profile', async (req, res) => {
+router.put('/profile', authenticate, async (req, res) => {
   try {
-    // In a real app, you would get the userId from the authenticated session
-    // For simplicity, we're using req.body.id or default to 1
-    const userId = req.body.id || 1;
+    const userId = req.user.id;
     
-    // Extract the fields to update
-    const { username, email, role } = req.body;
+    const { updates, errors } = validateProfileUpdate(req.body);
     
-    // Create updates object with only provided fields
-    const updates = {};
-    if (username) updates.username = username;
-    if (email) updates.email = email;
-    if (role && (role === 'user' || role === 'host')) updates.role = role;
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Please correct the highlighted fields', errors });
+    }
+    
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid update fields provided' });
+    }
     
     // Update the user
     const updatedUser = await userModel.updateUser(userId, updates);
     
+    // Changing the email address clears verification; send a link to the new one
+    if (updates.email && updates.email !== req.user.email) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError.message);
+      }
+    }
+    
     res.status(200).json({
       message: 'Profile updated successfully',
-      user: updatedUser
+      user: privateProfile(updatedUser)
     });
   } catch (error) {
     console.error('Update profile error:', error.message);
@@ -200,6 +897,253 @@ router.put('/profile', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/users/profile/avatar
+ * @desc    Upload a new profile image (multipart field "avatar")
+ * @access  Private
+ */
+router.post('/profile/avatar', authenticate, handleUpload(avatarUpload.single('avatar')), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'An image file is required' });
+    }
+    
+    try {
+      await verifyImage(req.file.path);
+    } catch (error) {
+      // The file claimed to be an image but couldn't be decoded
+      await removeUpload(uploadUrl('avatars', req.file.filename));
+      return res.status(400).json({ error: `${req.file.originalname} is not a valid image` });
+    }
+    
+    const previous = await userModel.findUserById(req.user.id);
+    const updatedUser = await userModel.updateUser(req.user.id, {
+      profile_image: uploadUrl('avatars', req.file.filename)
+    });
+    
+    await removeUpload(previous && previous.profile_image);
+    
+    res.status(200).json({
+      message: 'Profile image updated successfully',
+      user: privateProfile(updatedUser)
+    });
+  } catch (error) {
+    console.error('Upload avatar error:', error.message);
+    
+    if (req.file) {
+      await removeUpload(uploadUrl('avatars', req.file.filename));
+    }
+    
+    res.status(500).json({ error: 'Failed to update profile image' });
+  }
+});
+
+/**
+ * @route   DELETE /api/users/profile/avatar
+ * @desc    Remove the current profile image
+ * @access  Private
+ */
+router.delete('/profile/avatar', authenticate, async (req, res) => {
+  try {
+    const user = await userModel.findUserById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const updatedUser = await userModel.updateUser(req.user.id, { profile_image: null });
+    await removeUpload(user.profile_image);
+    
+    res.status(200).json({
+      message: 'Profile image removed',
+      user: privateProfile(updatedUser)
+    });
+  } catch (error) {
+    console.error('Remove avatar error:', error.message);
+    res.status(500).json({ error: 'Failed to remove profile image' });
+  }
+});
+
+/**
+ * @route   GET /api/users/profile/export
+ * @desc    Download everything stored about the current user (?format=json or zip)
+ * @access  Private
+ */
+router.get('/profile/export', authenticate, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    
+    if (format !== 'json' && format !== 'zip') {
+      return res.status(400).json({ error: 'Format must be "json" or "zip"' });
+    }
+    
+    const user = await userModel.findUserById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const data = await accountModel.getPersonalData(user.id);
+    const exportedAt = new Date().toISOString();
+    // Usernames may hold characters that would break out of the header's quoted filename
+    const baseName = `hostel-marketplace-${user.username.replace(/[^\w-]/g, '_')}-${exportedAt.slice(0, 10)}`;
+    
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}.json"`);
+      return res.status(200).json({ exported_at: exportedAt, profile: privateProfile(user), ...data });
+    }
+    
+    // One JSON file per section so the archive is easy to browse
+    const zip = new AdmZip();
+    const sections = { profile: privateProfile(user), ...data };
+    
+    for (const [name, content] of Object.entries(sections)) {
+      zip.addFile(`${name}.json`, Buffer.from(JSON.stringify(content, null, 2)));
+    }
+    zip.addFile('README.txt', Buffer.from(`Personal data for ${user.username}, exported ${exportedAt}.\n`));
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+    res.status(200).send(zip.toBuffer());
+  } catch (error) {
+    console.error('Export data error:', error.message);
+    res.status(500).json({ error: 'Failed to export your data' });
+  }
+});
+
+/**
+ * @route   POST /api/users/profile/delete
+ * @desc    Schedule the current user's account for deletion after a grace period
+ *          (requires password, and an authentication code when 2FA is on)
+ * @access  Private
+ */
+router.post('/profile/delete', authenticate, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+    
+    if (!(await userModel.verifyCredentials(req.user.email, password))) {
+      return res.status(400).json({ error: 'Incorrect password' });
+    }
+    
+    if (req.user.two_factor_enabled) {
+      if (!code) {
+        return res.status(400).json({ error: 'Authentication code is required' });
+      }
+      
+      if (!(await twoFactorModel.verifyCode(req.user.id, code))) {
+        return res.status(400).json({ error: 'Invalid authentication code' });
+      }
+    }
+    
+    if ((await accountModel.countOwnedHostels(req.user.id)) > 0) {
+      return res.status(409).json({ error: 'Please remove your hostel listings before deleting your account' });
+    }
+    
+    const deletion = await accountModel.scheduleDeletion(req.user.id, ACCOUNT_DELETION_GRACE_DAYS);
+    
+    if (!deletion) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Sign out everywhere else; this session stays so the user can still cancel
+    await sessionModel.revokeAllSessions(req.user.id, req.user.session_id);
+    
+    try {
+      await mail.sendMail({
+        to: req.user.email,
+        ...mailTemplates.accountDeletionEmail(req.user, deletion.deletion_scheduled_for)
+      });
+    } catch (mailError) {
+      console.error('Failed to send account deletion email:', mailError.message);
+    }
+    
+    res.status(200).json({
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. You can cancel until then.`,
+      deletion_scheduled_for: deletion.deletion_scheduled_for
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error.message);
+    res.status(500).json({ error: 'Failed to schedule account deletion' });
+  }
+});
+
+/**
+ * @route   POST /api/users/profile/delete/cancel
+ * @desc    Cancel a scheduled account deletion
+ * @access  Private
+ */
+router.post('/profile/delete/cancel', authenticate, async (req, res) => {
+  try {
+    const cancelled = await accountModel.cancelDeletion(req.user.id);
+    
+    if (!cancelled) {
+      return res.status(400).json({ error: 'Your account is not scheduled for deletion' });
+    }
+    
+    res.status(200).json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error.message);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
+/**
+ * @route   GET /api/users/:id/login-attempts
+ * @desc    Get the recent login attempts for a user (audit log)
+ * @access  Private (admin only)
+ */
+router.get('/:id/login-attempts', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await userModel.findUserById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const attempts = await loginAttemptModel.getAttemptsByUser(user.id, limit);
+    
+    res.status(200).json({
+      user: {
+        id: user.id,
+        username: user.username,
+        failed_login_count: user.failed_login_count,
+        locked_until: user.locked_until
+      },
+      attempts
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error.message);
+    res.status(500).json({ error: 'Failed to get login attempts' });
+  }
+});
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Clear a user's failed login count and lift any lockout
+ * @access  Private (admin only)
+ */
+router.post('/:id/unlock', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const unlocked = await userModel.clearFailedLogins(req.params.id);
+    
+    if (!unlocked) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    console.log(`User ${req.params.id} unlocked by admin ${req.user.id}`);
+    
+    res.status(200).json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock user error:', error.message);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID (public profile)
@@ -216,13 +1160,7 @@ router.get('/:id', async (req, res) => {
     }
     
     // Return limited information for public profile
-    res.status(200).json({
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role
-      }
-    });
+    res.status(200).json({ user: publicProfile(user) });
   } catch (error) {
     console.error('Get user error:', error.message);
     res.status(500).json({ error: 'Failed to get user' });
@@ -248,17 +1186,50 @@ const markedCount = await messageModel.markMessagesAsRead(myUserId, senderUserId
 const conversations = await messageModel.getUserConversations(userId);
 */
 
-// GET /api/users - Fetch all users
-router.get('/', async (req, res) => {
+/**
+ * @route   GET /api/users
+ * @desc    Admin user directory with search (q), role and signup date filters (created_from, created_to)
+ * @access  Private (admin only)
+ */
+router.get('/', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const users = await query('SELECT * FROM users');
-    res.json(users);
-  } catch (error) {
-    console.error('Error fetching users:', error.message);
-    res.status(500).json({
-      error: 'Database error',
-      message: 'Failed to fetch users from the database'
+    const { q, role, created_from, created_to } = req.query;
+    
+    // Pagination parameters
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const offset = (page - 1) * limit;
+    
+    if (role && role !== 'guest' && role !== 'host' && role !== 'admin') {
+      return res.status(400).json({ error: 'Role must be "guest", "host", or "admin"' });
+    }
+    
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if ((created_from && !dateRegex.test(created_from)) || (created_to && !dateRegex.test(created_to))) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+    }
+    
+    // Build filters object
+    const filters = {};
+    if (q) filters.search = q.trim();
+    if (role) filters.role = role;
+    if (created_from) filters.createdFrom = created_from;
+    if (created_to) filters.createdTo = created_to;
+    
+    const { users, total } = await userModel.searchUsers(filters, limit, offset);
+    
+    res.status(200).json({
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
     });
+  } catch (error) {
+    console.error('Get users error:', error.message);
+    res.status(500).json({ error: 'Failed to get users' });
   }
 });
 
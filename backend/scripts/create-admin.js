@@ -0,0 +1,45 @@
+/**
+ * Create an Admin Account
+ * 
+ * Admins can't sign up through the API; this script creates one.
+ * Usage: node scripts/create-admin.js <username> <email> <password>
+ */
+
+const { initializeDatabase, closeDatabase } = require('../models/db');
+const userModel = require('../models/user');
+const { emailRegex } = require('../utils/validation');
+
+async function createAdmin() {
+  const [username, email, password] = process.argv.slice(2);
+  
+  if (!username || !email || !password) {
+    console.error('Usage: node scripts/create-admin.js <username> <email> <password>');
+    process.exit(1);
+  }
+  
+  if (!emailRegex.test(email)) {
+    console.error('Invalid email format');
+    process.exit(1);
+  }
+  
+  if (password.length < 6) {
+    console.error('Password must be at least 6 characters');
+    process.exit(1);
+  }
+  
+  await initializeDatabase();
+  
+  try {
+    const user = await userModel.createUser(username, password, 'admin', email);
+    // Admins are trusted with their address, so it needs no verification link
+    await userModel.markEmailVerified(user.id);
+    console.log(`Admin ${user.username} created with ID ${user.id}`);
+  } finally {
+    await closeDatabase();
+  }
+}
+
+createAdmin().catch((err) => {
+  console.error('Failed to create admin:', err.message);
+  process.exit(1);
+});
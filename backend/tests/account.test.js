@@ -0,0 +1,51 @@
+const { setupDatabase, teardownDatabase, insert, createUser, createHostel } = require('./helpers/database');
+const { getDatabase } = require('../models/db');
+const accountModel = require('../models/account');
+const bookingModel = require('../models/booking');
+
+const get = (sql, params) => new Promise((resolve, reject) => {
+  getDatabase().get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+describe('account anonymization', () => {
+  let room;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    room = await createHostel(await createUser('host', 'host'));
+  });
+
+  afterAll(teardownDatabase);
+
+  test('wipes the account, its sessions and favorites and cancels upcoming bookings', async () => {
+    const guest = await createUser('guest');
+    await insert("INSERT INTO user_sessions (user_id, refresh_token_hash, expires_at) VALUES (?, 'hash', datetime('now', '+1 day'))", [guest]);
+    await insert('INSERT INTO favorites (user_id, hostel_id) VALUES (?, ?)', [guest, room.hostel_id]);
+    const booking = await bookingModel.createBooking(guest, room.hostel_id, '2030-06-01', '2030-06-03', 40, 'confirmed', room.room_type_id, 1);
+
+    await accountModel.anonymizeUser(guest);
+
+    expect(await get('SELECT username, email, first_name, deleted_at FROM users WHERE id = ?', [guest])).toMatchObject({
+      username: `deleted-user-${guest}`,
+      email: `deleted-user-${guest}@deleted.invalid`,
+      first_name: null
+    });
+    expect((await get('SELECT deleted_at FROM users WHERE id = ?', [guest])).deleted_at).not.toBeNull();
+    expect((await get('SELECT COUNT(*) as count FROM user_sessions WHERE user_id = ?', [guest])).count).toBe(0);
+    expect((await get('SELECT COUNT(*) as count FROM favorites WHERE user_id = ?', [guest])).count).toBe(0);
+    expect((await bookingModel.getBookingById(booking.id)).status).toBe('cancelled');
+  });
+
+  test('changes nothing when one of the writes fails', async () => {
+    const guest = await createUser('guest2');
+    await insert('INSERT INTO favorites (user_id, hostel_id) VALUES (?, ?)', [guest, room.hostel_id]);
+
+    // The anonymized username is taken, so updating the users row fails
+    await createUser(`deleted-user-${guest}`);
+
+    await expect(accountModel.anonymizeUser(guest)).rejects.toThrow('UNIQUE');
+
+    expect(await get('SELECT username, deleted_at FROM users WHERE id = ?', [guest])).toEqual({ username: 'guest2', deleted_at: null });
+    expect((await get('SELECT COUNT(*) as count FROM favorites WHERE user_id = ?', [guest])).count).toBe(1);
+  });
+});
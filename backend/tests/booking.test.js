@@ -0,0 +1,94 @@
+const { setupDatabase, teardownDatabase, createUser, createHostel } = require('./helpers/database');
+const bookingModel = require('../models/booking');
+const hostelModel = require('../models/hostel');
+
+describe('booking bed inventory', () => {
+  let host;
+  let guests;
+  let room;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    host = await createUser('host', 'host');
+    guests = [await createUser('guest1'), await createUser('guest2'), await createUser('guest3')];
+    room = await createHostel(host, { kind: 'dorm', room_count: 1, beds_per_room: 2 });
+  });
+
+  afterAll(teardownDatabase);
+
+  const book = (user_id, beds, check_in = '2030-06-01', check_out = '2030-06-04') =>
+    bookingModel.createBooking(user_id, room.hostel_id, check_in, check_out, 60, 'pending', room.room_type_id, beds);
+
+  test('refuses a booking when no beds are left on some night', async () => {
+    const first = await book(guests[0], 2);
+
+    await expect(book(guests[1], 1, '2030-06-03', '2030-06-05')).rejects.toThrow('Not enough beds');
+    await expect(book(guests[1], 1, '2030-06-04', '2030-06-05')).resolves.toMatchObject({ beds: 1 });
+
+    await bookingModel.updateBookingStatus(first.id, 'cancelled');
+  });
+
+  test('refuses to reopen a cancelled booking whose beds were taken', async () => {
+    const cancelled = await book(guests[0], 2, '2030-07-01', '2030-07-03');
+    await bookingModel.updateBookingStatus(cancelled.id, 'cancelled');
+
+    const replacement = await book(guests[1], 2, '2030-07-02', '2030-07-04');
+    await bookingModel.updateBookingStatus(replacement.id, 'confirmed');
+
+    await expect(bookingModel.updateBookingStatus(cancelled.id, 'confirmed')).rejects.toThrow("can't be marked");
+    await expect(bookingModel.updateBookingStatus(cancelled.id, 'pending')).rejects.toThrow('Not enough beds');
+    expect((await bookingModel.getBookingById(cancelled.id)).status).toBe('cancelled');
+  });
+
+  test('reopens a cancelled booking while its beds are free', async () => {
+    const booking = await book(guests[2], 1, '2030-08-01', '2030-08-02');
+    await bookingModel.updateBookingStatus(booking.id, 'cancelled');
+
+    const reopened = await bookingModel.updateBookingStatus(booking.id, 'pending');
+    expect(reopened.status).toBe('pending');
+  });
+
+  test('only completes confirmed bookings', async () => {
+    const booking = await book(guests[2], 1, '2030-09-01', '2030-09-02');
+
+    await expect(bookingModel.updateBookingStatus(booking.id, 'completed')).rejects.toThrow("can't be marked");
+    await bookingModel.updateBookingStatus(booking.id, 'confirmed');
+    await expect(bookingModel.updateBookingStatus(booking.id, 'completed')).resolves.toMatchObject({ status: 'completed' });
+    await expect(bookingModel.updateBookingStatus(booking.id, 'cancelled')).rejects.toThrow("can't be marked");
+  });
+});
+
+describe('hostel deletion', () => {
+  let host;
+  let guest;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    host = await createUser('host', 'host');
+    guest = await createUser('guest');
+  });
+
+  afterAll(teardownDatabase);
+
+  const book = (room, status) =>
+    bookingModel.createBooking(guest, room.hostel_id, '2030-06-01', '2030-06-03', 40, status, room.room_type_id, 1);
+
+  test('keeps a hostel whose guests hold confirmed bookings unless told otherwise', async () => {
+    const room = await createHostel(host);
+    await book(room, 'confirmed');
+
+    expect(await hostelModel.deleteHostel(room.hostel_id, host, true)).toBe(false);
+    expect(await hostelModel.getHostelById(room.hostel_id)).not.toBeNull();
+
+    expect(await hostelModel.deleteHostel(room.hostel_id, host)).toBe(true);
+  });
+
+  test('cancels only bookings still in the given statuses', async () => {
+    const room = await createHostel(host);
+    const pending = await book(room, 'pending');
+    const confirmed = await book(room, 'confirmed');
+
+    expect(await bookingModel.cancelBookings([pending.id, confirmed.id], ['pending'])).toBe(1);
+    expect((await bookingModel.getBookingById(confirmed.id)).status).toBe('confirmed');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Test database helpers
+ *
+ * Each test file gets its own in-memory database, built from schema.sql and
+ * the migrations like a fresh install.
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { initializeDatabase, getDatabase, closeDatabase } = require('../../models/db');
+
+/**
+ * Run a statement and return its lastID
+ *
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<number>}
+ */
+function insert(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getDatabase().run(sql, params, function(err) {
+      return err ? reject(err) : resolve(this.lastID);
+    });
+  });
+}
+
+/**
+ * Add a user straight to the database
+ *
+ * @param {string} username - Username, also used for the email
+ * @param {string} role - guest, host or admin
+ * @returns {Promise<number>} - User ID
+ */
+function createUser(username, role = 'guest') {
+  return insert(
+    "INSERT INTO users (username, password, role, email, email_verified_at) VALUES (?, 'x', ?, ?, CURRENT_TIMESTAMP)",
+    [username, role, `${username}@example.com`]
+  );
+}
+
+/**
+ * Add a published hostel with one room type
+ *
+ * @param {number} host_id - Host user ID
+ * @param {object} roomType - kind, room_count, beds_per_room and price
+ * @returns {Promise<object>} - { hostel_id, room_type_id }
+ */
+async function createHostel(host_id, roomType = {}) {
+  const { kind = 'dorm', room_count = 1, beds_per_room = 4, price = 20 } = roomType;
+  const hostel_id = await insert(
+    "INSERT INTO hostels (host_id, name, location, price, status) VALUES (?, 'Test Hostel', 'Berlin', ?, 'published')",
+    [host_id, price]
+  );
+  const room_type_id = await insert(
+    "INSERT INTO room_types (hostel_id, name, kind, room_count, beds_per_room, price) VALUES (?, 'Room', ?, ?, ?, ?)",
+    [hostel_id, kind, room_count, beds_per_room, price]
+  );
+
+  return { hostel_id, room_type_id };
+}
+
+module.exports = {
+  setupDatabase: initializeDatabase,
+  teardownDatabase: closeDatabase,
+  insert,
+  createUser,
+  createHostel
+};
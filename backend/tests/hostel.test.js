@@ -0,0 +1,155 @@
+const { setupDatabase, teardownDatabase, insert, createUser, createHostel } = require('./helpers/database');
+const hostelModel = require('../models/hostel');
+const bookingModel = require('../models/booking');
+const pricingModel = require('../models/pricing');
+const availabilityModel = require('../models/availability');
+const { validateStay } = require('../utils/validation');
+
+describe('radius search', () => {
+  let host;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    host = await createUser('host', 'host');
+  });
+
+  afterAll(teardownDatabase);
+
+  const placeHostel = async (name, latitude, longitude) => {
+    const { hostel_id } = await createHostel(host);
+    await insert('UPDATE hostels SET name = ?, latitude = ?, longitude = ? WHERE id = ?', [name, latitude, longitude, hostel_id]);
+  };
+
+  const search = async (filters) => (await hostelModel.searchHostels(filters)).hostels;
+
+  test('wraps around the antimeridian', async () => {
+    await placeHostel('Taveuni East', -16.8, -179.95);
+    await placeHostel('Taveuni West', -16.8, 179.8);
+    await placeHostel('Labasa', -16.4, 179.4);
+
+    const hostels = await search({ near: { latitude: -16.8, longitude: 179.95 }, radius_km: 30, sort: 'distance' });
+
+    expect(hostels.map(hostel => hostel.name)).toEqual(['Taveuni East', 'Taveuni West']);
+    expect(hostels.map(hostel => hostel.distance_km)).toEqual([10.6, 16]);
+  });
+
+  test('never reports a hostel further away than the radius', async () => {
+    // Far north, a flat map around Tromso puts a hostel further south and east about 880 km away
+    await placeHostel('Tromso', 69.65, 18.96);
+    await placeHostel('Kem', 64, 35);
+
+    const near = { latitude: 69.65, longitude: 18.96 };
+    const hostels = await search({ near, radius_km: 900 });
+    expect(hostels.map(hostel => hostel.name)).toEqual(['Tromso']);
+
+    const wider = await search({ near, radius_km: 1000, sort: 'distance' });
+    expect(wider.map(hostel => hostel.distance_km)).toEqual([0, 936.9]);
+  });
+});
+
+describe('stay search', () => {
+  let host;
+  let guest;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    host = await createUser('host', 'host');
+    guest = await createUser('guest');
+  });
+
+  afterAll(teardownDatabase);
+
+  const book = (room, check_in, check_out, beds) =>
+    bookingModel.createBooking(guest, room.hostel_id, check_in, check_out, 60, 'confirmed', room.room_type_id, beds);
+
+  /**
+   * Search for a stay the way the search route does and quote the same stay
+   *
+   * @param {number} hostel_id - Hostel expected in or out of the results
+   * @param {string} check_in_date - Check-in date (YYYY-MM-DD)
+   * @param {string} check_out_date - Check-out date (YYYY-MM-DD)
+   * @param {number} guests - Number of guests
+   * @returns {Promise<boolean>} - Whether the search found the hostel, once checked against the cheapest quote
+   */
+  const canStay = async (hostel_id, check_in_date, check_out_date, guests) => {
+    const { nights } = validateStay(check_in_date, check_out_date);
+    const { hostels } = await hostelModel.searchHostels({ stay: { check_in_date, check_out_date, guests, nights } });
+    const found = hostels.some(hostel => hostel.id === hostel_id);
+
+    const quote = await pricingModel.getCheapestQuote(hostel_id, check_in_date, check_out_date, guests);
+    expect(quote !== null).toBe(found);
+
+    return found;
+  };
+
+  test('subtracts the beds booked on the busiest night of the stay', async () => {
+    const room = await createHostel(host, { kind: 'dorm', room_count: 1, beds_per_room: 4 });
+    await book(room, '2030-07-01', '2030-07-03', 3);
+    await book(room, '2030-07-04', '2030-07-06', 4);
+
+    expect(await canStay(room.hostel_id, '2030-07-02', '2030-07-04', 1)).toBe(true);
+    expect(await canStay(room.hostel_id, '2030-07-02', '2030-07-04', 2)).toBe(false);
+    expect(await canStay(room.hostel_id, '2030-07-03', '2030-07-04', 4)).toBe(true);
+    expect(await canStay(room.hostel_id, '2030-07-03', '2030-07-05', 1)).toBe(false);
+  });
+
+  test('ignores cancelled bookings', async () => {
+    const room = await createHostel(host, { kind: 'dorm', room_count: 1, beds_per_room: 2 });
+    const booking = await book(room, '2030-07-01', '2030-07-03', 2);
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-02', 1)).toBe(false);
+
+    await bookingModel.updateBookingStatus(booking.id, 'cancelled');
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-02', 2)).toBe(true);
+  });
+
+  test('only lets guests into whole private rooms', async () => {
+    const room = await createHostel(host, { kind: 'private', room_count: 2, beds_per_room: 2 });
+
+    // A single booked bed leaves three beds but only one whole room
+    await book(room, '2030-07-01', '2030-07-03', 1);
+
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-03', 2)).toBe(true);
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-03', 3)).toBe(false);
+    expect(await canStay(room.hostel_id, '2030-07-03', '2030-07-05', 3)).toBe(true);
+  });
+
+  test('finds a hostel through any room type that has the beds', async () => {
+    const room = await createHostel(host, { kind: 'dorm', room_count: 1, beds_per_room: 2 });
+    await book(room, '2030-07-01', '2030-07-03', 2);
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-03', 1)).toBe(false);
+
+    await insert(
+      "INSERT INTO room_types (hostel_id, name, kind, room_count, beds_per_room, price) VALUES (?, 'Annex', 'dorm', 1, 2, 30)",
+      [room.hostel_id]
+    );
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-03', 2)).toBe(true);
+  });
+
+  test('excludes a hostel closed on any night of the stay', async () => {
+    const room = await createHostel(host);
+    await availabilityModel.setRules(room.hostel_id, room.room_type_id, '2030-07-03', '2030-07-03', { is_available: 0 });
+
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-04', 1)).toBe(false);
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-03', 1)).toBe(true);
+
+    const closed = await createHostel(host);
+    await availabilityModel.setRules(closed.hostel_id, null, '2030-07-02', '2030-07-02', { is_available: 0 });
+
+    expect(await canStay(closed.hostel_id, '2030-07-01', '2030-07-03', 1)).toBe(false);
+    expect(await canStay(closed.hostel_id, '2030-07-03', '2030-07-05', 1)).toBe(true);
+  });
+
+  test('excludes stays shorter than the minimum stay of the check-in date', async () => {
+    const room = await createHostel(host);
+    await availabilityModel.setRules(room.hostel_id, room.room_type_id, '2030-07-01', '2030-07-01', { min_stay: 3 });
+    await availabilityModel.setRules(room.hostel_id, null, '2030-07-02', '2030-07-02', { min_stay: 4 });
+
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-03', 1)).toBe(false);
+    expect(await canStay(room.hostel_id, '2030-07-01', '2030-07-04', 1)).toBe(true);
+    expect(await canStay(room.hostel_id, '2030-07-02', '2030-07-05', 1)).toBe(false);
+    expect(await canStay(room.hostel_id, '2030-07-02', '2030-07-06', 1)).toBe(true);
+
+    // Only the arrival night's minimum counts
+    expect(await canStay(room.hostel_id, '2030-06-30', '2030-07-02', 1)).toBe(true);
+  });
+});
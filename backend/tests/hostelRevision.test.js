@@ -0,0 +1,78 @@
+const { setupDatabase, teardownDatabase, createUser, createHostel } = require('./helpers/database');
+const hostelRevisionModel = require('../models/hostelRevision');
+const roomTypeModel = require('../models/roomType');
+const pricingModel = require('../models/pricing');
+const hostelImageModel = require('../models/hostelImage');
+const hostelModel = require('../models/hostel');
+const bookingModel = require('../models/booking');
+
+describe('listing revisions', () => {
+  let host;
+  let room;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    host = await createUser('host', 'host');
+    room = await createHostel(host, { price: 20 });
+    await hostelRevisionModel.getCurrentRevision(room.hostel_id, host);
+  });
+
+  afterAll(teardownDatabase);
+
+  const record = (change) => hostelRevisionModel.recordChange(room.hostel_id, host, change);
+
+  test('records room type, pricing and photo changes', async () => {
+    const { revision: priced } = await record(() => roomTypeModel.updateRoomType(room.room_type_id, { price: 25 }));
+    const { changes } = await hostelRevisionModel.getRevision(room.hostel_id, priced);
+    expect(changes.map(change => change.field)).toEqual(['room_types']);
+    expect(changes[0].from[0].price).toBe(20);
+    expect(changes[0].to[0].price).toBe(25);
+
+    const { revision: seasonal } = await record(() => pricingModel.setPricingRules(room.hostel_id, {
+      seasonal_rates: [{ name: 'Summer', start_date: '06-01', end_date: '08-31', rate_percent: 20 }]
+    }));
+    expect((await hostelRevisionModel.getRevision(room.hostel_id, seasonal)).changes[0].field).toBe('pricing');
+
+    const { revision: photographed } = await record(() =>
+      hostelImageModel.addImages(room.hostel_id, [{ image_url: '/uploads/hostels/a.jpg' }])
+    );
+    expect((await hostelRevisionModel.getRevision(room.hostel_id, photographed)).changes[0].field).toBe('images');
+  });
+
+  test('records nothing when pricing is saved unchanged', async () => {
+    const rules = await pricingModel.getPricingRules(room.hostel_id);
+    const { revision } = await record(() => pricingModel.setPricingRules(room.hostel_id, rules));
+
+    expect(revision).toBeNull();
+  });
+
+  test('restores pricing rules and room type settings', async () => {
+    await record(() => roomTypeModel.updateRoomType(room.room_type_id, { price: 40 }));
+    await record(() => pricingModel.setPricingRules(room.hostel_id, { seasonal_rates: [], cleaning_fee: 10 }));
+
+    const { revision } = await hostelRevisionModel.revertToRevision(room.hostel_id, 1, host);
+    expect(revision).not.toBeNull();
+
+    const pricing = await pricingModel.getPricingRules(room.hostel_id);
+    expect(pricing.seasonal_rates).toEqual([]);
+    expect(pricing.cleaning_fee).toBe(0);
+    expect((await roomTypeModel.getRoomTypeById(room.room_type_id)).price).toBe(20);
+
+    // Photos are left as they are
+    expect(await hostelImageModel.getImagesByHostel(room.hostel_id)).toHaveLength(1);
+  });
+
+  test('restores nothing when a room type would no longer fit its bookings', async () => {
+    await record(() => roomTypeModel.updateRoomType(room.room_type_id, { beds_per_room: 8 }));
+    const guest = await createUser('guest');
+    await bookingModel.createBooking(guest, room.hostel_id, '2030-06-01', '2030-06-03', 120, 'confirmed', room.room_type_id, 6);
+    await record(() => hostelModel.updateHostel(room.hostel_id, { name: 'Renamed Hostel' }));
+    const latest = (await hostelRevisionModel.getRevisions(room.hostel_id, 1))[0].revision;
+
+    await expect(hostelRevisionModel.revertToRevision(room.hostel_id, 1, host)).rejects.toThrow('need 6 beds');
+
+    expect((await hostelModel.getHostelById(room.hostel_id)).name).toBe('Renamed Hostel');
+    expect((await roomTypeModel.getRoomTypeById(room.room_type_id)).beds_per_room).toBe(8);
+    expect((await hostelRevisionModel.getRevisions(room.hostel_id, 1))[0].revision).toBe(latest);
+  });
+});
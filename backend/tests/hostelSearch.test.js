@@ -0,0 +1,55 @@
+const { setupDatabase, teardownDatabase, createUser, insert } = require('./helpers/database');
+const hostelSearchModel = require('../models/hostelSearch');
+
+describe('edit distance', () => {
+  const { editDistance } = hostelSearchModel;
+
+  test('counts added, removed and replaced characters', () => {
+    expect(editDistance('hostel', 'hostel')).toBe(0);
+    expect(editDistance('hostel', 'hostels')).toBe(1);
+    expect(editDistance('hostel', 'hotel')).toBe(1);
+    expect(editDistance('hostel', 'hostal')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('', 'bar')).toBe(3);
+  });
+
+  test('counts swapping two neighbouring characters as one edit', () => {
+    expect(editDistance('hostle', 'hostel')).toBe(1);
+    expect(editDistance('ohstel', 'hostel')).toBe(1);
+  });
+});
+
+describe('match query', () => {
+  const { buildMatchQuery } = hostelSearchModel;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    const host = await createUser('host', 'host');
+    await insert(
+      "INSERT INTO hostels (host_id, name, description, location, price, status) VALUES (?, ?, ?, 'Berlin', 20, 'published')",
+      [host, 'Kreuzberg Rooftop Hostel', 'Bar on the roof, near the river']
+    );
+  });
+
+  afterAll(teardownDatabase);
+
+  test('matches each word as a prefix, quoting what the user typed', async () => {
+    expect(await buildMatchQuery('Roof "bar')).toBe('"roof"* AND "bar"*');
+  });
+
+  test('ignores repeated words and text without any', async () => {
+    expect(await buildMatchQuery('bar BAR')).toBe('"bar"*');
+    expect(await buildMatchQuery('?! --')).toBeNull();
+  });
+
+  test('adds indexed words a typo or two away for a word that matches nothing', async () => {
+    expect(await buildMatchQuery('hostle')).toBe('("hostle"* OR "hostel")');
+    expect(await buildMatchQuery('kreuzburg')).toBe('("kreuzburg"* OR "kreuzberg")');
+    expect(await buildMatchQuery('ohstel')).toBe('("ohstel"* OR "hostel")');
+  });
+
+  test("doesn't correct short words or a wrong first letter", async () => {
+    expect(await buildMatchQuery('baz')).toBe('"baz"*');
+    expect(await buildMatchQuery('xostel')).toBe('("xostel"*)');
+  });
+});
@@ -0,0 +1,164 @@
+const { setupDatabase, teardownDatabase, insert, createUser } = require('./helpers/database');
+const { getDatabase } = require('../models/db');
+const userModel = require('../models/user');
+const loginAttemptModel = require('../models/loginAttempt');
+const { checkAccount, recordAccountFailure, throttleLoginByIp } = require('../middleware/loginProtection');
+
+const { REASONS } = loginAttemptModel;
+
+/**
+ * Add failed attempts from an IP address to the audit log
+ *
+ * @param {string} ip_address - Client IP address
+ * @param {number} count - Number of attempts
+ * @param {number} secondsAgo - How long ago they were made
+ * @param {string} reason - One of REASONS
+ */
+async function seedFailures(ip_address, count, secondsAgo = 0, reason = REASONS.INVALID_PASSWORD) {
+  for (let i = 0; i < count; i++) {
+    await insert(
+      "INSERT INTO login_attempts (identifier, ip_address, success, reason, created_at) VALUES ('someone', ?, 0, ?, datetime('now', ?))",
+      [ip_address, reason, `-${secondsAgo} seconds`]
+    );
+  }
+}
+
+/**
+ * Run the IP throttle on a login request
+ *
+ * @param {string} ip - Client IP address
+ * @returns {Promise<object>} - { passed, status, body, retryAfter }
+ */
+async function attemptFrom(ip) {
+  const result = { passed: false };
+  const req = { ip, body: { email: 'someone@example.com' }, get: () => 'jest' };
+  const res = {
+    set: (header, value) => { result.retryAfter = Number(value); },
+    status: (status) => { result.status = status; return res; },
+    json: (body) => { result.body = body; return res; }
+  };
+
+  await throttleLoginByIp(req, res, () => { result.passed = true; });
+  return result;
+}
+
+// Timestamp as SQLite stores it, some seconds from now
+const timestamp = (seconds) => new Date(Date.now() + seconds * 1000).toISOString().slice(0, 19).replace('T', ' ');
+
+describe('account login protection', () => {
+  test('lets the first failure through without a delay', () => {
+    expect(checkAccount({ failed_login_count: 1, last_failed_login_at: timestamp(0), locked_until: null })).toBeNull();
+  });
+
+  test('doubles the delay with each further failure, up to a limit', () => {
+    const after = (failed_login_count) => checkAccount({ failed_login_count, last_failed_login_at: timestamp(0), locked_until: null });
+
+    expect(after(2)).toMatchObject({ reason: REASONS.THROTTLED });
+    expect(after(2).retryAfter).toBeLessThanOrEqual(1);
+    expect(after(4).retryAfter).toBeGreaterThan(2);
+    expect(after(4).retryAfter).toBeLessThanOrEqual(4);
+    expect(after(20).retryAfter).toBeGreaterThan(28);
+    expect(after(20).retryAfter).toBeLessThanOrEqual(30);
+  });
+
+  test('lets an attempt through once the delay has passed', () => {
+    expect(checkAccount({ failed_login_count: 4, last_failed_login_at: timestamp(-10), locked_until: null })).toBeNull();
+  });
+
+  test('refuses a locked account until the lock ends', () => {
+    expect(checkAccount({ failed_login_count: 0, last_failed_login_at: null, locked_until: timestamp(600) }))
+      .toMatchObject({ reason: REASONS.ACCOUNT_LOCKED });
+    expect(checkAccount({ failed_login_count: 0, last_failed_login_at: null, locked_until: timestamp(-1) })).toBeNull();
+  });
+});
+
+describe('account lockout', () => {
+  beforeAll(setupDatabase);
+  afterAll(teardownDatabase);
+
+  test('locks an account after five failures in a row and starts counting again', async () => {
+    await createUser('guest');
+    let account = await userModel.findUserByLoginIdentifier('guest@example.com');
+
+    for (let i = 0; i < 4; i++) {
+      await recordAccountFailure(account);
+    }
+    account = await userModel.findUserByLoginIdentifier('guest@example.com');
+    expect(account).toMatchObject({ failed_login_count: 4, locked_until: null });
+
+    await recordAccountFailure(account);
+    account = await userModel.findUserByLoginIdentifier('guest@example.com');
+
+    expect(account.failed_login_count).toBe(0);
+    const refusal = checkAccount(account);
+    expect(refusal.reason).toBe(REASONS.ACCOUNT_LOCKED);
+    expect(refusal.retryAfter).toBeGreaterThan(14 * 60);
+  });
+
+  test('counts wrong two-factor codes towards the same lockout as wrong passwords', async () => {
+    await createUser('twofactor');
+    let account = await userModel.findUserByLoginIdentifier('twofactor@example.com');
+
+    // Three wrong passwords, then two wrong codes, recorded as the login routes record them
+    for (const reason of [REASONS.INVALID_PASSWORD, REASONS.INVALID_PASSWORD, REASONS.INVALID_PASSWORD, REASONS.INVALID_TWO_FACTOR]) {
+      await recordAccountFailure(account);
+      await loginAttemptModel.recordAttempt({ user_id: account.id, identifier: 'twofactor', ip_address: '10.0.0.9', reason });
+    }
+    account = await userModel.findUserByLoginIdentifier('twofactor@example.com');
+    expect(checkAccount(account).reason).toBe(REASONS.THROTTLED);
+
+    await recordAccountFailure(account);
+    await loginAttemptModel.recordAttempt({ user_id: account.id, identifier: 'twofactor', ip_address: '10.0.0.9', reason: REASONS.INVALID_TWO_FACTOR });
+    account = await userModel.findUserByLoginIdentifier('twofactor@example.com');
+
+    expect(checkAccount(account).reason).toBe(REASONS.ACCOUNT_LOCKED);
+    expect((await loginAttemptModel.getRecentFailuresByIp('10.0.0.9', 15)).count).toBe(5);
+  });
+});
+
+describe('IP login protection', () => {
+  beforeAll(setupDatabase);
+  afterAll(teardownDatabase);
+
+  test('lets a few failures from an address through without a delay', async () => {
+    await seedFailures('10.0.0.1', 5);
+
+    expect(await attemptFrom('10.0.0.1')).toMatchObject({ passed: true });
+  });
+
+  test('delays attempts from an address with more failures', async () => {
+    await seedFailures('10.0.0.2', 8);
+
+    const result = await attemptFrom('10.0.0.2');
+    expect(result).toMatchObject({ passed: false, status: 429 });
+    expect(result.retryAfter).toBeGreaterThan(2);
+    expect(result.retryAfter).toBeLessThanOrEqual(4);
+
+    await seedFailures('10.0.0.3', 8, 10);
+    expect(await attemptFrom('10.0.0.3')).toMatchObject({ passed: true });
+  });
+
+  test('blocks an address for the whole window at the threshold', async () => {
+    await seedFailures('10.0.0.4', 19, 120);
+    expect(await attemptFrom('10.0.0.4')).toMatchObject({ passed: true });
+
+    await seedFailures('10.0.0.4', 1, 120, REASONS.INVALID_TWO_FACTOR);
+    const result = await attemptFrom('10.0.0.4');
+
+    expect(result).toMatchObject({ passed: false, status: 429, retryAfter: 15 * 60 });
+    const attempt = await new Promise((resolve, reject) => {
+      getDatabase().get(
+        "SELECT identifier, reason FROM login_attempts WHERE ip_address = '10.0.0.4' ORDER BY id DESC LIMIT 1",
+        (err, row) => (err ? reject(err) : resolve(row))
+      );
+    });
+    expect(attempt).toEqual({ identifier: 'someone@example.com', reason: REASONS.IP_BLOCKED });
+  });
+
+  test("doesn't count failures older than the window or refused attempts", async () => {
+    await seedFailures('10.0.0.5', 30, 16 * 60);
+    await seedFailures('10.0.0.5', 30, 0, REASONS.THROTTLED);
+
+    expect(await attemptFrom('10.0.0.5')).toMatchObject({ passed: true });
+  });
+});
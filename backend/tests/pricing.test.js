@@ -0,0 +1,124 @@
+const { setupDatabase, teardownDatabase, insert, createUser, createHostel } = require('./helpers/database');
+const pricingModel = require('../models/pricing');
+const roomTypeModel = require('../models/roomType');
+const availabilityModel = require('../models/availability');
+
+const NO_RULES = { weekend_rate_percent: 0, cleaning_fee: 0, tax_percent: 0, seasonal_rates: [], stay_discounts: [] };
+
+describe('nightly rate', () => {
+  const night = { price: 20, price_override: null };
+  const summer = { name: 'Summer', start_date: '2030-06-01', end_date: '2030-06-30', rate_percent: 10 };
+
+  test('charges the room price on an ordinary night', () => {
+    expect(pricingModel.nightlyRate('2030-06-05', night, NO_RULES)).toEqual({ price: 20, adjustments: [] });
+  });
+
+  test('applies the season and the weekend rate on top of each other', () => {
+    const rules = { ...NO_RULES, weekend_rate_percent: 50, seasonal_rates: [summer] };
+
+    // 2030-06-07 is a Friday
+    expect(pricingModel.nightlyRate('2030-06-07', night, rules)).toEqual({
+      price: 33,
+      adjustments: [{ label: 'Summer', rate_percent: 10 }, { label: 'Weekend', rate_percent: 50 }]
+    });
+    expect(pricingModel.nightlyRate('2030-07-05', night, rules).adjustments).toEqual([{ label: 'Weekend', rate_percent: 50 }]);
+  });
+
+  test('uses a price override as it is', () => {
+    const rules = { ...NO_RULES, weekend_rate_percent: 50, seasonal_rates: [summer] };
+
+    expect(pricingModel.nightlyRate('2030-06-07', { price: 20, price_override: 45 }, rules)).toEqual({ price: 45, adjustments: [] });
+  });
+
+  test('applies the season that starts last where older seasons overlap', () => {
+    const june = { name: 'June', start_date: '2030-06-10', end_date: '2030-06-20', rate_percent: -10 };
+    const rules = { ...NO_RULES, seasonal_rates: [summer, june] };
+
+    expect(pricingModel.nightlyRate('2030-06-12', night, rules)).toEqual({
+      price: 18,
+      adjustments: [{ label: 'June', rate_percent: -10 }]
+    });
+  });
+});
+
+describe('stay quotes', () => {
+  let roomType;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    const host = await createUser('host', 'host');
+    const { room_type_id } = await createHostel(host, { kind: 'dorm', room_count: 1, beds_per_room: 6, price: 20 });
+    roomType = await roomTypeModel.getRoomTypeById(room_type_id);
+  });
+
+  afterAll(teardownDatabase);
+
+  test('adds up the nights, the longest stay discount, the cleaning fee and taxes', async () => {
+    await pricingModel.setPricingRules(roomType.hostel_id, {
+      weekend_rate_percent: 50,
+      cleaning_fee: 10,
+      tax_percent: 10,
+      seasonal_rates: [{ name: 'Festival', start_date: '2030-06-06', end_date: '2030-06-06', rate_percent: 10 }],
+      stay_discounts: [{ min_nights: 3, discount_percent: 10 }, { min_nights: 7, discount_percent: 20 }]
+    });
+
+    const quote = await pricingModel.getQuote(roomType, '2030-06-05', '2030-06-09', 2);
+
+    expect(quote.nights.map(night => night.price)).toEqual([20, 22, 30, 30]);
+    expect(quote.line_items).toEqual([
+      { type: 'accommodation', label: '4 nights x 2 beds', amount: 204 },
+      { type: 'discount', label: '3+ night discount (10%)', amount: -20.4 },
+      { type: 'cleaning_fee', label: 'Cleaning fee', amount: 10 },
+      { type: 'tax', label: 'Taxes (10%)', amount: 19.36 }
+    ]);
+    expect(quote.subtotal).toBe(193.6);
+    expect(quote.total).toBe(212.96);
+    expect(quote.is_available).toBe(true);
+  });
+
+  test('saves no rule when one of them fails, leaving other writes alone', async () => {
+    const before = await pricingModel.getPricingRules(roomType.hostel_id);
+
+    const failing = pricingModel.setPricingRules(roomType.hostel_id, {
+      cleaning_fee: 99,
+      seasonal_rates: [{ name: null, start_date: '2030-01-01', end_date: '2030-01-31', rate_percent: 5 }]
+    });
+    const meanwhile = roomTypeModel.updateRoomType(roomType.id, { price: 25 });
+
+    await expect(failing).rejects.toThrow('NOT NULL');
+    await meanwhile;
+
+    expect(await pricingModel.getPricingRules(roomType.hostel_id)).toEqual(before);
+    expect((await roomTypeModel.getRoomTypeById(roomType.id)).price).toBe(25);
+    await roomTypeModel.updateRoomType(roomType.id, { price: 20 });
+  });
+
+  test('takes price overrides from the room type only', async () => {
+    await expect(availabilityModel.setRules(roomType.hostel_id, null, '2030-09-02', '2030-09-02', { price_override: 45 }))
+      .rejects.toThrow('only be set for a room type');
+
+    // Hostel rows saved before that still set the minimum stay, but their price is ignored
+    await insert(
+      'INSERT INTO hostel_availability (hostel_id, room_type_id, date, price_override, min_stay) VALUES (?, NULL, ?, 45, 2)',
+      [roomType.hostel_id, '2030-09-02']
+    );
+    await availabilityModel.setRules(roomType.hostel_id, roomType.id, '2030-09-03', '2030-09-03', { price_override: 35 });
+
+    const calendar = await availabilityModel.getCalendar(roomType.hostel_id, '2030-09-02', '2030-09-03');
+    expect(calendar.map(night => night.room_types[0])).toMatchObject([
+      { price: 20, price_override: null, min_stay: 2 },
+      { price: 35, price_override: 35, min_stay: 1 }
+    ]);
+  });
+
+  test('charges private rooms per room', async () => {
+    const host = await createUser('host2', 'host');
+    const { room_type_id } = await createHostel(host, { kind: 'private', room_count: 2, beds_per_room: 2, price: 50 });
+    const privateRoom = await roomTypeModel.getRoomTypeById(room_type_id);
+
+    const quote = await pricingModel.getQuote(privateRoom, '2030-06-03', '2030-06-04', 3);
+
+    expect(quote).toMatchObject({ units: 2, beds: 4, total: 100 });
+    expect(quote.line_items).toEqual([{ type: 'accommodation', label: '1 night x 2 rooms', amount: 100 }]);
+  });
+});
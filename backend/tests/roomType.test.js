@@ -0,0 +1,51 @@
+const { setupDatabase, teardownDatabase, createUser, createHostel } = require('./helpers/database');
+const bookingModel = require('../models/booking');
+const roomTypeModel = require('../models/roomType');
+
+describe('room type capacity', () => {
+  let host;
+  let guest;
+  let room;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    host = await createUser('host', 'host');
+    guest = await createUser('guest');
+    room = await createHostel(host, { kind: 'dorm', room_count: 2, beds_per_room: 4 });
+
+    // Five beds on the busiest night, 2030-06-02
+    const book = (beds, check_in, check_out) =>
+      bookingModel.createBooking(guest, room.hostel_id, check_in, check_out, 60, 'pending', room.room_type_id, beds);
+    await book(3, '2030-06-01', '2030-06-03');
+    await book(2, '2030-06-02', '2030-06-04');
+  });
+
+  afterAll(teardownDatabase);
+
+  test('finds the busiest booked night', async () => {
+    expect(await roomTypeModel.getPeakBookedBeds(room.room_type_id)).toBe(5);
+  });
+
+  test('refuses fewer beds than upcoming bookings need', async () => {
+    await expect(roomTypeModel.updateRoomType(room.room_type_id, { room_count: 1 })).rejects.toThrow('need 5 beds');
+    expect((await roomTypeModel.getRoomTypeById(room.room_type_id)).room_count).toBe(2);
+
+    const shrunk = await roomTypeModel.updateRoomType(room.room_type_id, { room_count: 1, beds_per_room: 5 });
+    expect(shrunk.total_beds).toBe(5);
+  });
+
+  test('refuses a kind change while bookings are upcoming', async () => {
+    await expect(roomTypeModel.updateRoomType(room.room_type_id, { kind: 'private' })).rejects.toThrow('kind cannot be changed');
+    expect((await roomTypeModel.getRoomTypeById(room.room_type_id)).kind).toBe('dorm');
+  });
+
+  test('ignores cancelled bookings', async () => {
+    const bookings = await bookingModel.getBookingsByHostel(room.hostel_id);
+    for (const booking of bookings) {
+      await bookingModel.updateBookingStatus(booking.id, 'cancelled');
+    }
+
+    const updated = await roomTypeModel.updateRoomType(room.room_type_id, { kind: 'private', beds_per_room: 1 });
+    expect(updated).toMatchObject({ kind: 'private', total_beds: 1 });
+  });
+});
@@ -0,0 +1,53 @@
+const { setupDatabase, teardownDatabase, createUser } = require('./helpers/database');
+const sessionModel = require('../models/session');
+const { signAccessToken, verifyToken } = require('../middleware/auth');
+
+describe('sessions', () => {
+  let user;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    user = { id: await createUser('guest'), username: 'guest', role: 'guest' };
+  });
+
+  afterAll(teardownDatabase);
+
+  test('rotates the refresh token on the same session', async () => {
+    const { session, refreshToken } = await sessionModel.createSession(user.id);
+
+    const rotated = await sessionModel.rotateSession(refreshToken);
+
+    expect(rotated.session.id).toBe(session.id);
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    await expect(sessionModel.rotateSession(rotated.refreshToken)).resolves.toMatchObject({ session: { id: session.id } });
+  });
+
+  test('revokes the whole session when a rotated token is used again', async () => {
+    const { session, refreshToken } = await sessionModel.createSession(user.id);
+    const accessToken = signAccessToken(user, session.id);
+    const rotated = await sessionModel.rotateSession(refreshToken);
+
+    await expect(sessionModel.rotateSession(refreshToken)).rejects.toThrow('reuse detected');
+
+    await expect(sessionModel.rotateSession(rotated.refreshToken)).rejects.toThrow('Session has been revoked');
+    await expect(verifyToken(accessToken)).rejects.toThrow('Session is no longer active');
+  });
+
+  test('rejects a token that was never issued without revoking anything', async () => {
+    const { session } = await sessionModel.createSession(user.id);
+
+    await expect(sessionModel.rotateSession('not-a-token')).rejects.toThrow('Invalid refresh token');
+    expect(await sessionModel.isSessionActive(session.id)).toBe(true);
+  });
+
+  test('ends the access token of a session on logout', async () => {
+    const { session, refreshToken } = await sessionModel.createSession(user.id);
+    const accessToken = signAccessToken(user, session.id);
+    await expect(verifyToken(accessToken)).resolves.toMatchObject({ id: user.id, session_id: session.id });
+
+    expect(await sessionModel.revokeSessionByToken(refreshToken)).toBe(true);
+
+    await expect(verifyToken(accessToken)).rejects.toThrow('Session is no longer active');
+    await expect(sessionModel.rotateSession(refreshToken)).rejects.toThrow('Session has been revoked');
+  });
+});
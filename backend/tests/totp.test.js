@@ -0,0 +1,59 @@
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Time step of a time given in seconds since the epoch
+const stepAt = seconds => Math.floor(seconds / 30);
+
+describe('TOTP codes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('match the RFC 6238 SHA-1 test vectors', () => {
+    expect(totp.generateCode(RFC_SECRET, stepAt(59))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, stepAt(1111111109))).toBe('081804');
+    expect(totp.generateCode(RFC_SECRET, stepAt(1234567890))).toBe('005924');
+    expect(totp.generateCode(RFC_SECRET, stepAt(2000000000))).toBe('279037');
+  });
+
+  test('read secrets regardless of case, spaces and padding', () => {
+    expect(totp.generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====', stepAt(59))).toBe('287082');
+    expect(() => totp.generateCode('GEZD1', 1)).toThrow('Invalid base32 character');
+  });
+
+  test('generate 160-bit base32 secrets', () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(secret).not.toBe(totp.generateSecret());
+  });
+
+  test('verify a code within one step of now and return its step', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111109 * 1000);
+    const step = stepAt(1111111109);
+
+    expect(totp.verifyCode(RFC_SECRET, '081804')).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, ' 081 804 ')).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2))).toBeNull();
+  });
+
+  test('reject codes of the wrong shape', () => {
+    expect(totp.verifyCode(RFC_SECRET, '81804')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '0818045')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  test('build a provisioning URI for authenticator apps', () => {
+    const uri = totp.buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ann@example.com', issuer: 'Hostel Marketplace' });
+
+    expect(uri).toBe(
+      `otpauth://totp/Hostel%20Marketplace%3Aann%40example.com?secret=${RFC_SECRET}` +
+      '&issuer=Hostel+Marketplace&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
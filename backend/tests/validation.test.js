@@ -0,0 +1,96 @@
+const { validateStay, validatePricingRules, parseBoundingBox } = require('../utils/validation');
+
+describe('stay validation', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('counts the nights of a stay', () => {
+    expect(validateStay('2030-02-27', '2030-03-02')).toEqual({ nights: 3 });
+  });
+
+  test('rejects dates that are not on the calendar', () => {
+    expect(validateStay('2030-02-31', '2030-03-04').error).toMatch(/^Invalid date format/);
+    expect(validateStay('2030-06-01', '2030-13-01').error).toMatch(/^Invalid date format/);
+    expect(validateStay('2030-6-1', '2030-06-04').error).toMatch(/^Invalid date format/);
+  });
+
+  test('rejects a check-in before today in UTC', () => {
+    jest.useFakeTimers({ now: new Date('2030-06-10T23:30:00Z') });
+
+    expect(validateStay('2030-06-09', '2030-06-12').error).toBe('Check-in date cannot be in the past');
+    expect(validateStay('2030-06-10', '2030-06-12')).toEqual({ nights: 2 });
+  });
+});
+
+describe('pricing rules validation', () => {
+  const season = (name, start_date, end_date) => ({ name, start_date, end_date, rate_percent: 10 });
+
+  test('accepts seasons that follow each other', () => {
+    const { rules, errors } = validatePricingRules({
+      seasonal_rates: [season(' Summer ', '2030-06-01', '2030-08-31'), season('Spring', '2030-03-01', '2030-05-31')]
+    });
+
+    expect(errors).toBeUndefined();
+    expect(rules.seasonal_rates.map(rate => rate.name)).toEqual(['Summer', 'Spring']);
+  });
+
+  test('rejects overlapping seasons, whatever order they are given in', () => {
+    const { errors } = validatePricingRules({
+      seasonal_rates: [season('Summer', '2030-06-01', '2030-08-31'), season('Festival', '2030-05-20', '2030-06-01')]
+    });
+
+    expect(errors.seasonal_rates).toBe('Seasons "Festival" and "Summer" overlap');
+  });
+
+  test('rejects a season ending before it starts', () => {
+    const { errors } = validatePricingRules({ seasonal_rates: [season('Summer', '2030-08-31', '2030-06-01')] });
+
+    expect(errors.seasonal_rates).toMatch(/^Season 1: /);
+  });
+
+  test('rejects out of range rates and duplicate stay discounts', () => {
+    const { errors } = validatePricingRules({
+      weekend_rate_percent: 500,
+      tax_percent: -1,
+      stay_discounts: [{ min_nights: 3, discount_percent: 5 }, { min_nights: 3, discount_percent: 10 }]
+    });
+
+    expect(Object.keys(errors).sort()).toEqual(['stay_discounts', 'tax_percent', 'weekend_rate_percent']);
+  });
+
+  test('rounds the cleaning fee to cents and leaves out rules not given', () => {
+    expect(validatePricingRules({ cleaning_fee: 12.345 })).toEqual({ rules: { cleaning_fee: 12.35 } });
+  });
+});
+
+describe('bounding box parsing', () => {
+  test('reads min_lng,min_lat,max_lng,max_lat', () => {
+    expect(parseBoundingBox('13.1, 52.3,13.7,52.7')).toEqual({
+      min_latitude: 52.3,
+      min_longitude: 13.1,
+      max_latitude: 52.7,
+      max_longitude: 13.7
+    });
+  });
+
+  test('keeps a box crossing the antimeridian', () => {
+    expect(parseBoundingBox('170,-20,-170,-10')).toEqual({
+      min_latitude: -20,
+      min_longitude: 170,
+      max_latitude: -10,
+      max_longitude: -170
+    });
+  });
+
+  test('rejects boxes with missing, extra or non-numeric values', () => {
+    expect(parseBoundingBox('13.1,52.3,13.7')).toBeNull();
+    expect(parseBoundingBox('13.1,52.3,13.7,52.7,1')).toBeNull();
+    expect(parseBoundingBox('13.1,,13.7,52.7')).toBeNull();
+    expect(parseBoundingBox('13.1,north,13.7,52.7')).toBeNull();
+  });
+
+  test('rejects coordinates out of range and latitudes in the wrong order', () => {
+    expect(parseBoundingBox('13.1,-91,13.7,52.7')).toBeNull();
+    expect(parseBoundingBox('-181,52.3,13.7,52.7')).toBeNull();
+    expect(parseBoundingBox('13.1,52.7,13.7,52.3')).toBeNull();
+  });
+});
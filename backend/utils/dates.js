@@ -0,0 +1,35 @@
+/**
+ * Date Utilities
+ * 
+ * Calendar date arithmetic on YYYY-MM-DD strings, done in UTC so the server's
+ * time zone never shifts a date
+ */
+
+/**
+ * Add a number of days to a calendar date
+ * 
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - Resulting date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether the night starting on a date is a weekend night (Friday or Saturday)
+ * 
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isWeekendNight(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 5 || day === 6;
+}
+
+module.exports = {
+  addDays,
+  isWeekendNight
+};
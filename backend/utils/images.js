@@ -0,0 +1,50 @@
+/**
+ * Image Utilities
+ *
+ * Checks and thumbnail generation for uploaded photos
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Size of generated thumbnails, cropped to fill
+const THUMBNAIL_WIDTH = 400;
+const THUMBNAIL_HEIGHT = 300;
+
+/**
+ * Create a WebP thumbnail of an image
+ * Fails if the source file isn't a readable image, whatever its declared type
+ *
+ * @param {string} sourcePath - Path of the uploaded image
+ * @param {string} thumbnailDir - Directory to write the thumbnail to
+ * @returns {Promise<string>} - File name of the thumbnail
+ */
+async function createThumbnail(sourcePath, thumbnailDir) {
+  const filename = `${path.parse(sourcePath).name}.webp`;
+
+  await fs.promises.mkdir(thumbnailDir, { recursive: true });
+  await sharp(sourcePath)
+    .rotate()
+    .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'cover' })
+    .webp({ quality: 80 })
+    .toFile(path.join(thumbnailDir, filename));
+
+  return filename;
+}
+
+/**
+ * Check that a file is an image by decoding it
+ * Fails if the file isn't a readable image, whatever its declared type
+ *
+ * @param {string} sourcePath - Path of the uploaded image
+ * @returns {Promise<void>}
+ */
+async function verifyImage(sourcePath) {
+  await sharp(sourcePath).stats();
+}
+
+module.exports = {
+  createThumbnail,
+  verifyImage
+};
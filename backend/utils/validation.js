@@ -0,0 +1,224 @@
+/**
+ * Validation Utilities
+ * 
+ * Patterns and checks shared by the routes that validate user input
+ */
+
+// Basic email shape: something@domain.tld
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Digits with optional leading +, spaces, dashes, dots and parentheses
+const phoneRegex = /^\+?[0-9\s\-().]{7,20}$/;
+
+// Calendar date as YYYY-MM-DD; dates are compared as text in SQL so the format must be exact
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// Time of day as 24-hour HH:MM
+const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Longest stay a single booking or availability check can cover
+const MAX_STAY_NIGHTS = 365;
+
+/**
+ * Check that a value is a real calendar date written as YYYY-MM-DD
+ * Dates like 2030-02-31 parse, rolled over into the next month, so the parsed
+ * date has to give back the same text
+ * 
+ * @param {string} value - Date to check
+ * @returns {boolean}
+ */
+function isCalendarDate(value) {
+  if (!dateRegex.test(value)) {
+    return false;
+  }
+  
+  const date = new Date(value);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Check a check-in/check-out pair
+ * Check-in can't be before today (UTC)
+ * 
+ * @param {string} check_in_date - Check-in date (YYYY-MM-DD)
+ * @param {string} check_out_date - Check-out date (YYYY-MM-DD)
+ * @returns {object} - { nights } or { error } describing what is wrong
+ */
+function validateStay(check_in_date, check_out_date) {
+  if (!isCalendarDate(check_in_date) || !isCalendarDate(check_out_date)) {
+    return { error: 'Invalid date format. Use YYYY-MM-DD format' };
+  }
+  
+  const checkIn = new Date(check_in_date);
+  const checkOut = new Date(check_out_date);
+  
+  if (checkIn >= checkOut) {
+    return { error: 'Check-in date must be before check-out date' };
+  }
+  
+  if (check_in_date < new Date().toISOString().slice(0, 10)) {
+    return { error: 'Check-in date cannot be in the past' };
+  }
+  
+  const nights = Math.round((checkOut - checkIn) / (24 * 60 * 60 * 1000));
+  if (nights > MAX_STAY_NIGHTS) {
+    return { error: `Stays can be at most ${MAX_STAY_NIGHTS} nights` };
+  }
+  
+  return { nights };
+}
+
+/**
+ * Check a range of calendar dates (both included)
+ * 
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {object} - { days } or { error } describing what is wrong
+ */
+function validateDateRange(from, to) {
+  if (!isCalendarDate(from) || !isCalendarDate(to)) {
+    return { error: 'Invalid date format. Use YYYY-MM-DD format' };
+  }
+  
+  const start = new Date(from);
+  const end = new Date(to);
+  
+  if (start > end) {
+    return { error: 'The start date must not be after the end date' };
+  }
+  
+  const days = Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+  if (days > MAX_STAY_NIGHTS) {
+    return { error: `Date ranges can cover at most ${MAX_STAY_NIGHTS} days` };
+  }
+  
+  return { days };
+}
+
+/**
+ * Check a hostel's pricing rules
+ * Seasonal rates and stay discounts are checked as whole lists, since they replace the stored ones;
+ * seasons must not overlap
+ * 
+ * @param {object} input - Request body
+ * @returns {object} - { rules } with the cleaned values, or { errors } keyed by field
+ */
+function validatePricingRules(input) {
+  const { weekend_rate_percent, cleaning_fee, tax_percent, seasonal_rates, stay_discounts } = input || {};
+  const errors = {};
+  const rules = {};
+  const isPercent = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+  
+  if (weekend_rate_percent !== undefined) {
+    if (!isPercent(weekend_rate_percent, -90, 200)) {
+      errors.weekend_rate_percent = 'Weekend rate must be between -90% and 200%';
+    } else {
+      rules.weekend_rate_percent = weekend_rate_percent;
+    }
+  }
+  
+  if (cleaning_fee !== undefined) {
+    if (!isPercent(cleaning_fee, 0, 10000)) {
+      errors.cleaning_fee = 'Cleaning fee must be a number between 0 and 10000';
+    } else {
+      rules.cleaning_fee = Math.round(cleaning_fee * 100) / 100;
+    }
+  }
+  
+  if (tax_percent !== undefined) {
+    if (!isPercent(tax_percent, 0, 50)) {
+      errors.tax_percent = 'Tax must be between 0% and 50%';
+    } else {
+      rules.tax_percent = tax_percent;
+    }
+  }
+  
+  if (seasonal_rates !== undefined) {
+    if (!Array.isArray(seasonal_rates) || seasonal_rates.length > 20) {
+      errors.seasonal_rates = 'Seasonal rates must be a list of at most 20 seasons';
+    } else {
+      for (const [index, season] of seasonal_rates.entries()) {
+        const { name, start_date, end_date, rate_percent } = season || {};
+        const range = validateDateRange(start_date || '', end_date || '');
+        
+        if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 60) {
+          errors.seasonal_rates = `Season ${index + 1}: name must be between 2 and 60 characters`;
+        } else if (range.error) {
+          errors.seasonal_rates = `Season ${index + 1}: ${range.error}`;
+        } else if (!isPercent(rate_percent, -90, 200)) {
+          errors.seasonal_rates = `Season ${index + 1}: rate must be between -90% and 200%`;
+        }
+        
+        if (errors.seasonal_rates) {
+          break;
+        }
+      }
+      
+      // A night can only be in one season, so each must end before the next starts
+      if (!errors.seasonal_rates) {
+        const sorted = [...seasonal_rates].sort((a, b) => a.start_date.localeCompare(b.start_date));
+        const overlap = sorted.findIndex((season, index) => index > 0 && season.start_date <= sorted[index - 1].end_date);
+        
+        if (overlap !== -1) {
+          errors.seasonal_rates = `Seasons "${sorted[overlap - 1].name.trim()}" and "${sorted[overlap].name.trim()}" overlap`;
+        }
+      }
+      
+      if (!errors.seasonal_rates) {
+        rules.seasonal_rates = seasonal_rates.map(season => ({ ...season, name: season.name.trim() }));
+      }
+    }
+  }
+  
+  if (stay_discounts !== undefined) {
+    const lengths = Array.isArray(stay_discounts) ? stay_discounts.map(discount => discount && discount.min_nights) : [];
+    
+    if (!Array.isArray(stay_discounts) || stay_discounts.length > 10) {
+      errors.stay_discounts = 'Stay discounts must be a list of at most 10 discounts';
+    } else if (lengths.some(nights => !Number.isInteger(nights) || nights < 2 || nights > 365)) {
+      errors.stay_discounts = 'Discounts must start at a whole number of nights between 2 and 365';
+    } else if (new Set(lengths).size !== lengths.length) {
+      errors.stay_discounts = 'Each stay length can only have one discount';
+    } else if (stay_discounts.some(discount => !isPercent(discount.discount_percent, 0.01, 99))) {
+      errors.stay_discounts = 'Discounts must be between 0% and 99%';
+    } else {
+      rules.stay_discounts = stay_discounts.map(({ min_nights, discount_percent }) => ({ min_nights, discount_percent }));
+    }
+  }
+  
+  return Object.keys(errors).length > 0 ? { errors } : { rules };
+}
+
+/**
+ * Parse a map area given as "min_lng,min_lat,max_lng,max_lat"
+ * 
+ * @param {string} value - Bounding box
+ * @returns {object|null} - { min_latitude, min_longitude, max_latitude, max_longitude }, or null if it isn't valid
+ */
+function parseBoundingBox(value) {
+  const parts = String(value).split(',').map(part => part.trim());
+  const [min_longitude, min_latitude, max_longitude, max_latitude] = parts.map(Number);
+  
+  if (parts.length !== 4 || parts.some(part => part === '' || isNaN(Number(part)))) {
+    return null;
+  }
+  
+  if (Math.abs(min_latitude) > 90 || Math.abs(max_latitude) > 90 || min_latitude > max_latitude ||
+      Math.abs(min_longitude) > 180 || Math.abs(max_longitude) > 180) {
+    return null;
+  }
+  
+  return { min_latitude, min_longitude, max_latitude, max_longitude };
+}
+
+module.exports = {
+  emailRegex,
+  phoneRegex,
+  dateRegex,
+  timeRegex,
+  MAX_STAY_NIGHTS,
+  validateStay,
+  validateDateRange,
+  validatePricingRules,
+  parseBoundingBox
+};
@@ -7,9 +7,15 @@ import Search from './pages/Search';
 import HostelDetails from './pages/HostelDetails';
 import UserDashboard from './pages/UserDashboard';
 import HostDashboard from './pages/HostDashboard';
+import HostOnboarding from './pages/HostOnboarding';
+import AdminModeration from './pages/AdminModeration';
 import LoginForm from './components/LoginForm';
 import RegisterForm from './components/RegisterForm';
+import ForgotPasswordForm from './components/ForgotPasswordForm';
+import ResetPasswordForm from './components/ResetPasswordForm';
+import VerifyEmail from './components/VerifyEmail';
 import Navbar from './components/Navbar';
+import { getHostOnboarding } from './services/api';
 
 // Error Boundary Component
 class ErrorBoundary extends React.Component {
@@ -69,6 +75,7 @@ class ErrorBoundary extends React.Component {
                   // Clear auth data and redirect to login if seems auth-related
                   if (isAuthError) {
                     localStorage.removeItem('token');
+                    localStorage.removeItem('refreshToken');
                     localStorage.removeItem('user');
                     window.location.href = '/login';
                   } else {
@@ -98,6 +105,32 @@ class ErrorBoundary extends React.Component {
   }
 }
 
+/**
+ * Show the host dashboard once onboarding is finished, otherwise send the host to onboarding
+ */
+const HostOnboardingGate = () => {
+  const [onboardingComplete, setOnboardingComplete] = useState(null);
+  
+  useEffect(() => {
+    getHostOnboarding()
+      .then((data) => setOnboardingComplete(data.completed))
+      .catch((error) => {
+        console.error('Error checking host onboarding:', error);
+        setOnboardingComplete(false);
+      });
+  }, []);
+  
+  if (onboardingComplete === null) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+  
+  return onboardingComplete ? <HostDashboard /> : <Navigate to="/host/onboarding" replace />;
+};
+
 /**
  * Main App component that sets up routing for the application
  * Includes authentication checks for protected routes
@@ -107,6 +140,8 @@ const App = () => {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   // State to track if user is a host
   const [isHost, setIsHost] = useState(false);
+  // State to track if user is an admin
+  const [isAdmin, setIsAdmin] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   
   // Check authentication status on component mount
@@ -124,6 +159,7 @@ const App = () => {
             // Check if user has host role
             // Support both role === 'host' and is_host flag
             setIsHost(user.role === 'host' || user.is_host === true);
+            setIsAdmin(user.role === 'admin');
             
             console.log('User authenticated:', { 
               isHost: user.role === 'host' || user.is_host === true,
@@ -133,17 +169,21 @@ const App = () => {
             console.error('Error parsing user data:', e);
             localStorage.removeItem('user');
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             setIsAuthenticated(false);
             setIsHost(false);
+            setIsAdmin(false);
           }
         } else {
           setIsAuthenticated(false);
           setIsHost(false);
+          setIsAdmin(false);
         }
       } catch (error) {
         console.error('Error checking authentication:', error);
         setIsAuthenticated(false);
         setIsHost(false);
+        setIsAdmin(false);
       } finally {
         setIsLoading(false);
       }
@@ -186,9 +226,19 @@ const App = () => {
     return isAuthenticated ? <UserDashboard /> : <Navigate to="/login" />;
   };
   
-  // Protected route component for host dashboard
+  // Protected route component for host dashboard; hosts who haven't finished onboarding go there first
   const ProtectedHostRoute = () => {
-    return isAuthenticated && isHost ? <HostDashboard /> : <Navigate to="/login" />;
+    return isAuthenticated && isHost ? <HostOnboardingGate /> : <Navigate to="/login" />;
+  };
+  
+  // Protected route component for host onboarding
+  const ProtectedOnboardingRoute = () => {
+    return isAuthenticated && isHost ? <HostOnboarding /> : <Navigate to="/login" />;
+  };
+  
+  // Protected route component for listing review
+  const ProtectedAdminRoute = () => {
+    return isAuthenticated && isAdmin ? <AdminModeration /> : <Navigate to="/login" />;
   };
   
   if (isLoading) {
@@ -209,6 +259,9 @@ const App = () => {
         <Route element={<AuthLayout />}>
           <Route path="/login" element={<LoginForm />} />
           <Route path="/register" element={<RegisterForm />} />
+          <Route path="/forgot-password" element={<ForgotPasswordForm />} />
+          <Route path="/reset-password" element={<ResetPasswordForm />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
         </Route>
         
         {/* Routes with Layout (Navbar) */}
@@ -221,6 +274,8 @@ const App = () => {
           {/* Protected routes */}
           <Route path="/dashboard/user" element={<ProtectedUserRoute />} />
           <Route path="/dashboard/host" element={<ProtectedHostRoute />} />
+          <Route path="/host/onboarding" element={<ProtectedOnboardingRoute />} />
+          <Route path="/admin/moderation" element={<ProtectedAdminRoute />} />
           
           {/* Catch-all route for 404 */}
           <Route path="*" element={
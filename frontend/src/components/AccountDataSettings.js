@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { exportMyData, requestAccountDeletion, cancelAccountDeletion } from '../services/api';
+
+/**
+ * Save a downloaded file in the browser
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Account Data Settings Component
+ *
+ * Lets the user download a copy of their data and delete their account.
+ * Deletion is scheduled after a grace period and can be cancelled until then.
+ *
+ * @param {Object} props.profile - Current profile (uses two_factor_enabled and deletion_scheduled_for)
+ * @param {Function} props.onDeletionChange - Called with the new deletion date, or null when cancelled
+ */
+const AccountDataSettings = ({ profile, onDeletionChange }) => {
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Download the export in the chosen format
+  const handleExport = async (format) => {
+    setError('');
+
+    try {
+      const blob = await exportMyData(format);
+      const date = new Date().toISOString().slice(0, 10);
+      saveBlob(blob, `hostel-marketplace-${profile.username}-${date}.${format}`);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setError('Failed to download your data. Please try again.');
+    }
+  };
+
+  // Close the deletion form
+  const resetForm = () => {
+    setIsDeleting(false);
+    setPassword('');
+    setCode('');
+    setError('');
+  };
+
+  // Schedule the account for deletion
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await requestAccountDeletion(password, code.trim() || undefined);
+      resetForm();
+      setSuccessMessage(response.message);
+      onDeletionChange(response.deletion_scheduled_for);
+    } catch (err) {
+      console.error('Error requesting account deletion:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Keep the account
+  const handleCancelDeletion = async () => {
+    setIsSaving(true);
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await cancelAccountDeletion();
+      setSuccessMessage(response.message);
+      onDeletionChange(null);
+    } catch (err) {
+      console.error('Error cancelling account deletion:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-200 pt-6 mt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-1">Your Data</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Download a copy of your profile, bookings, messages and reviews.
+      </p>
+
+      {successMessage && (
+        <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-4">
+          <p className="text-sm text-green-700">{successMessage}</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-4">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-6">
+        <button
+          type="button"
+          onClick={() => handleExport('json')}
+          className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md"
+        >
+          Download JSON
+        </button>
+        <button
+          type="button"
+          onClick={() => handleExport('zip')}
+          className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md"
+        >
+          Download ZIP
+        </button>
+      </div>
+
+      <h4 className="text-md font-semibold text-gray-800 mb-1">Delete Account</h4>
+
+      {profile.deletion_scheduled_for ? (
+        <div className="bg-yellow-50 border-l-4 border-yellow-500 p-4">
+          <p className="text-sm text-yellow-800 mb-2">
+            Your account will be deleted on {new Date(`${profile.deletion_scheduled_for.replace(' ', 'T')}Z`).toLocaleString()}.
+          </p>
+          <button
+            type="button"
+            onClick={handleCancelDeletion}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md"
+            disabled={isSaving}
+          >
+            Keep My Account
+          </button>
+        </div>
+      ) : isDeleting ? (
+        <form onSubmit={handleDelete} className="max-w-sm">
+          <p className="text-sm text-gray-600 mb-4">
+            Your personal details will be erased after a grace period. Past bookings, messages and
+            reviews stay visible to others but are no longer linked to you.
+          </p>
+          <div className="mb-4">
+            <label htmlFor="delete-account-password" className="block text-gray-700 text-sm font-bold mb-2">
+              Password
+            </label>
+            <input
+              type="password"
+              id="delete-account-password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={isSaving}
+            />
+          </div>
+          {profile.two_factor_enabled && (
+            <div className="mb-4">
+              <label htmlFor="delete-account-code" className="block text-gray-700 text-sm font-bold mb-2">
+                Authenticator or backup code
+              </label>
+              <input
+                type="text"
+                id="delete-account-code"
+                autoComplete="one-time-code"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                disabled={isSaving}
+              />
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-md"
+              disabled={isSaving}
+            >
+              Delete My Account
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setIsDeleting(true)}
+          className="px-4 py-2 bg-red-50 hover:bg-red-100 text-red-700 rounded-md"
+        >
+          Delete Account
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AccountDataSettings;
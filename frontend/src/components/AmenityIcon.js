@@ -0,0 +1,57 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  WifiIcon,
+  CakeIcon,
+  SunIcon,
+  ClockIcon,
+  LockClosedIcon,
+  UsersIcon,
+  FireIcon,
+  ArrowPathIcon,
+  CloudIcon,
+  BookOpenIcon,
+  HomeIcon,
+  TruckIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline';
+
+// Heroicons for the icon names used in the amenities catalog
+const ICONS = {
+  wifi: WifiIcon,
+  coffee: CakeIcon,
+  snow: SunIcon,
+  clock: ClockIcon,
+  'lock-closed': LockClosedIcon,
+  users: UsersIcon,
+  fire: FireIcon,
+  refresh: ArrowPathIcon,
+  'cloud-rain': CloudIcon,
+  book: BookOpenIcon,
+  bed: HomeIcon,
+  bicycle: TruckIcon
+};
+
+/**
+ * AmenityIcon component - icon of an amenity from the catalog
+ * Amenities without a known icon get a check mark
+ *
+ * @param {Object} props
+ * @param {string} [props.icon] - Icon name from the amenities catalog
+ * @param {string} [props.className] - Classes for the svg
+ */
+const AmenityIcon = ({ icon, className }) => {
+  const Icon = ICONS[icon] || CheckCircleIcon;
+  return <Icon className={className} aria-hidden="true" />;
+};
+
+AmenityIcon.propTypes = {
+  icon: PropTypes.string,
+  className: PropTypes.string
+};
+
+AmenityIcon.defaultProps = {
+  className: 'h-5 w-5'
+};
+
+export default AmenityIcon;
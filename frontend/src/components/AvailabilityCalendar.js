@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { addMonths, eachDayOfInterval, endOfMonth, format, getDay, isBefore, startOfMonth, startOfToday } from 'date-fns';
+import { ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { getHostelAvailability } from '../services/api';
+
+const WEEKDAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Availability Calendar Component
+ *
+ * Shows a month of nights for one room type with the price of each night.
+ * Nights the host has closed or that are sold out are greyed out. The first
+ * click picks the check-in date, the second the check-out date.
+ *
+ * @param {Object} props
+ * @param {number|string} props.hostelId - Hostel whose calendar is shown
+ * @param {number} props.roomTypeId - Room type whose nights are shown
+ * @param {string} props.checkIn - Selected check-in date (YYYY-MM-DD)
+ * @param {string} props.checkOut - Selected check-out date (YYYY-MM-DD)
+ * @param {Function} props.onChange - Called with { checkIn, checkOut } when a date is clicked
+ * @param {boolean} props.disabled - Ignore clicks
+ */
+const AvailabilityCalendar = ({ hostelId, roomTypeId, checkIn, checkOut, onChange, disabled }) => {
+  const [month, setMonth] = useState(() => startOfMonth(checkIn ? new Date(`${checkIn}T00:00:00`) : new Date()));
+  const [nights, setNights] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  const today = toDateString(startOfToday());
+  const days = eachDayOfInterval({ start: month, end: endOfMonth(month) });
+
+  // Load the nights of the month shown
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    getHostelAvailability(hostelId, toDateString(month), toDateString(endOfMonth(month)))
+      .then((data) => {
+        if (!cancelled) {
+          setNights(Object.fromEntries(data.map((night) => [night.date, night])));
+        }
+      })
+      .catch((err) => {
+        console.error('Calendar error:', err);
+        if (!cancelled) {
+          setNights({});
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [hostelId, month]);
+
+  // State of the selected room type on a night, if it is loaded
+  const nightFor = (date) => nights[date]?.room_types.find((type) => type.room_type_id === Number(roomTypeId));
+
+  const isBookable = (date) => date >= today && Boolean(nightFor(date)?.is_available);
+
+  // Every night from check-in up to the clicked date must be free for it to be the check-out
+  const canCheckOutOn = (date) => {
+    if (!checkIn || checkOut || date <= checkIn) {
+      return false;
+    }
+
+    return days
+      .map(toDateString)
+      .filter((day) => day >= checkIn && day < date)
+      .every(isBookable);
+  };
+
+  const handleClick = (date) => {
+    if (canCheckOutOn(date)) {
+      onChange({ checkIn, checkOut: date });
+    } else if (isBookable(date)) {
+      onChange({ checkIn: date, checkOut: '' });
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-md p-3">
+      <div className="flex items-center justify-between mb-2">
+        <button
+          type="button"
+          onClick={() => setMonth(addMonths(month, -1))}
+          className="p-1 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+          disabled={!isBefore(startOfMonth(startOfToday()), month)}
+          aria-label="Previous month"
+        >
+          <ChevronLeftIcon className="h-5 w-5" />
+        </button>
+        <span className="text-sm font-medium text-gray-900">{format(month, 'MMMM yyyy')}</span>
+        <button
+          type="button"
+          onClick={() => setMonth(addMonths(month, 1))}
+          className="p-1 text-gray-600 hover:text-gray-900"
+          aria-label="Next month"
+        >
+          <ChevronRightIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div className={`grid grid-cols-7 gap-1 text-center ${isLoading ? 'opacity-50' : ''}`}>
+        {WEEKDAYS.map((weekday) => (
+          <span key={weekday} className="text-xs text-gray-500">{weekday}</span>
+        ))}
+        {Array.from({ length: getDay(month) }, (_, i) => <span key={`blank-${i}`} />)}
+        {days.map((day) => {
+          const date = toDateString(day);
+          const night = nightFor(date);
+          const bookable = isBookable(date);
+          const selectable = bookable || canCheckOutOn(date);
+          const selected = date === checkIn || date === checkOut;
+          const inStay = checkIn && checkOut && date > checkIn && date < checkOut;
+
+          return (
+            <button
+              key={date}
+              type="button"
+              onClick={() => handleClick(date)}
+              disabled={disabled || !selectable}
+              title={night && !night.is_open ? 'Not available' : night?.available_beds === 0 ? 'Sold out' : undefined}
+              className={`rounded py-1 text-xs ${
+                selected
+                  ? 'bg-blue-600 text-white'
+                  : inStay
+                    ? 'bg-blue-100 text-blue-900'
+                    : bookable
+                      ? 'text-gray-900 hover:bg-blue-50'
+                      : 'text-gray-300 line-through'
+              } ${selectable ? '' : 'cursor-not-allowed'}`}
+            >
+              <span className="block">{format(day, 'd')}</span>
+              <span className={`block ${selected ? 'text-blue-100' : 'text-gray-500'}`}>
+                {bookable ? `$${night.price}` : ' '}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+
+      {checkIn && !checkOut && (
+        <p className="text-xs text-gray-500 mt-2">Now pick your check-out date.</p>
+      )}
+    </div>
+  );
+};
+
+AvailabilityCalendar.propTypes = {
+  hostelId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  roomTypeId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  checkIn: PropTypes.string,
+  checkOut: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+AvailabilityCalendar.defaultProps = {
+  checkIn: '',
+  checkOut: '',
+  disabled: false
+};
+
+export default AvailabilityCalendar;
@@ -1,43 +1,101 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { createBooking } from '../services/api';
+import { createBooking, getBookingQuote, getHostelAvailability } from '../services/api';
+import AvailabilityCalendar from './AvailabilityCalendar';
+import HostelPolicies from './HostelPolicies';
+
+/**
+ * Sum up the nights of a stay for one room type
+ * A room type is only as free as its fullest night, and minimum stays are set by the arrival night
+ */
+const summarizeStay = (stayNights, roomType) => {
+  const nights = stayNights.map((night) => night.room_types.find((type) => type.room_type_id === roomType.id));
+  const available_beds = Math.min(...nights.map((night) => (night.is_open ? night.available_beds : 0)));
+
+  return {
+    id: roomType.id,
+    available_beds,
+    available_rooms: Math.floor(available_beds / roomType.beds_per_room),
+    min_stay: nights[0].min_stay
+  };
+};
 
 /**
  * BookingForm component for creating new hostel bookings
  * 
  * @param {Object} props
  * @param {number|string} props.hostelId - ID of the hostel to book
- * @param {number} props.price - Price per night of the hostel
+ * @param {Array<Object>} props.roomTypes - Room types of the hostel (id, name, kind, beds_per_room, price, total_beds)
  * @param {string} props.hostelName - Name of the hostel (for display purposes)
  */
-const BookingForm = ({ hostelId, price, hostelName }) => {
+const BookingForm = ({ hostelId, roomTypes, hostelName }) => {
   // Form state
   const [checkIn, setCheckIn] = useState('');
   const [checkOut, setCheckOut] = useState('');
+  const [roomTypeId, setRoomTypeId] = useState(roomTypes[0]?.id || '');
   const [guests, setGuests] = useState(1);
+  const [stayNights, setStayNights] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [success, setSuccess] = useState(false);
+  const [confirmedPolicies, setConfirmedPolicies] = useState(null);
   const [error, setError] = useState('');
-  const [totalPrice, setTotalPrice] = useState(0);
-  
-  // Get current user from localStorage (hardcoded user_id as requested)
-  const [userId] = useState(1); // Hardcoded for now
+  const [quote, setQuote] = useState(null);
   
   // Calculate minimum dates for check-in and check-out
   const today = new Date().toISOString().split('T')[0];
   const minCheckOut = checkIn ? new Date(new Date(checkIn).getTime() + 86400000).toISOString().split('T')[0] : today;
+  const lastNight = checkOut ? new Date(new Date(checkOut).getTime() - 86400000).toISOString().split('T')[0] : '';
+  const nights = checkIn && checkOut ? Math.round((new Date(checkOut) - new Date(checkIn)) / (1000 * 60 * 60 * 24)) : 0;
+  
+  const roomType = roomTypes.find((type) => type.id === Number(roomTypeId));
+  const availability = stayNights?.length === nights ? roomTypes.map((type) => summarizeStay(stayNights, type)) : null;
+  const available = availability?.find((type) => type.id === Number(roomTypeId));
+  const belowMinStay = Boolean(available && nights < available.min_stay);
+  
+  // Without dates every bed of the room type can be chosen
+  const maxGuests = available
+    ? (roomType.kind === 'private' ? available.available_rooms * roomType.beds_per_room : available.available_beds)
+    : roomType?.total_beds || 1;
   
-  // Calculate total price when dates change
+  // Load the calendar of the stay's nights once both dates are chosen
   useEffect(() => {
-    if (checkIn && checkOut && price) {
-      const start = new Date(checkIn);
-      const end = new Date(checkOut);
-      const nights = Math.round((end - start) / (1000 * 60 * 60 * 24));
-      setTotalPrice(nights * price * guests);
-    } else {
-      setTotalPrice(0);
+    if (!checkIn || !checkOut || nights <= 0) {
+      setStayNights(null);
+      return;
     }
-  }, [checkIn, checkOut, guests, price]);
+    
+    getHostelAvailability(hostelId, checkIn, lastNight)
+      .then(setStayNights)
+      .catch((err) => {
+        console.error('Availability error:', err);
+        setStayNights(null);
+      });
+  }, [hostelId, checkIn, checkOut, lastNight, nights]);
+  
+  // Keep the guest count within what is still free
+  useEffect(() => {
+    if (maxGuests > 0 && guests > maxGuests) {
+      setGuests(maxGuests);
+    }
+  }, [guests, maxGuests]);
+  
+  // Ask the server to price the stay; the booking is made at the same price
+  useEffect(() => {
+    if (!roomType || !checkIn || !checkOut || nights <= 0) {
+      setQuote(null);
+      return;
+    }
+    
+    getBookingQuote({
+      hostel_id: hostelId,
+      room_type_id: roomType.id,
+      check_in_date: checkIn,
+      check_out_date: checkOut,
+      guests
+    })
+      .then(setQuote)
+      .catch(() => setQuote(null));
+  }, [hostelId, roomType, checkIn, checkOut, guests, nights]);
   
   // Handle form submission
   const handleSubmit = async (e) => {
@@ -52,19 +110,19 @@ const BookingForm = ({ hostelId, price, hostelName }) => {
       // Prepare booking data
       const bookingData = {
         hostel_id: hostelId,
-        user_id: userId,
+        room_type_id: Number(roomTypeId),
         check_in_date: checkIn,
         check_out_date: checkOut,
         guests: guests,
-        total_price: totalPrice,
         status: 'pending' // Initial status
       };
       
       // Create booking
       const response = await createBooking(bookingData);
       
-      // Show success message
+      // Show success message with the hostel's arrival and cancellation details
       setSuccess(true);
+      setConfirmedPolicies(response.policies || null);
       
       // Reset form
       setCheckIn('');
@@ -75,7 +133,7 @@ const BookingForm = ({ hostelId, price, hostelName }) => {
       
     } catch (err) {
       console.error('Booking error:', err);
-      setError(err.response?.data?.message || 'Failed to create booking. Please try again.');
+      setError(err.response?.data?.error || 'Failed to create booking. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
@@ -96,6 +154,11 @@ const BookingForm = ({ hostelId, price, hostelName }) => {
             </div>
             <div className="ml-3">
               <p className="text-sm text-green-700">Booking created successfully! Check your bookings page for details.</p>
+              {confirmedPolicies && (
+                <div className="mt-3">
+                  <HostelPolicies policies={confirmedPolicies} compact />
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -121,10 +184,41 @@ const BookingForm = ({ hostelId, price, hostelName }) => {
       <div className="mb-6 pb-4 border-b border-gray-200">
         <h3 className="text-sm font-medium text-gray-500">You're booking</h3>
         <p className="text-lg font-semibold text-gray-900">{hostelName}</p>
-        <p className="text-sm text-gray-600">${price} per night</p>
+        {roomType && (
+          <p className="text-sm text-gray-600">
+            ${roomType.price} per {roomType.kind === 'private' ? 'room' : 'bed'} per night
+          </p>
+        )}
       </div>
       
       <form onSubmit={handleSubmit} className="space-y-4">
+        {/* Room type */}
+        <div>
+          <label htmlFor="roomType" className="block text-sm font-medium text-gray-700 mb-1">
+            Room
+          </label>
+          <select
+            id="roomType"
+            value={roomTypeId}
+            onChange={(e) => {
+              setRoomTypeId(e.target.value);
+              setGuests(1);
+            }}
+            className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            disabled={isSubmitting || success}
+          >
+            {roomTypes.map((type) => {
+              const free = availability?.find((item) => item.id === type.id);
+              return (
+                <option key={type.id} value={type.id} disabled={free && free.available_beds === 0}>
+                  {type.name} ({type.kind === 'dorm' ? 'dorm bed' : `sleeps ${type.beds_per_room}`})
+                  {free ? (free.available_beds === 0 ? ' - sold out' : ` - ${type.kind === 'dorm' ? `${free.available_beds} beds` : `${free.available_rooms} rooms`} left`) : ''}
+                </option>
+              );
+            })}
+          </select>
+        </div>
+        
         {/* Check-in date */}
         <div>
           <label htmlFor="checkIn" className="block text-sm font-medium text-gray-700 mb-1">
@@ -159,6 +253,28 @@ const BookingForm = ({ hostelId, price, hostelName }) => {
           />
         </div>
         
+        {/* Nightly calendar of the chosen room */}
+        {roomType && (
+          <AvailabilityCalendar
+            hostelId={hostelId}
+            roomTypeId={roomType.id}
+            checkIn={checkIn}
+            checkOut={checkOut}
+            onChange={(dates) => {
+              setCheckIn(dates.checkIn);
+              setCheckOut(dates.checkOut);
+            }}
+            disabled={isSubmitting || success}
+          />
+        )}
+        
+        {/* Minimum stay */}
+        {belowMinStay && (
+          <p className="text-sm text-red-600">
+            Stays arriving on this date must be at least {available.min_stay} nights.
+          </p>
+        )}
+        
         {/* Number of guests */}
         <div>
           <label htmlFor="guests" className="block text-sm font-medium text-gray-700 mb-1">
@@ -169,9 +285,9 @@ const BookingForm = ({ hostelId, price, hostelName }) => {
             value={guests}
             onChange={(e) => setGuests(parseInt(e.target.value, 10))}
             className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-            disabled={isSubmitting || success}
+            disabled={maxGuests === 0 || isSubmitting || success}
           >
-            {[1, 2, 3, 4, 5, 6, 7, 8].map(num => (
+            {Array.from({ length: Math.min(Math.max(maxGuests, 1), 20) }, (_, i) => i + 1).map(num => (
               <option key={num} value={num}>
                 {num} {num === 1 ? 'Guest' : 'Guests'}
               </option>
@@ -179,21 +295,19 @@ const BookingForm = ({ hostelId, price, hostelName }) => {
           </select>
         </div>
         
-        {/* Total price */}
-        {totalPrice > 0 && (
-          <div className="mt-4 pt-4 border-t border-gray-200">
-            <div className="flex justify-between">
+        {/* Price breakdown */}
+        {quote && (
+          <div className="mt-4 pt-4 border-t border-gray-200 space-y-1">
+            {quote.line_items.map((item) => (
+              <div key={item.type} className="flex justify-between text-sm text-gray-600">
+                <span>{item.label}</span>
+                <span>{item.amount < 0 ? `-$${Math.abs(item.amount).toFixed(2)}` : `$${item.amount.toFixed(2)}`}</span>
+              </div>
+            ))}
+            <div className="flex justify-between pt-2">
               <span className="text-base font-medium text-gray-900">Total</span>
-              <span className="text-base font-medium text-gray-900">${totalPrice}</span>
+              <span className="text-base font-medium text-gray-900">${quote.total.toFixed(2)}</span>
             </div>
-            <p className="text-sm text-gray-500 mt-1">
-              {checkIn && checkOut ? (
-                <>
-                  {Math.round((new Date(checkOut) - new Date(checkIn)) / (1000 * 60 * 60 * 24))} nights
-                  {guests > 1 ? `, ${guests} guests` : ''}
-                </>
-              ) : 'Select dates to see total price'}
-            </p>
           </div>
         )}
         
@@ -204,7 +318,7 @@ const BookingForm = ({ hostelId, price, hostelName }) => {
             className={`w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
               (isSubmitting || success) ? 'opacity-70 cursor-not-allowed' : ''
             }`}
-            disabled={!checkIn || !checkOut || isSubmitting || success}
+            disabled={!checkIn || !checkOut || !roomType || maxGuests === 0 || belowMinStay || isSubmitting || success}
           >
             {isSubmitting ? (
               <div className="flex items-center justify-center">
@@ -238,7 +352,14 @@ const BookingForm = ({ hostelId, price, hostelName }) => {
 
 BookingForm.propTypes = {
   hostelId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
-  price: PropTypes.number.isRequired,
+  roomTypes: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    kind: PropTypes.oneOf(['dorm', 'private']).isRequired,
+    beds_per_room: PropTypes.number.isRequired,
+    price: PropTypes.number.isRequired,
+    total_beds: PropTypes.number.isRequired
+  })).isRequired,
   hostelName: PropTypes.string.isRequired
 };
 
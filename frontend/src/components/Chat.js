@@ -46,7 +46,7 @@ const Chat = ({
     
     // Socket.io connection
     const socket = io('http://localhost:3000', {
-      query: { userId: currentUserId }
+      auth: { token: localStorage.getItem('token') }
     });
     socketRef.current = socket;
     
@@ -54,10 +54,7 @@ const Chat = ({
     const loadMessages = async () => {
       try {
         setLoading(true);
-        const data = await getMessages({
-          sender_id: currentUserId,
-          receiver_id: otherUserId
-        });
+        const data = await getMessages(otherUserId);
         setMessages(data.messages || []);
       } catch (err) {
         console.error('Error loading messages:', err);
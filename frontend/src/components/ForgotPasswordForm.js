@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { forgotPassword } from '../services/api';
+
+/**
+ * Forgot Password Form Component
+ * 
+ * Asks for the account email and requests a password reset link.
+ * The server responds the same way whether or not the account exists.
+ */
+const ForgotPasswordForm = () => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+    
+    setIsLoading(true);
+    
+    try {
+      await forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError(err.response?.data?.error || 'Could not send the reset link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow-md overflow-hidden md:max-w-lg">
+      <div className="md:flex">
+        <div className="w-full p-6">
+          <div className="text-center">
+            <h1 className="text-2xl font-bold text-gray-800 mb-1">Forgot your password?</h1>
+            <p className="text-gray-600 mb-6">We'll email you a link to choose a new one</p>
+          </div>
+          
+          {/* Error message */}
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+          
+          {sent ? (
+            <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-6">
+              <p className="text-sm text-green-700">
+                If an account exists for {email}, a reset link is on its way. The link expires in 1 hour.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <div className="mb-6">
+                <label htmlFor="email" className="block text-gray-700 text-sm font-bold mb-2">
+                  Email Address
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="your@email.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  disabled={isLoading}
+                />
+              </div>
+              
+              <div className="mb-6">
+                <button
+                  type="submit"
+                  className={`w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition-colors ${
+                    isLoading ? 'opacity-70 cursor-not-allowed' : ''
+                  }`}
+                  disabled={isLoading}
+                >
+                  {isLoading ? 'Sending...' : 'Send Reset Link'}
+                </button>
+              </div>
+            </form>
+          )}
+          
+          <div className="text-center">
+            <p className="text-sm text-gray-600">
+              Remembered it?{' '}
+              <Link to="/login" className="text-blue-600 hover:text-blue-800 font-semibold">
+                Back to sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
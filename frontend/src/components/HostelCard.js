@@ -1,6 +1,8 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import PropTypes from 'prop-types';
+import { resolveAssetUrl } from '../services/api';
+import AmenityIcon from './AmenityIcon';
 
 /**
  * HostelCard component for displaying hostel information in a card format
@@ -13,15 +15,15 @@ import PropTypes from 'prop-types';
  * @param {number} props.hostel.price - Hostel price per night
  * @param {Array<string>} props.hostel.images - Array of image URLs for the hostel
  * @param {string} [props.hostel.description] - Optional short description
- * @param {Array<string>} [props.hostel.amenities] - Optional array of amenities
+ * @param {Array<Object>} [props.hostel.amenities] - Optional array of amenities (name and icon)
  * @param {number} [props.hostel.rating] - Optional rating (1-5)
  */
 const HostelCard = ({ hostel }) => {
   const { id, name, location, price, images, description, amenities, rating } = hostel;
   
-  // Use first image or fallback
+  // Use first (primary) image or fallback
   const imageUrl = images?.length > 0 
-    ? images[0] 
+    ? resolveAssetUrl(images[0]) 
     : 'https://images.unsplash.com/photo-1566073771259-6a8506099945?ixlib=rb-1.2.1&auto=format&fit=crop&w=800&q=80';
   
   // Format price correctly
@@ -80,12 +82,13 @@ const HostelCard = ({ hostel }) => {
         {/* Amenities (if available) */}
         {displayedAmenities.length > 0 && (
           <div className="flex flex-wrap gap-1 mb-3">
-            {displayedAmenities.map((amenity, index) => (
+            {displayedAmenities.map((amenity) => (
               <span 
-                key={index} 
-                className="inline-block bg-gray-100 text-gray-600 text-xs px-2 py-1 rounded-md"
+                key={amenity.id} 
+                className="inline-flex items-center bg-gray-100 text-gray-600 text-xs px-2 py-1 rounded-md"
               >
-                {amenity}
+                <AmenityIcon icon={amenity.icon} className="h-3 w-3 mr-1" />
+                {amenity.name}
               </span>
             ))}
             {amenities && amenities.length > 3 && (
@@ -116,7 +119,11 @@ HostelCard.propTypes = {
     price: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
     images: PropTypes.arrayOf(PropTypes.string),
     description: PropTypes.string,
-    amenities: PropTypes.arrayOf(PropTypes.string),
+    amenities: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.number,
+      name: PropTypes.string,
+      icon: PropTypes.string
+    })),
     rating: PropTypes.number
   }).isRequired
 };
@@ -7,8 +7,9 @@
 
 import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
-import { getHostel } from '../services/api';
+import { getHostel, resolveAssetUrl } from '../services/api';
 import BookingForm from './BookingForm';
+import AmenityIcon from './AmenityIcon';
 
 const HostelDetails = () => {
   const { id } = useParams();
@@ -77,7 +78,7 @@ const HostelDetails = () => {
           {hostel.images.map((image, index) => (
             <div key={index} className="relative h-64 rounded-lg overflow-hidden">
               <img
-                src={image}
+                src={resolveAssetUrl(image)}
                 alt={`${hostel.name} - Image ${index + 1}`}
                 className="w-full h-full object-cover"
               />
@@ -100,10 +101,10 @@ const HostelDetails = () => {
           <div className="mb-8">
             <h2 className="text-2xl font-semibold mb-4">Amenities</h2>
             <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
-              {hostel.amenities.map((amenity, index) => (
-                <div key={index} className="flex items-center space-x-2">
-                  <span className="text-green-500">✓</span>
-                  <span>{amenity}</span>
+              {hostel.amenities.map((amenity) => (
+                <div key={amenity.id} className="flex items-center space-x-2">
+                  <AmenityIcon icon={amenity.icon} className="h-5 w-5 text-green-500" />
+                  <span>{amenity.name}</span>
                 </div>
               ))}
             </div>
@@ -125,7 +126,8 @@ const HostelDetails = () => {
           {/* Price Card */}
           <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
             <div className="text-2xl font-bold text-gray-900 mb-2">
-              ${hostel.price_per_night}
+              <span className="text-sm font-normal text-gray-600">From </span>
+              ${hostel.price}
               <span className="text-sm font-normal text-gray-600">/night</span>
             </div>
             <div className="mb-4">
@@ -137,7 +139,7 @@ const HostelDetails = () => {
                 </span>
               </div>
             </div>
-            <BookingForm hostelId={id} price={hostel.price_per_night} />
+            <BookingForm hostelId={id} roomTypes={hostel.room_types || []} hostelName={hostel.name} />
           </div>
 
           {/* Host Info */}
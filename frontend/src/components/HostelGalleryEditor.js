@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getHostelImages,
+  uploadHostelImages,
+  reorderHostelImages,
+  setPrimaryHostelImage,
+  deleteHostelImage,
+  resolveAssetUrl
+} from '../services/api';
+
+// Same limits the server enforces
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 10;
+
+/**
+ * Hostel Gallery Editor Component
+ *
+ * Lets a host upload photos by dropping them (or choosing files), drag photos
+ * into a new order, pick the primary photo and remove photos.
+ *
+ * @param {Object} props.hostel - Hostel whose gallery is edited (id and name)
+ * @param {Function} props.onImagesChange - Called with the image list after every change
+ * @param {Function} props.onClose - Called when the editor is closed
+ */
+const HostelGalleryEditor = ({ hostel, onImagesChange, onClose }) => {
+  const [images, setImages] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchImages = async () => {
+      setIsLoading(true);
+      setError('');
+
+      try {
+        setImages(await getHostelImages(hostel.id));
+      } catch (err) {
+        console.error('Error fetching hostel images:', err);
+        setError('Failed to load photos.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchImages();
+  }, [hostel.id]);
+
+  // Show the server's image list and let the parent know about it
+  const applyImages = (updated) => {
+    setImages(updated);
+    onImagesChange(updated);
+  };
+
+  // Run a gallery request and show its error if it fails
+  const runRequest = async (request) => {
+    setError('');
+
+    try {
+      applyImages(await request());
+      return true;
+    } catch (err) {
+      console.error('Error updating hostel images:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+      return false;
+    }
+  };
+
+  // Check files before uploading them
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList);
+
+    if (files.length === 0) {
+      return;
+    }
+
+    if (files.length > MAX_FILES_PER_UPLOAD) {
+      setError(`You can upload up to ${MAX_FILES_PER_UPLOAD} photos at a time.`);
+      return;
+    }
+
+    const invalid = files.find((file) => !ACCEPTED_TYPES.includes(file.type) || file.size > MAX_FILE_SIZE);
+    if (invalid) {
+      setError(`${invalid.name} must be a JPEG, PNG, WebP or GIF image of at most 5MB.`);
+      return;
+    }
+
+    setIsUploading(true);
+    await runRequest(() => uploadHostelImages(hostel.id, files));
+    setIsUploading(false);
+  };
+
+  // Files dropped on the upload area
+  const handleFileDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFiles(false);
+
+    if (draggedId === null) {
+      handleFiles(e.dataTransfer.files);
+    }
+  };
+
+  // A photo dropped on another photo takes its place
+  const handlePhotoDrop = async (e, targetId) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (draggedId === null || draggedId === targetId) {
+      setDraggedId(null);
+      return;
+    }
+
+    const reordered = images.filter((image) => image.id !== draggedId);
+    const targetIndex = reordered.findIndex((image) => image.id === targetId);
+    const fromIndex = images.findIndex((image) => image.id === draggedId);
+    const toIndex = images.findIndex((image) => image.id === targetId);
+
+    // Dropping onto a later photo puts the dragged one after it
+    reordered.splice(fromIndex < toIndex ? targetIndex + 1 : targetIndex, 0, images[fromIndex]);
+    setDraggedId(null);
+
+    // Show the new order right away and put the old one back if saving fails
+    const previous = images;
+    setImages(reordered);
+
+    if (!(await runRequest(() => reorderHostelImages(hostel.id, reordered.map((image) => image.id))))) {
+      setImages(previous);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Photos: {hostel.name}</h2>
+        <button type="button" onClick={onClose} className="text-sm text-gray-600 hover:text-gray-900">
+          Close
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-4">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {/* Upload area */}
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          if (draggedId === null) setIsDraggingFiles(true);
+        }}
+        onDragLeave={() => setIsDraggingFiles(false)}
+        onDrop={handleFileDrop}
+        className={`block border-2 border-dashed rounded-lg p-6 text-center mb-6 ${
+          isDraggingFiles ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+        } ${isUploading ? 'opacity-50' : 'cursor-pointer hover:border-blue-400'}`}
+      >
+        <p className="text-gray-700">{isUploading ? 'Uploading...' : 'Drop photos here or click to choose'}</p>
+        <p className="text-xs text-gray-500 mt-1">JPEG, PNG, WebP or GIF, up to 5MB each</p>
+        <input
+          type="file"
+          multiple
+          accept={ACCEPTED_TYPES.join(',')}
+          className="hidden"
+          disabled={isUploading}
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </label>
+
+      {/* Gallery */}
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading photos...</p>
+      ) : images.length === 0 ? (
+        <p className="text-sm text-gray-500">No photos yet. The first photo you add becomes the primary one.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-2">Drag photos to change their order.</p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {images.map((image) => (
+              <div
+                key={image.id}
+                draggable
+                onDragStart={() => setDraggedId(image.id)}
+                onDragEnd={() => setDraggedId(null)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => handlePhotoDrop(e, image.id)}
+                className={`relative rounded-md overflow-hidden border-2 cursor-move ${
+                  image.is_primary ? 'border-blue-600' : 'border-transparent'
+                } ${draggedId === image.id ? 'opacity-50' : ''}`}
+              >
+                <img
+                  src={resolveAssetUrl(image.thumbnail_url || image.image_url)}
+                  alt={`${hostel.name} ${image.sort_order + 1}`}
+                  className="w-full h-32 object-cover"
+                />
+                {image.is_primary && (
+                  <span className="absolute top-2 left-2 bg-blue-600 text-white text-xs px-2 py-0.5 rounded">
+                    Primary
+                  </span>
+                )}
+                <div className="flex justify-between bg-white px-2 py-1 text-xs">
+                  {!image.is_primary ? (
+                    <button
+                      type="button"
+                      onClick={() => runRequest(() => setPrimaryHostelImage(hostel.id, image.id))}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Make primary
+                    </button>
+                  ) : (
+                    <span />
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => runRequest(() => deleteHostelImage(hostel.id, image.id))}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HostelGalleryEditor;
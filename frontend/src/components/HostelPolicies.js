@@ -0,0 +1,113 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// How each policy choice is shown to guests
+const PET_LABELS = {
+  not_allowed: 'No pets',
+  on_request: 'Pets on request',
+  allowed: 'Pets welcome'
+};
+
+const SMOKING_LABELS = {
+  not_allowed: 'No smoking',
+  outside_only: 'Smoking outside only',
+  allowed: 'Smoking allowed'
+};
+
+const ID_LABELS = {
+  none: 'No ID needed at check-in',
+  photo_id: 'Photo ID needed at check-in',
+  passport: 'Passport needed at check-in'
+};
+
+/**
+ * Describe the ages a hostel accepts, e.g. "Guests aged 18 to 35"
+ */
+const describeAges = ({ min_age, max_age }) => {
+  if (min_age !== null && max_age !== null) return `Guests aged ${min_age} to ${max_age}`;
+  if (min_age !== null) return `Guests aged ${min_age} and over`;
+  if (max_age !== null) return `Guests aged ${max_age} and under`;
+  return 'All ages welcome';
+};
+
+/**
+ * Hostel Policies Component
+ *
+ * Shows a hostel's check-in times, house rules and cancellation policy.
+ * The compact version, used in booking confirmations, only lists what a
+ * guest needs for arrival and cancelling.
+ *
+ * @param {Object} props.policies - Policies as returned by the hostel API
+ * @param {boolean} props.compact - Show arrival and cancellation details only
+ */
+const HostelPolicies = ({ policies, compact }) => {
+  const checkIn = policies.check_in_until
+    ? `${policies.check_in_from} to ${policies.check_in_until}`
+    : `from ${policies.check_in_from}`;
+
+  const items = [
+    { label: 'Check-in', value: checkIn },
+    { label: 'Check-out', value: `until ${policies.check_out_until}` },
+    { label: 'ID', value: ID_LABELS[policies.id_required] },
+    ...(compact ? [] : [
+      { label: 'Age', value: describeAges(policies) },
+      {
+        label: 'Quiet hours',
+        value: policies.quiet_hours_start ? `${policies.quiet_hours_start} to ${policies.quiet_hours_end}` : 'None'
+      },
+      { label: 'Pets', value: PET_LABELS[policies.pets] },
+      { label: 'Smoking', value: SMOKING_LABELS[policies.smoking] }
+    ]),
+    {
+      label: 'Cancellation',
+      value: `${policies.cancellation.label}: ${policies.cancellation.description}`
+    }
+  ];
+
+  return (
+    <div>
+      <dl className={`grid grid-cols-1 ${compact ? 'gap-1 text-sm' : 'sm:grid-cols-2 gap-4'}`}>
+        {items.map(({ label, value }) => (
+          <div key={label}>
+            <dt className="font-medium text-gray-900">{label}</dt>
+            <dd className="text-gray-600">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {!compact && policies.house_rules && (
+        <div className="mt-4">
+          <h3 className="font-medium text-gray-900">House rules</h3>
+          <p className="text-gray-600 whitespace-pre-line">{policies.house_rules}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+HostelPolicies.propTypes = {
+  policies: PropTypes.shape({
+    check_in_from: PropTypes.string.isRequired,
+    check_in_until: PropTypes.string,
+    check_out_until: PropTypes.string.isRequired,
+    min_age: PropTypes.number,
+    max_age: PropTypes.number,
+    quiet_hours_start: PropTypes.string,
+    quiet_hours_end: PropTypes.string,
+    pets: PropTypes.string,
+    smoking: PropTypes.string,
+    id_required: PropTypes.string,
+    house_rules: PropTypes.string,
+    cancellation: PropTypes.shape({
+      label: PropTypes.string.isRequired,
+      description: PropTypes.string.isRequired
+    }).isRequired
+  }).isRequired,
+  compact: PropTypes.bool
+};
+
+HostelPolicies.defaultProps = {
+  compact: false
+};
+
+export default HostelPolicies;
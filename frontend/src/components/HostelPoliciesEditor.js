@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { getHostelPolicies, updateHostelPolicies } from '../services/api';
+
+// Cancellation policies a host can pick, as explained to guests
+const CANCELLATION_OPTIONS = [
+  { value: 'flexible', label: 'Flexible - free cancellation until 24 hours before check-in' },
+  { value: 'moderate', label: 'Moderate - free cancellation until 5 days before check-in' },
+  { value: 'strict', label: 'Strict - free until 14 days before, 50% refund until 7 days before' },
+  { value: 'non_refundable', label: 'Non-refundable' }
+];
+
+// Fields edited here, with the empty value shown for unset ones
+const EMPTY_POLICIES = {
+  check_in_from: '',
+  check_in_until: '',
+  check_out_until: '',
+  min_age: '',
+  max_age: '',
+  quiet_hours_start: '',
+  quiet_hours_end: '',
+  pets: 'not_allowed',
+  smoking: 'not_allowed',
+  id_required: 'photo_id',
+  cancellation_policy: 'flexible',
+  house_rules: ''
+};
+
+/**
+ * Hostel Policies Editor Component
+ *
+ * Lets a host set check-in and check-out times, who may stay, quiet hours,
+ * pet and smoking rules, the ID guests must bring and the cancellation policy.
+ *
+ * @param {Object} props.hostel - Hostel whose policies are edited (id and name)
+ * @param {Function} props.onClose - Called when the editor is closed
+ */
+const HostelPoliciesEditor = ({ hostel, onClose }) => {
+  const [form, setForm] = useState(EMPTY_POLICIES);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  // Show unset policies as empty inputs
+  const toForm = (policies) =>
+    Object.fromEntries(Object.keys(EMPTY_POLICIES).map((field) => [field, policies[field] ?? '']));
+
+  useEffect(() => {
+    const fetchPolicies = async () => {
+      setIsLoading(true);
+      setError('');
+
+      try {
+        setForm(toForm(await getHostelPolicies(hostel.id)));
+      } catch (err) {
+        console.error('Error fetching policies:', err);
+        setError('Failed to load policies.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchPolicies();
+  }, [hostel.id]);
+
+  const handleChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    setFieldErrors({});
+
+    try {
+      setForm(toForm(await updateHostelPolicies(hostel.id, form)));
+      setSaved(true);
+    } catch (err) {
+      console.error('Error updating policies:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+      setFieldErrors(err.response?.data?.errors || {});
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+      fieldErrors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
+  const fieldError = (field) =>
+    fieldErrors[field] && <p className="text-sm text-red-600 mt-1">{fieldErrors[field]}</p>;
+
+  const timeInput = (field, label) => (
+    <div>
+      <label htmlFor={field} className="block text-gray-700 text-sm font-bold mb-1">{label}</label>
+      <input id={field} type="time" className={inputClass(field)} value={form[field]} onChange={handleChange(field)} />
+      {fieldError(field)}
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Policies: {hostel.name}</h2>
+        <button type="button" onClick={onClose} className="text-sm text-gray-600 hover:text-gray-900">
+          Close
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-4">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {saved && (
+        <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-4">
+          <p className="text-sm text-green-700">Policies saved. A new cancellation policy applies to new bookings only.</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading policies...</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {timeInput('check_in_from', 'Check-in from')}
+          {timeInput('check_in_until', 'Check-in until (optional)')}
+          {timeInput('check_out_until', 'Check-out until')}
+          {timeInput('quiet_hours_start', 'Quiet hours from (optional)')}
+          {timeInput('quiet_hours_end', 'Quiet hours until')}
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label htmlFor="min_age" className="block text-gray-700 text-sm font-bold mb-1">Min age</label>
+              <input id="min_age" type="number" min="0" max="99" className={inputClass('min_age')} value={form.min_age} onChange={handleChange('min_age')} />
+              {fieldError('min_age')}
+            </div>
+            <div>
+              <label htmlFor="max_age" className="block text-gray-700 text-sm font-bold mb-1">Max age</label>
+              <input id="max_age" type="number" min="0" max="99" className={inputClass('max_age')} value={form.max_age} onChange={handleChange('max_age')} />
+              {fieldError('max_age')}
+            </div>
+          </div>
+          <div>
+            <label htmlFor="pets" className="block text-gray-700 text-sm font-bold mb-1">Pets</label>
+            <select id="pets" className={inputClass('pets')} value={form.pets} onChange={handleChange('pets')}>
+              <option value="not_allowed">Not allowed</option>
+              <option value="on_request">On request</option>
+              <option value="allowed">Allowed</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="smoking" className="block text-gray-700 text-sm font-bold mb-1">Smoking</label>
+            <select id="smoking" className={inputClass('smoking')} value={form.smoking} onChange={handleChange('smoking')}>
+              <option value="not_allowed">Not allowed</option>
+              <option value="outside_only">Outside only</option>
+              <option value="allowed">Allowed</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="id_required" className="block text-gray-700 text-sm font-bold mb-1">ID at check-in</label>
+            <select id="id_required" className={inputClass('id_required')} value={form.id_required} onChange={handleChange('id_required')}>
+              <option value="none">None</option>
+              <option value="photo_id">Photo ID</option>
+              <option value="passport">Passport</option>
+            </select>
+          </div>
+          <div className="md:col-span-3">
+            <label htmlFor="cancellation_policy" className="block text-gray-700 text-sm font-bold mb-1">Cancellation policy</label>
+            <select
+              id="cancellation_policy"
+              className={inputClass('cancellation_policy')}
+              value={form.cancellation_policy}
+              onChange={handleChange('cancellation_policy')}
+            >
+              {CANCELLATION_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-3">
+            <label htmlFor="house_rules" className="block text-gray-700 text-sm font-bold mb-1">Other house rules</label>
+            <textarea
+              id="house_rules"
+              rows="3"
+              className={inputClass('house_rules')}
+              value={form.house_rules}
+              onChange={handleChange('house_rules')}
+              placeholder="e.g. No outside guests in the dorms after 22:00"
+            />
+            {fieldError('house_rules')}
+          </div>
+          <div className="md:col-span-3">
+            <button type="submit" className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md" disabled={isSaving}>
+              Save Policies
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default HostelPoliciesEditor;
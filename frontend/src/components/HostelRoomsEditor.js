@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { getRoomTypes, createRoomType, updateRoomType, deleteRoomType } from '../services/api';
+
+const EMPTY_ROOM = { name: '', kind: 'dorm', room_count: 1, beds_per_room: 4, price: '', description: '' };
+
+/**
+ * Hostel Rooms Editor Component
+ *
+ * Lets a host list the dorms and private rooms they sell, with the number of
+ * rooms, beds per room and nightly price of each.
+ *
+ * @param {Object} props.hostel - Hostel whose rooms are edited (id and name)
+ * @param {Function} props.onRoomsChange - Called with the room type list after every change
+ * @param {Function} props.onClose - Called when the editor is closed
+ */
+const HostelRoomsEditor = ({ hostel, onRoomsChange, onClose }) => {
+  const [roomTypes, setRoomTypes] = useState([]);
+  const [form, setForm] = useState(EMPTY_ROOM);
+  const [editingId, setEditingId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+
+  // Reload the room types and let the parent know about them
+  const refresh = async () => {
+    const updated = await getRoomTypes(hostel.id);
+    setRoomTypes(updated);
+    onRoomsChange(updated);
+  };
+
+  useEffect(() => {
+    const fetchRoomTypes = async () => {
+      setIsLoading(true);
+      setError('');
+
+      try {
+        setRoomTypes(await getRoomTypes(hostel.id));
+      } catch (err) {
+        console.error('Error fetching room types:', err);
+        setError('Failed to load rooms.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchRoomTypes();
+  }, [hostel.id]);
+
+  const resetForm = () => {
+    setForm(EMPTY_ROOM);
+    setEditingId(null);
+    setFieldErrors({});
+  };
+
+  const startEditing = (roomType) => {
+    setForm({
+      name: roomType.name,
+      kind: roomType.kind,
+      room_count: roomType.room_count,
+      beds_per_room: roomType.beds_per_room,
+      price: roomType.price,
+      description: roomType.description || ''
+    });
+    setEditingId(roomType.id);
+    setFieldErrors({});
+  };
+
+  // Run a room request and show its error if it fails
+  const runRequest = async (request) => {
+    setIsSaving(true);
+    setError('');
+    setFieldErrors({});
+
+    try {
+      await request();
+      await refresh();
+      return true;
+    } catch (err) {
+      console.error('Error updating rooms:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+      setFieldErrors(err.response?.data?.errors || {});
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const saved = await runRequest(() =>
+      editingId ? updateRoomType(hostel.id, editingId, form) : createRoomType(hostel.id, form)
+    );
+
+    if (saved) {
+      resetForm();
+    }
+  };
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+      fieldErrors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Rooms: {hostel.name}</h2>
+        <button type="button" onClick={onClose} className="text-sm text-gray-600 hover:text-gray-900">
+          Close
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-4">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {/* Room types */}
+      {isLoading ? (
+        <p className="text-sm text-gray-500 mb-6">Loading rooms...</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200 mb-6">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+              <th className="py-2">Room</th>
+              <th className="py-2">Rooms</th>
+              <th className="py-2">Beds each</th>
+              <th className="py-2">Price / night</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 text-sm">
+            {roomTypes.map((roomType) => (
+              <tr key={roomType.id}>
+                <td className="py-2">
+                  {roomType.name}
+                  <span className="ml-2 text-xs text-gray-500">{roomType.kind === 'dorm' ? 'Dorm' : 'Private'}</span>
+                </td>
+                <td className="py-2">{roomType.room_count}</td>
+                <td className="py-2">{roomType.beds_per_room}</td>
+                <td className="py-2">
+                  ${roomType.price} per {roomType.kind === 'dorm' ? 'bed' : 'room'}
+                </td>
+                <td className="py-2 text-right space-x-3">
+                  <button type="button" onClick={() => startEditing(roomType)} className="text-blue-600 hover:text-blue-800">
+                    Edit
+                  </button>
+                  {roomTypes.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => runRequest(() => deleteRoomType(hostel.id, roomType.id))}
+                      className="text-red-600 hover:text-red-800"
+                      disabled={isSaving}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* Add or edit a room type */}
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <h3 className="md:col-span-2 font-semibold text-gray-900">{editingId ? 'Edit room' : 'Add a room'}</h3>
+        <div>
+          <label htmlFor="room_name" className="block text-gray-700 text-sm font-bold mb-1">Name</label>
+          <input
+            id="room_name"
+            type="text"
+            className={inputClass('name')}
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g. 6-bed mixed dorm"
+          />
+          {fieldErrors.name && <p className="text-sm text-red-600 mt-1">{fieldErrors.name}</p>}
+        </div>
+        <div>
+          <label htmlFor="room_kind" className="block text-gray-700 text-sm font-bold mb-1">Type</label>
+          <select
+            id="room_kind"
+            className={inputClass('kind')}
+            value={form.kind}
+            onChange={(e) => setForm({ ...form, kind: e.target.value })}
+          >
+            <option value="dorm">Dorm (sold per bed)</option>
+            <option value="private">Private room (sold per room)</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="room_count" className="block text-gray-700 text-sm font-bold mb-1">Number of rooms</label>
+          <input
+            id="room_count"
+            type="number"
+            min="1"
+            className={inputClass('room_count')}
+            value={form.room_count}
+            onChange={(e) => setForm({ ...form, room_count: e.target.value })}
+          />
+          {fieldErrors.room_count && <p className="text-sm text-red-600 mt-1">{fieldErrors.room_count}</p>}
+        </div>
+        <div>
+          <label htmlFor="beds_per_room" className="block text-gray-700 text-sm font-bold mb-1">Beds per room</label>
+          <input
+            id="beds_per_room"
+            type="number"
+            min="1"
+            className={inputClass('beds_per_room')}
+            value={form.beds_per_room}
+            onChange={(e) => setForm({ ...form, beds_per_room: e.target.value })}
+          />
+          {fieldErrors.beds_per_room && <p className="text-sm text-red-600 mt-1">{fieldErrors.beds_per_room}</p>}
+        </div>
+        <div>
+          <label htmlFor="room_price" className="block text-gray-700 text-sm font-bold mb-1">
+            Price per {form.kind === 'dorm' ? 'bed' : 'room'} per night
+          </label>
+          <input
+            id="room_price"
+            type="number"
+            min="0"
+            step="0.01"
+            className={inputClass('price')}
+            value={form.price}
+            onChange={(e) => setForm({ ...form, price: e.target.value })}
+          />
+          {fieldErrors.price && <p className="text-sm text-red-600 mt-1">{fieldErrors.price}</p>}
+        </div>
+        <div>
+          <label htmlFor="room_description" className="block text-gray-700 text-sm font-bold mb-1">Description</label>
+          <input
+            id="room_description"
+            type="text"
+            className={inputClass('description')}
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+        </div>
+        <div className="md:col-span-2 flex space-x-3">
+          <button type="submit" className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md" disabled={isSaving}>
+            {editingId ? 'Save Room' : 'Add Room'}
+          </button>
+          {editingId && (
+            <button type="button" onClick={resetForm} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md">
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default HostelRoomsEditor;
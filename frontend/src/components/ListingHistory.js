@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getHostelHistory, revertHostelRevision } from '../services/api';
+
+// Revisions fetched at a time
+const PAGE_SIZE = 20;
+
+// How each tracked field is named in the history
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  location: 'Location',
+  street: 'Street',
+  city: 'City',
+  region: 'Region',
+  country: 'Country',
+  postal_code: 'Postal code',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  amenities: 'Amenities',
+  check_in_from: 'Check-in from',
+  check_in_until: 'Check-in until',
+  check_out_until: 'Check-out until',
+  min_age: 'Min age',
+  max_age: 'Max age',
+  quiet_hours_start: 'Quiet hours from',
+  quiet_hours_end: 'Quiet hours until',
+  pets: 'Pets',
+  smoking: 'Smoking',
+  id_required: 'ID at check-in',
+  cancellation_policy: 'Cancellation policy',
+  house_rules: 'House rules',
+  room_types: 'Room types',
+  pricing: 'Pricing',
+  images: 'Photos'
+};
+
+/**
+ * Show a price adjustment as a signed percentage
+ */
+const formatPercent = (percent) => `${percent > 0 ? '+' : ''}${percent}%`;
+
+/**
+ * Show a field's old or new value as text
+ */
+const formatValue = (field, value) => {
+  if (field === 'amenities') {
+    return value.length > 0 ? value.map((amenity) => amenity.name).join(', ') : 'none';
+  }
+  if (field === 'room_types') {
+    return (value || []).map((roomType) =>
+      `${roomType.name} (${roomType.room_count} x ${roomType.beds_per_room} beds, $${roomType.price})`
+    ).join('; ') || 'none';
+  }
+  if (field === 'pricing') {
+    if (!value) {
+      return 'not set';
+    }
+    const seasons = value.seasonal_rates.map((season) =>
+      `${season.name} ${season.start_date} to ${season.end_date} ${formatPercent(season.rate_percent)}`
+    );
+    const discounts = value.stay_discounts.map((discount) =>
+      `${discount.min_nights}+ nights -${discount.discount_percent}%`
+    );
+    return [
+      `weekends ${formatPercent(value.weekend_rate_percent)}`,
+      `cleaning fee $${value.cleaning_fee}`,
+      `tax ${value.tax_percent}%`,
+      ...seasons,
+      ...discounts
+    ].join(', ');
+  }
+  if (field === 'images') {
+    // Photos are listed by file name, in gallery order
+    return (value || []).map((image) =>
+      `${image.image_url.split('/').pop()}${image.is_primary ? ' (primary)' : ''}`
+    ).join(', ') || 'none';
+  }
+  if (value === null || value === '') {
+    return 'not set';
+  }
+  return String(value);
+};
+
+/**
+ * Listing History Component
+ *
+ * Lists the revisions of a listing with who made each edit and what it
+ * changed, and lets the host restore the listing to an earlier revision.
+ *
+ * @param {Object} props.hostel - Hostel whose history is shown (id and name)
+ * @param {Function} props.onRevert - Called with the hostel after it is restored
+ * @param {Function} props.onClose - Called when the panel is closed
+ */
+const ListingHistory = ({ hostel, onRevert, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(null);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revertingTo, setRevertingTo] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  // Reload from the first page after a restore adds a revision
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setIsLoading(true);
+      setError('');
+
+      try {
+        const data = await getHostelHistory(hostel.id, page, PAGE_SIZE);
+        setCurrentRevision(data.current_revision);
+        setRevisions((prev) => (page === 1 ? data.revisions : [...prev, ...data.revisions]));
+        setHasMore(data.revisions.length === PAGE_SIZE);
+      } catch (err) {
+        console.error('Error fetching listing history:', err);
+        setError('Failed to load history.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [hostel.id, page, reloadCount]);
+
+  const handleRevert = async (revision) => {
+    if (!window.confirm(`Restore the listing to revision ${revision}? This is recorded as a new revision.`)) {
+      return;
+    }
+
+    setRevertingTo(revision);
+    setError('');
+    setMessage('');
+
+    try {
+      const data = await revertHostelRevision(hostel.id, revision);
+      setMessage(data.message);
+      onRevert(data.hostel);
+      setPage(1);
+      setReloadCount((count) => count + 1);
+    } catch (err) {
+      console.error('Error restoring revision:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setRevertingTo(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-900">History: {hostel.name}</h2>
+        <button type="button" onClick={onClose} className="text-sm text-gray-600 hover:text-gray-900">
+          Close
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-4">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-4">
+          <p className="text-sm text-green-700">{message}</p>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {revisions.map((revision) => (
+          <li key={revision.revision} className="py-3">
+            <div className="flex justify-between items-start">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  Revision {revision.revision}
+                  {revision.revision === currentRevision && <span className="ml-2 text-green-700">(current)</span>}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {new Date(revision.created_at).toLocaleString()} by {revision.changed_by_name || 'unknown'}
+                  {revision.reverted_to && ` - restored revision ${revision.reverted_to}`}
+                </p>
+              </div>
+              {revision.revision !== currentRevision && (
+                <button
+                  type="button"
+                  onClick={() => handleRevert(revision.revision)}
+                  className="px-3 py-1 bg-gray-200 text-gray-800 rounded text-sm hover:bg-gray-300"
+                  disabled={revertingTo !== null}
+                >
+                  {revertingTo === revision.revision ? 'Restoring...' : 'Restore'}
+                </button>
+              )}
+            </div>
+
+            {revision.changes.length === 0 ? (
+              <p className="text-sm text-gray-600 mt-1">First recorded version of the listing</p>
+            ) : (
+              <ul className="mt-1 text-sm text-gray-600 space-y-1">
+                {revision.changes.map(({ field, from, to }) => (
+                  <li key={field}>
+                    <span className="font-medium text-gray-800">{FIELD_LABELS[field] || field}:</span>{' '}
+                    <span className="line-through">{formatValue(field, from)}</span>{' '}
+                    &rarr; {formatValue(field, to)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isLoading && <p className="text-sm text-gray-500">Loading history...</p>}
+
+      {!isLoading && hasMore && (
+        <button
+          type="button"
+          onClick={() => setPage(page + 1)}
+          className="mt-3 text-sm text-blue-600 hover:text-blue-800"
+        >
+          Show older revisions
+        </button>
+      )}
+    </div>
+  );
+};
+
+ListingHistory.propTypes = {
+  hostel: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired
+  }).isRequired,
+  onRevert: PropTypes.func,
+  onClose: PropTypes.func.isRequired
+};
+
+ListingHistory.defaultProps = {
+  onRevert: () => {}
+};
+
+export default ListingHistory;
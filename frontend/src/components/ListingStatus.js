@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { changeHostelStatus } from '../services/api';
+
+// Badge colour and label of each listing status
+const STATUS_STYLES = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  pending_review: { label: 'In review', className: 'bg-yellow-100 text-yellow-800' },
+  published: { label: 'Published', className: 'bg-green-100 text-green-800' },
+  suspended: { label: 'Suspended', className: 'bg-red-100 text-red-800' },
+  archived: { label: 'Archived', className: 'bg-gray-200 text-gray-600' }
+};
+
+// Actions a host can take from each status
+const HOST_ACTIONS = {
+  draft: [{ action: 'submit', label: 'Submit for review' }, { action: 'archive', label: 'Archive' }],
+  pending_review: [{ action: 'withdraw', label: 'Withdraw' }, { action: 'archive', label: 'Archive' }],
+  published: [{ action: 'archive', label: 'Archive' }],
+  suspended: [],
+  archived: [{ action: 'unarchive', label: 'Move to drafts' }]
+};
+
+/**
+ * Listing Status Component
+ *
+ * Shows where a listing is in its lifecycle, the reviewer's reason if it was
+ * sent back or suspended, and the actions the host can take next.
+ *
+ * @param {Object} props.hostel - Hostel with id, status and status_reason
+ * @param {Function} props.onStatusChange - Called with the updated hostel after a change
+ */
+const ListingStatus = ({ hostel, onStatusChange }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [missing, setMissing] = useState([]);
+
+  const style = STATUS_STYLES[hostel.status] || STATUS_STYLES.draft;
+
+  const handleAction = async (action) => {
+    setIsSaving(true);
+    setError('');
+    setMissing([]);
+
+    try {
+      const data = await changeHostelStatus(hostel.id, action);
+      onStatusChange(data.hostel);
+    } catch (err) {
+      console.error('Error changing listing status:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+      setMissing(err.response?.data?.missing || []);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 text-sm">
+      <div className="flex items-center justify-between">
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${style.className}`}>{style.label}</span>
+        <div className="space-x-3">
+          {(HOST_ACTIONS[hostel.status] || []).map(({ action, label }) => (
+            <button
+              key={action}
+              type="button"
+              onClick={() => handleAction(action)}
+              className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+              disabled={isSaving}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {hostel.status_reason && (
+        <p className="mt-1 text-gray-600">Reviewer's note: {hostel.status_reason}</p>
+      )}
+
+      {error && (
+        <div className="mt-1 text-red-600">
+          <p>{error}</p>
+          {missing.length > 0 && (
+            <ul className="list-disc list-inside">
+              {missing.map((item) => <li key={item}>{item}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+ListingStatus.propTypes = {
+  hostel: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    status: PropTypes.string,
+    status_reason: PropTypes.string
+  }).isRequired,
+  onStatusChange: PropTypes.func.isRequired
+};
+
+export default ListingStatus;
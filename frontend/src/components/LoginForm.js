@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
-import { loginUser } from '../services/api';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { loginUser, verifyTwoFactorLogin } from '../services/api';
+import TwoFactorSetup from './TwoFactorSetup';
 
 /**
  * Login Form Component
  * 
  * Provides a form for user authentication with validation and error handling.
+ * Accounts with two-factor authentication get a second step for their code,
+ * and accounts that must use it but haven't enrolled are walked through setup.
  * On successful login, user is redirected to their dashboard.
  */
 const LoginForm = () => {
@@ -20,9 +23,17 @@ const LoginForm = () => {
   const [error, setError] = useState('');
   const [fieldErrors, setFieldErrors] = useState({});
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  
+  // Pending second step: { mode: 'code' | 'setup', token }
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   // React Router navigation
   const navigate = useNavigate();
+  const location = useLocation();
+  
+  // Notice passed from another page (e.g. after registering or resetting a password)
+  const notice = location.state?.message;
 
   // Check if user is already logged in
   useEffect(() => {
@@ -40,6 +51,7 @@ const LoginForm = () => {
       } catch (e) {
         // If there's an error parsing the user data, clear localStorage
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
         console.error('Error parsing user data:', e);
       }
@@ -81,6 +93,36 @@ const LoginForm = () => {
     return Object.keys(errors).length === 0;
   };
 
+  // Store the user and go to their dashboard once login has finished
+  const completeLogin = (response) => {
+    // Check if we got a user object and token back
+    if (response && response.token && response.user) {
+      console.log('Login successful, user:', response.user);
+      setIsAuthenticated(true);
+      
+      // Store user role in localStorage
+      const userData = {
+        ...response.user,
+        is_host: response.user.role === 'host'
+      };
+      console.log('Storing user data in localStorage:', userData);
+      localStorage.setItem('user', JSON.stringify(userData));
+      
+      // Use navigate instead of direct URL manipulation
+      const redirectPath = userData.is_host ? '/dashboard/host' : '/dashboard/user';
+      console.log('Redirecting to:', redirectPath);
+      
+      // Add a short delay before redirect to ensure state is updated
+      setTimeout(() => {
+        navigate(redirectPath, { replace: true });
+      }, 100);
+    } else {
+      // Unexpected response format
+      console.error('Unexpected API response format:', response);
+      setError('Something went wrong. Please try again.');
+    }
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -104,32 +146,16 @@ const LoginForm = () => {
       
       console.log('Login API response:', response);
       
-      // Check if we got a user object and token back
-      if (response && response.token && response.user) {
-        console.log('Login successful, user:', response.user);
-        setIsAuthenticated(true);
-        
-        // Store user role in localStorage
-        const userData = {
-          ...response.user,
-          is_host: response.user.role === 'host'
-        };
-        console.log('Storing user data in localStorage:', userData);
-        localStorage.setItem('user', JSON.stringify(userData));
-        
-        // Use navigate instead of direct URL manipulation
-        const redirectPath = userData.is_host ? '/dashboard/host' : '/dashboard/user';
-        console.log('Redirecting to:', redirectPath);
-        
-        // Add a short delay before redirect to ensure state is updated
-        setTimeout(() => {
-          navigate(redirectPath, { replace: true });
-        }, 100);
-      } else {
-        // Unexpected response format
-        console.error('Unexpected API response format:', response);
-        setError('Something went wrong. Please try again.');
+      // Password was right but a second factor is needed
+      if (response && (response.two_factor_required || response.two_factor_setup_required)) {
+        setTwoFactor({
+          mode: response.two_factor_required ? 'code' : 'setup',
+          token: response.two_factor_token
+        });
+        return;
       }
+      
+      completeLogin(response);
     } catch (err) {
       console.error('Login error:', err);
       console.error('Error details:', {
@@ -154,6 +180,41 @@ const LoginForm = () => {
     }
   };
 
+  // Handle the two-factor code submission
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    
+    if (!twoFactorCode.trim()) {
+      setError('Enter the code from your authenticator app or a backup code');
+      return;
+    }
+    
+    setIsLoading(true);
+    
+    try {
+      const response = await verifyTwoFactorLogin(twoFactor.token, twoFactorCode.trim());
+      completeLogin(response);
+    } catch (err) {
+      console.error('Two-factor login error:', err);
+      setError(err.response?.data?.error || 'Verification failed. Please try again.');
+      
+      // The sign-in attempt expired; start over from the password step
+      if (err.response?.status === 401 && /expired/i.test(err.response?.data?.error || '')) {
+        setTwoFactor(null);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Leave the second step and return to the password form
+  const cancelTwoFactor = () => {
+    setTwoFactor(null);
+    setTwoFactorCode('');
+    setError('');
+  };
+
   return (
     <div className="max-w-md mx-auto bg-white rounded-lg shadow-md overflow-hidden md:max-w-lg">
       <div className="md:flex">
@@ -163,6 +224,13 @@ const LoginForm = () => {
             <p className="text-gray-600 mb-6">Sign in to your account</p>
           </div>
           
+          {/* Display notice from the previous page */}
+          {notice && !error && (
+            <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-6">
+              <p className="text-sm text-green-700">{notice}</p>
+            </div>
+          )}
+          
           {/* Display general error message */}
           {error && (
             <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6">
@@ -179,92 +247,141 @@ const LoginForm = () => {
             </div>
           )}
           
-          <form onSubmit={handleSubmit}>
-            {/* Email Field */}
-            <div className="mb-4">
-              <label htmlFor="email" className="block text-gray-700 text-sm font-bold mb-2">
-                Email Address
-              </label>
-              <input
-                type="email"
-                id="email"
-                name="email"
-                className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
-                  fieldErrors.email ? 'border-red-500' : 'border-gray-300'
-                }`}
-                placeholder="your@email.com"
-                value={formData.email}
-                onChange={handleChange}
-                disabled={isLoading}
-              />
-              {fieldErrors.email && (
-                <p className="text-red-500 text-xs mt-1">{fieldErrors.email}</p>
-              )}
-            </div>
-            
-            {/* Password Field */}
-            <div className="mb-6">
-              <div className="flex items-center justify-between">
-                <label htmlFor="password" className="block text-gray-700 text-sm font-bold mb-2">
-                  Password
+          {twoFactor?.mode === 'setup' && (
+            <TwoFactorSetup setupToken={twoFactor.token} onComplete={completeLogin} onCancel={cancelTwoFactor} />
+          )}
+          
+          {twoFactor?.mode === 'code' && (
+            <form onSubmit={handleTwoFactorSubmit}>
+              <div className="mb-6">
+                <label htmlFor="twoFactorCode" className="block text-gray-700 text-sm font-bold mb-2">
+                  Authentication Code
                 </label>
-                <Link
-                  to="/forgot-password"
-                  className="inline-block align-baseline text-sm text-blue-600 hover:text-blue-800"
+                <input
+                  type="text"
+                  id="twoFactorCode"
+                  name="twoFactorCode"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 tracking-widest"
+                  placeholder="123456"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  disabled={isLoading}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                </p>
+              </div>
+              
+              <div className="mb-6">
+                <button
+                  type="submit"
+                  className={`w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition-colors ${
+                    isLoading ? 'opacity-70 cursor-not-allowed' : ''
+                  }`}
+                  disabled={isLoading}
                 >
-                  Forgot Password?
-                </Link>
+                  {isLoading ? 'Verifying...' : 'Verify'}
+                </button>
+              </div>
+              
+              <div className="text-center">
+                <button type="button" onClick={cancelTwoFactor} className="text-sm text-blue-600 hover:text-blue-800">
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          )}
+          
+          {!twoFactor && (
+            <form onSubmit={handleSubmit}>
+              {/* Email Field */}
+              <div className="mb-4">
+                <label htmlFor="email" className="block text-gray-700 text-sm font-bold mb-2">
+                  Email Address
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                    fieldErrors.email ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                  placeholder="your@email.com"
+                  value={formData.email}
+                  onChange={handleChange}
+                  disabled={isLoading}
+                />
+                {fieldErrors.email && (
+                  <p className="text-red-500 text-xs mt-1">{fieldErrors.email}</p>
+                )}
               </div>
-              <input
-                type="password"
-                id="password"
-                name="password"
-                className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
-                  fieldErrors.password ? 'border-red-500' : 'border-gray-300'
-                }`}
-                placeholder="••••••••"
-                value={formData.password}
-                onChange={handleChange}
-                disabled={isLoading}
-              />
-              {fieldErrors.password && (
-                <p className="text-red-500 text-xs mt-1">{fieldErrors.password}</p>
-              )}
-            </div>
             
-            {/* Submit Button */}
-            <div className="mb-6">
-              <button
-                type="submit"
-                className={`w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition-colors ${
-                  isLoading ? 'opacity-70 cursor-not-allowed' : ''
-                }`}
-                disabled={isLoading}
-              >
-                {isLoading ? (
-                  <div className="flex items-center justify-center">
-                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
-                    Signing in...
-                  </div>
-                ) : (
-                  'Sign In'
+              {/* Password Field */}
+              <div className="mb-6">
+                <div className="flex items-center justify-between">
+                  <label htmlFor="password" className="block text-gray-700 text-sm font-bold mb-2">
+                    Password
+                  </label>
+                  <Link
+                    to="/forgot-password"
+                    className="inline-block align-baseline text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    Forgot Password?
+                  </Link>
+                </div>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                    fieldErrors.password ? 'border-red-500' : 'border-gray-300'
+                  }`}
+                  placeholder="••••••••"
+                  value={formData.password}
+                  onChange={handleChange}
+                  disabled={isLoading}
+                />
+                {fieldErrors.password && (
+                  <p className="text-red-500 text-xs mt-1">{fieldErrors.password}</p>
                 )}
-              </button>
-            </div>
+              </div>
             
-            {/* Registration Link */}
-            <div className="text-center">
-              <p className="text-sm text-gray-600">
-                Don't have an account?{' '}
-                <Link to="/register" className="text-blue-600 hover:text-blue-800 font-semibold">
-                  Sign up
-                </Link>
-              </p>
-            </div>
-          </form>
+              {/* Submit Button */}
+              <div className="mb-6">
+                <button
+                  type="submit"
+                  className={`w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition-colors ${
+                    isLoading ? 'opacity-70 cursor-not-allowed' : ''
+                  }`}
+                  disabled={isLoading}
+                >
+                  {isLoading ? (
+                    <div className="flex items-center justify-center">
+                      <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                      Signing in...
+                    </div>
+                  ) : (
+                    'Sign In'
+                  )}
+                </button>
+              </div>
+            
+              {/* Registration Link */}
+              <div className="text-center">
+                <p className="text-sm text-gray-600">
+                  Don't have an account?{' '}
+                  <Link to="/register" className="text-blue-600 hover:text-blue-800 font-semibold">
+                    Sign up
+                  </Link>
+                </p>
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </div>
@@ -105,6 +105,16 @@ const Navbar = ({ isAuthenticated, isHost }) => {
                   </Link>
                 )}
                 
+                {user?.role === 'admin' && (
+                  <Link 
+                    to="/admin/moderation"
+                    className="text-white hover:bg-blue-700 px-3 py-2 rounded-md text-sm font-medium"
+                    onClick={closeMenu}
+                  >
+                    Listing Review
+                  </Link>
+                )}
+                
                 <button
                   onClick={handleLogout}
                   className="text-white bg-blue-800 hover:bg-blue-900 px-3 py-2 rounded-md text-sm font-medium ml-2"
@@ -223,6 +233,16 @@ const Navbar = ({ isAuthenticated, isHost }) => {
                 </Link>
               )}
               
+              {user?.role === 'admin' && (
+                <Link
+                  to="/admin/moderation"
+                  className="text-white hover:bg-blue-700 block px-3 py-2 rounded-md text-base font-medium"
+                  onClick={closeMenu}
+                >
+                  Listing Review
+                </Link>
+              )}
+              
               <Link
                 to="/messages"
                 className="text-white hover:bg-blue-700 block px-3 py-2 rounded-md text-base font-medium"
@@ -1,11 +1,29 @@
 import React, { useState, useEffect } from 'react';
-import { getProfile, updateProfile } from '../services/api';
+import { useNavigate } from 'react-router-dom';
+import { getProfile, updateProfile, uploadAvatar, removeAvatar, requestHostAccess, resolveAssetUrl } from '../services/api';
+import TwoFactorSettings from './TwoFactorSettings';
+import AccountDataSettings from './AccountDataSettings';
+
+/**
+ * Build the edit form values from a profile
+ * @param {Object} data - Profile from the API
+ * @returns {Object} - Form values (empty strings instead of null)
+ */
+const profileToForm = (data) => ({
+  username: data.username || '',
+  email: data.email || '',
+  first_name: data.first_name || '',
+  last_name: data.last_name || '',
+  bio: data.bio || '',
+  phone: data.phone || ''
+});
 
 /**
  * Profile Component
  * 
  * Displays user profile information and provides a form to update it.
  * Fetches profile data on mount and updates it when the form is submitted.
+ * The profile image is uploaded as soon as a file is chosen.
  */
 const Profile = () => {
   // State for profile data
@@ -15,14 +33,14 @@ const Profile = () => {
   const [isSaving, setIsSaving] = useState(false);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isUploading, setIsUploading] = useState(false);
+  
+  const [isBecomingHost, setIsBecomingHost] = useState(false);
+  const navigate = useNavigate();
   
   // Form state
-  const [formData, setFormData] = useState({
-    username: '',
-    email: '',
-    bio: '',
-    phone: ''
-  });
+  const [formData, setFormData] = useState(profileToForm({}));
   
   // Fetch profile data on mount
   useEffect(() => {
@@ -36,15 +54,10 @@ const Profile = () => {
     
     try {
       const data = await getProfile();
-      setProfile(data);
+      setProfile(data.user);
       
       // Initialize form data with profile data
-      setFormData({
-        username: data.username || '',
-        email: data.email || '',
-        bio: data.bio || '',
-        phone: data.phone || ''
-      });
+      setFormData(profileToForm(data.user));
     } catch (err) {
       console.error('Error fetching profile:', err);
       setError('Failed to load profile. Please try again later.');
@@ -60,18 +73,100 @@ const Profile = () => {
       ...prev,
       [name]: value
     }));
+    
+    // Clear field-specific error when user types
+    if (fieldErrors[name]) {
+      setFieldErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+  
+  // Show a success message for a few seconds
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => {
+      setSuccessMessage('');
+    }, 3000);
+  };
+  
+  // Keep the stored user (used by the navbar and routing) in sync with the profile
+  const syncStoredUser = (updated) => {
+    try {
+      const stored = JSON.parse(localStorage.getItem('user') || '{}');
+      localStorage.setItem('user', JSON.stringify({
+        ...stored,
+        username: updated.username,
+        email: updated.email,
+        email_verified: updated.email_verified,
+        profile_image: updated.profile_image
+      }));
+    } catch (e) {
+      console.error('Error updating stored user:', e);
+    }
+  };
+  
+  // Upload a new profile image as soon as it is chosen
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    
+    if (!file) {
+      return;
+    }
+    
+    setIsUploading(true);
+    setError('');
+    
+    try {
+      const response = await uploadAvatar(file);
+      setProfile(response.user);
+      syncStoredUser(response.user);
+      showSuccess('Profile image updated!');
+    } catch (err) {
+      console.error('Error uploading profile image:', err);
+      setError(err.response?.data?.error || 'Failed to upload image. Please try again.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+  
+  // Remove the current profile image
+  const handleAvatarRemove = async () => {
+    setIsUploading(true);
+    setError('');
+    
+    try {
+      const response = await removeAvatar();
+      setProfile(response.user);
+      syncStoredUser(response.user);
+    } catch (err) {
+      console.error('Error removing profile image:', err);
+      setError(err.response?.data?.error || 'Failed to remove image. Please try again.');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+  
+  // Switch to a host account and continue with host onboarding
+  const handleBecomeHost = async () => {
+    setIsBecomingHost(true);
+    setError('');
+    
+    try {
+      await requestHostAccess();
+      navigate('/host/onboarding');
+    } catch (err) {
+      console.error('Error becoming a host:', err);
+      setError(err.response?.data?.error || 'Failed to start hosting. Please try again.');
+      setIsBecomingHost(false);
+    }
   };
   
   // Toggle edit mode
   const handleEditToggle = () => {
     if (isEditing) {
       // Reset form data if canceling edit
-      setFormData({
-        username: profile.username || '',
-        email: profile.email || '',
-        bio: profile.bio || '',
-        phone: profile.phone || ''
-      });
+      setFormData(profileToForm(profile));
+      setFieldErrors({});
     }
     setIsEditing(!isEditing);
     setSuccessMessage('');
@@ -83,25 +178,43 @@ const Profile = () => {
     setIsSaving(true);
     setError('');
     setSuccessMessage('');
+    setFieldErrors({});
     
     try {
-      const updatedData = await updateProfile(formData);
-      setProfile(updatedData);
-      setIsEditing(false);
-      setSuccessMessage('Profile updated successfully!');
+      const response = await updateProfile(formData);
+      const emailChanged = response.user.email !== profile.email;
       
-      // Hide success message after 3 seconds
-      setTimeout(() => {
-        setSuccessMessage('');
-      }, 3000);
+      setProfile(response.user);
+      syncStoredUser(response.user);
+      setIsEditing(false);
+      showSuccess(emailChanged
+        ? 'Profile updated! Check your new email address for a verification link.'
+        : 'Profile updated successfully!');
     } catch (err) {
       console.error('Error updating profile:', err);
-      setError(err.response?.data?.message || 'Failed to update profile. Please try again.');
+      setError(err.response?.data?.error || 'Failed to update profile. Please try again.');
+      
+      // Handle specific validation errors from server
+      if (err.response?.data?.errors) {
+        setFieldErrors(err.response.data.errors);
+      }
     } finally {
       setIsSaving(false);
     }
   };
   
+  // Input classes, highlighting fields the server rejected
+  const inputClass = (name) => `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+    fieldErrors[name] ? 'border-red-500' : 'border-gray-300'
+  }`;
+  
+  // Validation message under a field
+  const renderFieldError = (name) => fieldErrors[name] && (
+    <p className="text-red-500 text-xs mt-1">{fieldErrors[name]}</p>
+  );
+  
+  const fullName = profile ? [profile.first_name, profile.last_name].filter(Boolean).join(' ') : '';
+  
   if (isLoading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -185,10 +298,77 @@ const Profile = () => {
       )}
       
       <div className="p-6">
+        {/* Profile Image */}
+        <div className="flex items-center mb-6">
+          {profile.profile_image ? (
+            <img
+              src={resolveAssetUrl(profile.profile_image)}
+              alt={profile.username}
+              className="h-20 w-20 rounded-full object-cover"
+            />
+          ) : (
+            <div className="h-20 w-20 rounded-full bg-blue-100 text-blue-600 flex items-center justify-center text-2xl font-semibold">
+              {(profile.first_name || profile.username || '?').charAt(0).toUpperCase()}
+            </div>
+          )}
+          <div className="ml-4 space-x-3">
+            <label className={`text-sm text-blue-600 hover:text-blue-800 font-medium ${isUploading ? 'opacity-50' : 'cursor-pointer'}`}>
+              {isUploading ? 'Uploading...' : 'Change photo'}
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp,image/gif"
+                className="hidden"
+                onChange={handleAvatarChange}
+                disabled={isUploading}
+              />
+            </label>
+            {profile.profile_image && !isUploading && (
+              <button type="button" onClick={handleAvatarRemove} className="text-sm text-red-600 hover:text-red-800">
+                Remove
+              </button>
+            )}
+            <p className="text-xs text-gray-500 mt-1">JPEG, PNG, WebP or GIF, up to 5MB</p>
+          </div>
+        </div>
+        
         {isEditing ? (
           /* Edit Form */
           <form onSubmit={handleSubmit}>
             <div className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="first_name" className="block text-sm font-medium text-gray-700 mb-1">
+                    First Name
+                  </label>
+                  <input
+                    type="text"
+                    id="first_name"
+                    name="first_name"
+                    value={formData.first_name}
+                    onChange={handleChange}
+                    className={inputClass('first_name')}
+                    disabled={isSaving}
+                  />
+                  {renderFieldError('first_name')}
+                </div>
+                
+                <div>
+                  <label htmlFor="last_name" className="block text-sm font-medium text-gray-700 mb-1">
+                    Last Name
+                  </label>
+                  <input
+                    type="text"
+                    id="last_name"
+                    name="last_name"
+                    value={formData.last_name}
+                    onChange={handleChange}
+                    className={inputClass('last_name')}
+                    disabled={isSaving}
+                  />
+                  {renderFieldError('last_name')}
+                </div>
+              </div>
+              
               <div>
                 <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
                   Username
@@ -199,9 +379,10 @@ const Profile = () => {
                   name="username"
                   value={formData.username}
                   onChange={handleChange}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={inputClass('username')}
                   disabled={isSaving}
                 />
+                {renderFieldError('username')}
               </div>
               
               <div>
@@ -214,9 +395,10 @@ const Profile = () => {
                   name="email"
                   value={formData.email}
                   onChange={handleChange}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={inputClass('email')}
                   disabled={isSaving}
                 />
+                {renderFieldError('email')}
               </div>
               
               <div>
@@ -229,10 +411,11 @@ const Profile = () => {
                   rows="3"
                   value={formData.bio}
                   onChange={handleChange}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={inputClass('bio')}
                   placeholder="Tell us about yourself"
                   disabled={isSaving}
                 ></textarea>
+                {renderFieldError('bio')}
               </div>
               
               <div>
@@ -245,10 +428,11 @@ const Profile = () => {
                   name="phone"
                   value={formData.phone}
                   onChange={handleChange}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  className={inputClass('phone')}
                   placeholder="+1 (123) 456-7890"
                   disabled={isSaving}
                 />
+                {renderFieldError('phone')}
               </div>
               
               <div className="pt-4">
@@ -289,9 +473,21 @@ const Profile = () => {
               </div>
             </div>
             
+            <div>
+              <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider">Name</h3>
+              <p className="mt-1 text-sm text-gray-900">
+                {fullName || <span className="text-gray-500 italic">No name provided</span>}
+              </p>
+            </div>
+            
             <div>
               <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider">Email</h3>
-              <p className="mt-1 text-sm text-gray-900">{profile.email}</p>
+              <p className="mt-1 text-sm text-gray-900">
+                {profile.email}
+                {!profile.email_verified && (
+                  <span className="ml-2 text-xs text-yellow-700 bg-yellow-100 px-2 py-0.5 rounded-full">Not verified</span>
+                )}
+              </p>
             </div>
             
             <div>
@@ -316,6 +512,33 @@ const Profile = () => {
             </div>
           </div>
         )}
+        
+        {/* Hosting */}
+        {profile.role === 'guest' && (
+          <div className="border-t border-gray-200 pt-6 mt-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-1">Become a Host</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              List your own hostel. We'll ask for a few details before your first listing.
+            </p>
+            <button
+              type="button"
+              onClick={handleBecomeHost}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md"
+              disabled={isBecomingHost}
+            >
+              {isBecomingHost ? 'Setting up...' : 'Become a Host'}
+            </button>
+          </div>
+        )}
+        
+        {/* Security */}
+        <TwoFactorSettings />
+        
+        {/* Data export and account deletion */}
+        <AccountDataSettings
+          profile={profile}
+          onDeletionChange={(scheduledFor) => setProfile((prev) => ({ ...prev, deletion_scheduled_for: scheduledFor }))}
+        />
       </div>
     </div>
   );
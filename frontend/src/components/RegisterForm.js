@@ -101,7 +101,7 @@ const RegisterForm = () => {
         username: formData.username,
         email: formData.email,
         password: formData.password,
-        is_host: formData.is_host
+        role: formData.is_host ? 'host' : 'guest'
       };
       
       console.log('Sending registration data:', registrationData);
@@ -123,8 +123,10 @@ const RegisterForm = () => {
         is_host: false
       });
       
-      // Redirect to login page immediately 
-      navigate('/login');
+      // Redirect to login page with a reminder to verify the email address
+      navigate('/login', {
+        state: { message: 'Registration successful! Check your email for a link to verify your account.' }
+      });
       
     } catch (err) {
       console.error('Registration error:', err);
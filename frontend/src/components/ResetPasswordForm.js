@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { resetPassword } from '../services/api';
+
+/**
+ * Reset Password Form Component
+ * 
+ * Lets the user choose a new password using the token from the reset email.
+ * On success the user is sent to the login page.
+ */
+const ResetPasswordForm = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const navigate = useNavigate();
+
+  // Handle input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    
+    setIsLoading(true);
+    
+    try {
+      const response = await resetPassword(token, formData.password);
+      navigate('/login', { replace: true, state: { message: response.message } });
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError(err.response?.data?.error || 'Could not reset your password. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow-md overflow-hidden md:max-w-lg">
+      <div className="md:flex">
+        <div className="w-full p-6">
+          <div className="text-center">
+            <h1 className="text-2xl font-bold text-gray-800 mb-1">Choose a new password</h1>
+            <p className="text-gray-600 mb-6">You'll be signed out of all other devices</p>
+          </div>
+          
+          {!token ? (
+            <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6">
+              <p className="text-sm text-red-700">
+                This reset link is incomplete. Please use the link from your email or{' '}
+                <Link to="/forgot-password" className="font-semibold underline">request a new one</Link>.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              {/* Error message */}
+              {error && (
+                <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6">
+                  <p className="text-sm text-red-700">{error}</p>
+                </div>
+              )}
+              
+              <div className="mb-4">
+                <label htmlFor="password" className="block text-gray-700 text-sm font-bold mb-2">
+                  New Password
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="••••••••"
+                  value={formData.password}
+                  onChange={handleChange}
+                  disabled={isLoading}
+                />
+              </div>
+              
+              <div className="mb-6">
+                <label htmlFor="confirmPassword" className="block text-gray-700 text-sm font-bold mb-2">
+                  Confirm New Password
+                </label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="••••••••"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  disabled={isLoading}
+                />
+              </div>
+              
+              <div className="mb-6">
+                <button
+                  type="submit"
+                  className={`w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition-colors ${
+                    isLoading ? 'opacity-70 cursor-not-allowed' : ''
+                  }`}
+                  disabled={isLoading}
+                >
+                  {isLoading ? 'Saving...' : 'Reset Password'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordForm;
@@ -3,17 +3,115 @@ import PropTypes from 'prop-types';
 import { searchHostels } from '../services/api';
 
 /**
- * SearchBar component for filtering hostels by location and price
+ * Turn the search form's fields into search API parameters
+ * Dates and guests are only sent together, as the API needs both dates to search by stay
+ * 
+ * @param {Object} fields - keywords, location, minPrice, maxPrice, checkInDate, checkOutDate, guests, sort,
+ *   position ({ latitude, longitude }, to measure distances from) and radius (km from position) (all optional)
+ * @returns {Object} - Parameters for searchHostels
+ */
+export const buildSearchParams = ({
+  keywords, location, minPrice, maxPrice, checkInDate, checkOutDate, guests, sort, position, radius
+}) => {
+  const params = {};
+  
+  if (keywords && keywords.trim()) {
+    params.q = keywords.trim();
+  }
+  
+  if (location && location.trim()) {
+    params.location = location.trim();
+  }
+  
+  if (minPrice) {
+    params.minPrice = minPrice;
+  }
+  
+  if (maxPrice) {
+    params.maxPrice = maxPrice;
+  }
+  
+  if (sort) {
+    params.sort = sort;
+  }
+  
+  if (position) {
+    params.lat = position.latitude;
+    params.lng = position.longitude;
+    
+    if (radius) {
+      params.radius = radius;
+    }
+  }
+  
+  if (checkInDate && checkOutDate) {
+    params.check_in = checkInDate;
+    params.check_out = checkOutDate;
+    params.guests = guests || 1;
+  }
+  
+  return params;
+};
+
+// Ways results can be ordered; best match only applies to keyword searches
+const SORT_OPTIONS = [
+  { label: 'Best match / Newest', value: '' },
+  { label: 'Newest', value: 'newest' },
+  { label: 'Price: low to high', value: 'price_asc' },
+  { label: 'Price: high to low', value: 'price_desc' },
+  { label: 'Top rated', value: 'rating' },
+  { label: 'Nearest to me', value: 'distance' }
+];
+
+// How far from the guest results may be
+const RADIUS_OPTIONS = [
+  { label: 'Any distance', value: '' },
+  { label: 'Within 2 km', value: '2' },
+  { label: 'Within 5 km', value: '5' },
+  { label: 'Within 10 km', value: '10' },
+  { label: 'Within 25 km', value: '25' },
+  { label: 'Within 50 km', value: '50' }
+];
+
+/**
+ * Get the device's position for sorting or searching by distance
+ * 
+ * @returns {Promise<Object>} - { latitude, longitude }
+ */
+const getPosition = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new Error('Geolocation is not supported'));
+    return;
+  }
+  
+  navigator.geolocation.getCurrentPosition(
+    ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude }),
+    reject,
+    { timeout: 10000 }
+  );
+});
+
+/**
+ * SearchBar component for finding hostels by keywords and filtering them by location, price, dates and guests
  * 
  * @param {Object} props
- * @param {Function} props.onSearchResults - Callback function to pass search results to parent
+ * @param {Function} props.onSearchResults - Callback function to pass search results (with the searchParams used) to parent
  * @param {boolean} props.isLoading - Optional loading state controlled by parent
  * @param {Function} props.setIsLoading - Optional function to update loading state in parent
+ * @param {Object} props.initialParams - Optional starting values (keywords, location, checkInDate, checkOutDate, guests)
+ * @param {boolean} props.withFacets - Optional, also fetch the counts for the filter sidebar
  */
-const SearchBar = ({ onSearchResults, isLoading, setIsLoading }) => {
+const SearchBar = ({ onSearchResults, isLoading, setIsLoading, initialParams, withFacets }) => {
   // Local state for form inputs
-  const [location, setLocation] = useState('');
+  const [keywords, setKeywords] = useState(initialParams?.keywords || '');
+  const [location, setLocation] = useState(initialParams?.location || '');
+  const [minPrice, setMinPrice] = useState('');
   const [maxPrice, setMaxPrice] = useState('');
+  const [sort, setSort] = useState('');
+  const [radius, setRadius] = useState('');
+  const [checkInDate, setCheckInDate] = useState(initialParams?.checkInDate || '');
+  const [checkOutDate, setCheckOutDate] = useState(initialParams?.checkOutDate || '');
+  const [guests, setGuests] = useState(initialParams?.guests || 1);
   const [error, setError] = useState('');
   
   // Local loading state if not provided by parent
@@ -34,6 +132,16 @@ const SearchBar = ({ onSearchResults, isLoading, setIsLoading }) => {
     { label: 'Under $200', value: '200' },
   ];
   
+  // Available minimum prices for dropdown
+  const minPriceOptions = [
+    { label: 'Any Price', value: '' },
+    { label: '$10 and up', value: '10' },
+    { label: '$25 and up', value: '25' },
+    { label: '$50 and up', value: '50' },
+    { label: '$75 and up', value: '75' },
+    { label: '$100 and up', value: '100' },
+  ];
+  
   // Handle location input change
   const handleLocationChange = (e) => {
     setLocation(e.target.value);
@@ -52,27 +160,42 @@ const SearchBar = ({ onSearchResults, isLoading, setIsLoading }) => {
     // Clear previous errors
     setError('');
     
+    if (Boolean(checkInDate) !== Boolean(checkOutDate)) {
+      setError('Please choose both a check-in and a check-out date.');
+      return;
+    }
+    
+    if (minPrice && maxPrice && Number(minPrice) > Number(maxPrice)) {
+      setError('The minimum price must not be above the maximum price.');
+      return;
+    }
+    
     // Set loading state
     setLoading(true);
     
-    try {
-      // Prepare search parameters
-      const searchParams = {};
-      
-      // Only add parameters if they have values
-      if (location.trim()) {
-        searchParams.location = location.trim();
-      }
-      
-      if (maxPrice) {
-        searchParams.maxPrice = maxPrice;
+    // Distances are measured from where the guest is
+    let position = null;
+    if (sort === 'distance' || radius) {
+      try {
+        position = await getPosition();
+      } catch (err) {
+        setError('Allow access to your location to search by distance.');
+        setLoading(false);
+        return;
       }
+    }
+    
+    try {
+      // Prepare search parameters, leaving out empty ones
+      const searchParams = buildSearchParams({
+        keywords, location, minPrice, maxPrice, checkInDate, checkOutDate, guests, sort, position, radius
+      });
       
       // Execute search
-      const results = await searchHostels(searchParams);
+      const results = await searchHostels(withFacets ? { ...searchParams, facets: true } : searchParams);
       
       // Pass results to parent component
-      onSearchResults(results);
+      onSearchResults({ ...results, searchParams });
       
     } catch (err) {
       console.error('Search error:', err);
@@ -89,8 +212,15 @@ const SearchBar = ({ onSearchResults, isLoading, setIsLoading }) => {
   
   // Handle form reset
   const handleReset = () => {
+    setKeywords('');
     setLocation('');
+    setMinPrice('');
     setMaxPrice('');
+    setSort('');
+    setRadius('');
+    setCheckInDate('');
+    setCheckOutDate('');
+    setGuests(1);
     setError('');
     // Inform parent of reset (if needed)
     // onSearchResults({ hostels: [] });
@@ -117,6 +247,22 @@ const SearchBar = ({ onSearchResults, isLoading, setIsLoading }) => {
       )}
       
       <form onSubmit={handleSubmit} className="space-y-4">
+        {/* Keywords field */}
+        <div>
+          <label htmlFor="keywords" className="block text-sm font-medium text-gray-700 mb-1">
+            Keywords
+          </label>
+          <input
+            type="text"
+            id="keywords"
+            value={keywords}
+            onChange={(e) => setKeywords(e.target.value)}
+            className="focus:ring-blue-500 focus:border-blue-500 block w-full px-3 py-2 sm:text-sm border-gray-300 rounded-md"
+            placeholder="e.g. beach, rooftop bar, old town"
+            disabled={loading}
+          />
+        </div>
+        
         {/* Location field */}
         <div>
           <label htmlFor="location" className="block text-sm font-medium text-gray-700 mb-1">
@@ -140,24 +286,126 @@ const SearchBar = ({ onSearchResults, isLoading, setIsLoading }) => {
           </div>
         </div>
         
-        {/* Max price field */}
-        <div>
-          <label htmlFor="maxPrice" className="block text-sm font-medium text-gray-700 mb-1">
-            Max Price per Night
-          </label>
-          <select
-            id="maxPrice"
-            value={maxPrice}
-            onChange={handleMaxPriceChange}
-            className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-            disabled={loading}
-          >
-            {priceRanges.map((range) => (
-              <option key={range.value} value={range.value}>
-                {range.label}
-              </option>
-            ))}
-          </select>
+        {/* Price, sort and distance fields */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <label htmlFor="minPrice" className="block text-sm font-medium text-gray-700 mb-1">
+              Min Price per Night
+            </label>
+            <select
+              id="minPrice"
+              value={minPrice}
+              onChange={(e) => setMinPrice(e.target.value)}
+              className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              disabled={loading}
+            >
+              {minPriceOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="maxPrice" className="block text-sm font-medium text-gray-700 mb-1">
+              Max Price per Night
+            </label>
+            <select
+              id="maxPrice"
+              value={maxPrice}
+              onChange={handleMaxPriceChange}
+              className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              disabled={loading}
+            >
+              {priceRanges.map((range) => (
+                <option key={range.value} value={range.value}>
+                  {range.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="sort" className="block text-sm font-medium text-gray-700 mb-1">
+              Sort By
+            </label>
+            <select
+              id="sort"
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              disabled={loading}
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="radius" className="block text-sm font-medium text-gray-700 mb-1">
+              Distance From Me
+            </label>
+            <select
+              id="radius"
+              value={radius}
+              onChange={(e) => setRadius(e.target.value)}
+              className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+              disabled={loading}
+            >
+              {RADIUS_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        
+        {/* Stay fields */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="checkInDate" className="block text-sm font-medium text-gray-700 mb-1">
+              Check-in
+            </label>
+            <input
+              type="date"
+              id="checkInDate"
+              value={checkInDate}
+              onChange={(e) => setCheckInDate(e.target.value)}
+              min={new Date().toISOString().split('T')[0]}
+              className="focus:ring-blue-500 focus:border-blue-500 block w-full px-3 py-2 sm:text-sm border-gray-300 rounded-md"
+              disabled={loading}
+            />
+          </div>
+          <div>
+            <label htmlFor="checkOutDate" className="block text-sm font-medium text-gray-700 mb-1">
+              Check-out
+            </label>
+            <input
+              type="date"
+              id="checkOutDate"
+              value={checkOutDate}
+              onChange={(e) => setCheckOutDate(e.target.value)}
+              min={checkInDate || new Date().toISOString().split('T')[0]}
+              className="focus:ring-blue-500 focus:border-blue-500 block w-full px-3 py-2 sm:text-sm border-gray-300 rounded-md"
+              disabled={loading}
+            />
+          </div>
+          <div>
+            <label htmlFor="guests" className="block text-sm font-medium text-gray-700 mb-1">
+              Guests
+            </label>
+            <input
+              type="number"
+              id="guests"
+              value={guests}
+              onChange={(e) => setGuests(e.target.value)}
+              min="1"
+              className="focus:ring-blue-500 focus:border-blue-500 block w-full px-3 py-2 sm:text-sm border-gray-300 rounded-md"
+              disabled={loading}
+            />
+          </div>
         </div>
         
         {/* Action buttons */}
@@ -199,7 +447,15 @@ const SearchBar = ({ onSearchResults, isLoading, setIsLoading }) => {
 SearchBar.propTypes = {
   onSearchResults: PropTypes.func.isRequired,
   isLoading: PropTypes.bool,
-  setIsLoading: PropTypes.func
+  setIsLoading: PropTypes.func,
+  initialParams: PropTypes.shape({
+    keywords: PropTypes.string,
+    location: PropTypes.string,
+    checkInDate: PropTypes.string,
+    checkOutDate: PropTypes.string,
+    guests: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+  }),
+  withFacets: PropTypes.bool
 };
 
 export default SearchBar; 
\ No newline at end of file
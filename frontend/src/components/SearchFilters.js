@@ -0,0 +1,157 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// How each kind of room is named in the filters
+const ROOM_KIND_LABELS = {
+  dorm: 'Dorm beds',
+  private: 'Private rooms'
+};
+
+/**
+ * Search Filters Component
+ *
+ * Sidebar narrowing a search by price, rating, kind of room, city and
+ * amenities. Each option shows how many hostels choosing it would find,
+ * from the facets returned with the search results.
+ *
+ * @param {Object} props.facets - Facets from the search API (amenities, price, rating, cities, room_kinds)
+ * @param {Object} props.params - Search parameters the results were found with
+ * @param {Function} props.onChange - Called with the parameters to change (an empty value clears one)
+ * @param {boolean} props.disabled - Whether the filters can't be changed right now
+ */
+const SearchFilters = ({ facets, params, onChange, disabled }) => {
+  const selectedAmenities = params.amenities ? String(params.amenities).split(',').map(Number) : [];
+
+  const toggleAmenity = (id) => {
+    const amenities = selectedAmenities.includes(id)
+      ? selectedAmenities.filter((selected) => selected !== id)
+      : [...selectedAmenities, id];
+    onChange({ amenities: amenities.join(',') });
+  };
+
+  // A radio button with the number of hostels it would find
+  const option = (name, label, count, checked, updates) => (
+    <label key={label} className={`flex justify-between items-center text-sm ${count === 0 && !checked ? 'text-gray-400' : 'text-gray-700'}`}>
+      <span>
+        <input
+          type="radio"
+          name={name}
+          checked={checked}
+          onChange={() => onChange(updates)}
+          disabled={disabled}
+          className="mr-2"
+        />
+        {label}
+      </span>
+      {count !== null && <span className="text-xs text-gray-500">{count}</span>}
+    </label>
+  );
+
+  const section = (title, children) => (
+    <div className="mb-6">
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">{title}</h3>
+      <div className="space-y-1">{children}</div>
+    </div>
+  );
+
+  const minPrice = params.minPrice ? Number(params.minPrice) : null;
+  const maxPrice = params.maxPrice ? Number(params.maxPrice) : null;
+  const minRating = params.minRating ? Number(params.minRating) : null;
+
+  return (
+    <aside className="bg-white rounded-lg shadow-md p-4">
+      {section('Price per night', [
+        option('price', 'Any price', null, minPrice === null && maxPrice === null, { minPrice: '', maxPrice: '' }),
+        ...facets.price.map((bucket) =>
+          option(
+            'price',
+            bucket.max === null ? `$${bucket.min} and up` : `$${bucket.min} - $${bucket.max}`,
+            bucket.count,
+            (minPrice || 0) === bucket.min && maxPrice === bucket.max,
+            { minPrice: bucket.min ? String(bucket.min) : '', maxPrice: bucket.max === null ? '' : String(bucket.max) }
+          )
+        )
+      ])}
+
+      {section('Rating', [
+        option('rating', 'Any rating', null, minRating === null, { minRating: '' }),
+        ...facets.rating.map((band) =>
+          option('rating', `${band.min}+`, band.count, minRating === band.min, { minRating: String(band.min) })
+        )
+      ])}
+
+      {facets.room_kinds.length > 0 && section('Rooms', [
+        option('room_kind', 'Any room', null, !params.room_kind, { room_kind: '' }),
+        ...facets.room_kinds.map(({ kind, count }) =>
+          option('room_kind', ROOM_KIND_LABELS[kind] || kind, count, params.room_kind === kind, { room_kind: kind })
+        )
+      ])}
+
+      {facets.cities.length > 0 && section('City', [
+        option('city', 'Any city', null, !params.city, { city: '' }),
+        ...facets.cities.map(({ city, country, count }) =>
+          option(
+            'city',
+            country ? `${city}, ${country}` : city,
+            count,
+            (params.city || '').toLowerCase() === city.toLowerCase(),
+            { city }
+          )
+        )
+      ])}
+
+      {facets.amenities.length > 0 && section('Amenities', facets.amenities.map((amenity) => (
+        <label key={amenity.id} className="flex justify-between items-center text-sm text-gray-700">
+          <span>
+            <input
+              type="checkbox"
+              checked={selectedAmenities.includes(amenity.id)}
+              onChange={() => toggleAmenity(amenity.id)}
+              disabled={disabled}
+              className="mr-2"
+            />
+            {amenity.name}
+          </span>
+          <span className="text-xs text-gray-500">{amenity.count}</span>
+        </label>
+      )))}
+    </aside>
+  );
+};
+
+SearchFilters.propTypes = {
+  facets: PropTypes.shape({
+    amenities: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired
+    })).isRequired,
+    price: PropTypes.arrayOf(PropTypes.shape({
+      min: PropTypes.number.isRequired,
+      max: PropTypes.number,
+      count: PropTypes.number.isRequired
+    })).isRequired,
+    rating: PropTypes.arrayOf(PropTypes.shape({
+      min: PropTypes.number.isRequired,
+      count: PropTypes.number.isRequired
+    })).isRequired,
+    cities: PropTypes.arrayOf(PropTypes.shape({
+      city: PropTypes.string.isRequired,
+      country: PropTypes.string,
+      count: PropTypes.number.isRequired
+    })).isRequired,
+    room_kinds: PropTypes.arrayOf(PropTypes.shape({
+      kind: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired
+    })).isRequired
+  }).isRequired,
+  params: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+SearchFilters.defaultProps = {
+  disabled: false
+};
+
+export default SearchFilters;
@@ -0,0 +1,111 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Smallest area shown, in degrees, so a single hostel isn't zoomed in on endlessly
+const MIN_SPAN = 0.02;
+
+// Share of the shown area kept free around the outermost pins
+const PADDING = 0.15;
+
+/**
+ * Work out the area to show so every hostel is on the map
+ *
+ * @param {Array} hostels - Hostels with latitude and longitude
+ * @returns {Object} - { min_latitude, min_longitude, max_latitude, max_longitude }
+ */
+const getBounds = (hostels) => {
+  const latitudes = hostels.map((hostel) => hostel.latitude);
+  const longitudes = hostels.map((hostel) => hostel.longitude);
+  const padded = (values, limit) => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const margin = Math.max(max - min, MIN_SPAN) * PADDING + Math.max(MIN_SPAN - (max - min), 0) / 2;
+    return [Math.max(min - margin, -limit), Math.min(max + margin, limit)];
+  };
+
+  const [min_latitude, max_latitude] = padded(latitudes, 90);
+  const [min_longitude, max_longitude] = padded(longitudes, 180);
+
+  return { min_latitude, min_longitude, max_latitude, max_longitude };
+};
+
+/**
+ * Search Map Component
+ *
+ * Shows search results as pins placed by their coordinates, without an
+ * external map service. Each pin shows the hostel's price and links to it;
+ * hostels without coordinates are left off and counted below the map.
+ *
+ * @param {Array} props.hostels - Search results
+ * @param {Function} props.onSearchArea - Called with the shown area ({ min_latitude, min_longitude, max_latitude, max_longitude }) to search only inside it
+ */
+const SearchMap = ({ hostels, onSearchArea }) => {
+  const mapped = hostels.filter((hostel) => hostel.latitude !== null && hostel.latitude !== undefined &&
+    hostel.longitude !== null && hostel.longitude !== undefined);
+  const unmapped = hostels.length - mapped.length;
+
+  if (mapped.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+        None of these hostels have a location on the map yet.
+      </div>
+    );
+  }
+
+  const bounds = getBounds(mapped);
+  const left = (longitude) =>
+    ((longitude - bounds.min_longitude) / (bounds.max_longitude - bounds.min_longitude)) * 100;
+  const top = (latitude) =>
+    ((bounds.max_latitude - latitude) / (bounds.max_latitude - bounds.min_latitude)) * 100;
+
+  return (
+    <div>
+      <div className="relative w-full h-96 bg-blue-50 border border-blue-100 rounded-lg shadow-md overflow-hidden">
+        {mapped.map((hostel) => (
+          <a
+            key={hostel.id}
+            href={`/hostels/${hostel.id}`}
+            title={hostel.name}
+            className="absolute transform -translate-x-1/2 -translate-y-full bg-blue-600 hover:bg-blue-800 hover:z-10 text-white text-xs font-semibold px-2 py-1 rounded shadow"
+            style={{ left: `${left(hostel.longitude)}%`, top: `${top(hostel.latitude)}%` }}
+          >
+            ${hostel.price}
+            <span className="sr-only"> - {hostel.name}</span>
+          </a>
+        ))}
+      </div>
+
+      <div className="mt-2 flex justify-between items-center text-sm text-gray-600">
+        <span>
+          {unmapped > 0 && `${unmapped} ${unmapped === 1 ? 'hostel has' : 'hostels have'} no location and ${unmapped === 1 ? 'is' : 'are'} not shown`}
+        </span>
+        {onSearchArea && (
+          <button
+            type="button"
+            onClick={() => onSearchArea(bounds)}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Search this area
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+SearchMap.propTypes = {
+  hostels: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    latitude: PropTypes.number,
+    longitude: PropTypes.number,
+    price: PropTypes.number
+  })).isRequired,
+  onSearchArea: PropTypes.func
+};
+
+SearchMap.defaultProps = {
+  onSearchArea: null
+};
+
+export default SearchMap;
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import TwoFactorSetup from './TwoFactorSetup';
+import { getTwoFactorStatus, regenerateBackupCodes, disableTwoFactor } from '../services/api';
+
+/**
+ * Two-Factor Settings Component
+ * 
+ * Shows whether two-factor authentication is on and lets the user enable it,
+ * replace their backup codes or turn it off (unless their role requires it).
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState(null); // 'setup', 'regenerate' or 'disable'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [newCodes, setNewCodes] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Load the current status
+  const fetchStatus = async () => {
+    try {
+      setStatus(await getTwoFactorStatus());
+    } catch (err) {
+      console.error('Error fetching two-factor status:', err);
+      setError('Failed to load two-factor settings.');
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  // Close any open form
+  const resetForm = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  // Replace backup codes or disable 2FA, depending on the open form
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError('');
+    setSuccessMessage('');
+    
+    try {
+      if (mode === 'regenerate') {
+        const response = await regenerateBackupCodes(code.trim());
+        setNewCodes(response.backup_codes);
+      } else {
+        const response = await disableTwoFactor(password, code.trim());
+        setSuccessMessage(response.message);
+      }
+      
+      resetForm();
+      fetchStatus();
+    } catch (err) {
+      console.error('Two-factor settings error:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!status) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  return (
+    <div className="border-t border-gray-200 pt-6 mt-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-1">Two-Factor Authentication</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {status.enabled
+          ? `Enabled. ${status.backup_codes_remaining} backup code${status.backup_codes_remaining === 1 ? '' : 's'} left.`
+          : 'Add a second step to your sign in with an authenticator app.'}
+        {status.required && ' Required for your account type.'}
+      </p>
+      
+      {successMessage && (
+        <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-4">
+          <p className="text-sm text-green-700">{successMessage}</p>
+        </div>
+      )}
+      
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-4">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+      
+      {newCodes && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-600 mb-2">
+            Your new backup codes. Store them somewhere safe; they won't be shown again.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-md p-4 mb-2 font-mono text-sm">
+            {newCodes.map((backupCode) => (
+              <li key={backupCode}>{backupCode}</li>
+            ))}
+          </ul>
+          <button type="button" onClick={() => setNewCodes(null)} className="text-sm text-blue-600 hover:text-blue-800">
+            Done
+          </button>
+        </div>
+      )}
+      
+      {mode === 'setup' && (
+        <TwoFactorSetup
+          onComplete={() => {
+            resetForm();
+            setSuccessMessage('Two-factor authentication enabled.');
+            fetchStatus();
+          }}
+          onCancel={resetForm}
+        />
+      )}
+      
+      {(mode === 'regenerate' || mode === 'disable') && (
+        <form onSubmit={handleSubmit} className="max-w-sm">
+          {mode === 'disable' && (
+            <div className="mb-4">
+              <label htmlFor="two-factor-password" className="block text-gray-700 text-sm font-bold mb-2">
+                Password
+              </label>
+              <input
+                type="password"
+                id="two-factor-password"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={isSaving}
+              />
+            </div>
+          )}
+          <div className="mb-4">
+            <label htmlFor="two-factor-current-code" className="block text-gray-700 text-sm font-bold mb-2">
+              Authenticator or backup code
+            </label>
+            <input
+              type="text"
+              id="two-factor-current-code"
+              autoComplete="one-time-code"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              disabled={isSaving}
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className={`px-4 py-2 text-white rounded-md ${
+                mode === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+              disabled={isSaving}
+            >
+              {mode === 'disable' ? 'Turn Off' : 'Generate New Codes'}
+            </button>
+          </div>
+        </form>
+      )}
+      
+      {!mode && (
+        <div className="flex gap-2">
+          {!status.enabled && (
+            <button
+              type="button"
+              onClick={() => setMode('setup')}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md"
+            >
+              Enable Two-Factor
+            </button>
+          )}
+          {status.enabled && (
+            <button
+              type="button"
+              onClick={() => setMode('regenerate')}
+              className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md"
+            >
+              New Backup Codes
+            </button>
+          )}
+          {status.enabled && !status.required && (
+            <button
+              type="button"
+              onClick={() => setMode('disable')}
+              className="px-4 py-2 bg-red-50 hover:bg-red-100 text-red-700 rounded-md"
+            >
+              Turn Off
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { setupTwoFactor, enableTwoFactor } from '../services/api';
+
+/**
+ * Two-Factor Setup Component
+ * 
+ * Walks the user through enrolling an authenticator app: shows the QR code
+ * (and the secret for manual entry), confirms a code, then shows the backup codes once.
+ * 
+ * @param {string} setupToken - Setup token when enrolling during login (optional)
+ * @param {Function} onComplete - Called with the enable response once the user has saved the backup codes
+ * @param {Function} onCancel - Called when the user backs out (optional)
+ */
+const TwoFactorSetup = ({ setupToken, onComplete, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Generate a secret as soon as the component opens
+  useEffect(() => {
+    setupTwoFactor(setupToken)
+      .then(setEnrollment)
+      .catch((err) => {
+        console.error('Two-factor setup error:', err);
+        setError(err.response?.data?.error || 'Could not start two-factor setup.');
+      })
+      .finally(() => setIsLoading(false));
+  }, [setupToken]);
+
+  // Confirm the first code from the authenticator app
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+    
+    try {
+      const response = await enableTwoFactor(code.trim(), setupToken);
+      setResult(response);
+    } catch (err) {
+      console.error('Enable two-factor error:', err);
+      setError(err.response?.data?.error || 'Could not verify the code. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Backup codes are only shown once, right after enabling
+  if (result) {
+    return (
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">Save your backup codes</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Each code can be used once to sign in if you lose access to your authenticator app.
+          Store them somewhere safe; they won't be shown again.
+        </p>
+        <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-md p-4 mb-6 font-mono text-sm">
+          {result.backup_codes.map((backupCode) => (
+            <li key={backupCode}>{backupCode}</li>
+          ))}
+        </ul>
+        <button
+          type="button"
+          onClick={() => onComplete(result)}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md"
+        >
+          I've saved my backup codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">Set up two-factor authentication</h3>
+      
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-4">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+      
+      {isLoading && !enrollment && (
+        <p className="text-gray-600">Generating your secret...</p>
+      )}
+      
+      {enrollment && (
+        <form onSubmit={handleSubmit}>
+          <p className="text-sm text-gray-600 mb-4">
+            Scan this QR code with an authenticator app (such as Google Authenticator or Authy),
+            then enter the 6-digit code it shows.
+          </p>
+          <div className="flex justify-center mb-4">
+            <img src={enrollment.qr_code} alt="Two-factor QR code" className="w-48 h-48" />
+          </div>
+          <p className="text-xs text-gray-500 text-center mb-4">
+            Can't scan it? Enter this key instead:{' '}
+            <span className="font-mono break-all text-gray-700">{enrollment.secret}</span>
+          </p>
+          
+          <label htmlFor="two-factor-code" className="block text-gray-700 text-sm font-bold mb-2">
+            Verification Code
+          </label>
+          <input
+            type="text"
+            id="two-factor-code"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4 tracking-widest"
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={isLoading}
+          />
+          
+          <div className="flex gap-2">
+            {onCancel && (
+              <button
+                type="button"
+                onClick={onCancel}
+                className="flex-1 bg-gray-100 hover:bg-gray-200 text-gray-700 font-bold py-2 px-4 rounded-md"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              className={`flex-1 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md ${
+                isLoading ? 'opacity-70 cursor-not-allowed' : ''
+              }`}
+              disabled={isLoading || !code.trim()}
+            >
+              {isLoading ? 'Verifying...' : 'Enable'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { verifyEmail, resendVerification } from '../services/api';
+
+/**
+ * Verify Email Component
+ * 
+ * Confirms the user's email address with the token from the verification link.
+ * If the link is invalid or expired, the user can request a new one.
+ */
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  
+  // 'verifying', 'verified' or 'failed'
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete.');
+  
+  // State for requesting a new link
+  const [email, setEmail] = useState('');
+  const [isResending, setIsResending] = useState(false);
+  const [resent, setResent] = useState(false);
+
+  // Verify the token once when the page opens
+  useEffect(() => {
+    if (!token) {
+      return;
+    }
+    
+    verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        
+        // Keep the stored user in sync if they are already signed in
+        const user = localStorage.getItem('user');
+        if (user) {
+          try {
+            localStorage.setItem('user', JSON.stringify({ ...JSON.parse(user), email_verified: true }));
+          } catch (e) {
+            console.error('Error updating user data:', e);
+          }
+        }
+      })
+      .catch((err) => {
+        console.error('Verify email error:', err);
+        setStatus('failed');
+        setError(err.response?.data?.error || 'Could not verify your email.');
+      });
+  }, [token]);
+
+  // Request a new verification link
+  const handleResend = async (e) => {
+    e.preventDefault();
+    
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+    
+    setIsResending(true);
+    
+    try {
+      await resendVerification(email);
+      setResent(true);
+    } catch (err) {
+      console.error('Resend verification error:', err);
+      setError(err.response?.data?.error || 'Could not send a new link. Please try again.');
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow-md overflow-hidden md:max-w-lg">
+      <div className="md:flex">
+        <div className="w-full p-6">
+          <div className="text-center">
+            <h1 className="text-2xl font-bold text-gray-800 mb-6">Email verification</h1>
+          </div>
+          
+          {status === 'verifying' && (
+            <p className="text-center text-gray-600 mb-6">Verifying your email...</p>
+          )}
+          
+          {status === 'verified' && (
+            <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-6">
+              <p className="text-sm text-green-700">
+                Your email has been verified. You can now book hostels and list your own.
+              </p>
+            </div>
+          )}
+          
+          {status === 'failed' && (
+            <>
+              <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6">
+                <p className="text-sm text-red-700">{error}</p>
+              </div>
+              
+              {resent ? (
+                <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-6">
+                  <p className="text-sm text-green-700">
+                    If {email} still needs verifying, a new link is on its way.
+                  </p>
+                </div>
+              ) : (
+                <form onSubmit={handleResend} className="mb-6">
+                  <label htmlFor="email" className="block text-gray-700 text-sm font-bold mb-2">
+                    Send me a new link
+                  </label>
+                  <div className="flex">
+                    <input
+                      type="email"
+                      id="email"
+                      name="email"
+                      className="flex-grow px-3 py-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="your@email.com"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      disabled={isResending}
+                    />
+                    <button
+                      type="submit"
+                      className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-r-md"
+                      disabled={isResending}
+                    >
+                      {isResending ? 'Sending...' : 'Resend'}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </>
+          )}
+          
+          <div className="text-center">
+            <Link to="/login" className="text-sm text-blue-600 hover:text-blue-800 font-semibold">
+              Go to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getModerationQueue, changeHostelStatus } from '../services/api';
+
+// Queues an admin can work through, with the decisions available in each
+const QUEUES = [
+  { status: 'pending_review', label: 'Waiting for review', actions: ['approve', 'reject'] },
+  { status: 'published', label: 'Published', actions: ['suspend'] },
+  { status: 'suspended', label: 'Suspended', actions: ['reinstate'] }
+];
+
+// Button label of each decision and whether the host must be given a reason
+const ACTIONS = {
+  approve: { label: 'Approve', className: 'bg-green-600 hover:bg-green-700 text-white' },
+  reject: { label: 'Send back', className: 'bg-gray-200 hover:bg-gray-300 text-gray-800', needsReason: true },
+  suspend: { label: 'Suspend', className: 'bg-red-600 hover:bg-red-700 text-white', needsReason: true },
+  reinstate: { label: 'Reinstate', className: 'bg-green-600 hover:bg-green-700 text-white' }
+};
+
+/**
+ * AdminModeration page component - lets admins review listings before they go live
+ * and take published listings down
+ */
+const AdminModeration = () => {
+  const [queue, setQueue] = useState(QUEUES[0]);
+  const [hostels, setHostels] = useState([]);
+  const [reasons, setReasons] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchQueue = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        setHostels(await getModerationQueue(queue.status));
+      } catch (err) {
+        console.error('Error fetching listings for review:', err);
+        setError(err.response?.data?.error || 'Failed to load listings.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchQueue();
+  }, [queue]);
+
+  const handleDecision = async (hostel, action) => {
+    setSavingId(hostel.id);
+    setError('');
+
+    try {
+      await changeHostelStatus(hostel.id, action, ACTIONS[action].needsReason ? reasons[hostel.id] : undefined);
+      // The listing leaves this queue once decided
+      setHostels((prev) => prev.filter((item) => item.id !== hostel.id));
+    } catch (err) {
+      console.error('Error reviewing listing:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <h1 className="text-3xl font-bold text-gray-900 mb-2">Listing Review</h1>
+      <p className="text-gray-600 mb-8">Approve new listings and take down ones that break the rules</p>
+
+      <div className="bg-white rounded-lg shadow-md mb-8">
+        <nav className="flex border-b">
+          {QUEUES.map((item) => (
+            <button
+              key={item.status}
+              onClick={() => setQueue(item)}
+              className={`py-4 px-6 text-sm font-medium ${
+                queue.status === item.status
+                  ? 'text-blue-600 border-b-2 border-blue-600'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-600"></div>
+        </div>
+      ) : hostels.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">Nothing here right now.</p>
+      ) : (
+        <div className="space-y-4">
+          {hostels.map((hostel) => (
+            <div key={hostel.id} className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex justify-between items-start">
+                <div>
+                  <Link to={`/hostels/${hostel.id}`} className="text-lg font-semibold text-blue-600 hover:text-blue-800">
+                    {hostel.name}
+                  </Link>
+                  <p className="text-sm text-gray-600">{hostel.location} · hosted by {hostel.host_name}</p>
+                  {hostel.status_reason && (
+                    <p className="text-sm text-gray-500 mt-1">Last note: {hostel.status_reason}</p>
+                  )}
+                </div>
+                <div className="flex space-x-2">
+                  {queue.actions.map((action) => (
+                    <button
+                      key={action}
+                      onClick={() => handleDecision(hostel, action)}
+                      className={`px-3 py-1.5 rounded text-sm ${ACTIONS[action].className}`}
+                      disabled={savingId === hostel.id}
+                    >
+                      {ACTIONS[action].label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {queue.actions.some((action) => ACTIONS[action].needsReason) && (
+                <textarea
+                  className="mt-4 w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  rows="2"
+                  placeholder="Reason shown to the host (needed to send back or suspend)"
+                  value={reasons[hostel.id] || ''}
+                  onChange={(e) => setReasons({ ...reasons, [hostel.id]: e.target.value })}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminModeration;
@@ -49,6 +49,7 @@ const Home = () => {
   const [checkInDate, setCheckInDate] = useState('');
   const [checkOutDate, setCheckOutDate] = useState('');
   const [location, setLocation] = useState('');
+  const [guests, setGuests] = useState(1);
   
   const handleSearch = (e) => {
     e.preventDefault();
@@ -58,7 +59,8 @@ const Home = () => {
         searchParams: {
           location,
           checkInDate,
-          checkOutDate
+          checkOutDate,
+          guests
         }
       } 
     });
@@ -116,8 +118,8 @@ const Home = () => {
                   </div>
                 </div>
                 
-                {/* Date inputs */}
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {/* Date and guest inputs */}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <div>
                     <label htmlFor="check-in" className="block text-sm font-medium text-white mb-1">
                       Check-in Date
@@ -144,6 +146,19 @@ const Home = () => {
                       className="w-full px-4 py-3 bg-white/90 text-gray-900 rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none"
                     />
                   </div>
+                  <div>
+                    <label htmlFor="guests" className="block text-sm font-medium text-white mb-1">
+                      Guests
+                    </label>
+                    <input
+                      type="number"
+                      id="guests"
+                      value={guests}
+                      onChange={(e) => setGuests(e.target.value)}
+                      min="1"
+                      className="w-full px-4 py-3 bg-white/90 text-gray-900 rounded-lg focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                    />
+                  </div>
                 </div>
                 
                 {/* Search button */}
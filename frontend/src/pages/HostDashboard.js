@@ -3,7 +3,19 @@ import { Link } from 'react-router-dom';
 import Navbar from '../components/Navbar';
 import HostelCard from '../components/HostelCard';
 import Chat from '../components/Chat';
-import { getHostelsByHost, getHostelBookings, updateBookingStatus } from '../services/api';
+import HostelGalleryEditor from '../components/HostelGalleryEditor';
+import HostelRoomsEditor from '../components/HostelRoomsEditor';
+import HostelPoliciesEditor from '../components/HostelPoliciesEditor';
+import ListingHistory from '../components/ListingHistory';
+import ListingStatus from '../components/ListingStatus';
+import {
+  getHostelsByHost,
+  getHostelBookings,
+  updateBookingStatus,
+  deleteHostel,
+  restoreHostel,
+  getDeletedHostels
+} from '../services/api';
 
 /**
  * HostDashboard page component - displays host's hostels and their bookings
@@ -18,6 +30,11 @@ const HostDashboard = () => {
   const [activeSection, setActiveSection] = useState('hostels');
   const [selectedHostel, setSelectedHostel] = useState(null);
   const [bookingStatus, setBookingStatus] = useState('all');
+  const [galleryHostel, setGalleryHostel] = useState(null);
+  const [roomsHostel, setRoomsHostel] = useState(null);
+  const [policiesHostel, setPoliciesHostel] = useState(null);
+  const [historyHostel, setHistoryHostel] = useState(null);
+  const [deletedHostels, setDeletedHostels] = useState([]);
 
   // Get host ID from localStorage
   const getHostId = () => {
@@ -70,6 +87,7 @@ const HostDashboard = () => {
           const data = await getHostelsByHost(hostId);
           console.log('Hostels data received:', { count: data?.length || 0 });
           setHostels(data || []);
+          setDeletedHostels(await getDeletedHostels(hostId));
           
           // If we have hostels, fetch bookings for the first one by default
           if (data && data.length > 0) {
@@ -135,6 +153,84 @@ const HostDashboard = () => {
     ? bookings 
     : bookings.filter(booking => booking.status === bookingStatus);
 
+  // Keep the hostel card's photos in step with the gallery editor (primary image first)
+  const handleGalleryChange = (hostelId, images) => {
+    const urls = [...images.filter(image => image.is_primary), ...images.filter(image => !image.is_primary)]
+      .map(image => image.image_url);
+    
+    setHostels(prevHostels =>
+      prevHostels.map(hostel => (hostel.id === hostelId ? { ...hostel, images: urls } : hostel))
+    );
+  };
+
+  // The listed price follows the cheapest room type
+  const handleRoomsChange = (hostelId, roomTypes) => {
+    const price = Math.min(...roomTypes.map(roomType => roomType.price));
+    
+    setHostels(prevHostels =>
+      prevHostels.map(hostel => (hostel.id === hostelId ? { ...hostel, price } : hostel))
+    );
+  };
+
+  // Replace a hostel after its listing status changes or it is restored to an earlier revision
+  const handleListingStatusChange = (updated) => {
+    setHostels(prevHostels =>
+      prevHostels.map(hostel => (hostel.id === updated.id ? { ...hostel, ...updated } : hostel))
+    );
+  };
+
+  // Delete a hostel; if guests hold confirmed bookings, ask before cancelling them
+  const handleDeleteHostel = async (hostel) => {
+    if (!window.confirm(`Delete "${hostel.name}"? You can restore it later from Recently deleted.`)) {
+      return;
+    }
+    
+    try {
+      let result;
+      
+      try {
+        result = await deleteHostel(hostel.id);
+      } catch (err) {
+        const upcoming = err.response?.status === 409 ? err.response.data.bookings : null;
+        
+        if (!upcoming) {
+          throw err;
+        }
+        
+        if (!window.confirm(
+          `"${hostel.name}" has ${upcoming.length} upcoming confirmed booking(s). ` +
+          'Cancel them and email the guests, then delete the hostel?'
+        )) {
+          return;
+        }
+        
+        result = await deleteHostel(hostel.id, true);
+      }
+      
+      setHostels(prevHostels => prevHostels.filter(item => item.id !== hostel.id));
+      setDeletedHostels(prevDeleted => [{ ...hostel, deleted_at: new Date().toISOString() }, ...prevDeleted]);
+      
+      if (result.cancelled_bookings > 0) {
+        alert(`${result.cancelled_bookings} booking(s) cancelled and the guests notified.`);
+      }
+    } catch (err) {
+      console.error('Error deleting hostel:', err);
+      alert(err.response?.data?.error || 'Failed to delete hostel');
+    }
+  };
+
+  // Bring a deleted hostel back as a draft
+  const handleRestoreHostel = async (hostel) => {
+    try {
+      const restored = await restoreHostel(hostel.id);
+      setDeletedHostels(prevDeleted => prevDeleted.filter(item => item.id !== hostel.id));
+      setHostels(prevHostels => [...prevHostels, restored]);
+    } catch (err) {
+      console.error('Error restoring hostel:', err);
+      alert(err.response?.data?.error || 'Failed to restore hostel');
+    }
+  };
+
   // Handle booking status update
   const handleStatusUpdate = async (bookingId, newStatus) => {
     try {
@@ -226,6 +322,37 @@ const HostDashboard = () => {
                   </Link>
                 </div>
                 
+                {galleryHostel && (
+                  <HostelGalleryEditor
+                    hostel={galleryHostel}
+                    onImagesChange={(images) => handleGalleryChange(galleryHostel.id, images)}
+                    onClose={() => setGalleryHostel(null)}
+                  />
+                )}
+                
+                {roomsHostel && (
+                  <HostelRoomsEditor
+                    hostel={roomsHostel}
+                    onRoomsChange={(roomTypes) => handleRoomsChange(roomsHostel.id, roomTypes)}
+                    onClose={() => setRoomsHostel(null)}
+                  />
+                )}
+                
+                {policiesHostel && (
+                  <HostelPoliciesEditor
+                    hostel={policiesHostel}
+                    onClose={() => setPoliciesHostel(null)}
+                  />
+                )}
+                
+                {historyHostel && (
+                  <ListingHistory
+                    hostel={historyHostel}
+                    onRevert={handleListingStatusChange}
+                    onClose={() => setHistoryHostel(null)}
+                  />
+                )}
+                
                 {hostels.length === 0 ? (
                   <div className="text-center py-12 bg-white rounded-lg shadow-md">
                     <svg
@@ -259,6 +386,7 @@ const HostDashboard = () => {
                     {hostels.map((hostel) => (
                       <div key={hostel.id} className="flex flex-col">
                         <HostelCard hostel={hostel} />
+                        <ListingStatus hostel={hostel} onStatusChange={handleListingStatusChange} />
                         <div className="mt-3 flex space-x-2">
                           <Link
                             to={`/hostels/edit/${hostel.id}`}
@@ -266,6 +394,30 @@ const HostDashboard = () => {
                           >
                             Edit
                           </Link>
+                          <button
+                            onClick={() => setGalleryHostel(hostel)}
+                            className="flex-1 px-3 py-1.5 bg-gray-200 text-gray-800 rounded text-sm text-center hover:bg-gray-300"
+                          >
+                            Photos
+                          </button>
+                          <button
+                            onClick={() => setRoomsHostel(hostel)}
+                            className="flex-1 px-3 py-1.5 bg-gray-200 text-gray-800 rounded text-sm text-center hover:bg-gray-300"
+                          >
+                            Rooms
+                          </button>
+                          <button
+                            onClick={() => setPoliciesHostel(hostel)}
+                            className="flex-1 px-3 py-1.5 bg-gray-200 text-gray-800 rounded text-sm text-center hover:bg-gray-300"
+                          >
+                            Policies
+                          </button>
+                          <button
+                            onClick={() => setHistoryHostel(hostel)}
+                            className="flex-1 px-3 py-1.5 bg-gray-200 text-gray-800 rounded text-sm text-center hover:bg-gray-300"
+                          >
+                            History
+                          </button>
                           <button
                             onClick={() => {
                               setSelectedHostel(hostel.id);
@@ -275,11 +427,41 @@ const HostDashboard = () => {
                           >
                             View Bookings
                           </button>
+                          <button
+                            onClick={() => handleDeleteHostel(hostel)}
+                            className="px-3 py-1.5 bg-red-100 text-red-800 rounded text-sm text-center hover:bg-red-200"
+                          >
+                            Delete
+                          </button>
                         </div>
                       </div>
                     ))}
                   </div>
                 )}
+                
+                {deletedHostels.length > 0 && (
+                  <div className="mt-10">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">Recently deleted</h3>
+                    <div className="bg-white rounded-lg shadow-md divide-y">
+                      {deletedHostels.map((hostel) => (
+                        <div key={hostel.id} className="flex justify-between items-center px-6 py-4">
+                          <div>
+                            <p className="font-medium text-gray-900">{hostel.name}</p>
+                            <p className="text-sm text-gray-500">
+                              {hostel.location} · deleted {formatDate(hostel.deleted_at)}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => handleRestoreHostel(hostel)}
+                            className="px-3 py-1.5 bg-gray-200 text-gray-800 rounded text-sm hover:bg-gray-300"
+                          >
+                            Restore
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
             )}
             
@@ -403,6 +585,11 @@ const HostDashboard = () => {
                                 )}{' '}
                                 nights
                               </div>
+                              {booking.room_type_name && (
+                                <div className="text-sm text-gray-500">
+                                  {booking.room_type_name}, {booking.beds} {booking.beds === 1 ? 'bed' : 'beds'}
+                                </div>
+                              )}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap">
                               <span
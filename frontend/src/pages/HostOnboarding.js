@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  getHostOnboarding,
+  updateHostDetails,
+  updatePayoutDetails,
+  acceptHostTerms
+} from '../services/api';
+
+// Hints for the steps that are completed outside this page
+const EXTERNAL_STEP_HINTS = {
+  verify_email: 'Open the link we emailed you. You can request a new one from the login page.',
+  two_factor: 'Turn it on under Security in your profile settings.'
+};
+
+/**
+ * HostOnboarding page component - checklist new hosts complete before they can list hostels
+ * Each step is saved as soon as it is submitted, so hosts can finish it over several visits
+ */
+const HostOnboarding = () => {
+  const [state, setState] = useState(null);
+  const [details, setDetails] = useState({ legal_name: '', phone: '' });
+  const [payout, setPayout] = useState({ payout_method: 'bank_transfer', payout_account: '' });
+  const [termsAccepted, setTermsAccepted] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load the checklist and prefill the forms
+  useEffect(() => {
+    const fetchOnboarding = async () => {
+      try {
+        const data = await getHostOnboarding();
+        setState(data);
+
+        if (data.host_profile) {
+          setDetails({
+            legal_name: data.host_profile.legal_name || '',
+            phone: data.host_profile.phone || ''
+          });
+          setPayout((prev) => ({ ...prev, payout_method: data.host_profile.payout_method || prev.payout_method }));
+        }
+      } catch (err) {
+        console.error('Error fetching host onboarding:', err);
+        setError('Failed to load your onboarding checklist. Please try again later.');
+      }
+    };
+
+    fetchOnboarding();
+  }, []);
+
+  // Submit one step and show the updated checklist
+  const saveStep = async (request) => {
+    setIsSaving(true);
+    setError('');
+    setFieldErrors({});
+
+    try {
+      setState(await request());
+    } catch (err) {
+      console.error('Error saving onboarding step:', err);
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+      setFieldErrors(err.response?.data?.errors || {});
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDetailsSubmit = (e) => {
+    e.preventDefault();
+    saveStep(() => updateHostDetails(details));
+  };
+
+  const handlePayoutSubmit = (e) => {
+    e.preventDefault();
+    saveStep(() => updatePayoutDetails(payout));
+  };
+
+  const handleTermsSubmit = (e) => {
+    e.preventDefault();
+    saveStep(acceptHostTerms);
+  };
+
+  if (!state) {
+    return error ? (
+      <div className="container mx-auto px-4 py-8">
+        <p className="text-red-600">{error}</p>
+      </div>
+    ) : (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const isDone = (key) => state.checklist.some((step) => step.key === key && step.completed);
+  const inputClass = (field) =>
+    `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+      fieldErrors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-2xl">
+      <h1 className="text-3xl font-bold text-gray-900 mb-2">Become a Host</h1>
+      <p className="text-gray-600 mb-8">Complete these steps to start listing your hostels.</p>
+
+      {state.completed && (
+        <div className="bg-green-50 border-l-4 border-green-500 p-4 mb-6">
+          <p className="text-sm text-green-700">
+            You're all set!{' '}
+            <Link to="/dashboard/host" className="font-medium underline">Go to your host dashboard</Link>
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 mb-6">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {/* Checklist */}
+      <ol className="bg-white rounded-lg shadow-md divide-y mb-8">
+        {state.checklist.map((step) => (
+          <li key={step.key} className="flex items-start p-4">
+            <span
+              className={`flex-shrink-0 h-6 w-6 rounded-full flex items-center justify-center text-sm mr-3 ${
+                step.completed ? 'bg-green-500 text-white' : 'bg-gray-200 text-gray-500'
+              }`}
+            >
+              {step.completed ? '✓' : ''}
+            </span>
+            <div>
+              <p className={step.completed ? 'text-gray-500 line-through' : 'text-gray-900'}>{step.label}</p>
+              {!step.completed && EXTERNAL_STEP_HINTS[step.key] && (
+                <p className="text-sm text-gray-500 mt-1">{EXTERNAL_STEP_HINTS[step.key]}</p>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {/* Host details */}
+      <form onSubmit={handleDetailsSubmit} className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-xl font-bold text-gray-900 mb-4">Your Details</h2>
+        <div className="mb-4">
+          <label htmlFor="legal_name" className="block text-gray-700 text-sm font-bold mb-2">
+            Legal name
+          </label>
+          <input
+            type="text"
+            id="legal_name"
+            className={inputClass('legal_name')}
+            value={details.legal_name}
+            onChange={(e) => setDetails({ ...details, legal_name: e.target.value })}
+            disabled={isSaving}
+          />
+          {fieldErrors.legal_name && <p className="text-sm text-red-600 mt-1">{fieldErrors.legal_name}</p>}
+        </div>
+        <div className="mb-4">
+          <label htmlFor="host_phone" className="block text-gray-700 text-sm font-bold mb-2">
+            Phone number
+          </label>
+          <input
+            type="tel"
+            id="host_phone"
+            className={inputClass('phone')}
+            value={details.phone}
+            onChange={(e) => setDetails({ ...details, phone: e.target.value })}
+            disabled={isSaving}
+          />
+          {fieldErrors.phone && <p className="text-sm text-red-600 mt-1">{fieldErrors.phone}</p>}
+        </div>
+        <button type="submit" className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md" disabled={isSaving}>
+          {isDone('host_details') ? 'Update Details' : 'Save Details'}
+        </button>
+      </form>
+
+      {/* Payout details */}
+      <form onSubmit={handlePayoutSubmit} className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-xl font-bold text-gray-900 mb-1">Payouts</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {state.host_profile?.payout_account
+            ? `Currently paid to ${state.host_profile.payout_account}.`
+            : 'Where should we send your earnings?'}
+        </p>
+        <div className="mb-4">
+          <label htmlFor="payout_method" className="block text-gray-700 text-sm font-bold mb-2">
+            Payout method
+          </label>
+          <select
+            id="payout_method"
+            className={inputClass('payout_method')}
+            value={payout.payout_method}
+            onChange={(e) => setPayout({ ...payout, payout_method: e.target.value })}
+            disabled={isSaving}
+          >
+            <option value="bank_transfer">Bank transfer</option>
+            <option value="paypal">PayPal</option>
+          </select>
+        </div>
+        <div className="mb-4">
+          <label htmlFor="payout_account" className="block text-gray-700 text-sm font-bold mb-2">
+            {payout.payout_method === 'paypal' ? 'PayPal email' : 'IBAN or account number'}
+          </label>
+          <input
+            type="text"
+            id="payout_account"
+            className={inputClass('payout_account')}
+            value={payout.payout_account}
+            onChange={(e) => setPayout({ ...payout, payout_account: e.target.value })}
+            disabled={isSaving}
+          />
+          {fieldErrors.payout_account && <p className="text-sm text-red-600 mt-1">{fieldErrors.payout_account}</p>}
+        </div>
+        <button type="submit" className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md" disabled={isSaving}>
+          {isDone('payout_details') ? 'Update Payouts' : 'Save Payouts'}
+        </button>
+      </form>
+
+      {/* Hosting terms */}
+      {!isDone('accept_terms') && (
+        <form onSubmit={handleTermsSubmit} className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">Hosting Terms</h2>
+          <label className="flex items-start mb-4">
+            <input
+              type="checkbox"
+              className="mt-1 mr-2"
+              checked={termsAccepted}
+              onChange={(e) => setTermsAccepted(e.target.checked)}
+              disabled={isSaving}
+            />
+            <span className="text-sm text-gray-700">
+              I agree to keep my listings accurate, honor confirmed bookings and follow local laws for
+              short-term accommodation.
+            </span>
+          </label>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md"
+            disabled={isSaving || !termsAccepted}
+          >
+            Accept Terms
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default HostOnboarding;
@@ -2,7 +2,20 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import Navbar from '../components/Navbar';
 import BookingForm from '../components/BookingForm';
-import { getHostel } from '../services/api';
+import AmenityIcon from '../components/AmenityIcon';
+import HostelPolicies from '../components/HostelPolicies';
+import { getHostel, resolveAssetUrl } from '../services/api';
+
+// Postal address lines of a hostel, falling back to its free-text location
+const addressLines = (hostel) => {
+  const lines = [
+    hostel.street,
+    [hostel.postal_code, hostel.city].filter(Boolean).join(' '),
+    [hostel.region !== hostel.city && hostel.region, hostel.country].filter(Boolean).join(', ')
+  ].filter(Boolean);
+  
+  return lines.length > 0 ? lines : [hostel.location];
+};
 
 /**
  * HostelDetails page component - displays detailed information about a specific hostel
@@ -44,12 +57,22 @@ const HostelDetails = () => {
     'https://images.unsplash.com/photo-1626265774643-f1943311a86b?ixlib=rb-4.0.3&auto=format&fit=crop&w=1000&q=80'
   ];
   
+  // Gallery photos with the primary image first, each with its thumbnail
+  const gallery = hostel?.gallery?.length > 0
+    ? [...hostel.gallery.filter(image => image.is_primary), ...hostel.gallery.filter(image => !image.is_primary)]
+    : [];
+  
   // Get hostel images or use placeholders
-  const images = hostel?.images?.length > 0 
-    ? hostel.images 
-    : hostel?.image_url 
-      ? [hostel.image_url, ...placeholderImages.slice(0, 2)] 
-      : placeholderImages;
+  const images = gallery.length > 0
+    ? gallery.map(image => resolveAssetUrl(image.image_url))
+    : hostel?.images?.length > 0 
+      ? hostel.images.map(resolveAssetUrl) 
+      : hostel?.image_url 
+        ? [hostel.image_url, ...placeholderImages.slice(0, 2)] 
+        : placeholderImages;
+  const thumbnails = gallery.length > 0
+    ? gallery.map(image => resolveAssetUrl(image.thumbnail_url || image.image_url))
+    : images;
   
   if (loading) {
     return (
@@ -109,6 +132,15 @@ const HostelDetails = () => {
           </ol>
         </nav>
         
+        {/* Unpublished listings are only shown to their host and admins */}
+        {hostel.status && hostel.status !== 'published' && (
+          <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-6">
+            <p className="text-sm text-yellow-800">
+              This listing is not public yet ({hostel.status.replace('_', ' ')}). Guests can't see or book it.
+            </p>
+          </div>
+        )}
+        
         {/* Hostel title and location */}
         <div className="mb-6">
           <h1 className="text-3xl font-bold text-gray-900 mb-2">{hostel.name}</h1>
@@ -175,7 +207,7 @@ const HostelDetails = () => {
           {/* Thumbnail navigation */}
           {images.length > 1 && (
             <div className="flex space-x-2 overflow-x-auto pb-2">
-              {images.map((img, index) => (
+              {thumbnails.map((thumbnail, index) => (
                 <button
                   key={index}
                   onClick={() => setActiveImageIndex(index)}
@@ -183,7 +215,7 @@ const HostelDetails = () => {
                     index === activeImageIndex ? 'border-blue-600' : 'border-transparent'
                   }`}
                 >
-                  <img src={img} alt={`Thumbnail ${index + 1}`} className="w-full h-full object-cover" />
+                  <img src={thumbnail} alt={`Thumbnail ${index + 1}`} className="w-full h-full object-cover" />
                 </button>
               ))}
             </div>
@@ -197,7 +229,8 @@ const HostelDetails = () => {
             <div className="bg-white rounded-lg shadow-md p-6 mb-6">
               <div className="flex justify-between items-center mb-4">
                 <div>
-                  <span className="text-2xl font-bold text-gray-900">${hostel.price_per_night}</span>
+                  <span className="text-gray-600">From </span>
+                  <span className="text-2xl font-bold text-gray-900">${hostel.price}</span>
                   <span className="text-gray-600"> / night</span>
                 </div>
                 
@@ -251,12 +284,10 @@ const HostelDetails = () => {
               <h2 className="text-xl font-bold text-gray-900 mb-4">Amenities</h2>
               <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
                 {hostel.amenities && hostel.amenities.length > 0 ? (
-                  hostel.amenities.map((amenity, index) => (
-                    <div key={index} className="flex items-center">
-                      <svg className="h-5 w-5 text-green-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                      </svg>
-                      <span className="text-gray-700">{amenity}</span>
+                  hostel.amenities.map((amenity) => (
+                    <div key={amenity.id} className="flex items-center">
+                      <AmenityIcon icon={amenity.icon} className="h-5 w-5 text-green-500 mr-2" />
+                      <span className="text-gray-700">{amenity.name}</span>
                     </div>
                   ))
                 ) : (
@@ -265,36 +296,13 @@ const HostelDetails = () => {
               </div>
             </div>
             
-            {/* House rules */}
-            <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-              <h2 className="text-xl font-bold text-gray-900 mb-4">House Rules</h2>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div className="flex items-center">
-                  <svg className="h-5 w-5 text-gray-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                  <span className="text-gray-700">Check-in: After 2:00 PM</span>
-                </div>
-                <div className="flex items-center">
-                  <svg className="h-5 w-5 text-gray-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                  <span className="text-gray-700">Check-out: Before 11:00 AM</span>
-                </div>
-                <div className="flex items-center">
-                  <svg className="h-5 w-5 text-gray-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
-                  </svg>
-                  <span className="text-gray-700">No smoking</span>
-                </div>
-                <div className="flex items-center">
-                  <svg className="h-5 w-5 text-gray-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
-                  </svg>
-                  <span className="text-gray-700">No parties or events</span>
-                </div>
+            {/* House rules and policies */}
+            {hostel.policies && (
+              <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+                <h2 className="text-xl font-bold text-gray-900 mb-4">House Rules and Policies</h2>
+                <HostelPolicies policies={hostel.policies} />
               </div>
-            </div>
+            )}
             
             {/* Location section */}
             <div className="bg-white rounded-lg shadow-md p-6">
@@ -307,9 +315,11 @@ const HostelDetails = () => {
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
                     </svg>
-                    <p className="mt-2 text-gray-600 text-sm">
-                      {hostel.location}
-                    </p>
+                    <address className="mt-2 text-gray-600 text-sm not-italic">
+                      {addressLines(hostel).map((line) => (
+                        <p key={line}>{line}</p>
+                      ))}
+                    </address>
                     <p className="text-blue-600 text-sm mt-2">
                       Google Maps integration will be available soon
                     </p>
@@ -327,7 +337,7 @@ const HostelDetails = () => {
             <div className="sticky top-6">
               <BookingForm 
                 hostelId={hostel.id} 
-                price={hostel.price_per_night} 
+                roomTypes={hostel.room_types || []} 
                 hostelName={hostel.name}
               />
               
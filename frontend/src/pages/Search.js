@@ -1,8 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 import Navbar from '../components/Navbar';
-import SearchBar from '../components/SearchBar';
-import { getHostels } from '../services/api';
+import SearchBar, { buildSearchParams } from '../components/SearchBar';
+import SearchMap from '../components/SearchMap';
+import SearchFilters from '../components/SearchFilters';
+import { searchHostels } from '../services/api';
+
+/**
+ * Search hostels, counting the matches for the filter sidebar too
+ */
+const searchWithFacets = (params) => searchHostels({ ...params, facets: true });
 
 /**
  * Search page component - displays search results and filter options
@@ -17,9 +24,12 @@ const Search = () => {
   const [hostels, setHostels] = useState(initialResults?.hostels || []);
   const [loading, setLoading] = useState(!initialResults);
   const [error, setError] = useState('');
-  const [searchParams, setSearchParams] = useState(initialSearchParams || {});
+  const [searchParams, setSearchParams] = useState(initialSearchParams ? buildSearchParams(initialSearchParams) : {});
+  const [pagination, setPagination] = useState(initialResults?.pagination || null);
+  const [view, setView] = useState('list');
+  const [facets, setFacets] = useState(initialResults?.facets || null);
   
-  // Fetch initial results if none provided via navigation
+  // Fetch initial results if none provided via navigation, searching with what was entered on the home page
   useEffect(() => {
     const fetchInitialHostels = async () => {
       if (initialResults) {
@@ -28,8 +38,10 @@ const Search = () => {
       
       try {
         setLoading(true);
-        const data = await getHostels();
+        const data = await searchWithFacets(initialSearchParams ? buildSearchParams(initialSearchParams) : {});
         setHostels(data.hostels || []);
+        setPagination(data.pagination || null);
+        setFacets(data.facets || null);
       } catch (err) {
         console.error('Error fetching hostels:', err);
         setError('Failed to load hostels. Please try again.');
@@ -39,12 +51,14 @@ const Search = () => {
     };
     
     fetchInitialHostels();
-  }, [initialResults]);
+  }, [initialResults, initialSearchParams]);
   
   // Handle search results callback from SearchBar
   const handleSearchResults = (results) => {
     setHostels(results.hostels || []);
     setSearchParams(results.searchParams || {});
+    setPagination(results.pagination || null);
+    setFacets(results.facets || null);
     
     // Scroll to results
     const resultsElement = document.getElementById('results');
@@ -53,6 +67,66 @@ const Search = () => {
     }
   };
   
+  // Fetch another page of the current search
+  const goToPage = async (page) => {
+    try {
+      setLoading(true);
+      const data = await searchWithFacets({ ...searchParams, page });
+      handleSearchResults({ ...data, searchParams });
+    } catch (err) {
+      console.error('Error fetching hostels:', err);
+      setError('Failed to load hostels. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Search again, keeping only hostels inside the area shown on the map
+  const handleSearchArea = async (bounds) => {
+    const bbox = [bounds.min_longitude, bounds.min_latitude, bounds.max_longitude, bounds.max_latitude]
+      .map((value) => value.toFixed(5))
+      .join(',');
+    const areaParams = { ...searchParams, bbox };
+    
+    try {
+      setLoading(true);
+      const data = await searchWithFacets(areaParams);
+      handleSearchResults({ ...data, searchParams: areaParams });
+    } catch (err) {
+      console.error('Error fetching hostels:', err);
+      setError('Failed to load hostels. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Search again with filters from the sidebar, starting from the first page
+  const handleFilterChange = async (updates) => {
+    const filteredParams = Object.fromEntries(
+      Object.entries({ ...searchParams, ...updates }).filter(([, value]) => value !== '' && value !== undefined)
+    );
+    
+    try {
+      setLoading(true);
+      const data = await searchWithFacets(filteredParams);
+      handleSearchResults({ ...data, searchParams: filteredParams });
+    } catch (err) {
+      console.error('Error fetching hostels:', err);
+      setError('Failed to load hostels. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Render text from a keyword search, marking the words that matched
+  const Highlighted = ({ parts }) => (
+    <>
+      {parts.map((part, index) =>
+        part.match ? <mark key={index} className="bg-yellow-200 rounded">{part.text}</mark> : part.text
+      )}
+    </>
+  );
+  
   // Render hostel card
   const HostelCard = ({ hostel }) => {
     return (
@@ -65,20 +139,33 @@ const Search = () => {
             className="w-full h-full object-cover"
           />
           <div className="absolute top-0 right-0 bg-blue-600 text-white px-2 py-1 m-2 text-sm font-semibold rounded">
-            ${hostel.price_per_night}/night
+            ${hostel.price}/night
           </div>
         </div>
         
         {/* Hostel details */}
         <div className="p-4">
-          <h3 className="text-lg font-semibold text-gray-800">{hostel.name}</h3>
-          <p className="text-gray-600 text-sm mb-2">{hostel.location}</p>
+          <h3 className="text-lg font-semibold text-gray-800">
+            {hostel.search ? <Highlighted parts={hostel.search.name} /> : hostel.name}
+          </h3>
+          <p className="text-gray-600 text-sm mb-2">
+            {hostel.location}
+            {hostel.distance_km !== undefined && hostel.distance_km !== null && ` · ${hostel.distance_km} km away`}
+          </p>
+          
+          {/* Price of the searched stay */}
+          {hostel.stay && (
+            <p className="text-sm font-semibold text-blue-700 mb-2">
+              ${hostel.stay.total} total for {hostel.stay.nights} {hostel.stay.nights === 1 ? 'night' : 'nights'}
+              {' '}({hostel.stay.room_type_name})
+            </p>
+          )}
           
           {/* Tags/amenities */}
           <div className="flex flex-wrap gap-1 mb-3">
-            {hostel.amenities && hostel.amenities.slice(0, 3).map((amenity, index) => (
-              <span key={index} className="inline-block bg-gray-100 text-gray-600 text-xs px-2 py-1 rounded">
-                {amenity}
+            {hostel.amenities && hostel.amenities.slice(0, 3).map((amenity) => (
+              <span key={amenity.id} className="inline-block bg-gray-100 text-gray-600 text-xs px-2 py-1 rounded">
+                {amenity.name}
               </span>
             ))}
           </div>
@@ -103,9 +190,11 @@ const Search = () => {
             </div>
           )}
           
-          {/* Short description */}
+          {/* Short description, or where the keywords matched */}
           <p className="text-gray-600 text-sm mb-4 line-clamp-2">
-            {hostel.description || 'A comfortable hostel in a great location with friendly staff and modern amenities.'}
+            {hostel.search
+              ? <Highlighted parts={hostel.search.snippet} />
+              : hostel.description || 'A comfortable hostel in a great location with friendly staff and modern amenities.'}
           </p>
           
           {/* View details button */}
@@ -133,6 +222,8 @@ const Search = () => {
             onSearchResults={handleSearchResults} 
             isLoading={loading} 
             setIsLoading={setLoading}
+            initialParams={initialSearchParams}
+            withFacets
           />
         </div>
       </div>
@@ -140,20 +231,41 @@ const Search = () => {
       {/* Results section */}
       <div id="results" className="container mx-auto px-4 py-8 flex-grow">
         {/* Search summary */}
-        <div className="mb-6">
+        <div className="mb-6 flex justify-between items-center">
           <h2 className="text-xl font-semibold text-gray-800">
             {loading ? (
               'Searching for hostels...'
             ) : hostels.length > 0 ? (
               <>
-                {hostels.length} {hostels.length === 1 ? 'hostel' : 'hostels'} found
+                {pagination ? pagination.total : hostels.length}{' '}
+                {(pagination ? pagination.total : hostels.length) === 1 ? 'hostel' : 'hostels'} found
+                {searchParams.q ? ` for "${searchParams.q}"` : ''}
                 {searchParams.location ? ` in ${searchParams.location}` : ''}
                 {searchParams.maxPrice ? ` under $${searchParams.maxPrice}/night` : ''}
+                {searchParams.radius ? ` within ${searchParams.radius} km` : ''}
+                {searchParams.bbox ? ' in the map area' : ''}
+                {searchParams.check_in ? ` available ${searchParams.check_in} to ${searchParams.check_out}` : ''}
               </>
             ) : (
               'No hostels found matching your criteria'
             )}
           </h2>
+          
+          {/* List or map view */}
+          <div className="inline-flex rounded-md shadow-sm">
+            {['list', 'map'].map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setView(option)}
+                className={`px-4 py-2 text-sm font-medium border border-gray-300 first:rounded-l-md last:rounded-r-md ${
+                  view === option ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option === 'list' ? 'List' : 'Map'}
+              </button>
+            ))}
+          </div>
         </div>
         
         {/* Error message */}
@@ -172,49 +284,88 @@ const Search = () => {
           </div>
         )}
         
-        {/* Loading state */}
-        {loading ? (
-          <div className="flex justify-center items-center h-64">
-            <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-blue-600"></div>
-          </div>
-        ) : hostels.length === 0 ? (
-          // No results
-          <div className="bg-white rounded-lg shadow-md p-8 text-center">
-            <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-            </svg>
-            <h3 className="mt-4 text-lg font-medium text-gray-900">No hostels found</h3>
-            <p className="mt-2 text-gray-600">
-              Try adjusting your search criteria or browse all available hostels.
-            </p>
-            <div className="mt-6">
-              <button 
-                onClick={async () => {
-                  setLoading(true);
-                  try {
-                    const data = await getHostels();
-                    setHostels(data.hostels || []);
-                    setSearchParams({});
-                  } catch (err) {
-                    setError('Failed to load hostels.');
-                  } finally {
-                    setLoading(false);
-                  }
-                }}
-                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-              >
-                Show All Hostels
-              </button>
+        <div className="flex flex-col lg:flex-row gap-6">
+          {/* Filter sidebar */}
+          {facets && (
+            <div className="lg:w-64 flex-shrink-0">
+              <SearchFilters facets={facets} params={searchParams} onChange={handleFilterChange} disabled={loading} />
             </div>
+          )}
+          
+          <div className="flex-grow">
+            {/* Loading state */}
+            {loading ? (
+              <div className="flex justify-center items-center h-64">
+                <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-blue-600"></div>
+              </div>
+            ) : hostels.length === 0 ? (
+              // No results
+              <div className="bg-white rounded-lg shadow-md p-8 text-center">
+                <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                <h3 className="mt-4 text-lg font-medium text-gray-900">No hostels found</h3>
+                <p className="mt-2 text-gray-600">
+                  Try adjusting your search criteria or browse all available hostels.
+                </p>
+                <div className="mt-6">
+                  <button 
+                    onClick={async () => {
+                      setLoading(true);
+                      try {
+                        const data = await searchWithFacets({});
+                        handleSearchResults({ ...data, searchParams: {} });
+                      } catch (err) {
+                        setError('Failed to load hostels.');
+                      } finally {
+                        setLoading(false);
+                      }
+                    }}
+                    className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                  >
+                    Show All Hostels
+                  </button>
+                </div>
+              </div>
+            ) : (
+              // Results grid or map
+              <>
+                {view === 'map' ? (
+                  <SearchMap hostels={hostels} onSearchArea={handleSearchArea} />
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                    {hostels.map((hostel) => (
+                      <HostelCard key={hostel.id} hostel={hostel} />
+                    ))}
+                  </div>
+                )}
+            
+                {/* Pagination */}
+                {pagination && pagination.total_pages > 1 && (
+                  <div className="mt-8 flex justify-center items-center space-x-4">
+                    <button
+                      onClick={() => goToPage(pagination.page - 1)}
+                      disabled={pagination.page <= 1}
+                      className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Previous
+                    </button>
+                    <span className="text-sm text-gray-600">
+                      Page {pagination.page} of {pagination.total_pages}
+                    </span>
+                    <button
+                      onClick={() => goToPage(pagination.page + 1)}
+                      disabled={pagination.page >= pagination.total_pages}
+                      className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
           </div>
-        ) : (
-          // Results grid
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {hostels.map((hostel) => (
-              <HostelCard key={hostel.id} hostel={hostel} />
-            ))}
-          </div>
-        )}
+        </div>
       </div>
     </div>
   );
@@ -18,23 +18,47 @@ const api = axios.create({
   timeout: 15000 // 15 second timeout
 });
 
+/**
+ * Check whether a request or response may carry credentials (passwords, 2FA secrets, backup codes)
+ * @param {string} url - Request URL
+ * @returns {boolean}
+ */
+const isSensitiveUrl = (url) => {
+  return !!url && (url.includes('/login') || url.includes('/register') || url.includes('/2fa'));
+};
+
+/**
+ * Turn a path to an uploaded file (e.g. '/uploads/avatars/1.jpg') into a full URL
+ * on the API server. Absolute URLs are returned unchanged.
+ * @param {string} path - File path or URL
+ * @returns {string|null}
+ */
+export const resolveAssetUrl = (path) => {
+  if (!path || /^(https?:|data:)/.test(path)) {
+    return path || null;
+  }
+  
+  return `${api.defaults.baseURL.replace(/\/api\/?$/, '')}${path}`;
+};
+
 // Add request logger for debugging
 api.interceptors.request.use(
   (config) => {
-    // Don't log sensitive info from auth requests
     const isAuthRequest = config.url?.includes('/login') || config.url?.includes('/register');
     
-    if (isAuthRequest) {
+    // Don't log sensitive info from auth requests
+    if (isSensitiveUrl(config.url)) {
       console.log(`API Auth Request: ${config.method.toUpperCase()} ${config.url}`);
     } else {
       console.log(`API Request: ${config.method.toUpperCase()} ${config.url}`, 
         { headers: config.headers, params: config.params });
     }
     
+    // Keep an Authorization header set by the caller (e.g. a two-factor setup token)
     const token = localStorage.getItem('token');
-    if (token) {
+    if (token && !config.headers['Authorization']) {
       config.headers['Authorization'] = `Bearer ${token}`;
-    } else if (!isAuthRequest) {
+    } else if (!token && !isAuthRequest) {
       console.warn('No auth token available for request:', config.url);
     }
     
@@ -46,14 +70,47 @@ api.interceptors.request.use(
   }
 );
 
+/**
+ * Clear all locally stored auth data
+ */
+const clearAuthData = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Single in-flight refresh request shared by concurrent 401 responses
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token
+ * Uses a bare axios call so it doesn't pass through these interceptors.
+ * @returns {Promise<string>} - New access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/users/refresh`, { refresh_token: refreshToken }, { withCredentials: true })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refresh_token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  
+  return refreshPromise;
+};
+
 // Response interceptor for handling errors and logging
 api.interceptors.response.use(
   (response) => {
     // Don't log potentially sensitive user data responses
-    const isAuthResponse = response.config.url?.includes('/login') || 
-                           response.config.url?.includes('/register');
-    
-    if (isAuthResponse) {
+    if (isSensitiveUrl(response.config.url)) {
       console.log(`API Auth Response: ${response.status} ${response.config.url}`);
     } else {
       console.log(`API Response: ${response.status} ${response.config.url}`, 
@@ -62,7 +119,28 @@ api.interceptors.response.use(
     
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = originalRequest?.url?.includes('/login') ||
+                          originalRequest?.url?.includes('/register');
+    
+    // Access tokens are short-lived: try a refresh once before giving up
+    if (error.response?.status === 401 &&
+        originalRequest &&
+        !originalRequest._retry &&
+        !isAuthRequest &&
+        localStorage.getItem('refreshToken')) {
+      originalRequest._retry = true;
+      
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers['Authorization'] = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // The session is over: the original 401 is reported and handled below
+      }
+    }
+    
     console.error('API Response Error:', {
       message: error.message,
       status: error.response?.status,
@@ -73,8 +151,7 @@ api.interceptors.response.use(
     // Handle session expiration
     if (error.response && error.response.status === 401) {
       console.log('Unauthorized access, clearing auth data');
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+      clearAuthData();
       // Redirect to login can be handled by the calling component
     }
     
@@ -99,6 +176,29 @@ export const registerUser = async (data) => {
   }
 };
 
+/**
+ * Store the tokens and user from a successful login response
+ * Does nothing if the response has no token (e.g. a two-factor step is pending)
+ * @param {Object} data - Login response body
+ */
+const storeAuthData = (data) => {
+  if (!data || !data.token) {
+    return;
+  }
+  
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refresh_token);
+  
+  // Store user data with is_host flag for compatibility
+  if (data.user) {
+    const userData = {
+      ...data.user,
+      is_host: data.user.role === 'host'
+    };
+    localStorage.setItem('user', JSON.stringify(userData));
+  }
+};
+
 /**
  * Login user
  * @param {Object} data - User login credentials
@@ -108,19 +208,8 @@ export const loginUser = async (data) => {
   try {
     const response = await api.post('/users/login', data);
     
-    // Store token if it's returned
-    if (response.data && response.data.token) {
-      localStorage.setItem('token', response.data.token);
-      
-      // Store user data with is_host flag for compatibility
-      if (response.data.user) {
-        const userData = {
-          ...response.data.user,
-          is_host: response.data.user.role === 'host'
-        };
-        localStorage.setItem('user', JSON.stringify(userData));
-      }
-    }
+    // Accounts with two-factor authentication get tokens from the second step instead
+    storeAuthData(response.data);
     return response.data;
   } catch (error) {
     console.error('Login error:', error);
@@ -129,11 +218,165 @@ export const loginUser = async (data) => {
 };
 
 /**
- * Logout user (client-side)
+ * Logout user
+ * Clears local auth data and revokes the session on the server
+ * @returns {Promise<void>}
  */
-export const logoutUser = () => {
-  localStorage.removeItem('token');
-  localStorage.removeItem('user');
+export const logoutUser = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  clearAuthData();
+  
+  if (refreshToken) {
+    try {
+      await api.post('/users/logout', { refresh_token: refreshToken });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+  }
+};
+
+/**
+ * Complete a login with a code from the authenticator app or a backup code
+ * @param {string} twoFactorToken - two_factor_token returned by loginUser
+ * @param {string} code - Authenticator or backup code
+ * @returns {Promise<Object>} - Login response with tokens
+ */
+export const verifyTwoFactorLogin = async (twoFactorToken, code) => {
+  const response = await api.post('/users/login/2fa', { two_factor_token: twoFactorToken, code });
+  storeAuthData(response.data);
+  return response.data;
+};
+
+/**
+ * Build request options that authenticate with a two-factor setup token
+ * instead of the stored access token
+ * @param {string} setupToken - two_factor_token from a login that requires enrollment (optional)
+ * @returns {Object} - Axios request options
+ */
+const setupTokenOptions = (setupToken) => {
+  return setupToken ? { headers: { Authorization: `Bearer ${setupToken}` } } : {};
+};
+
+/**
+ * Get the current user's two-factor status
+ * @returns {Promise<Object>} - { enabled, required, backup_codes_remaining }
+ */
+export const getTwoFactorStatus = async () => {
+  const response = await api.get('/users/2fa');
+  return response.data;
+};
+
+/**
+ * Start two-factor enrollment
+ * @param {string} setupToken - Setup token when enrolling during login (optional)
+ * @returns {Promise<Object>} - { secret, otpauth_uri, qr_code }
+ */
+export const setupTwoFactor = async (setupToken) => {
+  const response = await api.post('/users/2fa/setup', null, setupTokenOptions(setupToken));
+  return response.data;
+};
+
+/**
+ * Confirm two-factor enrollment with a code from the authenticator app
+ * When enrolling during login, the response also contains the session tokens
+ * @param {string} code - Authenticator code
+ * @param {string} setupToken - Setup token when enrolling during login (optional)
+ * @returns {Promise<Object>} - { backup_codes } (plus login data with a setup token)
+ */
+export const enableTwoFactor = async (code, setupToken) => {
+  const response = await api.post('/users/2fa/enable', { code }, setupTokenOptions(setupToken));
+  storeAuthData(response.data);
+  return response.data;
+};
+
+/**
+ * Replace the current user's backup codes
+ * @param {string} code - Current authenticator or backup code
+ * @returns {Promise<Object>} - { backup_codes }
+ */
+export const regenerateBackupCodes = async (code) => {
+  const response = await api.post('/users/2fa/backup-codes', { code });
+  return response.data;
+};
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} password - Current password
+ * @param {string} code - Current authenticator or backup code
+ * @returns {Promise<Object>} - Confirmation message
+ */
+export const disableTwoFactor = async (password, code) => {
+  const response = await api.post('/users/2fa/disable', { password, code });
+  return response.data;
+};
+
+/**
+ * Verify an email address with the token from the verification email
+ * @param {string} token - Verification token
+ * @returns {Promise<Object>} - Confirmation message
+ */
+export const verifyEmail = async (token) => {
+  const response = await api.post('/users/verify-email', { token });
+  return response.data;
+};
+
+/**
+ * Request a new verification email
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} - Confirmation message
+ */
+export const resendVerification = async (email) => {
+  const response = await api.post('/users/resend-verification', { email });
+  return response.data;
+};
+
+/**
+ * Request a password reset email
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} - Confirmation message
+ */
+export const forgotPassword = async (email) => {
+  const response = await api.post('/users/forgot-password', { email });
+  return response.data;
+};
+
+/**
+ * Set a new password with the token from the reset email
+ * @param {string} token - Password reset token
+ * @param {string} password - New password
+ * @returns {Promise<Object>} - Confirmation message
+ */
+export const resetPassword = async (token, password) => {
+  const response = await api.post('/users/reset-password', { token, password });
+  return response.data;
+};
+
+/**
+ * Get the current user's active sessions (one per device)
+ * @returns {Promise<Object>} - List of sessions, the current one flagged
+ */
+export const getSessions = async () => {
+  const response = await api.get('/users/sessions');
+  return response.data;
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<Object>} - Revocation confirmation
+ */
+export const revokeSession = async (sessionId) => {
+  const response = await api.delete(`/users/sessions/${sessionId}`);
+  return response.data;
+};
+
+/**
+ * Revoke all of the current user's sessions except this one
+ * @returns {Promise<Object>} - Number of sessions revoked
+ */
+export const revokeOtherSessions = async () => {
+  const response = await api.delete('/users/sessions');
+  return response.data;
 };
 
 /**
@@ -155,6 +398,133 @@ export const updateProfile = async (data) => {
   return response.data;
 };
 
+/**
+ * Upload a new profile image
+ * @param {File} file - Image file (JPEG, PNG, WebP or GIF)
+ * @returns {Promise<Object>} - Updated profile
+ */
+export const uploadAvatar = async (file) => {
+  const formData = new FormData();
+  formData.append('avatar', file);
+  
+  const response = await api.post('/users/profile/avatar', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  });
+  return response.data;
+};
+
+/**
+ * Remove the current profile image
+ * @returns {Promise<Object>} - Updated profile
+ */
+export const removeAvatar = async () => {
+  const response = await api.delete('/users/profile/avatar');
+  return response.data;
+};
+
+/**
+ * Download everything stored about the current user
+ * @param {string} format - 'json' or 'zip'
+ * @returns {Promise<Blob>} - Export file contents
+ */
+export const exportMyData = async (format = 'json') => {
+  const response = await api.get('/users/profile/export', {
+    params: { format },
+    responseType: 'blob'
+  });
+  return response.data;
+};
+
+/**
+ * Schedule the current user's account for deletion
+ * @param {string} password - Current password
+ * @param {string} code - Authentication code (only when 2FA is on)
+ * @returns {Promise<Object>} - Message and deletion_scheduled_for
+ */
+export const requestAccountDeletion = async (password, code) => {
+  const response = await api.post('/users/profile/delete', { password, code });
+  return response.data;
+};
+
+/**
+ * Cancel a scheduled account deletion
+ * @returns {Promise<Object>} - Confirmation message
+ */
+export const cancelAccountDeletion = async () => {
+  const response = await api.post('/users/profile/delete/cancel');
+  return response.data;
+};
+
+/**
+ * Get a user's public profile
+ * @param {number} id - User ID
+ * @returns {Promise<Object>} - Public profile fields
+ */
+export const getUserProfile = async (id) => {
+  const response = await api.get(`/users/${id}`);
+  return response.data;
+};
+
+// HOST ONBOARDING SERVICES
+
+/**
+ * Merge changes into the stored user and notify listeners (e.g. App) of the change
+ * @param {Object} updates - User fields to change
+ */
+export const updateStoredUser = (updates) => {
+  const user = JSON.parse(localStorage.getItem('user') || '{}');
+  localStorage.setItem('user', JSON.stringify({ ...user, ...updates }));
+  window.dispatchEvent(new Event('storage'));
+};
+
+/**
+ * Turn the current guest account into a host account and start onboarding
+ * @returns {Promise<Object>} - Updated user and onboarding checklist
+ */
+export const requestHostAccess = async () => {
+  const response = await api.post('/hosts/request');
+  updateStoredUser({ role: 'host', is_host: true });
+  return response.data;
+};
+
+/**
+ * Get the current host's onboarding checklist
+ * @returns {Promise<Object>} - host_profile, checklist and completed flag
+ */
+export const getHostOnboarding = async () => {
+  const response = await api.get('/hosts/onboarding');
+  return response.data;
+};
+
+/**
+ * Save the host's legal name and phone number
+ * @param {Object} data - { legal_name, phone }
+ * @returns {Promise<Object>} - Updated onboarding state
+ */
+export const updateHostDetails = async (data) => {
+  const response = await api.put('/hosts/onboarding/details', data);
+  return response.data;
+};
+
+/**
+ * Save how the host wants to be paid
+ * @param {Object} data - { payout_method, payout_account }
+ * @returns {Promise<Object>} - Updated onboarding state
+ */
+export const updatePayoutDetails = async (data) => {
+  const response = await api.put('/hosts/onboarding/payout', data);
+  return response.data;
+};
+
+/**
+ * Accept the hosting terms
+ * @returns {Promise<Object>} - Updated onboarding state
+ */
+export const acceptHostTerms = async () => {
+  const response = await api.post('/hosts/onboarding/terms', { accept: true });
+  return response.data;
+};
+
 // HOSTEL SERVICES
 
 /**
@@ -180,14 +550,31 @@ export const getHostels = async (page = 1, limit = 10) => {
 
 /**
  * Search hostels with filters
- * @param {Object} params - Search parameters (location, maxPrice, amenities)
- * @returns {Promise<Object>} - Filtered list of hostels
+ * @param {Object} params - Search parameters (q for keywords, location, city, country, minPrice, maxPrice, amenities
+ *   as comma-separated amenity IDs, check_in and check_out (YYYY-MM-DD) and guests to only find hostels free for a
+ *   stay, sort (relevance, newest, price_asc, price_desc, rating or distance), lat and lng to measure distances
+ *   from, radius to only find hostels within that many km of lat and lng, bbox (min_lng,min_lat,max_lng,max_lat)
+ *   to only find hostels inside a map area, minRating, room_kind (dorm or private), facets (true to also count the
+ *   matches for a filter sidebar), page and limit)
+ * @returns {Promise<Object>} - Page of hostels with pagination ({ page, limit, total, total_pages }); with q each
+ *   hostel has search.name and search.snippet ([{ text, match }]), with dates stay.total, the price of the stay,
+ *   and with lat and lng distance_km; with facets, facets counts the matches by amenity, price range, rating, city
+ *   and kind of room
  */
 export const searchHostels = async (params) => {
   const response = await api.get('/hostels/search', { params });
   return response.data;
 };
 
+/**
+ * Get the amenity catalog
+ * @returns {Promise<Array>} - Amenities with id, name and icon
+ */
+export const getAmenities = async () => {
+  const response = await api.get('/amenities');
+  return response.data.amenities;
+};
+
 /**
  * Get a specific hostel by ID
  * @param {number} id - Hostel ID
@@ -220,17 +607,279 @@ export const updateHostel = async (id, data) => {
 };
 
 /**
- * Delete a hostel
+ * Delete a hostel (it can be restored later)
+ * Fails with 409 and the bookings in question while guests hold confirmed bookings,
+ * unless cancelBookings is set
+ * @param {number} id - Hostel ID
+ * @param {boolean} cancelBookings - Cancel upcoming bookings and email the guests
+ * @returns {Promise<Object>} - Deletion confirmation with the number of cancelled bookings
+ */
+export const deleteHostel = async (id, cancelBookings = false) => {
+  const response = await api.delete(`/hostels/${id}`, {
+    params: cancelBookings ? { cancel_bookings: true } : {}
+  });
+  return response.data;
+};
+
+/**
+ * Restore a deleted hostel as a draft
  * @param {number} id - Hostel ID
- * @returns {Promise<Object>} - Deletion confirmation
+ * @returns {Promise<Object>} - Restored hostel
+ */
+export const restoreHostel = async (id) => {
+  const response = await api.post(`/hostels/${id}/restore`);
+  return response.data.hostel;
+};
+
+/**
+ * Get a host's deleted hostels
+ * @param {number} hostId - Host user ID
+ * @returns {Promise<Array>} - Deleted hostels, most recent first
+ */
+export const getDeletedHostels = async (hostId) => {
+  const response = await api.get(`/hostels/host/${hostId}/deleted`);
+  return response.data.hostels;
+};
+
+/**
+ * Get a hostel's photos in gallery order
+ * @param {number} hostelId - Hostel ID
+ * @returns {Promise<Array>} - Image objects (image_url, thumbnail_url, is_primary, sort_order)
+ */
+export const getHostelImages = async (hostelId) => {
+  const response = await api.get(`/hostels/${hostelId}/images`);
+  return response.data.images;
+};
+
+/**
+ * Upload photos to a hostel's gallery
+ * @param {number} hostelId - Hostel ID
+ * @param {Array<File>} files - Image files (JPEG, PNG, WebP or GIF)
+ * @returns {Promise<Array>} - The hostel's images after the upload
+ */
+export const uploadHostelImages = async (hostelId, files) => {
+  const formData = new FormData();
+  files.forEach((file) => formData.append('images', file));
+  
+  const response = await api.post(`/hostels/${hostelId}/images`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  });
+  return response.data.images;
+};
+
+/**
+ * Save a new order for a hostel's photos
+ * @param {number} hostelId - Hostel ID
+ * @param {Array<number>} imageIds - Every image ID, in the new order
+ * @returns {Promise<Array>} - The hostel's images in the new order
+ */
+export const reorderHostelImages = async (hostelId, imageIds) => {
+  const response = await api.put(`/hostels/${hostelId}/images/order`, { image_ids: imageIds });
+  return response.data.images;
+};
+
+/**
+ * Make a photo the hostel's primary image
+ * @param {number} hostelId - Hostel ID
+ * @param {number} imageId - Image ID
+ * @returns {Promise<Array>} - The hostel's images
+ */
+export const setPrimaryHostelImage = async (hostelId, imageId) => {
+  const response = await api.put(`/hostels/${hostelId}/images/${imageId}/primary`);
+  return response.data.images;
+};
+
+/**
+ * Remove a photo from a hostel
+ * @param {number} hostelId - Hostel ID
+ * @param {number} imageId - Image ID
+ * @returns {Promise<Array>} - The hostel's remaining images
+ */
+export const deleteHostelImage = async (hostelId, imageId) => {
+  const response = await api.delete(`/hostels/${hostelId}/images/${imageId}`);
+  return response.data.images;
+};
+
+/**
+ * Get a hostel's room types
+ * @param {number} hostelId - Hostel ID
+ * @returns {Promise<Array>} - Room types (name, kind, room_count, beds_per_room, price, total_beds)
+ */
+export const getRoomTypes = async (hostelId) => {
+  const response = await api.get(`/hostels/${hostelId}/rooms`);
+  return response.data.room_types;
+};
+
+/**
+ * Add a room type to a hostel
+ * @param {number} hostelId - Hostel ID
+ * @param {Object} data - name, kind (dorm or private), room_count, beds_per_room, price, description
+ * @returns {Promise<Object>} - Created room type
+ */
+export const createRoomType = async (hostelId, data) => {
+  const response = await api.post(`/hostels/${hostelId}/rooms`, data);
+  return response.data.room_type;
+};
+
+/**
+ * Update a room type
+ * @param {number} hostelId - Hostel ID
+ * @param {number} roomTypeId - Room type ID
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>} - Updated room type
+ */
+export const updateRoomType = async (hostelId, roomTypeId, data) => {
+  const response = await api.put(`/hostels/${hostelId}/rooms/${roomTypeId}`, data);
+  return response.data.room_type;
+};
+
+/**
+ * Remove a room type from a hostel
+ * @param {number} hostelId - Hostel ID
+ * @param {number} roomTypeId - Room type ID
+ * @returns {Promise<Object>} - Removal confirmation
+ */
+export const deleteRoomType = async (hostelId, roomTypeId) => {
+  const response = await api.delete(`/hostels/${hostelId}/rooms/${roomTypeId}`);
+  return response.data;
+};
+
+/**
+ * Get a hostel's house rules, check-in details and cancellation policy
+ * @param {number} hostelId - Hostel ID
+ * @returns {Promise<Object>} - Policies, with the details of the cancellation policy in cancellation
+ */
+export const getHostelPolicies = async (hostelId) => {
+  const response = await api.get(`/hostels/${hostelId}/policies`);
+  return response.data.policies;
+};
+
+/**
+ * Update a hostel's house rules, check-in details and cancellation policy
+ * @param {number} hostelId - Hostel ID
+ * @param {Object} data - Policy fields to change (null clears optional ones)
+ * @returns {Promise<Object>} - Updated policies
+ */
+export const updateHostelPolicies = async (hostelId, data) => {
+  const response = await api.put(`/hostels/${hostelId}/policies`, data);
+  return response.data.policies;
+};
+
+/**
+ * Get the edit history of a listing, newest first
+ * @param {number} hostelId - Hostel ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Revisions per page (default: 20)
+ * @returns {Promise<Object>} - current_revision and revisions, each with who made it and the
+ *   fields it changed ([{ field, from, to }])
+ */
+export const getHostelHistory = async (hostelId, page = 1, limit = 20) => {
+  const response = await api.get(`/hostels/${hostelId}/history`, { params: { page, limit } });
+  return response.data;
+};
+
+/**
+ * Get one revision of a listing, with the listing as it stood then
+ * @param {number} hostelId - Hostel ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object>} - Revision with its snapshot
+ */
+export const getHostelRevision = async (hostelId, revision) => {
+  const response = await api.get(`/hostels/${hostelId}/history/${revision}`);
+  return response.data.revision;
+};
+
+/**
+ * Restore a listing to an earlier revision
+ * @param {number} hostelId - Hostel ID
+ * @param {number} revision - Revision to restore
+ * @returns {Promise<Object>} - message, the new revision (null if nothing changed) and the hostel
  */
-export const deleteHostel = async (id) => {
-  const response = await api.delete(`/hostels/${id}`);
+export const revertHostelRevision = async (hostelId, revision) => {
+  const response = await api.post(`/hostels/${hostelId}/history/${revision}/revert`);
   return response.data;
 };
 
+/**
+ * Get the nightly calendar of a hostel
+ * @param {number} hostelId - Hostel ID
+ * @param {string} from - First night (YYYY-MM-DD)
+ * @param {string} to - Last night (YYYY-MM-DD)
+ * @returns {Promise<Array>} - One entry per night with is_available, min_price and the
+ *   free beds, price and minimum stay of each room type
+ */
+export const getHostelAvailability = async (hostelId, from, to) => {
+  const response = await api.get(`/hostels/${hostelId}/availability`, { params: { from, to } });
+  return response.data.nights;
+};
+
+/**
+ * Set calendar rules for a range of dates (host only)
+ * @param {number} hostelId - Hostel ID
+ * @param {Object} rules - from, to, room_type_id (optional, needed for price_override) and is_available, price_override and/or min_stay
+ * @returns {Promise} - Promise with the updated nights
+ */
+export const setHostelAvailability = async (hostelId, rules) => {
+  const response = await api.put(`/hostels/${hostelId}/availability`, rules);
+  return response.data;
+};
+
+/**
+ * Remove the calendar rules of a range of dates (host only)
+ * @param {number} hostelId - Hostel ID
+ * @param {Object} range - from, to and room_type_id (optional)
+ * @returns {Promise} - Promise with the result
+ */
+export const clearHostelAvailability = async (hostelId, range) => {
+  const response = await api.delete(`/hostels/${hostelId}/availability`, { params: range });
+  return response.data;
+};
+
+/**
+ * Change the status of a listing
+ * Hosts can submit, withdraw, archive and unarchive; admins can also approve, reject, suspend and reinstate
+ * @param {number} hostelId - Hostel ID
+ * @param {string} action - Status change to make
+ * @param {string} reason - Reason shown to the host (required to reject or suspend)
+ * @returns {Promise} - Promise with the updated hostel
+ */
+export const changeHostelStatus = async (hostelId, action, reason) => {
+  const response = await api.post(`/hostels/${hostelId}/${action}`, reason ? { reason } : {});
+  return response.data;
+};
+
+/**
+ * Get the listings waiting for review (admin only)
+ * @param {string} status - Listing status to list (default: pending_review)
+ * @returns {Promise<Array>} - Listings, oldest change first
+ */
+export const getModerationQueue = async (status = 'pending_review') => {
+  const response = await api.get('/hostels/moderation', { params: { status } });
+  return response.data.hostels;
+};
+
+/**
+ * Get the status changes of a listing (host or admin only)
+ * @param {number} hostelId - Hostel ID
+ * @returns {Promise<Array>} - Status changes, newest first
+ */
+export const getHostelStatusHistory = async (hostelId) => {
+  const response = await api.get(`/hostels/${hostelId}/status-history`);
+  return response.data.history;
+};
+
 // BOOKING SERVICES
 
+/**
+ * Price a stay without booking it
+ * @param {Object} data - hostel_id, room_type_id, check_in_date, check_out_date and guests
+ * @returns {Promise<Object>} - Quote with the nightly prices, line items and total
+ */
+export const getBookingQuote = async (data) => {
+  const response = await api.post('/bookings/quote', data);
+  return response.data.quote;
+};
+
 /**
  * Create a new booking
  * @param {Object} data - Booking data
@@ -247,10 +896,7 @@ export const createBooking = async (data) => {
  * @returns {Promise<Object>} - User's bookings
  */
 export const getUserBookings = async (status = null) => {
-  const user = JSON.parse(localStorage.getItem('user'));
-  if (!user) throw new Error('User not logged in');
-  
-  const params = { user_id: user.id };
+  const params = {};
   if (status) params.status = status;
   
   const response = await api.get('/bookings/user', { params });
@@ -276,10 +922,7 @@ export const getHostelBookings = async (hostelId, status = null) => {
  * @returns {Promise<Object>} - Upcoming bookings
  */
 export const getUpcomingBookings = async () => {
-  const user = JSON.parse(localStorage.getItem('user'));
-  if (!user) throw new Error('User not logged in');
-  
-  const response = await api.get('/bookings/upcoming', { params: { user_id: user.id } });
+  const response = await api.get('/bookings/upcoming');
   return response.data;
 };
 
@@ -288,10 +931,7 @@ export const getUpcomingBookings = async () => {
  * @returns {Promise<Object>} - Past bookings
  */
 export const getPastBookings = async () => {
-  const user = JSON.parse(localStorage.getItem('user'));
-  if (!user) throw new Error('User not logged in');
-  
-  const response = await api.get('/bookings/past', { params: { user_id: user.id } });
+  const response = await api.get('/bookings/past');
   return response.data;
 };
 
@@ -315,11 +955,7 @@ export const updateBookingStatus = async (id, status) => {
  * @returns {Promise<Object>} - Sent message data
  */
 export const sendMessage = async (receiverId, content) => {
-  const user = JSON.parse(localStorage.getItem('user'));
-  if (!user) throw new Error('User not logged in');
-  
   const response = await api.post('/messages/send', {
-    sender_id: user.id,
     receiver_id: receiverId,
     content
   });
@@ -332,14 +968,8 @@ export const sendMessage = async (receiverId, content) => {
  * @returns {Promise<Object>} - Conversation messages
  */
 export const getMessages = async (otherUserId) => {
-  const user = JSON.parse(localStorage.getItem('user'));
-  if (!user) throw new Error('User not logged in');
-  
   const response = await api.get('/messages', {
-    params: {
-      sender_id: user.id,
-      receiver_id: otherUserId
-    }
+    params: { receiver_id: otherUserId }
   });
   return response.data;
 };
@@ -349,12 +979,7 @@ export const getMessages = async (otherUserId) => {
  * @returns {Promise<Object>} - User's conversations
  */
 export const getConversations = async () => {
-  const user = JSON.parse(localStorage.getItem('user'));
-  if (!user) throw new Error('User not logged in');
-  
-  const response = await api.get('/messages/conversations', {
-    params: { user_id: user.id }
-  });
+  const response = await api.get('/messages/conversations');
   return response.data;
 };
 
@@ -364,11 +989,7 @@ export const getConversations = async () => {
  * @returns {Promise<Object>} - Read confirmation
  */
 export const markMessagesAsRead = async (senderId) => {
-  const user = JSON.parse(localStorage.getItem('user'));
-  if (!user) throw new Error('User not logged in');
-  
   const response = await api.put('/messages/read', {
-    receiver_id: user.id,
     sender_id: senderId
   });
   return response.data;
@@ -379,19 +1000,69 @@ export default {
   registerUser,
   loginUser,
   logoutUser,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   getProfile,
   updateProfile,
+  uploadAvatar,
+  removeAvatar,
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getUserProfile,
+  
+  // Host onboarding
+  requestHostAccess,
+  getHostOnboarding,
+  updateHostDetails,
+  updatePayoutDetails,
+  acceptHostTerms,
   
   // Hostels
   addHostel,
   getHostels,
   searchHostels,
+  getAmenities,
   getHostel,
   getHostelsByHost,
   updateHostel,
   deleteHostel,
+  restoreHostel,
+  getDeletedHostels,
+  getHostelImages,
+  uploadHostelImages,
+  reorderHostelImages,
+  setPrimaryHostelImage,
+  deleteHostelImage,
+  getRoomTypes,
+  createRoomType,
+  updateRoomType,
+  deleteRoomType,
+  getHostelPolicies,
+  updateHostelPolicies,
+  getHostelHistory,
+  getHostelRevision,
+  revertHostelRevision,
+  getHostelAvailability,
+  setHostelAvailability,
+  clearHostelAvailability,
+  changeHostelStatus,
+  getModerationQueue,
+  getHostelStatusHistory,
   
   // Bookings
+  getBookingQuote,
   createBooking,
   getUserBookings,
   getHostelBookings,